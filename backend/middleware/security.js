@@ -1,78 +1,6 @@
 import logger from '../src/infrastructure/config/logger.js';
 import { config } from '../src/infrastructure/config/config.js';
 
-// Track failed login attempts (in production, use Redis or database)
-const failedAttempts = new Map();
-const MAX_FAILED_ATTEMPTS = 5;
-const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
-
-// Account lockout middleware
-export const accountLockout = (req, res, next) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
-  const attempts = failedAttempts.get(clientIP);
-
-  if (attempts && attempts.count >= MAX_FAILED_ATTEMPTS) {
-    const timeSinceLockout = Date.now() - attempts.lockoutTime;
-    if (timeSinceLockout < LOCKOUT_DURATION) {
-      const remainingTime = Math.ceil((LOCKOUT_DURATION - timeSinceLockout) / 60000); // minutes
-
-      logger.warn('Account lockout triggered', {
-        correlationId: req.correlationId,
-        clientIP,
-        attempts: attempts.count,
-        remainingTime: `${remainingTime} minutes`
-      });
-
-      return res.status(429).json({
-        success: false,
-        message: `Account temporarily locked due to too many failed attempts. Try again in ${remainingTime} minutes.`,
-        correlationId: req.correlationId,
-        retryAfter: remainingTime * 60 // seconds
-      });
-    } else {
-      // Reset lockout after duration
-      failedAttempts.delete(clientIP);
-    }
-  }
-
-  next();
-};
-
-// Track failed login attempts
-export const trackFailedLogin = (req) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
-  const attempts = failedAttempts.get(clientIP) || { count: 0, lockoutTime: null };
-
-  attempts.count += 1;
-
-  if (attempts.count >= MAX_FAILED_ATTEMPTS) {
-    attempts.lockoutTime = Date.now();
-    logger.warn('Account locked due to failed attempts', {
-      correlationId: req.correlationId,
-      clientIP,
-      attempts: attempts.count
-    });
-  }
-
-  failedAttempts.set(clientIP, attempts);
-
-  // Clean up old entries periodically
-  if (Math.random() < 0.01) { // 1% chance to clean up
-    cleanupOldEntries();
-  }
-};
-
-// Reset failed attempts on successful login
-export const resetFailedAttempts = (req) => {
-  const clientIP = req.ip || req.connection.remoteAddress;
-  failedAttempts.delete(clientIP);
-
-  logger.info('Failed attempts reset after successful login', {
-    correlationId: req.correlationId,
-    clientIP
-  });
-};
-
 // Security headers middleware
 export const securityHeaders = (req, res, next) => {
   // Content Security Policy
@@ -110,8 +38,21 @@ export const securityHeaders = (req, res, next) => {
   next();
 };
 
+// Path of the tus endpoint; pieces are PATCHed (or POSTed with a method override) to an upload below it
+const TUS_UPLOADS_PATH = /^\/api\/v1\/files\/uploads\/[^/]+\/?$/;
+
+const isTusPiece = req => ['PATCH', 'POST'].includes(req.method) &&
+  TUS_UPLOADS_PATH.test(req.path) &&
+  req.is('application/offset+octet-stream');
+
 // Request size limiter with more specific limits
 export const requestSizeLimiter = (req, res, next) => {
+  // tus pieces are streamed to disk and capped by the Upload-Length given at creation; any
+  // other route would buffer such a body, so the exemption only applies to tus uploads
+  if (isTusPiece(req)) {
+    return next();
+  }
+
   const contentLength = parseInt(req.headers['content-length']);
 
   if (contentLength && contentLength > 10 * 1024 * 1024) { // 10MB
@@ -226,13 +167,3 @@ export const createRateLimit = (windowMs, maxRequests, message) => {
     next();
   };
 };
-
-// Clean up old failed attempt entries
-const cleanupOldEntries = () => {
-  const now = Date.now();
-  for (const [ip, attempts] of failedAttempts.entries()) {
-    if (attempts.lockoutTime && (now - attempts.lockoutTime) > LOCKOUT_DURATION * 2) {
-      failedAttempts.delete(ip);
-    }
-  }
-};
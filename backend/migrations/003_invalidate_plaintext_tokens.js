@@ -0,0 +1,53 @@
+// Migration: Invalidate one-time tokens stored before tokens were hashed
+//
+// Plain tokens and SHA-256 hashes are both 64 hex characters, so stored values
+// cannot be told apart. Every outstanding email verification, password reset and
+// email change token is cleared; users can request a new link.
+
+export const up = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('users');
+
+  const verification = await collection.updateMany(
+    { emailVerificationToken: { $exists: true, $ne: null } },
+    {
+      $unset: {
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1
+      }
+    }
+  );
+
+  const passwordReset = await collection.updateMany(
+    { passwordResetToken: { $exists: true, $ne: null } },
+    {
+      $unset: {
+        passwordResetToken: 1,
+        passwordResetExpires: 1
+      }
+    }
+  );
+
+  const emailChange = await collection.updateMany(
+    { pendingEmailToken: { $exists: true, $ne: null } },
+    {
+      $unset: {
+        pendingEmail: 1,
+        pendingEmailToken: 1,
+        pendingEmailExpires: 1
+      }
+    }
+  );
+
+  console.log(
+    `Invalidated ${verification.modifiedCount} verification, ` +
+    `${passwordReset.modifiedCount} password reset and ` +
+    `${emailChange.modifiedCount} email change tokens`
+  );
+};
+
+export const down = async () => {
+  // Cleared tokens cannot be restored
+  console.log('Nothing to roll back: invalidated tokens cannot be restored');
+};
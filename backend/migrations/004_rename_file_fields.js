@@ -0,0 +1,42 @@
+// Migration: Store file names and types under the names the application reads
+//
+// The file schema used "originalname" and "mimetype" (multer's spelling) while the
+// rest of the application uses "originalName" and "mimeType".
+
+export const up = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('files');
+
+  const result = await collection.updateMany(
+    { $or: [{ originalname: { $exists: true } }, { mimetype: { $exists: true } }] },
+    { $rename: { originalname: 'originalName', mimetype: 'mimeType' } }
+  );
+
+  try {
+    await collection.dropIndex('originalname_1');
+  } catch (error) {
+    // The index only exists if migration 002 ran
+  }
+  await collection.createIndex({ originalName: 1 });
+
+  console.log(`Renamed fields of ${result.modifiedCount} files`);
+};
+
+export const down = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('files');
+
+  await collection.updateMany(
+    { $or: [{ originalName: { $exists: true } }, { mimeType: { $exists: true } }] },
+    { $rename: { originalName: 'originalname', mimeType: 'mimetype' } }
+  );
+
+  try {
+    await collection.dropIndex('originalName_1');
+  } catch (error) {
+    // Nothing to drop
+  }
+  await collection.createIndex({ originalname: 1 });
+};
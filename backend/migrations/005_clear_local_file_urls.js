@@ -0,0 +1,28 @@
+// Migration: Drop the /uploads URLs of locally stored files
+//
+// Local files used to be served statically under /uploads, which skipped the access
+// checks. They are now only downloaded through the API, so the stored URLs lead nowhere.
+
+export const up = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('files');
+
+  const result = await collection.updateMany(
+    { storage: 'local', url: { $regex: '^/uploads/' } },
+    { $set: { url: null } }
+  );
+
+  console.log(`Cleared the URL of ${result.modifiedCount} local files`);
+};
+
+export const down = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('files');
+
+  await collection.updateMany(
+    { storage: 'local', url: null },
+    [{ $set: { url: { $concat: ['/uploads/', '$filename'] } } }]
+  );
+};
@@ -0,0 +1,45 @@
+// Migration: Move MFA_REQUIRED_ROLES into the roles
+//
+// Whether a role requires two-factor authentication used to be read from the
+// MFA_REQUIRED_ROLES environment variable. It is now the requiresTwoFactor setting
+// of each role, managed through the roles API. Roles still listed in the variable
+// keep requiring 2FA; built-in roles get a settings document.
+
+const SYSTEM_ROLE_NAMES = ['admin', 'manager', 'staff'];
+
+export const up = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('roles');
+
+  const roles = (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  for (const name of roles) {
+    if (SYSTEM_ROLE_NAMES.includes(name)) {
+      await collection.updateOne(
+        { name },
+        {
+          $set: { requiresTwoFactor: true, isSystem: true, updatedAt: new Date() },
+          $setOnInsert: { description: '', permissions: [], createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+    } else {
+      await collection.updateOne({ name }, { $set: { requiresTwoFactor: true, updatedAt: new Date() } });
+    }
+  }
+
+  console.log(`Roles requiring two-factor authentication: ${roles.join(', ') || 'none'}`);
+};
+
+export const down = async (mongoose) => {
+  // Get the native MongoDB collection
+  const db = mongoose.connection.db;
+  const collection = db.collection('roles');
+
+  await collection.deleteMany({ isSystem: true });
+  await collection.updateMany({}, { $unset: { requiresTwoFactor: 1 } });
+};
@@ -9,7 +9,8 @@ import path from 'path';
 import swaggerUi from 'swagger-ui-express';
 import mongoose from 'mongoose';
 import connectDB from './src/infrastructure/config/database.js';
-import v1Routes from './src/infrastructure/routes/index.js';
+import v1Routes, { wellKnownRoutes } from './src/infrastructure/routes/index.js';
+import { container } from './src/shared/kernel/container.js';
 import { errorHandler } from './middleware/error-handler.js';
 import { correlationIdMiddleware } from './middleware/correlation-id.js';
 import { requestLogger } from './middleware/request-logger.js';
@@ -110,7 +111,20 @@ const corsOptions = config.NODE_ENV === 'development' ? {
   credentials: true
 };
 
-app.use(cors(corsOptions));
+// Let browser clients read the tus headers
+corsOptions.exposedHeaders = [
+  'Location', 'X-File-Id',
+  'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires',
+  'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size'
+];
+
+// tus clients send OPTIONS to discover the server; only real preflights are answered here
+app.use(cors((req, callback) => {
+  callback(null, {
+    ...corsOptions,
+    preflightContinue: req.path.startsWith('/api/v1/files/uploads') && !req.get('Access-Control-Request-Method')
+  });
+}));
 
 // Request size and injection protection (before body parsing)
 app.use(requestSizeLimiter);
@@ -154,11 +168,7 @@ app.get('/', (req, res) => {
 
 ﻿// Routes
 app.use('/api/v1', v1Routes);
-
-// Serve uploaded files statically (for local storage)
-if (config.UPLOAD_STORAGE === 'local') {
-  app.use('/uploads', express.static(path.join(process.cwd(), config.UPLOAD_DEST)));
-}
+app.use('/.well-known', wellKnownRoutes);
 
 // Serve static files from public directory
 app.use(express.static(path.join(process.cwd(), 'public')));
@@ -197,6 +207,15 @@ const startServer = async () => {
       process.exit(1);
     }
 
+    // Load (or create) the JWT signing keys before any token is issued
+    await container.getSigningKeyService().initialize();
+
+    // Deliver queued emails, webhooks and events in the background
+    container.getOutboxService().start();
+
+    // Delete resumable uploads that were abandoned before completion
+    container.getResumableUploadService().start();
+
     // Start the HTTP server
     server = app.listen(PORT, () => {
       logger.startup(`Server started successfully on port ${PORT}`);
@@ -224,6 +243,10 @@ const gracefulShutdown = async (signal) => {
       logger.startup('HTTP server closed');
     }
 
+    // Let the outbox finish the message it is delivering
+    await container.getOutboxService().stop();
+    container.getResumableUploadService().stop();
+
     // Close database connections
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
@@ -0,0 +1,21 @@
+import { ALL_EVENTS } from '../../shared/kernel/event-bus.js';
+
+/**
+ * Audit Log Subscriber
+ * Writes every domain event to the audit log. Events reach it through the outbox, so a write
+ * that keeps failing is retried with backoff and ends up as a dead message instead of a lost entry
+ */
+export class AuditLogSubscriber {
+  constructor(auditLogService) {
+    this.auditLogService = auditLogService;
+  }
+
+  register(eventBus) {
+    eventBus.subscribe(ALL_EVENTS, (event, context) => this.auditLogService.record(event, context), {
+      name: 'audit-log',
+      durable: true,
+      // Whole records can hold password hashes; only the changes are kept
+      prepare: context => this.auditLogService.reduceContext(context)
+    });
+  }
+}
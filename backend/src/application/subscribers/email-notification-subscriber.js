@@ -0,0 +1,52 @@
+import { config } from '../../infrastructure/config/config.js';
+
+/**
+ * Email Notification Subscriber
+ * Tells users about security-relevant changes to their account. The emails go through the
+ * outbox, so they are retried until the mail server accepts them
+ */
+export class EmailNotificationSubscriber {
+  constructor(userRepository, outboxService) {
+    this.userRepository = userRepository;
+    this.outboxService = outboxService;
+  }
+
+  register(eventBus) {
+    eventBus.subscribe('UserEmailChanged', (event, context) => this.onEmailChanged(event, context), {
+      name: 'email-change-notice'
+    });
+    eventBus.subscribe('UserLockedOut', (event, context) => this.onLockedOut(event, context), {
+      name: 'account-locked-notice'
+    });
+  }
+
+  /**
+   * Let the previous address know, in case the change was not made by its owner
+   */
+  async onEmailChanged(event, context) {
+    const user = await this.userRepository.findById(event.userId);
+    if (!user) {
+      return;
+    }
+
+    await this.outboxService.enqueueEmail('email-change-notice', event.previousEmail, {
+      firstName: user.firstName,
+      newEmail: event.email,
+      completed: true
+    }, { correlationId: context.correlationId });
+  }
+
+  async onLockedOut(event, context) {
+    const user = await this.userRepository.findById(event.userId);
+    if (!user) {
+      return;
+    }
+
+    await this.outboxService.enqueueEmail('account-locked', user.email, {
+      firstName: user.firstName,
+      ipAddress: event.ipAddress,
+      lockedMinutes: Math.ceil(event.retryAfter / 60),
+      resetUrl: `${config.CLIENT_URL}/forgot-password`
+    }, { correlationId: context.correlationId });
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * File Sharing Subscriber
+ * Stops sharing files with teams that were deleted
+ */
+export class FileSharingSubscriber {
+  constructor(fileRepository) {
+    this.fileRepository = fileRepository;
+  }
+
+  register(eventBus) {
+    eventBus.subscribe('TeamDeleted', async (event) => {
+      await this.fileRepository.unshareTeam(event.teamId);
+    }, {
+      name: 'file-sharing'
+    });
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Permission Cache Subscriber
+ * Drops cached roles when a role changes, so new permissions and settings apply on the next request
+ */
+export class PermissionCacheSubscriber {
+  constructor(permissionService) {
+    this.permissionService = permissionService;
+  }
+
+  register(eventBus) {
+    eventBus.subscribe(['RoleCreated', 'RoleUpdated', 'RoleDeleted'], async () => {
+      this.permissionService.invalidate();
+    }, {
+      name: 'permission-cache'
+    });
+  }
+}
@@ -0,0 +1,32 @@
+import logger from '../../infrastructure/config/logger.js';
+
+// Events written to the security log, with their messages
+const SECURITY_MESSAGES = {
+  RoleCreated: 'Role created',
+  RoleUpdated: 'Role updated',
+  RoleDeleted: 'Role deleted',
+  TeamMemberSet: 'Team membership changed',
+  TeamMemberRemoved: 'Team member removed',
+  ImpersonationStarted: 'Impersonation started'
+};
+
+/**
+ * Security Log Subscriber
+ * Writes changes to who can do what to the security log
+ */
+export class SecurityLogSubscriber {
+  register(eventBus) {
+    eventBus.subscribe(Object.keys(SECURITY_MESSAGES), async (event, context) => {
+      const { type, occurredAt, ...details } = event;
+      logger.security(SECURITY_MESSAGES[type], {
+        ...details,
+        actorId: context.actorId,
+        impersonatorId: context.impersonatorId,
+        ipAddress: context.ipAddress,
+        correlationId: context.correlationId
+      });
+    }, {
+      name: 'security-log'
+    });
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Export Audit Logs Use Case
+ * Provides every matching audit log entry, oldest first, for download
+ */
+export class ExportAuditLogsUseCase {
+  constructor(auditLogRepository) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  /**
+   * @param {Object} filters - Same filters as the audit log listing
+   * @returns {Object} { logs } - Entries are read lazily, so exports of any size stay in constant memory
+   */
+  execute(filters = {}) {
+    return {
+      logs: this.auditLogRepository.iterate(filters)
+    };
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Get Audit Logs Use Case
+ * Lists audit log entries, newest first, with pagination and filtering
+ */
+export class GetAuditLogsUseCase {
+  constructor(auditLogRepository) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  async execute(options = {}) {
+    try {
+      const result = await this.auditLogRepository.findLogs(options);
+
+      return {
+        logs: result.logs.map(log => log.toJSON()),
+        pagination: {
+          page: result.page,
+          limit: options.limit || 20,
+          total: result.total,
+          totalPages: result.totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get audit logs: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Verify Audit Log Use Case
+ * Checks the hash chain of the audit log to detect changed or removed entries
+ */
+export class VerifyAuditLogUseCase {
+  constructor(auditLogService) {
+    this.auditLogService = auditLogService;
+  }
+
+  async execute() {
+    try {
+      const result = await this.auditLogService.verify();
+
+      return {
+        ...result,
+        message: result.valid
+          ? 'Audit log is intact'
+          : `Audit log chain is broken at entry ${result.brokenAt}`
+      };
+    } catch (error) {
+      throw new Error(`Audit log verification failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import { config } from '../../../infrastructure/config/config.js';
+
+/**
+ * Change Email Use Case
+ * Starts an email change; the current address stays active until the new one is confirmed
+ */
+export class ChangeEmailUseCase {
+  constructor(userRepository, authService, outboxService, tokenService, transactionService) {
+    this.userRepository = userRepository;
+    this.authService = authService;
+    this.outboxService = outboxService;
+    this.tokenService = tokenService;
+    this.transactionService = transactionService;
+  }
+
+  async execute({ userId, newEmail, password }, context = {}) {
+    try {
+      // Validate input
+      if (!newEmail || !password) {
+        throw new Error('New email and password are required');
+      }
+
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const isPasswordValid = await this.authService.verifyPassword(password, user.password);
+      if (!isPasswordValid) {
+        throw new Error('Invalid password');
+      }
+
+      const email = newEmail.toLowerCase().trim();
+      if (email === user.email) {
+        throw new Error('New email must be different from the current email');
+      }
+
+      if (await this.userRepository.emailExists(email, user.id)) {
+        throw new Error('Email already registered');
+      }
+
+      // Only the hash is persisted; a new request replaces any pending one
+      const { token: confirmToken, hashedToken } = this.tokenService.generateEmailVerificationToken();
+      const pendingEmailExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+      await this.transactionService.run(async session => {
+        await this.userRepository.update(user.id, {
+          pendingEmail: email,
+          pendingEmailToken: hashedToken,
+          pendingEmailExpires
+        }, { session });
+
+        const options = { session, correlationId: context.correlationId };
+        await this.outboxService.enqueueEmail('email-change-verification', email, {
+          firstName: user.firstName,
+          confirmUrl: `${config.CLIENT_URL}/confirm-email-change?token=${confirmToken}`
+        }, { ...options, expiresAt: pendingEmailExpires });
+        await this.outboxService.enqueueEmail('email-change-notice', user.email, {
+          firstName: user.firstName,
+          newEmail: email,
+          completed: false
+        }, options);
+      });
+
+      return {
+        message: 'Please check your new email address to confirm the change.',
+        pendingEmail: email
+      };
+    } catch (error) {
+      throw new Error(`Email change failed: ${error.message}`);
+    }
+  }
+}
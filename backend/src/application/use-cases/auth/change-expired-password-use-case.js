@@ -0,0 +1,75 @@
+/**
+ * Change Expired Password Use Case
+ * Replaces a password that passed its maximum age and finishes the login
+ */
+export class ChangeExpiredPasswordUseCase {
+  constructor(userRepository, tokenService, refreshTokenService, passwordPolicyService, eventBus, permissionService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.refreshTokenService = refreshTokenService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.eventBus = eventBus;
+    this.permissionService = permissionService;
+  }
+
+  async execute({ passwordChangeToken, newPassword, userAgent, ipAddress }, context = {}) {
+    try {
+      // Validate input
+      if (!passwordChangeToken || !newPassword) {
+        throw new Error('Password change token and new password are required');
+      }
+
+      // Issued by login after the current password was checked
+      const decoded = this.tokenService.verifyMfaToken(passwordChangeToken, 'password_change_required');
+
+      const user = await this.userRepository.findByIdWithSecrets(decoded.userId);
+      if (!user || !user.isActive) {
+        throw new Error('Invalid or expired token');
+      }
+
+      // The token can only be used for one change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        throw new Error('Invalid or expired token');
+      }
+
+      await this.passwordPolicyService.validate(newPassword, user);
+
+      const passwordUpdate = await this.passwordPolicyService.buildPasswordUpdate(newPassword, user);
+      const event = user.changePassword(passwordUpdate.password);
+      const updatedUser = await this.userRepository.update(user.id, passwordUpdate);
+      await this.eventBus.publish({ ...event, method: 'expired' }, { ...context, actorId: user.id });
+
+      // Same second-factor rules as password login
+      if (updatedUser.twoFactorEnabled) {
+        return {
+          challenge: 'mfa_required',
+          mfaToken: this.tokenService.generateMfaToken(updatedUser.id, 'mfa_required')
+        };
+      }
+
+      if (await this.permissionService.requiresTwoFactor(updatedUser.role)) {
+        return {
+          challenge: 'mfa_setup_required',
+          mfaToken: this.tokenService.generateMfaToken(updatedUser.id, 'mfa_setup_required')
+        };
+      }
+
+      const tokens = await this.refreshTokenService.issueTokenPair(updatedUser, { userAgent, ipAddress });
+
+      return {
+        user: {
+          id: updatedUser.id,
+          name: `${updatedUser.firstName} ${updatedUser.lastName}`.trim(),
+          email: updatedUser.email,
+          role: updatedUser.role,
+          isActive: updatedUser.isActive,
+          isEmailVerified: updatedUser.isEmailVerified,
+          createdAt: updatedUser.createdAt
+        },
+        tokens
+      };
+    } catch (error) {
+      throw new Error(`Password change failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Change Password Use Case
+ * Replaces the password of a signed-in user and signs out their other sessions
+ */
+export class ChangePasswordUseCase {
+  constructor(userRepository, authService, refreshTokenService, passwordPolicyService, eventBus) {
+    this.userRepository = userRepository;
+    this.authService = authService;
+    this.refreshTokenService = refreshTokenService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, currentPassword, newPassword, userAgent, ipAddress }, context = {}) {
+    try {
+      // Validate input
+      if (!currentPassword || !newPassword) {
+        throw new Error('Current and new password are required');
+      }
+
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const isPasswordValid = await this.authService.verifyPassword(currentPassword, user.password);
+      if (!isPasswordValid) {
+        throw new Error('Current password is incorrect');
+      }
+
+      await this.passwordPolicyService.validate(newPassword, user);
+
+      // passwordChangedAt invalidates every token issued before now, including this one
+      const passwordUpdate = await this.passwordPolicyService.buildPasswordUpdate(newPassword, user);
+      const event = user.changePassword(passwordUpdate.password);
+      const updatedUser = await this.userRepository.update(user.id, passwordUpdate);
+      await this.eventBus.publish({ ...event, method: 'change' }, context);
+
+      // Keep the current client signed in with a fresh session
+      const tokens = await this.refreshTokenService.issueTokenPair(updatedUser, { userAgent, ipAddress });
+
+      return {
+        tokens,
+        message: 'Password changed successfully'
+      };
+    } catch (error) {
+      throw new Error(`Password change failed: ${error.message}`);
+    }
+  }
+}
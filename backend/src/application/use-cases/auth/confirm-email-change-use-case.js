@@ -0,0 +1,64 @@
+/**
+ * Confirm Email Change Use Case
+ * Switches the account to the pending email address once it is confirmed
+ */
+export class ConfirmEmailChangeUseCase {
+  constructor(userRepository, tokenService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ token }, context = {}) {
+    try {
+      // Validate input
+      if (!token) {
+        throw new Error('Confirmation token is required');
+      }
+
+      // Tokens are stored hashed, look up by hash
+      const user = await this.userRepository.findByPendingEmailToken(
+        this.tokenService.hashToken(token)
+      );
+      if (!user || !user.pendingEmail || !this.tokenService.verifyTokenHash(token, user.pendingEmailToken)) {
+        throw new Error('Invalid or expired confirmation token');
+      }
+
+      // The address may have been registered since the change was requested
+      if (await this.userRepository.emailExists(user.pendingEmail, user.id)) {
+        throw new Error('Email already registered');
+      }
+
+      const previousEmail = user.email;
+      const updatedUser = await this.userRepository.update(user.id, {
+        email: user.pendingEmail,
+        emailVerified: true,
+        pendingEmail: null,
+        pendingEmailToken: null,
+        pendingEmailExpires: null
+      });
+
+      // Subscribers notify the previous address
+      await this.eventBus.publish({
+        type: 'UserEmailChanged',
+        userId: user.id,
+        previousEmail,
+        email: updatedUser.email,
+        occurredAt: new Date()
+      }, { ...context, actorId: user.id });
+
+      return {
+        message: 'Email address changed successfully',
+        user: {
+          id: updatedUser.id,
+          email: updatedUser.email,
+          firstName: updatedUser.firstName,
+          lastName: updatedUser.lastName,
+          isEmailVerified: true
+        }
+      };
+    } catch (error) {
+      throw new Error(`Email change confirmation failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+// Upper bound on keys per user, so a leaked session cannot mint keys without limit
+const MAX_API_KEYS_PER_USER = 25;
+
+/**
+ * Create API Key Use Case
+ * Issues a named, scoped API key; the key is only returned once
+ */
+export class CreateApiKeyUseCase {
+  constructor(apiKeyRepository, tokenService, eventBus) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.tokenService = tokenService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, name, scopes, expiresAt = null }, context = {}) {
+    try {
+      // Validate input
+      if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+        throw new Error('Name and at least one scope are required');
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+
+      const count = await this.apiKeyRepository.countByUserId(userId);
+      if (count >= MAX_API_KEYS_PER_USER) {
+        throw new Error(`A user can have at most ${MAX_API_KEYS_PER_USER} API keys`);
+      }
+
+      // Only the hash is persisted
+      const { token, hashedToken, prefix } = this.tokenService.generateApiKey();
+
+      const apiKey = await this.apiKeyRepository.create({
+        userId,
+        name: name.trim(),
+        prefix,
+        keyHash: hashedToken,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      });
+
+      await this.eventBus.publish({
+        type: 'ApiKeyCreated',
+        userId,
+        apiKeyId: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'API key created. Copy it now, it will not be shown again.',
+        apiKey: {
+          ...apiKey.toJSON(),
+          key: token
+        }
+      };
+    } catch (error) {
+      throw new Error(`Create API key failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Delete Passkey Use Case
+ * Removes a passkey so it can no longer be used to sign in
+ */
+export class DeletePasskeyUseCase {
+  constructor(userRepository, eventBus) {
+    this.userRepository = userRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, credentialId }, context = {}) {
+    try {
+      const removed = await this.userRepository.removeWebAuthnCredential(userId, credentialId);
+      if (!removed) {
+        throw new Error('Passkey not found');
+      }
+
+      await this.eventBus.publish({
+        type: 'PasskeyRemoved',
+        userId,
+        credentialId,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Passkey removed successfully'
+      };
+    } catch (error) {
+      throw new Error(`Delete passkey failed: ${error.message}`);
+    }
+  }
+}
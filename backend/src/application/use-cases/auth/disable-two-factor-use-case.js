@@ -0,0 +1,57 @@
+/**
+ * Disable Two-Factor Use Case
+ * Turns off TOTP after re-checking the user's password
+ */
+export class DisableTwoFactorUseCase {
+  constructor(userRepository, authService, permissionService, eventBus) {
+    this.userRepository = userRepository;
+    this.authService = authService;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, password }, context = {}) {
+    try {
+      // Validate input
+      if (!password) {
+        throw new Error('Password is required');
+      }
+
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      const isPasswordValid = await this.authService.verifyPassword(password, user.password);
+      if (!isPasswordValid) {
+        throw new Error('Invalid password');
+      }
+
+      if (await this.permissionService.requiresTwoFactor(user.role)) {
+        throw new Error(`Two-factor authentication is required for the ${user.role} role`);
+      }
+
+      await this.userRepository.update(user.id, {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: []
+      });
+
+      await this.eventBus.publish({
+        type: 'TwoFactorDisabled',
+        userId: user.id,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      throw new Error(`Disabling two-factor authentication failed: ${error.message}`);
+    }
+  }
+}
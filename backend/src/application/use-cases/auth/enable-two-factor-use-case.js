@@ -0,0 +1,69 @@
+/**
+ * Enable Two-Factor Use Case
+ * Confirms TOTP enrollment with a first code and issues recovery codes
+ */
+export class EnableTwoFactorUseCase {
+  constructor(userRepository, tokenService, totpService, refreshTokenService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.totpService = totpService;
+    this.refreshTokenService = refreshTokenService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, mfaToken, code, userAgent, ipAddress }, context = {}) {
+    try {
+      // Validate input
+      if (!code) {
+        throw new Error('Verification code is required');
+      }
+
+      const resolvedUserId = userId || this.tokenService.verifyMfaToken(mfaToken, 'mfa_setup_required').userId;
+
+      const user = await this.userRepository.findByIdWithSecrets(resolvedUserId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorSecret) {
+        throw new Error('Two-factor setup has not been started');
+      }
+
+      const step = this.totpService.verifyCode(user.twoFactorSecret, code);
+      if (step === null || !(await this.userRepository.useTotpStep(user.id, step))) {
+        throw new Error('Invalid verification code');
+      }
+
+      // Recovery codes are shown once and only their hashes are stored
+      const recoveryCodes = this.totpService.generateRecoveryCodes();
+      await this.userRepository.update(user.id, {
+        twoFactorEnabled: true,
+        twoFactorRecoveryCodes: recoveryCodes.map(recoveryCode => this.tokenService.hashToken(recoveryCode))
+      });
+
+      await this.eventBus.publish({
+        type: 'TwoFactorEnabled',
+        userId: user.id,
+        occurredAt: new Date()
+      }, { ...context, actorId: user.id });
+
+      const result = {
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      };
+
+      // Enrollment forced at login completes the login
+      if (!userId) {
+        result.tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Enabling two-factor authentication failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { config } from '../../../infrastructure/config/config.js';
+
+/**
+ * Forgot Password Use Case
+ * Handles password reset requests
+ */
+export class ForgotPasswordUseCase {
+  constructor(userRepository, outboxService, tokenService, transactionService) {
+    this.userRepository = userRepository;
+    this.outboxService = outboxService;
+    this.tokenService = tokenService;
+    this.transactionService = transactionService;
+  }
+
+  async execute({ email }, context = {}) {
+    // Same response whether or not the email is registered
+    const result = {
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    };
+
+    try {
+      // Validate input
+      if (!email) {
+        throw new Error('Email is required');
+      }
+
+      // Find user by email
+      const user = await this.userRepository.findByEmail(email);
+      if (!user || !user.isActive) {
+        return result;
+      }
+
+      // Generate reset token - only the hash is persisted
+      const { token: resetToken, hashedToken } = this.tokenService.generatePasswordResetToken();
+      const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+      // Store the token and queue the reset email together
+      await this.transactionService.run(async session => {
+        await this.userRepository.update(user.id, {
+          passwordResetToken: hashedToken,
+          passwordResetExpires: resetExpires
+        }, { session });
+
+        await this.outboxService.enqueueEmail('password-reset', user.email, {
+          firstName: user.firstName,
+          resetUrl: `${config.CLIENT_URL}/reset-password?token=${resetToken}`
+        }, { session, correlationId: context.correlationId, expiresAt: resetExpires });
+      });
+
+      return result;
+    } catch (error) {
+      throw new Error(`Password reset request failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * Get API Keys Use Case
+ * Lists the API keys of a user without their secrets
+ */
+export class GetApiKeysUseCase {
+  constructor(apiKeyRepository) {
+    this.apiKeyRepository = apiKeyRepository;
+  }
+
+  async execute({ userId }) {
+    try {
+      const apiKeys = await this.apiKeyRepository.findByUserId(userId);
+
+      return {
+        apiKeys: apiKeys.map(apiKey => ({
+          ...apiKey.toJSON(),
+          expired: apiKey.isExpired()
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Get API keys failed: ${error.message}`);
+    }
+  }
+}
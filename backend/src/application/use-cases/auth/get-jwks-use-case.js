@@ -0,0 +1,17 @@
+/**
+ * Get JWKS Use Case
+ * Returns the public keys other services use to verify access tokens
+ */
+export class GetJwksUseCase {
+  constructor(signingKeyService) {
+    this.signingKeyService = signingKeyService;
+  }
+
+  async execute() {
+    try {
+      return this.signingKeyService.getJwks();
+    } catch (error) {
+      throw new Error(`Get signing keys failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Get OIDC Providers Use Case
+ * Lists the configured external login providers
+ */
+export class GetOidcProvidersUseCase {
+  constructor(userRepository, oidcService) {
+    this.userRepository = userRepository;
+    this.oidcService = oidcService;
+  }
+
+  async execute({ userId } = {}) {
+    try {
+      const providers = this.oidcService.listProviders();
+
+      if (!userId) {
+        return { providers };
+      }
+
+      // Signed-in users also see which providers they have linked
+      const user = await this.userRepository.findById(userId);
+      return {
+        providers: providers.map(provider => {
+          const identity = user?.oidcIdentities.find(item => item.provider === provider.id);
+          return {
+            ...provider,
+            linked: !!identity,
+            email: identity?.email || null,
+            linkedAt: identity?.linkedAt || null
+          };
+        })
+      };
+    } catch (error) {
+      throw new Error(`Get login providers failed: ${error.message}`);
+    }
+  }
+}
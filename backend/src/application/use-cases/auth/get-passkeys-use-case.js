@@ -0,0 +1,32 @@
+/**
+ * Get Passkeys Use Case
+ * Lists the passkeys registered by a user
+ */
+export class GetPasskeysUseCase {
+  constructor(userRepository) {
+    this.userRepository = userRepository;
+  }
+
+  async execute({ userId }) {
+    try {
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        passkeys: user.webauthnCredentials.map(credential => ({
+          id: credential.credentialId,
+          name: credential.name,
+          deviceType: credential.deviceType,
+          backedUp: credential.backedUp,
+          transports: credential.transports,
+          createdAt: credential.createdAt,
+          lastUsedAt: credential.lastUsedAt || null
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Get passkeys failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Get Password Policy Use Case
+ * Lists the rules new passwords have to meet
+ */
+export class GetPasswordPolicyUseCase {
+  constructor(passwordPolicyService) {
+    this.passwordPolicyService = passwordPolicyService;
+  }
+
+  async execute() {
+    try {
+      // History and breach checks need the password itself, so only the rules are shared
+      return { policy: this.passwordPolicyService.getRules() };
+    } catch (error) {
+      throw new Error(`Get password policy failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Get Sessions Use Case
+ * Lists the active sessions (devices) of a user
+ */
+export class GetSessionsUseCase {
+  constructor(refreshTokenFamilyRepository) {
+    this.refreshTokenFamilyRepository = refreshTokenFamilyRepository;
+  }
+
+  async execute({ userId, currentSessionId = null }) {
+    try {
+      // Validate input
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      // Every active refresh token family is a signed-in device
+      const families = await this.refreshTokenFamilyRepository.findActiveByUserId(userId);
+
+      return {
+        sessions: families.map(family => family.toSession(currentSessionId))
+      };
+    } catch (error) {
+      throw new Error(`Get sessions failed: ${error.message}`);
+    }
+  }
+}
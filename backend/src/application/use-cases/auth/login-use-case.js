@@ -1,24 +1,39 @@
+import logger from '../../../infrastructure/config/logger.js';
+import { ErrorResponse } from '../../../shared/utils/error-responses.js';
+
 /**
  * Login Use Case
  * Handles user authentication logic
  */
 export class LoginUseCase {
-  constructor(userRepository, authService, tokenService) {
+  constructor(userRepository, authService, refreshTokenService, tokenService, loginAttemptService, eventBus, passwordPolicyService, permissionService) {
     this.userRepository = userRepository;
     this.authService = authService;
+    this.refreshTokenService = refreshTokenService;
     this.tokenService = tokenService;
+    this.loginAttemptService = loginAttemptService;
+    this.eventBus = eventBus;
+    this.passwordPolicyService = passwordPolicyService;
+    this.permissionService = permissionService;
   }
 
-  async execute({ email, password }) {
+  async execute({ email, password, userAgent, ipAddress }) {
     try {
       // Validate input
       if (!email || !password) {
         throw new Error('Email and password are required');
       }
 
+      // Refuse locked out accounts and IPs before checking the password
+      const lockout = await this.loginAttemptService.getLockout({ email, ipAddress });
+      if (lockout) {
+        throw new ErrorResponse('ACCOUNT_LOCKED', {}, lockout.retryAfter);
+      }
+
       // Find user by email
       const user = await this.userRepository.findByEmail(email);
       if (!user) {
+        await this._recordFailure({ email, ipAddress });
         throw new Error('Invalid credentials');
       }
 
@@ -35,19 +50,37 @@ export class LoginUseCase {
       // Verify password
       const isPasswordValid = await this.authService.verifyPassword(password, user.password);
       if (!isPasswordValid) {
+        await this._recordFailure({ email, ipAddress, user });
         throw new Error('Invalid credentials');
       }
 
-      // Generate tokens
-      const accessToken = this.tokenService.generateAccessToken({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+      await this.loginAttemptService.reset(email);
+
+      // An expired password has to be replaced before the login can continue
+      if (this.passwordPolicyService.isExpired(user)) {
+        return {
+          challenge: 'password_change_required',
+          passwordChangeToken: this.tokenService.generateMfaToken(user.id, 'password_change_required')
+        };
+      }
+
+      // A second factor is needed before any tokens are issued
+      if (user.twoFactorEnabled) {
+        return {
+          challenge: 'mfa_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_required')
+        };
+      }
+
+      if (await this.permissionService.requiresTwoFactor(user.role)) {
+        return {
+          challenge: 'mfa_setup_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_setup_required')
+        };
+      }
 
-      const refreshToken = this.tokenService.generateRefreshToken({
-        userId: user.id
-      });
+      // Generate tokens (starts a new refresh token family, recorded as a session)
+      const tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
 
       // Return user data and tokens
       return {
@@ -60,14 +93,40 @@ export class LoginUseCase {
           isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt
         },
-        tokens: {
-          accessToken,
-          refreshToken,
-          tokenType: 'Bearer'
-        }
+        tokens
       };
     } catch (error) {
+      if (error instanceof ErrorResponse) {
+        throw error;
+      }
       throw new Error(`Login failed: ${error.message}`);
     }
   }
+
+  async _recordFailure({ email, ipAddress, user = null }) {
+    const lockout = await this.loginAttemptService.recordFailure({ email, ipAddress });
+    if (!lockout) {
+      return;
+    }
+
+    logger.security('Login locked out after repeated failures', {
+      scope: lockout.scope,
+      userId: user?.id,
+      ipAddress,
+      retryAfter: lockout.retryAfter
+    });
+
+    // Subscribers notify the account owner
+    if (lockout.scope === 'account' && user) {
+      await this.eventBus.publish({
+        type: 'UserLockedOut',
+        userId: user.id,
+        ipAddress,
+        retryAfter: lockout.retryAfter,
+        occurredAt: new Date()
+      }, { ipAddress });
+    }
+
+    throw new ErrorResponse('ACCOUNT_LOCKED', {}, lockout.retryAfter);
+  }
 }
@@ -0,0 +1,43 @@
+/**
+ * Logout All Use Case
+ * Revokes every access and refresh token of a user
+ */
+export class LogoutAllUseCase {
+  constructor(tokenRevocationService, refreshTokenService, tokenService, eventBus) {
+    this.tokenRevocationService = tokenRevocationService;
+    this.refreshTokenService = refreshTokenService;
+    this.tokenService = tokenService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId }, context = {}) {
+    try {
+      // Validate input
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      // Every access token issued so far is rejected until it would have expired anyway
+      await this.tokenRevocationService.revokeAllForUser(
+        userId,
+        this.tokenService.getAccessTokenTtl()
+      );
+
+      const revokedSessions = await this.refreshTokenService.revokeAllForUser(userId, 'logout_all');
+
+      await this.eventBus.publish({
+        type: 'AllSessionsRevoked',
+        userId,
+        revokedSessions,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Logged out from all devices',
+        revokedSessions
+      };
+    } catch (error) {
+      throw new Error(`Logout failed: ${error.message}`);
+    }
+  }
+}
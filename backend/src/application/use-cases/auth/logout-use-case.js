@@ -0,0 +1,30 @@
+/**
+ * Logout Use Case
+ * Revokes the current access token and its refresh token family
+ */
+export class LogoutUseCase {
+  constructor(tokenRevocationService, refreshTokenService) {
+    this.tokenRevocationService = tokenRevocationService;
+    this.refreshTokenService = refreshTokenService;
+  }
+
+  async execute({ jti, exp, family }) {
+    try {
+      // Deny-list the access token for the rest of its lifetime
+      if (jti) {
+        await this.tokenRevocationService.revokeToken(jti, exp);
+      }
+
+      // Refresh tokens of this login can no longer be exchanged
+      if (family) {
+        await this.refreshTokenService.revokeFamily(family, 'logout');
+      }
+
+      return {
+        message: 'Logout successful'
+      };
+    } catch (error) {
+      throw new Error(`Logout failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+import { ErrorResponse } from '../../../shared/utils/error-responses.js';
+
+/**
+ * Magic Link Login Use Case
+ * Signs a user in with an emailed link and the nonce held by the requesting browser
+ */
+export class MagicLinkLoginUseCase {
+  constructor(userRepository, tokenService, refreshTokenService, expiringStoreService, permissionService, loginAttemptService, passwordPolicyService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.refreshTokenService = refreshTokenService;
+    this.expiringStoreService = expiringStoreService;
+    this.permissionService = permissionService;
+    this.loginAttemptService = loginAttemptService;
+    this.passwordPolicyService = passwordPolicyService;
+  }
+
+  async execute({ token, nonce, userAgent, ipAddress }) {
+    try {
+      // Validate input
+      if (!token || !nonce) {
+        throw new Error('Sign-in token and nonce are required');
+      }
+
+      // Consumed on the first attempt, even when the nonce does not match
+      const link = await this.expiringStoreService.take(
+        cacheKeys.magicLink(this.tokenService.hashToken(token))
+      );
+      if (!link) {
+        throw new Error('Invalid or expired sign-in link');
+      }
+
+      if (!this.tokenService.verifyTokenHash(nonce, link.nonceHash)) {
+        throw new Error('This sign-in link was requested from a different browser');
+      }
+
+      let user = await this.userRepository.findById(link.userId);
+      if (!user) {
+        throw new Error('Invalid or expired sign-in link');
+      }
+
+      // From here on the same checks as password login, in the same order, so the link is
+      // no way around a lockout or an expired password
+      const lockout = await this.loginAttemptService.getLockout({ email: user.email, ipAddress });
+      if (lockout) {
+        throw new ErrorResponse('ACCOUNT_LOCKED', {}, lockout.retryAfter);
+      }
+
+      if (!user.isActive) {
+        throw new Error('Account is deactivated. Please contact support.');
+      }
+
+      // Following the emailed link proves ownership of the address
+      if (!user.isEmailVerified) {
+        user = await this.userRepository.update(user.id, {
+          emailVerified: true,
+          emailVerificationToken: null,
+          emailVerificationExpires: null
+        });
+      }
+
+      await this.loginAttemptService.reset(user.email);
+
+      if (this.passwordPolicyService.isExpired(user)) {
+        return {
+          challenge: 'password_change_required',
+          passwordChangeToken: this.tokenService.generateMfaToken(user.id, 'password_change_required')
+        };
+      }
+
+      if (user.twoFactorEnabled) {
+        return {
+          challenge: 'mfa_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_required')
+        };
+      }
+
+      if (await this.permissionService.requiresTwoFactor(user.role)) {
+        return {
+          challenge: 'mfa_setup_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_setup_required')
+        };
+      }
+
+      const tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
+
+      return {
+        user: {
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`.trim(),
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          createdAt: user.createdAt
+        },
+        tokens
+      };
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        throw error;
+      }
+      throw new Error(`Magic link login failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+
+// Time the user has to finish signing in at the provider (seconds)
+const AUTHORIZATION_REQUEST_TTL = 10 * 60;
+
+/**
+ * OIDC Authorize Use Case
+ * Starts an authorization code + PKCE flow with an external provider
+ */
+export class OidcAuthorizeUseCase {
+  constructor(oidcService, expiringStoreService) {
+    this.oidcService = oidcService;
+    this.expiringStoreService = expiringStoreService;
+  }
+
+  async execute({ provider, userId = null }) {
+    try {
+      const request = await this.oidcService.createAuthorizationRequest(provider);
+
+      // PKCE verifier and nonce never leave the server; the state parameter is the lookup key
+      await this.expiringStoreService.set(
+        cacheKeys.oidcState(request.state),
+        {
+          provider,
+          nonce: request.nonce,
+          codeVerifier: request.codeVerifier,
+          // Set when a signed-in user links the provider instead of logging in
+          userId
+        },
+        AUTHORIZATION_REQUEST_TTL
+      );
+
+      return {
+        authorizationUrl: request.authorizationUrl,
+        state: request.state
+      };
+    } catch (error) {
+      throw new Error(`Login provider authorization failed: ${error.message}`);
+    }
+  }
+}
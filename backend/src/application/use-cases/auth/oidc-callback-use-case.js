@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { config } from '../../../infrastructure/config/config.js';
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+
+/**
+ * OIDC Callback Use Case
+ * Finishes an external login: links, signs in or provisions the user
+ */
+export class OidcCallbackUseCase {
+  constructor(
+    userRepository,
+    oidcService,
+    expiringStoreService,
+    authService,
+    tokenService,
+    refreshTokenService,
+    permissionService,
+    eventBus
+  ) {
+    this.userRepository = userRepository;
+    this.oidcService = oidcService;
+    this.expiringStoreService = expiringStoreService;
+    this.authService = authService;
+    this.tokenService = tokenService;
+    this.refreshTokenService = refreshTokenService;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ code, state, iss, userId = null, userAgent, ipAddress }, context = {}) {
+    try {
+      // Validate input
+      if (!code || !state) {
+        throw new Error('Authorization code and state are required');
+      }
+
+      // Each authorization request can only be completed once
+      const request = await this.expiringStoreService.take(cacheKeys.oidcState(state));
+      if (!request) {
+        throw new Error('Invalid or expired authorization request');
+      }
+
+      // A link must be finished by the signed-in user who started it, so a link URL
+      // (or a stolen state) cannot attach someone else's provider account
+      if (request.userId && request.userId !== userId) {
+        throw new Error('Sign in as the user who started linking this provider');
+      }
+
+      const claims = await this.oidcService.exchangeCode(request.provider, { code, state, iss }, {
+        state,
+        nonce: request.nonce,
+        codeVerifier: request.codeVerifier
+      });
+
+      const identity = {
+        provider: request.provider,
+        subject: claims.sub,
+        email: claims.email ? claims.email.toLowerCase() : null
+      };
+
+      if (request.userId) {
+        return await this._link(request.userId, identity, context);
+      }
+
+      const user = await this._findOrProvisionUser(identity, claims, context);
+
+      if (!user.isActive) {
+        throw new Error('Account is deactivated. Please contact support.');
+      }
+
+      // Same second-factor rules as password login
+      if (user.twoFactorEnabled) {
+        return {
+          challenge: 'mfa_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_required')
+        };
+      }
+
+      if (await this.permissionService.requiresTwoFactor(user.role)) {
+        return {
+          challenge: 'mfa_setup_required',
+          mfaToken: this.tokenService.generateMfaToken(user.id, 'mfa_setup_required')
+        };
+      }
+
+      const tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
+
+      return {
+        user: {
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`.trim(),
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          createdAt: user.createdAt
+        },
+        tokens
+      };
+    } catch (error) {
+      throw new Error(`External login failed: ${error.message}`);
+    }
+  }
+
+  async _link(userId, identity, context) {
+    const owner = await this.userRepository.findByOidcIdentity(identity.provider, identity.subject);
+    if (owner && owner.id !== userId) {
+      throw new Error('This account is already linked to another user');
+    }
+
+    if (!owner) {
+      const linked = await this.userRepository.linkOidcIdentity(userId, identity);
+      if (!linked) {
+        throw new Error('Another account from this provider is already linked');
+      }
+      await this._publishLinked(userId, identity, 'link', context);
+    }
+
+    return {
+      linked: true,
+      provider: identity.provider,
+      email: identity.email
+    };
+  }
+
+  async _findOrProvisionUser(identity, claims, context) {
+    const linkedUser = await this.userRepository.findByOidcIdentity(identity.provider, identity.subject);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    // Only a provider-verified email may be matched to, or create, a local account
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!identity.email || !emailVerified) {
+      throw new Error('The provider did not return a verified email address');
+    }
+
+    const existingUser = await this.userRepository.findByEmail(identity.email);
+    if (existingUser) {
+      const linked = await this.userRepository.linkOidcIdentity(existingUser.id, identity);
+      if (!linked) {
+        throw new Error('Another account from this provider is already linked');
+      }
+      await this._publishLinked(existingUser.id, identity, 'email_match', context);
+
+      // The provider has confirmed the address
+      if (!existingUser.isEmailVerified) {
+        await this.userRepository.update(existingUser.id, { emailVerified: true });
+        existingUser.isEmailVerified = true;
+      }
+      return existingUser;
+    }
+
+    if (!config.OIDC_AUTO_PROVISION) {
+      throw new Error('No account exists for this email');
+    }
+
+    const [fallbackFirstName, ...rest] = (claims.name || identity.email.split('@')[0]).split(' ');
+
+    // Provisioned users sign in through the provider; the random password can be replaced via reset
+    return this.userRepository.save({
+      email: identity.email,
+      password: await this.authService.hashPassword(crypto.randomBytes(32).toString('hex')),
+      firstName: (claims.given_name || fallbackFirstName).slice(0, 25),
+      lastName: (claims.family_name || rest.join(' ') || 'User').slice(0, 25),
+      role: config.OIDC_DEFAULT_ROLE,
+      avatar: claims.picture,
+      emailVerified: true,
+      isActive: true,
+      oidcIdentities: [identity]
+    });
+  }
+
+  /**
+   * Record a new link; `method` tells a link the user asked for from one made by matching the email at sign-in
+   */
+  async _publishLinked(userId, identity, method, context) {
+    await this.eventBus.publish({
+      type: 'OidcIdentityLinked',
+      userId,
+      provider: identity.provider,
+      method,
+      occurredAt: new Date()
+    }, { ...context, actorId: userId });
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Refresh Token Use Case
+ * Exchanges a refresh token for a new access/refresh token pair
+ */
+export class RefreshTokenUseCase {
+  constructor(userRepository, tokenService, refreshTokenService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.refreshTokenService = refreshTokenService;
+  }
+
+  async execute({ refreshToken }) {
+    try {
+      // Validate input
+      if (!refreshToken) {
+        throw new Error('Refresh token is required');
+      }
+
+      // Verify signature, expiry and audience
+      const decoded = this.tokenService.verifyRefreshToken(refreshToken);
+
+      // Find token owner
+      const user = await this.userRepository.findById(decoded.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Check if user is active
+      if (!user.isActive) {
+        await this.refreshTokenService.revokeFamily(decoded.family, 'account_deactivated');
+        throw new Error('Account is deactivated. Please contact support.');
+      }
+
+      // Tokens issued before a password change are no longer valid
+      if (user.changedPasswordAfter(decoded.iat)) {
+        await this.refreshTokenService.revokeFamily(decoded.family, 'password_changed');
+        throw new Error('Password was changed recently. Please log in again.');
+      }
+
+      // Rotate the family and issue a new pair
+      const tokens = await this.refreshTokenService.rotateTokenPair(decoded, user);
+
+      return { tokens };
+    } catch (error) {
+      throw new Error(`Token refresh failed: ${error.message}`);
+    }
+  }
+}
@@ -1,16 +1,29 @@
+import { config } from '../../../infrastructure/config/config.js';
+
 /**
  * Register Use Case
  * Handles user registration logic
  */
 export class RegisterUseCase {
-  constructor(userRepository, authService, emailService, tokenService) {
+  constructor(
+    userRepository,
+    authService,
+    outboxService,
+    tokenService,
+    refreshTokenService,
+    passwordPolicyService,
+    transactionService
+  ) {
     this.userRepository = userRepository;
     this.authService = authService;
-    this.emailService = emailService;
+    this.outboxService = outboxService;
     this.tokenService = tokenService;
+    this.refreshTokenService = refreshTokenService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.transactionService = transactionService;
   }
 
-  async execute({ email, password, firstName, lastName, role = 'staff' }) {
+  async execute({ email, password, firstName, lastName, role = 'staff' }, context = {}) {
     try {
       // Validate input
       if (!email || !password || !firstName || !lastName) {
@@ -23,47 +36,40 @@ export class RegisterUseCase {
         throw new Error('Email already registered');
       }
 
+      await this.passwordPolicyService.validate(password);
+
       // Hash password
       const hashedPassword = await this.authService.hashPassword(password);
 
-      // Generate email verification token
-      const verificationToken = this.tokenService.generateEmailVerificationToken();
+      // Generate email verification token - only the hash is persisted
+      const { token: verificationToken, hashedToken } = this.tokenService.generateEmailVerificationToken();
+      const verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
-      // Create user entity
-      const user = await this.userRepository.save({
-        email,
-        password: hashedPassword,
-        firstName,
-        lastName,
-        role,
-        emailVerificationToken: verificationToken,
-        emailVerificationExpires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        isEmailVerified: false,
-        isActive: true
-      });
+      // Create the user and queue the verification email together, so neither exists without the other
+      const user = await this.transactionService.run(async session => {
+        const savedUser = await this.userRepository.save({
+          email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          role,
+          emailVerificationToken: hashedToken,
+          emailVerificationExpires: verificationExpires,
+          isEmailVerified: false,
+          isActive: true
+        }, { session });
 
-      // Send verification email
-      try {
-        await this.emailService.sendEmailVerification(email, {
+        await this.outboxService.enqueueEmail('email-verification', email, {
           firstName,
           verificationToken,
-          verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`
-        });
-      } catch (emailError) {
-        // Log email error but don't fail registration
-        console.error('Failed to send verification email:', emailError);
-      }
+          verificationUrl: `${config.CLIENT_URL}/verify-email?token=${verificationToken}`
+        }, { session, correlationId: context.correlationId, expiresAt: verificationExpires });
 
-      // Generate tokens for immediate login
-      const accessToken = this.tokenService.generateAccessToken({
-        userId: user.id,
-        email: user.email,
-        role: user.role
+        return savedUser;
       });
 
-      const refreshToken = this.tokenService.generateRefreshToken({
-        userId: user.id
-      });
+      // Generate tokens for immediate login
+      const tokens = await this.refreshTokenService.issueTokenPair(user);
 
       // Return user data and tokens
       return {
@@ -76,11 +82,7 @@ export class RegisterUseCase {
           isEmailVerified: false,
           createdAt: user.createdAt
         },
-        tokens: {
-          accessToken,
-          refreshToken,
-          tokenType: 'Bearer'
-        },
+        tokens,
         message: 'Registration successful. Please check your email to verify your account.'
       };
     } catch (error) {
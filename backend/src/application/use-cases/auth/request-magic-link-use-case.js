@@ -0,0 +1,77 @@
+import { config } from '../../../infrastructure/config/config.js';
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+
+// Time a sign-in link stays valid (seconds)
+const MAGIC_LINK_TTL = 15 * 60;
+
+// At most this many links per address within the window (seconds)
+const MAX_REQUESTS_PER_ADDRESS = 3;
+const REQUEST_WINDOW = 15 * 60;
+
+/**
+ * Request Magic Link Use Case
+ * Emails a single-use sign-in link bound to the requesting browser
+ */
+export class RequestMagicLinkUseCase {
+  constructor(userRepository, outboxService, tokenService, expiringStoreService) {
+    this.userRepository = userRepository;
+    this.outboxService = outboxService;
+    this.tokenService = tokenService;
+    this.expiringStoreService = expiringStoreService;
+  }
+
+  async execute({ email }, context = {}) {
+    try {
+      // Validate input
+      if (!email) {
+        throw new Error('Email is required');
+      }
+
+      // The browser keeps the nonce and must present it with the link, so a
+      // forwarded or intercepted email cannot be used from another browser.
+      // It is returned even for unknown addresses to avoid revealing accounts.
+      const nonce = this.tokenService.generateTokenId();
+      const result = {
+        message: 'If an account with that email exists, a sign-in link has been sent.',
+        nonce,
+        expiresIn: MAGIC_LINK_TTL
+      };
+
+      const normalizedEmail = email.toLowerCase().trim();
+      const requests = await this.expiringStoreService.addToWindow(
+        cacheKeys.magicLinkRequests(normalizedEmail),
+        REQUEST_WINDOW
+      );
+      if (requests > MAX_REQUESTS_PER_ADDRESS) {
+        return result;
+      }
+
+      const user = await this.userRepository.findByEmail(normalizedEmail);
+      if (!user || !user.isActive) {
+        return result;
+      }
+
+      // Only hashes are stored; taking the entry on use makes the link single-use
+      const { token, hashedToken } = this.tokenService.generateMagicLinkToken();
+      await this.expiringStoreService.set(
+        cacheKeys.magicLink(hashedToken),
+        {
+          userId: user.id,
+          nonceHash: this.tokenService.hashToken(nonce)
+        },
+        MAGIC_LINK_TTL
+      );
+
+      // The link lives in the expiring store rather than MongoDB, so there is no transaction to join
+      await this.outboxService.enqueueEmail('magic-link', user.email, {
+        firstName: user.firstName,
+        magicLinkUrl: `${config.CLIENT_URL}/magic-link?token=${token}`,
+        expiresInMinutes: MAGIC_LINK_TTL / 60
+      }, { correlationId: context.correlationId, expiresAt: new Date(Date.now() + MAGIC_LINK_TTL * 1000) });
+
+      return result;
+    } catch (error) {
+      throw new Error(`Magic link request failed: ${error.message}`);
+    }
+  }
+}
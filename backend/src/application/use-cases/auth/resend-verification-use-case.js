@@ -0,0 +1,66 @@
+import { config } from '../../../infrastructure/config/config.js';
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+
+// Minimum time between two verification emails for the same account (seconds)
+const RESEND_COOLDOWN = 60;
+
+/**
+ * Resend Verification Use Case
+ * Issues a fresh email verification link for an unverified account
+ */
+export class ResendVerificationUseCase {
+  constructor(userRepository, outboxService, tokenService, expiringStoreService, transactionService) {
+    this.userRepository = userRepository;
+    this.outboxService = outboxService;
+    this.tokenService = tokenService;
+    this.expiringStoreService = expiringStoreService;
+    this.transactionService = transactionService;
+  }
+
+  async execute({ email }, context = {}) {
+    // Same response whether or not the email is registered or already verified
+    const result = {
+      message: 'If an unverified account with that email exists, a new verification link has been sent.'
+    };
+
+    try {
+      // Validate input
+      if (!email) {
+        throw new Error('Email is required');
+      }
+
+      const user = await this.userRepository.findByEmail(email);
+      if (!user || !user.isActive || user.isEmailVerified) {
+        return result;
+      }
+
+      // Per-account cooldown, so the endpoint cannot be used to flood an inbox
+      const cooldownKey = cacheKeys.verificationResend(user.id);
+      if (await this.expiringStoreService.get(cooldownKey)) {
+        return result;
+      }
+      await this.expiringStoreService.set(cooldownKey, true, RESEND_COOLDOWN);
+
+      // Replace the previous token so only the latest link works
+      const { token: verificationToken, hashedToken } = this.tokenService.generateEmailVerificationToken();
+      const verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+      await this.transactionService.run(async session => {
+        await this.userRepository.update(user.id, {
+          emailVerificationToken: hashedToken,
+          emailVerificationExpires: verificationExpires
+        }, { session });
+
+        await this.outboxService.enqueueEmail('email-verification', user.email, {
+          firstName: user.firstName,
+          verificationToken,
+          verificationUrl: `${config.CLIENT_URL}/verify-email?token=${verificationToken}`
+        }, { session, correlationId: context.correlationId, expiresAt: verificationExpires });
+      });
+
+      return result;
+    } catch (error) {
+      throw new Error(`Resending verification email failed: ${error.message}`);
+    }
+  }
+}
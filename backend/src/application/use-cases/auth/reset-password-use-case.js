@@ -0,0 +1,47 @@
+/**
+ * Reset Password Use Case
+ * Handles setting a new password from a reset token
+ */
+export class ResetPasswordUseCase {
+  constructor(userRepository, tokenService, passwordPolicyService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ token, password }, context = {}) {
+    try {
+      // Validate input
+      if (!token || !password) {
+        throw new Error('Reset token and new password are required');
+      }
+
+      // Tokens are stored hashed, look up by hash
+      const hashedToken = this.tokenService.hashToken(token);
+      const user = await this.userRepository.findByPasswordResetToken(hashedToken);
+      if (!user || !this.tokenService.verifyTokenHash(token, user.passwordResetToken)) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      // Check the new password against the policy, including recently used ones
+      const owner = await this.userRepository.findByIdWithSecrets(user.id);
+      await this.passwordPolicyService.validate(password, owner);
+
+      // Consume the token and update the password in one step, so a concurrent reset with the
+      // same token finds it gone; the new passwordChangedAt invalidates existing sessions
+      const passwordUpdate = await this.passwordPolicyService.buildPasswordUpdate(password, owner);
+      const event = owner.changePassword(passwordUpdate.password);
+      if (!await this.userRepository.consumePasswordResetToken(hashedToken, passwordUpdate)) {
+        throw new Error('Invalid or expired reset token');
+      }
+      await this.eventBus.publish({ ...event, method: 'reset' }, { ...context, actorId: user.id });
+
+      return {
+        message: 'Password has been reset successfully. Please log in with your new password.'
+      };
+    } catch (error) {
+      throw new Error(`Password reset failed: ${error.message}`);
+    }
+  }
+}
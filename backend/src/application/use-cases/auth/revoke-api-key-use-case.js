@@ -0,0 +1,32 @@
+/**
+ * Revoke API Key Use Case
+ * Deletes an API key so it can no longer be used
+ */
+export class RevokeApiKeyUseCase {
+  constructor(apiKeyRepository, eventBus) {
+    this.apiKeyRepository = apiKeyRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, apiKeyId }, context = {}) {
+    try {
+      const deleted = await this.apiKeyRepository.deleteForUser(apiKeyId, userId);
+      if (!deleted) {
+        throw new Error('API key not found');
+      }
+
+      await this.eventBus.publish({
+        type: 'ApiKeyRevoked',
+        userId,
+        apiKeyId,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'API key revoked successfully'
+      };
+    } catch (error) {
+      throw new Error(`Revoke API key failed: ${error.message}`);
+    }
+  }
+}
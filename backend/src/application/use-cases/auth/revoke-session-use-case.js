@@ -0,0 +1,49 @@
+/**
+ * Revoke Session Use Case
+ * Signs a user out of a single device
+ */
+export class RevokeSessionUseCase {
+  constructor(refreshTokenFamilyRepository, tokenRevocationService, tokenService, eventBus) {
+    this.refreshTokenFamilyRepository = refreshTokenFamilyRepository;
+    this.tokenRevocationService = tokenRevocationService;
+    this.tokenService = tokenService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, sessionId, reason = 'session_revoked' }, context = {}) {
+    try {
+      // Validate input
+      if (!userId || !sessionId) {
+        throw new Error('User ID and session ID are required');
+      }
+
+      // Only sessions of the given user can be revoked
+      const family = await this.refreshTokenFamilyRepository.findByFamilyId(sessionId);
+      if (!family || family.userId !== userId || !family.isActive()) {
+        throw new Error('Session not found');
+      }
+
+      await this.refreshTokenFamilyRepository.revoke(family.familyId, reason);
+
+      // Access tokens of the session are rejected until they would have expired anyway
+      await this.tokenRevocationService.revokeSession(
+        family.familyId,
+        this.tokenService.getAccessTokenTtl()
+      );
+
+      await this.eventBus.publish({
+        type: 'SessionRevoked',
+        userId,
+        sessionId: family.familyId,
+        reason,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Session revoked successfully'
+      };
+    } catch (error) {
+      throw new Error(`Revoke session failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Setup Two-Factor Use Case
+ * Starts TOTP enrollment by generating a new shared secret
+ */
+export class SetupTwoFactorUseCase {
+  constructor(userRepository, tokenService, totpService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.totpService = totpService;
+  }
+
+  async execute({ userId, mfaToken }) {
+    try {
+      // Users whose role requires 2FA enroll with the challenge token returned by login
+      const resolvedUserId = userId || this.tokenService.verifyMfaToken(mfaToken, 'mfa_setup_required').userId;
+
+      const user = await this.userRepository.findById(resolvedUserId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      // Secret stays inactive until it is confirmed with a first code
+      const secret = this.totpService.generateSecret();
+      await this.userRepository.update(user.id, {
+        twoFactorSecret: secret
+      });
+
+      return {
+        secret,
+        otpauthUri: this.totpService.buildOtpAuthUri(secret, user.email)
+      };
+    } catch (error) {
+      throw new Error(`Two-factor setup failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Unlink OIDC Identity Use Case
+ * Removes an external login from a user
+ */
+export class UnlinkOidcIdentityUseCase {
+  constructor(userRepository, eventBus) {
+    this.userRepository = userRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, provider }, context = {}) {
+    try {
+      const removed = await this.userRepository.unlinkOidcIdentity(userId, provider);
+      if (!removed) {
+        throw new Error('Login provider is not linked');
+      }
+
+      await this.eventBus.publish({
+        type: 'OidcIdentityUnlinked',
+        userId,
+        provider,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Login provider unlinked successfully'
+      };
+    } catch (error) {
+      throw new Error(`Unlink login provider failed: ${error.message}`);
+    }
+  }
+}
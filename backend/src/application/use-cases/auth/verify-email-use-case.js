@@ -3,20 +3,24 @@
  * Handles email verification logic
  */
 export class VerifyEmailUseCase {
-  constructor(userRepository) {
+  constructor(userRepository, tokenService, eventBus) {
     this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.eventBus = eventBus;
   }
 
-  async execute({ token }) {
+  async execute({ token }, context = {}) {
     try {
       // Validate input
       if (!token) {
         throw new Error('Verification token is required');
       }
 
-      // Find user by verification token
-      const user = await this.userRepository.findByEmailVerificationToken(token);
-      if (!user) {
+      // Tokens are stored hashed, look up by hash
+      const user = await this.userRepository.findByEmailVerificationToken(
+        this.tokenService.hashToken(token)
+      );
+      if (!user || !this.tokenService.verifyTokenHash(token, user.emailVerificationToken)) {
         throw new Error('Invalid or expired verification token');
       }
 
@@ -26,11 +30,13 @@ export class VerifyEmailUseCase {
       }
 
       // Mark email as verified
+      const event = user.markAsEmailVerified();
       await this.userRepository.update(user.id, {
-        isEmailVerified: true,
+        emailVerified: true,
         emailVerificationToken: null,
         emailVerificationExpires: null
       });
+      await this.eventBus.publish(event, { ...context, actorId: user.id });
 
       return {
         message: 'Email verified successfully',
@@ -0,0 +1,118 @@
+import logger from '../../../infrastructure/config/logger.js';
+import { ErrorResponse } from '../../../shared/utils/error-responses.js';
+
+/**
+ * Verify Two-Factor Use Case
+ * Completes a login that returned an "mfa_required" challenge
+ */
+export class VerifyTwoFactorUseCase {
+  constructor(userRepository, tokenService, totpService, refreshTokenService, loginAttemptService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.totpService = totpService;
+    this.refreshTokenService = refreshTokenService;
+    this.loginAttemptService = loginAttemptService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ mfaToken, code, userAgent, ipAddress }) {
+    try {
+      // Validate input
+      if (!mfaToken || !code) {
+        throw new Error('Challenge token and code are required');
+      }
+
+      const { userId } = this.tokenService.verifyMfaToken(mfaToken, 'mfa_required');
+
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user || !user.isActive || !user.twoFactorEnabled) {
+        throw new Error('Invalid challenge');
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      const lockout = await this.loginAttemptService.getLockout({ email: user.email, ipAddress });
+      if (lockout) {
+        throw new ErrorResponse('ACCOUNT_LOCKED', {}, lockout.retryAfter);
+      }
+
+      // Six digits are an authenticator code, anything else a recovery code
+      const isValid = /^\d{6}$/.test(code)
+        ? await this._verifyTotp(user, code)
+        : await this._useRecoveryCode(user, code);
+
+      if (!isValid) {
+        await this._recordFailure(user, ipAddress);
+        throw new Error('Invalid verification code');
+      }
+
+      await this.loginAttemptService.reset(user.email);
+
+      const tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
+
+      return {
+        user: {
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`.trim(),
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          createdAt: user.createdAt
+        },
+        tokens
+      };
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        throw error;
+      }
+      throw new Error(`Two-factor verification failed: ${error.message}`);
+    }
+  }
+
+  async _recordFailure(user, ipAddress) {
+    const lockout = await this.loginAttemptService.recordFailure({ email: user.email, ipAddress });
+    if (!lockout) {
+      return;
+    }
+
+    logger.security('Two-factor verification locked out after repeated failures', {
+      scope: lockout.scope,
+      userId: user.id,
+      ipAddress,
+      retryAfter: lockout.retryAfter
+    });
+
+    // Subscribers notify the account owner
+    if (lockout.scope === 'account') {
+      await this.eventBus.publish({
+        type: 'UserLockedOut',
+        userId: user.id,
+        ipAddress,
+        retryAfter: lockout.retryAfter,
+        occurredAt: new Date()
+      }, { ipAddress });
+    }
+
+    throw new ErrorResponse('ACCOUNT_LOCKED', {}, lockout.retryAfter);
+  }
+
+  async _verifyTotp(user, code) {
+    const step = this.totpService.verifyCode(user.twoFactorSecret, code);
+    return step !== null && this.userRepository.useTotpStep(user.id, step);
+  }
+
+  async _useRecoveryCode(user, code) {
+    const used = await this.userRepository.consumeRecoveryCode(
+      user.id,
+      this.tokenService.hashToken(code.trim().toLowerCase())
+    );
+
+    if (used) {
+      logger.security('Two-factor recovery code used', {
+        userId: user.id,
+        remaining: user.twoFactorRecoveryCodes.length - 1
+      });
+    }
+    return used;
+  }
+}
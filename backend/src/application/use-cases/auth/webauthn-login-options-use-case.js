@@ -0,0 +1,26 @@
+/**
+ * WebAuthn Login Options Use Case
+ * Starts a passwordless sign-in ceremony with a discoverable passkey
+ */
+export class WebAuthnLoginOptionsUseCase {
+  constructor(tokenService, webAuthnService) {
+    this.tokenService = tokenService;
+    this.webAuthnService = webAuthnService;
+  }
+
+  async execute() {
+    try {
+      // No allowCredentials: the authenticator picks the account, so no email is needed
+      const options = await this.webAuthnService.generateAuthenticationOptions();
+
+      const ceremonyToken = this.tokenService.generateWebAuthnToken({
+        challenge: options.challenge,
+        purpose: 'authentication'
+      });
+
+      return { options, ceremonyToken };
+    } catch (error) {
+      throw new Error(`Passkey login failed: ${error.message}`);
+    }
+  }
+}
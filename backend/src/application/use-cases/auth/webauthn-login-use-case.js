@@ -0,0 +1,71 @@
+/**
+ * WebAuthn Login Use Case
+ * Signs a user in with a passkey instead of a password
+ */
+export class WebAuthnLoginUseCase {
+  constructor(userRepository, tokenService, tokenRevocationService, webAuthnService, refreshTokenService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.tokenRevocationService = tokenRevocationService;
+    this.webAuthnService = webAuthnService;
+    this.refreshTokenService = refreshTokenService;
+  }
+
+  async execute({ ceremonyToken, response, userAgent, ipAddress }) {
+    try {
+      // Validate input
+      if (!ceremonyToken || !response?.id) {
+        throw new Error('Ceremony token and response are required');
+      }
+
+      const ceremony = this.tokenService.verifyWebAuthnToken(ceremonyToken, 'authentication');
+
+      // Each challenge can only be answered once
+      if (!await this.tokenRevocationService.claimToken(ceremony.jti, ceremony.exp)) {
+        throw new Error('Challenge has already been used');
+      }
+
+      const user = await this.userRepository.findByWebAuthnCredentialId(response.id);
+      const credential = user?.findWebAuthnCredential(response.id);
+      if (!credential) {
+        throw new Error('Unknown passkey');
+      }
+
+      // Discoverable credentials report the user handle they were registered with
+      const userHandle = response.response?.userHandle;
+      if (userHandle && userHandle !== Buffer.from(user.id).toString('base64url')) {
+        throw new Error('Unknown passkey');
+      }
+
+      const newCounter = await this.webAuthnService.verifyAuthentication(response, ceremony.challenge, credential);
+
+      if (!user.isActive) {
+        throw new Error('Account is deactivated. Please contact support.');
+      }
+
+      if (!user.isEmailVerified) {
+        throw new Error('Please verify your email before logging in');
+      }
+
+      await this.userRepository.updateWebAuthnCredentialUsage(user.id, credential.credentialId, newCounter);
+
+      // A user-verified passkey is already multi-factor, so no TOTP challenge follows
+      const tokens = await this.refreshTokenService.issueTokenPair(user, { userAgent, ipAddress });
+
+      return {
+        user: {
+          id: user.id,
+          name: `${user.firstName} ${user.lastName}`.trim(),
+          email: user.email,
+          role: user.role,
+          isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          createdAt: user.createdAt
+        },
+        tokens
+      };
+    } catch (error) {
+      throw new Error(`Passkey login failed: ${error.message}`);
+    }
+  }
+}
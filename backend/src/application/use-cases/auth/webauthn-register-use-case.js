@@ -0,0 +1,63 @@
+/**
+ * WebAuthn Register Use Case
+ * Verifies a new passkey and stores it against the user
+ */
+export class WebAuthnRegisterUseCase {
+  constructor(userRepository, tokenService, tokenRevocationService, webAuthnService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.tokenRevocationService = tokenRevocationService;
+    this.webAuthnService = webAuthnService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ userId, ceremonyToken, response, name }, context = {}) {
+    try {
+      // Validate input
+      if (!ceremonyToken || !response) {
+        throw new Error('Ceremony token and response are required');
+      }
+
+      const ceremony = this.tokenService.verifyWebAuthnToken(ceremonyToken, 'registration');
+      if (ceremony.userId !== userId) {
+        throw new Error('Invalid token');
+      }
+
+      // Each challenge can only be answered once
+      if (!await this.tokenRevocationService.claimToken(ceremony.jti, ceremony.exp)) {
+        throw new Error('Challenge has already been used');
+      }
+
+      const credential = await this.webAuthnService.verifyRegistration(response, ceremony.challenge);
+
+      if (await this.userRepository.findByWebAuthnCredentialId(credential.credentialId)) {
+        throw new Error('Passkey is already registered');
+      }
+
+      await this.userRepository.addWebAuthnCredential(userId, {
+        ...credential,
+        name: name || 'Passkey'
+      });
+
+      await this.eventBus.publish({
+        type: 'PasskeyRegistered',
+        userId,
+        credentialId: credential.credentialId,
+        name: name || 'Passkey',
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Passkey registered successfully',
+        passkey: {
+          id: credential.credentialId,
+          name: name || 'Passkey',
+          deviceType: credential.deviceType,
+          backedUp: credential.backedUp
+        }
+      };
+    } catch (error) {
+      throw new Error(`Passkey registration failed: ${error.message}`);
+    }
+  }
+}
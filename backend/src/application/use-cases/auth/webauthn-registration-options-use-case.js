@@ -0,0 +1,33 @@
+/**
+ * WebAuthn Registration Options Use Case
+ * Starts a passkey registration ceremony for a signed-in user
+ */
+export class WebAuthnRegistrationOptionsUseCase {
+  constructor(userRepository, tokenService, webAuthnService) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.webAuthnService = webAuthnService;
+  }
+
+  async execute({ userId }) {
+    try {
+      const user = await this.userRepository.findByIdWithSecrets(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const options = await this.webAuthnService.generateRegistrationOptions(user);
+
+      // The challenge travels back with the response inside a signed ceremony token
+      const ceremonyToken = this.tokenService.generateWebAuthnToken({
+        userId: user.id,
+        challenge: options.challenge,
+        purpose: 'registration'
+      });
+
+      return { options, ceremonyToken };
+    } catch (error) {
+      throw new Error(`Passkey registration failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,120 @@
+import { config } from '../../../infrastructure/config/config.js';
+
+// How long a request may write to an upload before another one may take over. Longer than
+// the HTTP server's request timeout (5 minutes by default), so a live request keeps its claim
+const LOCK_DURATION = 10 * 60 * 1000;
+
+/**
+ * Append Resumable Upload Use Case
+ * Handles receiving the next piece of an upload and storing the file once it is complete
+ */
+export class AppendResumableUploadUseCase {
+  constructor(resumableUploadRepository, uploadStagingArea, uploadFileUseCase) {
+    this.resumableUploadRepository = resumableUploadRepository;
+    this.uploadStagingArea = uploadStagingArea;
+    this.uploadFileUseCase = uploadFileUseCase;
+  }
+
+  /**
+   * @param {string} uploadId - Upload ID
+   * @param {Object} data - Piece to append
+   * @param {number} data.offset - Offset the piece starts at (Upload-Offset)
+   * @param {Readable} data.stream - Bytes of the piece
+   * @param {number} data.contentLength - Size of the piece, if known up front
+   * @param {string} uploadedBy - User ID
+   * @returns {Promise<ResumableUpload>} Upload after the write; fileId is set once it is complete
+   */
+  async execute(uploadId, { offset, stream, contentLength }, uploadedBy) {
+    try {
+      // Validate input
+      if (!uploadId) {
+        throw new Error('Upload ID is required');
+      }
+
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error('Upload offset must be a non-negative integer');
+      }
+
+      const upload = await this.resumableUploadRepository.findById(uploadId);
+      if (!upload || !upload.belongsTo(uploadedBy)) {
+        throw new Error('Upload not found');
+      }
+
+      if (upload.isExpired()) {
+        throw new Error('Upload has expired');
+      }
+
+      if (upload.isComplete()) {
+        throw new Error('Upload is already complete');
+      }
+
+      // The bytes so far are on another instance's disk
+      if (!upload.isStagedIn(this.uploadStagingArea.id)) {
+        throw new Error('Upload is staged on another server instance');
+      }
+
+      if (upload.offset !== offset) {
+        throw new Error(`Upload offset ${offset} does not match the current offset ${upload.offset}`);
+      }
+
+      if (contentLength !== undefined && offset + contentLength > upload.length) {
+        throw new Error('Upload exceeds its declared length');
+      }
+
+      const now = Date.now();
+      if (!await this.resumableUploadRepository.lock(uploadId, offset, new Date(now), new Date(now + LOCK_DURATION))) {
+        throw new Error('Upload is locked by another request');
+      }
+
+      let progress = {};
+      try {
+        // Bytes past the recorded offset are left over from a piece that was never recorded
+        if (await this.uploadStagingArea.size(uploadId) !== offset) {
+          await this.uploadStagingArea.truncate(uploadId, offset);
+        }
+
+        // A broken connection still counts what arrived, which is what makes the upload resumable
+        const { size, error } = await this.uploadStagingArea.append(uploadId, stream, upload.length - offset);
+        const update = {
+          offset: size,
+          expiresAt: new Date(Date.now() + config.RESUMABLE_UPLOAD_EXPIRES * 1000)
+        };
+        if (size === upload.length) {
+          update.fileId = await this.storeFile(upload);
+        }
+
+        progress = update;
+        if (error) {
+          throw error;
+        }
+      } finally {
+        // Also releases the claim when storing the file failed, without recording the last piece
+        await this.resumableUploadRepository.unlock(uploadId, progress);
+      }
+
+      if (progress.fileId) {
+        await this.uploadStagingArea.remove(uploadId);
+      }
+
+      return Object.assign(upload, progress);
+    } catch (error) {
+      throw new Error(`Failed to append to upload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the staged bytes as a File
+   * @returns {Promise<string>} File ID
+   */
+  async storeFile(upload) {
+    const result = await this.uploadFileUseCase.execute({
+      file: this.uploadStagingArea.createReadStream(upload.id),
+      originalName: upload.originalName,
+      mimeType: upload.mimeType,
+      size: upload.length,
+      isPublic: upload.isPublic
+    }, upload.uploadedBy, { maxSize: config.RESUMABLE_UPLOAD_MAX_SIZE });
+
+    return result.file.id;
+  }
+}
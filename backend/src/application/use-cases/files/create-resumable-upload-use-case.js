@@ -0,0 +1,67 @@
+import { ResumableUpload } from '../../../domain/entities/resumable-upload-entity.js';
+import { UPLOADABLE_MIME_TYPES } from '../../../domain/entities/file-entity.js';
+import { config } from '../../../infrastructure/config/config.js';
+
+/**
+ * Create Resumable Upload Use Case
+ * Handles announcing a file that will be uploaded in pieces
+ */
+export class CreateResumableUploadUseCase {
+  constructor(resumableUploadRepository, uploadStagingArea) {
+    this.resumableUploadRepository = resumableUploadRepository;
+    this.uploadStagingArea = uploadStagingArea;
+  }
+
+  /**
+   * @param {Object} data - Upload data
+   * @param {number} data.length - Total size in bytes
+   * @param {Object} data.metadata - Decoded Upload-Metadata; filename (or name) and filetype (or type) are required
+   * @param {string} uploadedBy - User ID
+   * @returns {Promise<ResumableUpload>} New upload
+   */
+  async execute({ length, metadata = {} }, uploadedBy) {
+    try {
+      // Validate input
+      if (!uploadedBy) {
+        throw new Error('User ID is required');
+      }
+
+      if (!Number.isInteger(length) || length <= 0) {
+        throw new Error('Upload length must be a positive integer');
+      }
+
+      // Checked here already, so nobody uploads a gigabyte only to be told it is too big
+      if (length > config.RESUMABLE_UPLOAD_MAX_SIZE) {
+        throw new Error(`Upload length exceeds maximum size of ${config.RESUMABLE_UPLOAD_MAX_SIZE} bytes`);
+      }
+
+      // tus clients differ in the keys they send
+      const originalName = metadata.filename || metadata.name;
+      const mimeType = metadata.filetype || metadata.type;
+      if (!originalName || !mimeType) {
+        throw new Error('Upload metadata needs a filename and a filetype');
+      }
+
+      if (!UPLOADABLE_MIME_TYPES.includes(mimeType)) {
+        throw new Error(`File type ${mimeType} is not allowed`);
+      }
+
+      const upload = await this.resumableUploadRepository.create(new ResumableUpload({
+        uploadedBy,
+        length,
+        originalName,
+        mimeType,
+        isPublic: metadata.isPublic === 'true',
+        metadata,
+        stagedOn: this.uploadStagingArea.id,
+        expiresAt: new Date(Date.now() + config.RESUMABLE_UPLOAD_EXPIRES * 1000)
+      }));
+
+      await this.uploadStagingArea.create(upload.id);
+
+      return upload;
+    } catch (error) {
+      throw new Error(`Failed to create upload: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,77 @@
+import { config } from '../../../infrastructure/config/config.js';
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+import { generateToken } from '../../../shared/utils/crypto.js';
+
+/**
+ * Create Signed URL Use Case
+ * Handles creating time-limited file links that work without a bearer token
+ */
+export class CreateSignedUrlUseCase {
+  constructor(fileRepository, fileAccessService, fileStorageService, signedUrlService, expiringStoreService, eventBus) {
+    this.fileRepository = fileRepository;
+    this.fileAccessService = fileAccessService;
+    this.fileStorageService = fileStorageService;
+    this.signedUrlService = signedUrlService;
+    this.expiringStoreService = expiringStoreService;
+    this.eventBus = eventBus;
+  }
+
+  async execute(fileId, { expiresIn = config.SIGNED_URL_EXPIRES, singleUse = false } = {}, currentUser, context = {}) {
+    try {
+      // Validate input
+      if (!fileId) {
+        throw new Error('File ID is required');
+      }
+
+      if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > config.SIGNED_URL_MAX_EXPIRES) {
+        throw new Error(`Expiry must be between 60 and ${config.SIGNED_URL_MAX_EXPIRES} seconds`);
+      }
+
+      // Find the file
+      const file = await this.fileRepository.findById(fileId);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      // Anyone who may download the file may hand out a link to it
+      await this.fileAccessService.assertCanRead(file, currentUser);
+
+      const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+      // Storage that signs its own URLs (S3) serves the file directly. It cannot count
+      // downloads, so single-use links always go through the API
+      let url = singleUse ? null : this.fileStorageService.getSignedUrl(file, {
+        expiresIn,
+        contentType: file.mimeType,
+        filename: file.originalName
+      });
+
+      if (!url) {
+        const nonce = singleUse ? generateToken() : null;
+        if (nonce) {
+          await this.expiringStoreService.set(cacheKeys.signedUrlUse(nonce), { fileId: file.id }, expiresIn);
+        }
+        url = this.signedUrlService.createUrl(`/files/${file.id}/signed-download`, `file:${file.id}`, {
+          expiresAt,
+          nonce
+        });
+      }
+
+      await this.eventBus.publish({
+        type: 'FileSignedUrlCreated',
+        fileId: file.id,
+        expiresAt,
+        singleUse,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        url,
+        expiresAt,
+        singleUse
+      };
+    } catch (error) {
+      throw new Error(`Failed to create signed URL: ${error.message}`);
+    }
+  }
+}
@@ -3,12 +3,13 @@
  * Handles file deletion
  */
 export class DeleteFileUseCase {
-  constructor(fileRepository, fileStorageService) {
+  constructor(fileRepository, fileStorageService, eventBus) {
     this.fileRepository = fileRepository;
     this.fileStorageService = fileStorageService;
+    this.eventBus = eventBus;
   }
 
-  async execute(fileId, currentUser) {
+  async execute(fileId, currentUser, context = {}) {
     try {
       // Validate input
       if (!fileId) {
@@ -23,15 +24,14 @@ export class DeleteFileUseCase {
 
       // Check permissions
       const canDelete = file.uploadedBy === currentUser.id ||
-                       currentUser.role === 'admin' ||
-                       currentUser.role === 'manager';
+                       currentUser.permissions.includes('files:delete:any');
 
       if (!canDelete) {
         throw new Error('Insufficient permissions to delete this file');
       }
 
       // Delete from storage
-      const storageDeleted = await this.fileStorageService.deleteFile(file.filename);
+      const storageDeleted = await this.fileStorageService.deleteFile(file);
       if (!storageDeleted) {
         console.warn(`Failed to delete file ${file.filename} from storage, but proceeding with database deletion`);
       }
@@ -42,8 +42,15 @@ export class DeleteFileUseCase {
         throw new Error('Failed to delete file from database');
       }
 
-      // Log the deletion
-      console.log(`File ${fileId} (${file.filename}) deleted by ${currentUser.id}`);
+      await this.eventBus.publish({
+        type: 'FileDeleted',
+        fileId,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        before: file,
+        fields: ['filename', 'originalName', 'mimeType', 'size', 'uploadedBy', 'isPublic']
+      });
 
       return {
         message: 'File deleted successfully',
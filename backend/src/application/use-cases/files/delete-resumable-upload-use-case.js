@@ -0,0 +1,44 @@
+/**
+ * Delete Resumable Upload Use Case
+ * Handles cancelling an upload (tus termination)
+ */
+export class DeleteResumableUploadUseCase {
+  constructor(resumableUploadRepository, resumableUploadService, uploadStagingArea) {
+    this.resumableUploadRepository = resumableUploadRepository;
+    this.resumableUploadService = resumableUploadService;
+    this.uploadStagingArea = uploadStagingArea;
+  }
+
+  async execute(uploadId, uploadedBy) {
+    try {
+      // Validate input
+      if (!uploadId) {
+        throw new Error('Upload ID is required');
+      }
+
+      const upload = await this.resumableUploadRepository.findById(uploadId);
+      if (!upload || !upload.belongsTo(uploadedBy)) {
+        throw new Error('Upload not found');
+      }
+
+      // Only the instance holding the bytes can delete them
+      if (!upload.isStagedIn(this.uploadStagingArea.id)) {
+        throw new Error('Upload is staged on another server instance');
+      }
+
+      // A request still writing would recreate the bytes
+      if (upload.lockedUntil && upload.lockedUntil > new Date()) {
+        throw new Error('Upload is locked by another request');
+      }
+
+      // The File of a completed upload stays; it is deleted through the files API
+      await this.resumableUploadService.remove(upload);
+
+      return {
+        message: 'Upload terminated successfully'
+      };
+    } catch (error) {
+      throw new Error(`Failed to terminate upload: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Download File Use Case
+ * Handles access checks and reading the contents of a file for download
+ */
+export class DownloadFileUseCase {
+  constructor(fileRepository, fileAccessService, fileStorageService) {
+    this.fileRepository = fileRepository;
+    this.fileAccessService = fileAccessService;
+    this.fileStorageService = fileStorageService;
+  }
+
+  /**
+   * Find a file the user may download and the current state of its contents
+   * @returns {Promise<Object>} { file, content: { size, etag, lastModified } }
+   */
+  async execute(fileId, currentUser) {
+    try {
+      // Validate input
+      if (!fileId) {
+        throw new Error('File ID is required');
+      }
+
+      // Find the file
+      const file = await this.fileRepository.findById(fileId);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      // Check access permissions
+      await this.fileAccessService.assertCanRead(file, currentUser);
+
+      const stat = await this.fileStorageService.statFile(file);
+      if (!stat) {
+        throw new Error('File contents not found in storage');
+      }
+
+      return {
+        file,
+        content: {
+          size: stat.size,
+          etag: stat.etag,
+          lastModified: stat.lastModified
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream of the file contents
+   * @param {File} file - File returned by execute
+   * @param {Object} range - Byte range, both ends inclusive: { start, end }; the whole file if omitted
+   * @returns {Promise<Readable>} Contents
+   */
+  async openStream(file, range) {
+    return this.fileStorageService.readFile(file, range);
+  }
+}
@@ -0,0 +1,73 @@
+import { cacheKeys } from '../../../infrastructure/config/redis.js';
+
+/**
+ * Download Signed File Use Case
+ * Handles downloads through signed URLs, which stand in for the access check
+ */
+export class DownloadSignedFileUseCase {
+  constructor(fileRepository, fileStorageService, signedUrlService, expiringStoreService) {
+    this.fileRepository = fileRepository;
+    this.fileStorageService = fileStorageService;
+    this.signedUrlService = signedUrlService;
+    this.expiringStoreService = expiringStoreService;
+  }
+
+  /**
+   * Check a signed URL and find the file it grants access to
+   * @param {string} fileId - File ID from the URL
+   * @param {Object} params - Signed URL parameters: { expires, nonce, signature }
+   * @param {Object} options - Options
+   * @param {boolean} options.consume - Use up a single-use URL; false for HEAD requests
+   * @returns {Promise<Object>} { file, content: { size, etag, lastModified }, singleUse }
+   */
+  async execute(fileId, params, { consume = true } = {}) {
+    try {
+      if (!fileId || !this.signedUrlService.verify(`file:${fileId}`, params)) {
+        throw new Error('Invalid or expired link');
+      }
+
+      if (params.nonce) {
+        const key = cacheKeys.signedUrlUse(params.nonce);
+        const use = consume
+          ? await this.expiringStoreService.take(key)
+          : await this.expiringStoreService.get(key);
+        if (!use) {
+          throw new Error('This link has already been used');
+        }
+      }
+
+      const file = await this.fileRepository.findById(fileId);
+      if (!file) {
+        throw new Error('File not found');
+      }
+
+      const stat = await this.fileStorageService.statFile(file);
+      if (!stat) {
+        throw new Error('File contents not found in storage');
+      }
+
+      return {
+        file,
+        content: {
+          size: stat.size,
+          etag: stat.etag,
+          lastModified: stat.lastModified
+        },
+        // The link is used up by this request, so it cannot be resumed with a range
+        singleUse: !!params.nonce
+      };
+    } catch (error) {
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a stream of the file contents
+   * @param {File} file - File returned by execute
+   * @param {Object} range - Byte range, both ends inclusive: { start, end }; the whole file if omitted
+   * @returns {Promise<Readable>} Contents
+   */
+  async openStream(file, range) {
+    return this.fileStorageService.readFile(file, range);
+  }
+}
@@ -3,8 +3,9 @@
  * Handles retrieving a single file
  */
 export class GetFileUseCase {
-  constructor(fileRepository) {
+  constructor(fileRepository, fileAccessService) {
     this.fileRepository = fileRepository;
+    this.fileAccessService = fileAccessService;
   }
 
   async execute(fileId, currentUser) {
@@ -21,14 +22,7 @@ export class GetFileUseCase {
       }
 
       // Check access permissions
-      const canAccess = file.isPublic ||
-                       file.uploadedBy === currentUser.id ||
-                       currentUser.role === 'admin' ||
-                       currentUser.role === 'manager';
-
-      if (!canAccess) {
-        throw new Error('Access denied to this file');
-      }
+      await this.fileAccessService.assertCanRead(file, currentUser);
 
       return {
         file: {
@@ -39,6 +33,7 @@ export class GetFileUseCase {
           size: file.size,
           url: file.url,
           isPublic: file.isPublic,
+          sharedWithTeams: file.sharedWithTeams,
           uploadedBy: file.uploadedBy,
           metadata: file.metadata,
           createdAt: file.createdAt,
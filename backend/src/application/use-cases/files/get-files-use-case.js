@@ -3,8 +3,9 @@
  * Handles retrieving files with pagination and filtering
  */
 export class GetFilesUseCase {
-  constructor(fileRepository) {
+  constructor(fileRepository, teamRepository) {
     this.fileRepository = fileRepository;
+    this.teamRepository = teamRepository;
   }
 
   async execute(options = {}, currentUser) {
@@ -12,9 +13,11 @@ export class GetFilesUseCase {
       const filters = { ...options.filters };
 
       // Apply access control
-      if (currentUser.role !== 'admin') {
-        // Non-admin users can only see their own files or public files
+      if (!currentUser.permissions.includes('files:read:any')) {
+        // Without files:read:any users only see their own, public and team-shared files
+        const teams = await this.teamRepository.findByMember(currentUser.id);
         filters.accessibleBy = currentUser.id;
+        filters.accessibleTeams = teams.map(team => team.id);
       }
 
       const result = await this.fileRepository.findFiles({
@@ -31,6 +34,7 @@ export class GetFilesUseCase {
           size: file.size,
           url: file.url,
           isPublic: file.isPublic,
+          sharedWithTeams: file.sharedWithTeams,
           uploadedBy: file.uploadedBy,
           createdAt: file.createdAt,
           updatedAt: file.updatedAt
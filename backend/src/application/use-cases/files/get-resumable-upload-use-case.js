@@ -0,0 +1,32 @@
+/**
+ * Get Resumable Upload Use Case
+ * Handles looking up how far an upload has got
+ */
+export class GetResumableUploadUseCase {
+  constructor(resumableUploadRepository) {
+    this.resumableUploadRepository = resumableUploadRepository;
+  }
+
+  async execute(uploadId, uploadedBy) {
+    try {
+      // Validate input
+      if (!uploadId) {
+        throw new Error('Upload ID is required');
+      }
+
+      // Uploads of other users are reported as missing, so their IDs cannot be probed
+      const upload = await this.resumableUploadRepository.findById(uploadId);
+      if (!upload || !upload.belongsTo(uploadedBy)) {
+        throw new Error('Upload not found');
+      }
+
+      if (upload.isExpired()) {
+        throw new Error('Upload has expired');
+      }
+
+      return upload;
+    } catch (error) {
+      throw new Error(`Failed to get upload: ${error.message}`);
+    }
+  }
+}
@@ -3,11 +3,13 @@
  * Handles file metadata updates
  */
 export class UpdateFileUseCase {
-  constructor(fileRepository) {
+  constructor(fileRepository, teamRepository, eventBus) {
     this.fileRepository = fileRepository;
+    this.teamRepository = teamRepository;
+    this.eventBus = eventBus;
   }
 
-  async execute(fileId, updates, currentUser) {
+  async execute(fileId, updates, currentUser, context = {}) {
     try {
       // Validate input
       if (!fileId) {
@@ -26,15 +28,14 @@ export class UpdateFileUseCase {
 
       // Check permissions
       const canUpdate = file.uploadedBy === currentUser.id ||
-                       currentUser.role === 'admin' ||
-                       currentUser.role === 'manager';
+                       currentUser.permissions.includes('files:update:any');
 
       if (!canUpdate) {
         throw new Error('Insufficient permissions to update this file');
       }
 
       // Validate updates
-      const allowedFields = ['filename', 'isPublic'];
+      const allowedFields = ['filename', 'isPublic', 'sharedWithTeams'];
       const invalidFields = Object.keys(updates).filter(field => !allowedFields.includes(field));
 
       if (invalidFields.length > 0) {
@@ -50,6 +51,35 @@ export class UpdateFileUseCase {
         updates.filename = trimmedFilename;
       }
 
+      // Files can only be shared with teams the user belongs to, unless they manage teams
+      if (updates.sharedWithTeams) {
+        updates.sharedWithTeams = [...new Set(updates.sharedWithTeams)];
+        const canShareAny = currentUser.permissions.includes('teams:manage');
+        for (const teamId of updates.sharedWithTeams) {
+          const team = await this.teamRepository.findById(teamId);
+          if (!team) {
+            throw new Error(`Team ${teamId} not found`);
+          }
+          if (!canShareAny && !team.hasMember(currentUser.id)) {
+            throw new Error('You can only share files with your own teams');
+          }
+        }
+      }
+
+      // Apply the changes to the entity to collect the domain events, with the fields each one changes
+      const before = { ...file };
+      const events = [];
+      if (updates.filename && updates.filename !== file.filename) {
+        events.push([file.rename(updates.filename), ['filename']]);
+      }
+      if (updates.isPublic !== undefined && updates.isPublic !== file.isPublic) {
+        events.push([updates.isPublic ? file.markAsPublic() : file.markAsPrivate(), ['isPublic']]);
+      }
+      if (updates.sharedWithTeams &&
+          JSON.stringify([...updates.sharedWithTeams].sort()) !== JSON.stringify([...file.sharedWithTeams].sort())) {
+        events.push([file.shareWithTeams(updates.sharedWithTeams), ['sharedWithTeams']]);
+      }
+
       // Update the file
       const updatedFile = await this.fileRepository.update(fileId, updates);
 
@@ -57,8 +87,9 @@ export class UpdateFileUseCase {
         throw new Error('Failed to update file');
       }
 
-      // Log the update
-      console.log(`File ${fileId} updated by ${currentUser.id}: ${Object.keys(updates).join(', ')}`);
+      for (const [event, fields] of events) {
+        await this.eventBus.publish(event, { ...context, before, after: updatedFile, fields });
+      }
 
       return {
         file: {
@@ -69,6 +100,7 @@ export class UpdateFileUseCase {
           size: updatedFile.size,
           url: updatedFile.url,
           isPublic: updatedFile.isPublic,
+          sharedWithTeams: updatedFile.sharedWithTeams,
           uploadedBy: updatedFile.uploadedBy,
           updatedAt: updatedFile.updatedAt
         },
@@ -1,3 +1,8 @@
+import { UPLOADABLE_MIME_TYPES } from '../../../domain/entities/file-entity.js';
+
+// Size limit of single-request uploads
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+
 /**
  * Upload File Use Case
  * Handles file upload logic
@@ -8,10 +13,16 @@ export class UploadFileUseCase {
     this.fileStorageService = fileStorageService;
   }
 
-  async execute({ file, filename, originalName, mimeType, size, isPublic = false }, uploadedBy) {
+  /**
+   * @param {Object} data - Upload data; file is a Buffer, a multer file or a stream of size bytes
+   * @param {string} uploadedBy - User ID
+   * @param {Object} options - Options
+   * @param {number} options.maxSize - Size limit in bytes
+   */
+  async execute({ file, filename, originalName, mimeType, size, isPublic = false }, uploadedBy, { maxSize = DEFAULT_MAX_SIZE } = {}) {
     try {
       // Validate input
-      if (!file || !filename || !originalName || !mimeType || !size) {
+      if (!file || !originalName || !mimeType || !size) {
         throw new Error('File data is incomplete');
       }
 
@@ -19,19 +30,13 @@ export class UploadFileUseCase {
         throw new Error('User ID is required');
       }
 
-      // Validate file size (5MB limit)
-      const maxSize = 5 * 1024 * 1024; // 5MB
+      // Validate file size
       if (size > maxSize) {
-        throw new Error('File size exceeds maximum limit of 5MB');
+        throw new Error(`File size exceeds maximum limit of ${Math.round(maxSize / (1024 * 1024))}MB`);
       }
 
       // Validate file type
-      const allowedTypes = [
-        'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-        'application/pdf', 'text/plain'
-      ];
-
-      if (!allowedTypes.includes(mimeType)) {
+      if (!UPLOADABLE_MIME_TYPES.includes(mimeType)) {
         throw new Error(`File type ${mimeType} is not allowed`);
       }
 
@@ -39,7 +44,10 @@ export class UploadFileUseCase {
       const uniqueFilename = filename || `${Date.now()}-${Math.random().toString(36).substring(2)}.${originalName.split('.').pop()}`;
 
       // Upload file to storage
-      const uploadResult = await this.fileStorageService.uploadFile(file, uniqueFilename);
+      const uploadResult = await this.fileStorageService.uploadFile(file, uniqueFilename, {
+        contentType: mimeType,
+        contentLength: size
+      });
 
       // Create file entity
       const fileEntity = await this.fileRepository.save({
@@ -50,6 +58,8 @@ export class UploadFileUseCase {
         path: uploadResult.path,
         url: uploadResult.url,
         storage: uploadResult.storage,
+        bucket: uploadResult.bucket,
+        key: uploadResult.key,
         uploadedBy,
         isPublic,
         metadata: {
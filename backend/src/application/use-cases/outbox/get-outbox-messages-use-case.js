@@ -0,0 +1,28 @@
+/**
+ * Get Outbox Messages Use Case
+ * Lists outbox messages, newest first, with pagination and filtering
+ */
+export class GetOutboxMessagesUseCase {
+  constructor(outboxRepository) {
+    this.outboxRepository = outboxRepository;
+  }
+
+  async execute(options = {}) {
+    try {
+      const result = await this.outboxRepository.findMessages(options);
+
+      return {
+        // Payloads can hold one-time links and tokens; admins only see where a message goes
+        messages: result.messages.map(message => message.toSummaryJSON()),
+        pagination: {
+          page: result.page,
+          limit: options.limit || 20,
+          total: result.total,
+          totalPages: result.totalPages
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get outbox messages: ${error.message}`);
+    }
+  }
+}
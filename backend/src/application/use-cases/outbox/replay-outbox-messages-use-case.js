@@ -0,0 +1,39 @@
+/**
+ * Replay Outbox Messages Use Case
+ * Moves dead outbox messages back to pending, so the dispatcher delivers them again
+ */
+export class ReplayOutboxMessagesUseCase {
+  constructor(outboxRepository) {
+    this.outboxRepository = outboxRepository;
+  }
+
+  /**
+   * @param {Object} filters - Replay a single message by id, or every dead message (optionally of one type)
+   * @returns {Promise<Object>} { replayed, message }
+   */
+  async execute({ id, type } = {}) {
+    try {
+      if (id) {
+        const message = await this.outboxRepository.findById(id);
+        if (!message) {
+          throw new Error('Outbox message not found');
+        }
+        if (message.status !== 'dead') {
+          throw new Error('Only dead messages can be replayed');
+        }
+        if (message.isRedacted() || message.isExpired()) {
+          throw new Error('The links in this email have expired; the user needs to request it again');
+        }
+      }
+
+      const replayed = await this.outboxRepository.replayDead({ id, type });
+
+      return {
+        replayed,
+        message: `${replayed} message${replayed === 1 ? '' : 's'} queued for delivery`
+      };
+    } catch (error) {
+      throw new Error(`Replaying outbox messages failed: ${error.message}`);
+    }
+  }
+}
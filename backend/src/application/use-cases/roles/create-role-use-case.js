@@ -0,0 +1,54 @@
+import { Role } from '../../../domain/entities/role-entity.js';
+
+/**
+ * Create Role Use Case
+ * Defines a custom role from a set of permissions
+ */
+export class CreateRoleUseCase {
+  constructor(roleRepository, permissionService, eventBus) {
+    this.roleRepository = roleRepository;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ name, description = '', permissions = [], requiresTwoFactor = false }, currentUser, context = {}) {
+    try {
+      // Validates the name and permissions before anything is stored
+      const role = new Role({ name, description, permissions: [...new Set(permissions)], requiresTwoFactor });
+
+      if (await this.permissionService.getRole(role.name)) {
+        throw new Error('A role with this name already exists');
+      }
+
+      // Nobody can hand out permissions they do not have themselves
+      const missing = role.permissions.filter(permission => !currentUser.permissions.includes(permission));
+      if (missing.length > 0) {
+        throw new Error(`You cannot grant permissions you do not have: ${missing.join(', ')}`);
+      }
+
+      const created = await this.roleRepository.create({
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        requiresTwoFactor: role.requiresTwoFactor
+      });
+
+      await this.eventBus.publish({
+        type: 'RoleCreated',
+        roleName: created.name,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        after: created,
+        fields: ['description', 'permissions', 'requiresTwoFactor']
+      });
+
+      return {
+        role: created.toJSON(),
+        message: 'Role created successfully'
+      };
+    } catch (error) {
+      throw new Error(`Role creation failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Delete Role Use Case
+ * Removes a custom role that is no longer assigned to anyone
+ */
+export class DeleteRoleUseCase {
+  constructor(roleRepository, userRepository, permissionService, eventBus) {
+    this.roleRepository = roleRepository;
+    this.userRepository = userRepository;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute(name, currentUser, context = {}) {
+    try {
+      const role = await this.permissionService.getRole(name);
+      if (!role) {
+        throw new Error('Role not found');
+      }
+
+      if (role.isSystem) {
+        throw new Error('Built-in roles cannot be deleted');
+      }
+
+      if (!await this.permissionService.canManageRole(currentUser.permissions, name)) {
+        throw new Error('You cannot delete a role with permissions you do not have');
+      }
+
+      const assigned = await this.userRepository.countByRole(name);
+      if (assigned > 0) {
+        throw new Error(`Role is still assigned to ${assigned} user(s)`);
+      }
+
+      await this.roleRepository.delete(name);
+
+      await this.eventBus.publish({
+        type: 'RoleDeleted',
+        roleName: name,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        before: role,
+        fields: ['description', 'permissions']
+      });
+
+      return {
+        message: 'Role deleted successfully'
+      };
+    } catch (error) {
+      throw new Error(`Role deletion failed: ${error.message}`);
+    }
+  }
+}
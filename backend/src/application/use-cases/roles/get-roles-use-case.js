@@ -0,0 +1,24 @@
+import { PERMISSIONS } from '../../../domain/entities/role-entity.js';
+
+/**
+ * Get Roles Use Case
+ * Lists the built-in and custom roles together with every available permission
+ */
+export class GetRolesUseCase {
+  constructor(permissionService) {
+    this.permissionService = permissionService;
+  }
+
+  async execute() {
+    try {
+      const roles = await this.permissionService.getRoles();
+
+      return {
+        roles: roles.map(role => role.toJSON()),
+        permissions: PERMISSIONS
+      };
+    } catch (error) {
+      throw new Error(`Failed to get roles: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+import { Role } from '../../../domain/entities/role-entity.js';
+
+/**
+ * Update Role Use Case
+ * Changes the description, permissions or two-factor requirement of a custom role, or the
+ * two-factor requirement of a built-in role
+ */
+export class UpdateRoleUseCase {
+  constructor(roleRepository, permissionService, eventBus) {
+    this.roleRepository = roleRepository;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute(name, { description, permissions, requiresTwoFactor }, currentUser, context = {}) {
+    try {
+      const existing = await this.permissionService.getRole(name);
+      if (!existing) {
+        throw new Error('Role not found');
+      }
+
+      if (existing.isSystem && (description !== undefined || permissions !== undefined)) {
+        throw new Error('Only the two-factor requirement of built-in roles can be changed');
+      }
+
+      const role = new Role({
+        ...existing,
+        description: description !== undefined ? description : existing.description,
+        permissions: permissions !== undefined ? [...new Set(permissions)] : existing.permissions,
+        requiresTwoFactor: requiresTwoFactor !== undefined ? requiresTwoFactor : existing.requiresTwoFactor
+      });
+
+      // Both the current and the new permission set must be within the editor's own
+      const outside = [...existing.permissions, ...role.permissions]
+        .filter(permission => !currentUser.permissions.includes(permission));
+      if (outside.length > 0) {
+        throw new Error(`You cannot change a role with permissions you do not have: ${[...new Set(outside)].join(', ')}`);
+      }
+
+      // Built-in roles are stored only once one of their settings is changed
+      const stored = await this.roleRepository.update(name, existing.isSystem ? {
+        requiresTwoFactor: role.requiresTwoFactor,
+        isSystem: true
+      } : {
+        description: role.description,
+        permissions: role.permissions,
+        requiresTwoFactor: role.requiresTwoFactor
+      }, { upsert: existing.isSystem });
+      if (!stored) {
+        throw new Error('Role not found');
+      }
+
+      const updated = new Role({ ...role, id: stored.id, updatedAt: stored.updatedAt });
+
+      await this.eventBus.publish({
+        type: 'RoleUpdated',
+        roleName: updated.name,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        before: existing,
+        after: updated,
+        fields: ['description', 'permissions', 'requiresTwoFactor']
+      });
+
+      return {
+        role: updated.toJSON(),
+        message: 'Role updated successfully'
+      };
+    } catch (error) {
+      throw new Error(`Role update failed: ${error.message}`);
+    }
+  }
+}
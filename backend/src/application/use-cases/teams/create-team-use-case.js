@@ -0,0 +1,32 @@
+/**
+ * Create Team Use Case
+ * Creates an empty team
+ */
+export class CreateTeamUseCase {
+  constructor(teamRepository) {
+    this.teamRepository = teamRepository;
+  }
+
+  async execute({ name, description = '' }, currentUser) {
+    try {
+      if (!name || name.trim().length === 0) {
+        throw new Error('Team name is required');
+      }
+
+      const team = await this.teamRepository.create({
+        name: name.trim(),
+        description
+      });
+
+      console.log(`Team ${team.id} created by ${currentUser.id}`);
+
+      return {
+        team: team.toJSON(),
+        message: 'Team created successfully'
+      };
+    } catch (error) {
+      const message = error.code === 11000 ? 'A team with this name already exists' : error.message;
+      throw new Error(`Team creation failed: ${message}`);
+    }
+  }
+}
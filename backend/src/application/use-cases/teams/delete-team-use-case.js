@@ -0,0 +1,36 @@
+/**
+ * Delete Team Use Case
+ * Deletes a team; files shared with it are unshared by a subscriber
+ */
+export class DeleteTeamUseCase {
+  constructor(teamRepository, eventBus) {
+    this.teamRepository = teamRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute(teamId, currentUser, context = {}) {
+    try {
+      const team = await this.teamRepository.findById(teamId);
+      const deleted = team && await this.teamRepository.delete(teamId);
+      if (!deleted) {
+        throw new Error('Team not found');
+      }
+
+      await this.eventBus.publish({
+        type: 'TeamDeleted',
+        teamId,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        before: team,
+        fields: ['name', 'members']
+      });
+
+      return {
+        message: 'Team deleted successfully'
+      };
+    } catch (error) {
+      throw new Error(`Team deletion failed: ${error.message}`);
+    }
+  }
+}
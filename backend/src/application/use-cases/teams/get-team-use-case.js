@@ -0,0 +1,51 @@
+/**
+ * Get Team Use Case
+ * Returns a team with the profile of each member
+ */
+export class GetTeamUseCase {
+  constructor(teamRepository, userRepository) {
+    this.teamRepository = teamRepository;
+    this.userRepository = userRepository;
+  }
+
+  async execute(teamId, currentUser) {
+    try {
+      const team = await this.teamRepository.findById(teamId);
+      if (!team) {
+        throw new Error('Team not found');
+      }
+
+      if (!currentUser.permissions.includes('teams:manage') && !team.hasMember(currentUser.id)) {
+        throw new Error('Access denied to this team');
+      }
+
+      const { users } = await this.userRepository.findUsers({
+        limit: Math.max(team.members.length, 1),
+        filters: { ids: team.members.map(member => member.userId) }
+      });
+      const usersById = new Map(users.map(user => [user.id, user]));
+
+      return {
+        team: {
+          ...team.toJSON(),
+          members: team.members
+            .filter(member => usersById.has(member.userId))
+            .map(member => {
+              const user = usersById.get(member.userId);
+              return {
+                id: user.id,
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                role: user.role,
+                isActive: user.isActive,
+                isLead: member.isLead
+              };
+            })
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get team: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Get Teams Use Case
+ * Lists every team for team managers, otherwise the teams the user belongs to
+ */
+export class GetTeamsUseCase {
+  constructor(teamRepository) {
+    this.teamRepository = teamRepository;
+  }
+
+  async execute(currentUser) {
+    try {
+      const teams = currentUser.permissions.includes('teams:manage')
+        ? await this.teamRepository.findAll()
+        : await this.teamRepository.findByMember(currentUser.id);
+
+      return {
+        teams: teams.map(team => team.toJSON())
+      };
+    } catch (error) {
+      throw new Error(`Failed to get teams: ${error.message}`);
+    }
+  }
+}
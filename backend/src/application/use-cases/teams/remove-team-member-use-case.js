@@ -0,0 +1,32 @@
+/**
+ * Remove Team Member Use Case
+ * Removes a user (member or lead) from a team
+ */
+export class RemoveTeamMemberUseCase {
+  constructor(teamRepository, eventBus) {
+    this.teamRepository = teamRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ teamId, userId }, currentUser, context = {}) {
+    try {
+      const removed = await this.teamRepository.removeMember(teamId, userId);
+      if (!removed) {
+        throw new Error('Team member not found');
+      }
+
+      await this.eventBus.publish({
+        type: 'TeamMemberRemoved',
+        teamId,
+        memberId: userId,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        message: 'Team member removed successfully'
+      };
+    } catch (error) {
+      throw new Error(`Team membership update failed: ${error.message}`);
+    }
+  }
+}
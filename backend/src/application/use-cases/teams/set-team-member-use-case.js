@@ -0,0 +1,41 @@
+/**
+ * Set Team Member Use Case
+ * Adds a user to a team, or makes an existing member a lead or a regular member
+ */
+export class SetTeamMemberUseCase {
+  constructor(teamRepository, userRepository, eventBus) {
+    this.teamRepository = teamRepository;
+    this.userRepository = userRepository;
+    this.eventBus = eventBus;
+  }
+
+  async execute({ teamId, userId, isLead = false }, currentUser, context = {}) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user || !user.isActive) {
+        throw new Error('User not found');
+      }
+
+      const team = await this.teamRepository.setMember(teamId, userId, isLead);
+      if (!team) {
+        throw new Error('Team not found');
+      }
+
+      // Leads gain authority over the other members, so membership changes are audited
+      await this.eventBus.publish({
+        type: 'TeamMemberSet',
+        teamId,
+        memberId: userId,
+        isLead,
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        team: team.toJSON(),
+        message: isLead ? 'Team lead set successfully' : 'Team member set successfully'
+      };
+    } catch (error) {
+      throw new Error(`Team membership update failed: ${error.message}`);
+    }
+  }
+}
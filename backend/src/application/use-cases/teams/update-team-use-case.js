@@ -0,0 +1,30 @@
+/**
+ * Update Team Use Case
+ * Renames a team or changes its description
+ */
+export class UpdateTeamUseCase {
+  constructor(teamRepository) {
+    this.teamRepository = teamRepository;
+  }
+
+  async execute(teamId, updates) {
+    try {
+      if (!updates || Object.keys(updates).length === 0) {
+        throw new Error('No updates provided');
+      }
+
+      const team = await this.teamRepository.update(teamId, updates);
+      if (!team) {
+        throw new Error('Team not found');
+      }
+
+      return {
+        team: team.toJSON(),
+        message: 'Team updated successfully'
+      };
+    } catch (error) {
+      const message = error.code === 11000 ? 'A team with this name already exists' : error.message;
+      throw new Error(`Team update failed: ${message}`);
+    }
+  }
+}
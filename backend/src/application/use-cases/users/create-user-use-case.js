@@ -1,61 +1,92 @@
+import { config } from '../../../infrastructure/config/config.js';
+
 /**
  * Create User Use Case
  * Handles user creation by administrators
  */
 export class CreateUserUseCase {
-  constructor(userRepository, authService, emailService, tokenService) {
+  constructor(
+    userRepository,
+    authService,
+    outboxService,
+    tokenService,
+    passwordPolicyService,
+    permissionService,
+    eventBus,
+    transactionService
+  ) {
     this.userRepository = userRepository;
     this.authService = authService;
-    this.emailService = emailService;
+    this.outboxService = outboxService;
     this.tokenService = tokenService;
+    this.passwordPolicyService = passwordPolicyService;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+    this.transactionService = transactionService;
   }
 
-  async execute({ email, password, firstName, lastName, role = 'staff' }, createdBy) {
+  async execute({ email, password, firstName, lastName, role = 'staff' }, currentUser, context = {}) {
     try {
       // Validate input
       if (!email || !password || !firstName || !lastName) {
         throw new Error('All fields are required');
       }
 
+      if (!await this.permissionService.getRole(role)) {
+        throw new Error('Role not found');
+      }
+
+      if (!await this.permissionService.canManageRole(currentUser.permissions, role)) {
+        throw new Error('You cannot assign a role with permissions you do not have');
+      }
+
       // Check if email already exists
       const existingUser = await this.userRepository.findByEmail(email);
       if (existingUser) {
         throw new Error('Email already registered');
       }
 
+      await this.passwordPolicyService.validate(password);
+
       // Hash password
       const hashedPassword = await this.authService.hashPassword(password);
 
-      // Generate email verification token
-      const verificationToken = this.tokenService.generateEmailVerificationToken();
+      // Generate email verification token - only the hash is persisted
+      const { token: verificationToken, hashedToken } = this.tokenService.generateEmailVerificationToken();
+      const verificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
-      // Create user entity
-      const user = await this.userRepository.save({
-        email,
-        password: hashedPassword,
-        firstName,
-        lastName,
-        role,
-        emailVerificationToken: verificationToken,
-        emailVerificationExpires: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
-        isEmailVerified: false,
-        isActive: true
-      });
+      // Create the user and queue the verification email together
+      const user = await this.transactionService.run(async session => {
+        const savedUser = await this.userRepository.save({
+          email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          role,
+          emailVerificationToken: hashedToken,
+          emailVerificationExpires: verificationExpires,
+          isEmailVerified: false,
+          isActive: true
+        }, { session });
 
-      // Send verification email
-      try {
-        await this.emailService.sendEmailVerification(email, {
+        await this.outboxService.enqueueEmail('email-verification', email, {
           firstName,
           verificationToken,
-          verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`
-        });
-      } catch (emailError) {
-        // Log email error but don't fail user creation
-        console.error('Failed to send verification email:', emailError);
-      }
+          verificationUrl: `${config.CLIENT_URL}/verify-email?token=${verificationToken}`
+        }, { session, correlationId: context.correlationId, expiresAt: verificationExpires });
 
-      // Log the creation
-      console.log(`User created by admin ${createdBy}: ${user.id}`);
+        return savedUser;
+      });
+
+      await this.eventBus.publish({
+        type: 'UserCreated',
+        userId: user.id,
+        occurredAt: new Date()
+      }, {
+        ...context,
+        after: user,
+        fields: ['email', 'firstName', 'lastName', 'role']
+      });
 
       // Return user data (without sensitive information)
       return {
@@ -3,11 +3,14 @@
  * Handles user deletion (soft delete by deactivating)
  */
 export class DeleteUserUseCase {
-  constructor(userRepository) {
+  constructor(userRepository, permissionService, teamRepository, eventBus) {
     this.userRepository = userRepository;
+    this.permissionService = permissionService;
+    this.teamRepository = teamRepository;
+    this.eventBus = eventBus;
   }
 
-  async execute(userId, currentUser) {
+  async execute(userId, currentUser, context = {}) {
     try {
       // Validate input
       if (!userId) {
@@ -20,9 +23,14 @@ export class DeleteUserUseCase {
         throw new Error('User not found');
       }
 
-      // Check permissions
-      const canDelete = currentUser.role === 'admin' ||
-                       (currentUser.role === 'manager' && user.role === 'staff');
+      // Check permissions: users:delete:any, or users:delete for members of teams the deleting user
+      // leads; the user may not have any permission the deleting user lacks
+      const inScope = currentUser.permissions.includes('users:delete:any') || (
+        currentUser.permissions.includes('users:delete') &&
+        await this.teamRepository.isLedBy(currentUser.id, userId)
+      );
+      const canDelete = inScope &&
+                       await this.permissionService.canManageRole(currentUser.permissions, user.role);
 
       if (!canDelete) {
         throw new Error('Insufficient permissions to delete this user');
@@ -33,12 +41,9 @@ export class DeleteUserUseCase {
         throw new Error('Users cannot delete themselves');
       }
 
-      // Prevent deleting other administrators
-      if (user.role === 'admin' && currentUser.role !== 'admin') {
-        throw new Error('Only administrators can delete other administrators');
-      }
-
       // Soft delete by deactivating the user
+      const before = { ...user };
+      const event = user.deactivate();
       const deletedUser = await this.userRepository.update(userId, {
         isActive: false
       });
@@ -47,8 +52,12 @@ export class DeleteUserUseCase {
         throw new Error('Failed to delete user');
       }
 
-      // Log the deletion
-      console.log(`User ${userId} deactivated by ${currentUser.id}`);
+      await this.eventBus.publish(event, {
+        ...context,
+        before,
+        after: deletedUser,
+        fields: ['isActive']
+      });
 
       return {
         message: 'User deleted successfully',
@@ -3,13 +3,25 @@
  * Handles retrieving users with pagination and filtering
  */
 export class GetUsersUseCase {
-  constructor(userRepository) {
+  constructor(userRepository, teamRepository) {
     this.userRepository = userRepository;
+    this.teamRepository = teamRepository;
   }
 
-  async execute(options = {}) {
+  async execute(options = {}, currentUser) {
     try {
-      const result = await this.userRepository.findUsers(options);
+      const filters = { ...options.filters };
+
+      // Without users:read:any only the user and the members of teams they lead are visible
+      if (!currentUser.permissions.includes('users:read:any')) {
+        const visibleIds = [currentUser.id, ...await this.teamRepository.findMemberIdsLedBy(currentUser.id)];
+        filters.ids = filters.ids ? filters.ids.filter(id => visibleIds.includes(id)) : visibleIds;
+      }
+
+      const result = await this.userRepository.findUsers({
+        ...options,
+        filters
+      });
 
       return {
         users: result.users.map(user => ({
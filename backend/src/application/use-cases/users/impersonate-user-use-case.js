@@ -0,0 +1,78 @@
+/**
+ * Impersonate User Use Case
+ * Issues a short-lived token that lets an admin act as a less privileged user
+ */
+export class ImpersonateUserUseCase {
+  constructor(userRepository, tokenService, permissionService, eventBus) {
+    this.userRepository = userRepository;
+    this.tokenService = tokenService;
+    this.permissionService = permissionService;
+    this.eventBus = eventBus;
+  }
+
+  async execute(userId, impersonator, context = {}) {
+    try {
+      // Validate input
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      if (!impersonator.permissions.includes('users:impersonate')) {
+        throw new Error('Insufficient permissions to impersonate users');
+      }
+
+      if (impersonator.id === userId) {
+        throw new Error('You cannot impersonate yourself');
+      }
+
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.isActive) {
+        throw new Error('Cannot impersonate a deactivated user');
+      }
+
+      // Only users with a subset of the admin's permissions, and never other impersonators
+      const permissions = await this.permissionService.getPermissions(user.role);
+      const canImpersonate = !permissions.includes('users:impersonate') &&
+        await this.permissionService.canManageRole(impersonator.permissions, user.role);
+      if (!canImpersonate) {
+        throw new Error('This account cannot be impersonated');
+      }
+
+      // No refresh token and no session family: the token simply expires
+      const accessToken = this.tokenService.generateImpersonationToken({
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        impersonatorId: impersonator.id
+      });
+      const { exp } = this.tokenService.decodeToken(accessToken);
+
+      await this.eventBus.publish({
+        type: 'ImpersonationStarted',
+        userId: user.id,
+        expiresAt: new Date(exp * 1000),
+        occurredAt: new Date()
+      }, context);
+
+      return {
+        accessToken,
+        tokenType: 'Bearer',
+        expiresAt: new Date(exp * 1000),
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role
+        },
+        message: 'Impersonation started'
+      };
+    } catch (error) {
+      throw new Error(`Impersonation failed: ${error.message}`);
+    }
+  }
+}
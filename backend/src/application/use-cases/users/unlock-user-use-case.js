@@ -0,0 +1,41 @@
+/**
+ * Unlock User Use Case
+ * Lifts a login lockout caused by repeated failed sign-ins
+ */
+export class UnlockUserUseCase {
+  constructor(userRepository, loginAttemptService, eventBus) {
+    this.userRepository = userRepository;
+    this.loginAttemptService = loginAttemptService;
+    this.eventBus = eventBus;
+  }
+
+  async execute(userId, context = {}) {
+    try {
+      // Validate input
+      if (!userId) {
+        throw new Error('User ID is required');
+      }
+
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const wasLocked = await this.loginAttemptService.unlock(user.email);
+      if (wasLocked) {
+        await this.eventBus.publish({
+          type: 'UserUnlocked',
+          userId: user.id,
+          occurredAt: new Date()
+        }, context);
+      }
+
+      return {
+        message: wasLocked ? 'User unlocked successfully' : 'User was not locked',
+        wasLocked
+      };
+    } catch (error) {
+      throw new Error(`Unlocking user failed: ${error.message}`);
+    }
+  }
+}
@@ -3,11 +3,14 @@
  * Handles user profile updates
  */
 export class UpdateUserUseCase {
-  constructor(userRepository) {
+  constructor(userRepository, permissionService, teamRepository, eventBus) {
     this.userRepository = userRepository;
+    this.permissionService = permissionService;
+    this.teamRepository = teamRepository;
+    this.eventBus = eventBus;
   }
 
-  async execute(userId, updates, currentUser) {
+  async execute(userId, updates, currentUser, context = {}) {
     try {
       // Validate input
       if (!userId) {
@@ -24,18 +27,34 @@ export class UpdateUserUseCase {
         throw new Error('User not found');
       }
 
-      // Check permissions
-      const canUpdate = currentUser.role === 'admin' ||
-                        currentUser.role === 'manager' ||
-                        currentUser.id === userId;
+      // Check permissions: others need users:update:any, or users:update for members of teams the
+      // editor leads, and may not have more permissions than the editor
+      const isSelf = currentUser.id === userId;
+      const inScope = currentUser.permissions.includes('users:update:any') || (
+        currentUser.permissions.includes('users:update') &&
+        await this.teamRepository.isLedBy(currentUser.id, userId)
+      );
+      const canUpdate = isSelf || (
+        inScope && await this.permissionService.canManageRole(currentUser.permissions, user.role)
+      );
 
       if (!canUpdate) {
         throw new Error('Insufficient permissions to update this user');
       }
 
       // Additional checks for role updates
-      if (updates.role && currentUser.role !== 'admin') {
-        throw new Error('Only administrators can update user roles');
+      if (updates.role && updates.role !== user.role) {
+        if (!currentUser.permissions.includes('roles:assign')) {
+          throw new Error('Insufficient permissions to change user roles');
+        }
+
+        if (!await this.permissionService.getRole(updates.role)) {
+          throw new Error('Role not found');
+        }
+
+        if (!await this.permissionService.canManageRole(currentUser.permissions, updates.role)) {
+          throw new Error('You cannot assign a role with permissions you do not have');
+        }
       }
 
       // Prevent users from deactivating themselves
@@ -43,6 +62,19 @@ export class UpdateUserUseCase {
         throw new Error('Users cannot deactivate themselves');
       }
 
+      // Apply the changes to the entity to collect the domain events, with the fields each one changes
+      const before = { ...user };
+      const events = [];
+      if (updates.firstName !== undefined || updates.lastName !== undefined) {
+        events.push([user.updateProfile(updates), ['firstName', 'lastName']]);
+      }
+      if (updates.role && updates.role !== user.role) {
+        events.push([user.changeRole(updates.role), ['role']]);
+      }
+      if (updates.isActive !== undefined && updates.isActive !== user.isActive) {
+        events.push([updates.isActive ? user.activate() : user.deactivate(), ['isActive']]);
+      }
+
       // Update the user
       const updatedUser = await this.userRepository.update(userId, updates);
 
@@ -50,8 +82,9 @@ export class UpdateUserUseCase {
         throw new Error('Failed to update user');
       }
 
-      // Log the update
-      console.log(`User ${userId} updated by ${currentUser.id}: ${Object.keys(updates).join(', ')}`);
+      for (const [event, fields] of events) {
+        await this.eventBus.publish(event, { ...context, before, after: updatedUser, fields });
+      }
 
       return {
         user: {
@@ -0,0 +1,86 @@
+// Route groups an API key can be granted access to
+export const API_KEY_SCOPES = ['users', 'files'];
+
+/**
+ * API Key Domain Entity
+ * A named, scoped personal access token used by scripts and service integrations
+ */
+export class ApiKey {
+  constructor({
+    id,
+    userId,
+    name,
+    prefix,
+    keyHash,
+    scopes = [],
+    expiresAt = null,
+    lastUsedAt = null,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.name = name;
+    this.prefix = prefix;
+    this.keyHash = keyHash;
+    this.scopes = scopes;
+    this.expiresAt = expiresAt;
+    this.lastUsedAt = lastUsedAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (!this.name || this.name.trim().length === 0) {
+      throw new Error('Name is required');
+    }
+
+    if (!this.keyHash) {
+      throw new Error('Key hash is required');
+    }
+
+    if (!Array.isArray(this.scopes) || this.scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const invalidScopes = this.scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Invalid scope: ${invalidScopes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Business methods
+   */
+  isExpired() {
+    return !!this.expiresAt && this.expiresAt < new Date();
+  }
+
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  }
+
+  /**
+   * Public view of the key; the secret itself is never returned after creation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      prefix: this.prefix,
+      scopes: this.scopes,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
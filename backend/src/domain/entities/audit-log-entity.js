@@ -0,0 +1,115 @@
+// Kinds of records an audit log entry can be about
+export const AUDIT_TARGET_TYPES = ['user', 'file', 'role', 'team'];
+
+/**
+ * Audit Log Domain Entity
+ * An append-only record of a security-relevant action. Each entry stores the hash of the
+ * previous one, so changing or removing an entry breaks the chain after it
+ */
+export class AuditLog {
+  constructor({
+    id,
+    sequence,
+    action,
+    actorId = null,
+    impersonatorId = null,
+    targetType,
+    targetId,
+    changes = null,
+    metadata = {},
+    ipAddress = null,
+    userAgent = null,
+    correlationId = null,
+    occurredAt,
+    previousHash,
+    hash = null
+  }) {
+    this.id = id;
+    this.sequence = sequence;
+    this.action = action;
+    this.actorId = actorId;
+    this.impersonatorId = impersonatorId;
+    this.targetType = targetType;
+    this.targetId = targetId;
+    this.changes = changes;
+    this.metadata = metadata;
+    this.ipAddress = ipAddress;
+    this.userAgent = userAgent;
+    this.correlationId = correlationId;
+    this.occurredAt = occurredAt;
+    this.previousHash = previousHash;
+    this.hash = hash;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!Number.isInteger(this.sequence) || this.sequence < 1) {
+      throw new Error('Sequence must be a positive integer');
+    }
+
+    if (!this.action) {
+      throw new Error('Action is required');
+    }
+
+    if (!AUDIT_TARGET_TYPES.includes(this.targetType)) {
+      throw new Error(`Invalid target type: ${this.targetType}`);
+    }
+
+    if (!this.targetId) {
+      throw new Error('Target ID is required');
+    }
+
+    if (!(this.occurredAt instanceof Date)) {
+      throw new Error('Occurred at must be a date');
+    }
+
+    if (!this.previousHash) {
+      throw new Error('Previous hash is required');
+    }
+  }
+
+  /**
+   * Fields covered by the hash, in a fixed order
+   */
+  getHashedFields() {
+    return {
+      sequence: this.sequence,
+      action: this.action,
+      actorId: this.actorId,
+      impersonatorId: this.impersonatorId,
+      targetType: this.targetType,
+      targetId: this.targetId,
+      changes: this.changes,
+      metadata: this.metadata,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      correlationId: this.correlationId,
+      occurredAt: this.occurredAt.toISOString(),
+      previousHash: this.previousHash
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      sequence: this.sequence,
+      action: this.action,
+      actorId: this.actorId,
+      impersonatorId: this.impersonatorId,
+      targetType: this.targetType,
+      targetId: this.targetId,
+      changes: this.changes,
+      metadata: this.metadata,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      correlationId: this.correlationId,
+      occurredAt: this.occurredAt,
+      previousHash: this.previousHash,
+      hash: this.hash
+    };
+  }
+}
@@ -1,3 +1,9 @@
+// MIME types that may be uploaded
+export const UPLOADABLE_MIME_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain'
+];
+
 /**
  * File Domain Entity
  * Represents the core business concept of a File
@@ -12,8 +18,11 @@ export class File {
     path,
     url,
     storage = 'local',
+    bucket = null,
+    key = null,
     uploadedBy,
     isPublic = false,
+    sharedWithTeams = [],
     metadata = {},
     createdAt,
     updatedAt
@@ -26,8 +35,11 @@ export class File {
     this.path = path;
     this.url = url;
     this.storage = storage;
+    this.bucket = bucket;
+    this.key = key;
     this.uploadedBy = uploadedBy;
     this.isPublic = isPublic;
+    this.sharedWithTeams = sharedWithTeams;
     this.metadata = metadata;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
@@ -55,9 +67,8 @@ export class File {
       throw new Error('File size must be greater than 0');
     }
 
-    const validStorages = ['local', 's3'];
-    if (!validStorages.includes(this.storage)) {
-      throw new Error(`Invalid storage type. Must be one of: ${validStorages.join(', ')}`);
+    if (!this.storage || this.storage.trim().length === 0) {
+      throw new Error('Storage backend is required');
     }
 
     if (!this.uploadedBy) {
@@ -121,6 +132,28 @@ export class File {
     };
   }
 
+  rename(filename) {
+    const previousFilename = this.filename;
+    this.filename = filename;
+    this.validate();
+    return {
+      type: 'FileRenamed',
+      fileId: this.id,
+      previousFilename,
+      occurredAt: new Date()
+    };
+  }
+
+  shareWithTeams(teamIds) {
+    this.sharedWithTeams = teamIds;
+    return {
+      type: 'FileSharingChanged',
+      fileId: this.id,
+      teamIds,
+      occurredAt: new Date()
+    };
+  }
+
   updateMetadata(newMetadata) {
     this.metadata = { ...this.metadata, ...newMetadata };
     return {
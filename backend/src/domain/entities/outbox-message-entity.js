@@ -0,0 +1,142 @@
+// What an outbox message delivers
+export const OUTBOX_MESSAGE_TYPES = ['email', 'event'];
+
+// pending: waiting for its next attempt, processing: claimed by a dispatcher,
+// delivered: done, dead: gave up after the last attempt and waits for an admin to replay it
+export const OUTBOX_STATUSES = ['pending', 'processing', 'delivered', 'dead'];
+
+/**
+ * Outbox Message Domain Entity
+ * A side effect (an email, or a domain event for a durable subscriber) stored together with the business change
+ * that caused it and delivered afterwards by the outbox dispatcher
+ */
+export class OutboxMessage {
+  constructor({
+    id,
+    type,
+    payload,
+    status = 'pending',
+    attempts = 0,
+    maxAttempts,
+    nextAttemptAt = new Date(),
+    lockedUntil = null,
+    lastError = null,
+    deliveredAt = null,
+    correlationId = null,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.type = type;
+    this.payload = payload;
+    this.status = status;
+    this.attempts = attempts;
+    this.maxAttempts = maxAttempts;
+    this.nextAttemptAt = nextAttemptAt;
+    this.lockedUntil = lockedUntil;
+    this.lastError = lastError;
+    this.deliveredAt = deliveredAt;
+    this.correlationId = correlationId;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!OUTBOX_MESSAGE_TYPES.includes(this.type)) {
+      throw new Error(`Invalid outbox message type: ${this.type}`);
+    }
+
+    if (!OUTBOX_STATUSES.includes(this.status)) {
+      throw new Error(`Invalid outbox message status: ${this.status}`);
+    }
+
+    if (!this.payload || typeof this.payload !== 'object') {
+      throw new Error('Payload is required');
+    }
+
+    if (this.type === 'email' && (!this.payload.template || !this.payload.to)) {
+      throw new Error('Email messages need a template and a recipient');
+    }
+
+    if (this.type === 'event' && (!this.payload.event?.type || !this.payload.subscriber)) {
+      throw new Error('Event messages need an event with a type and a subscriber');
+    }
+
+    if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 1) {
+      throw new Error('Max attempts must be a positive integer');
+    }
+  }
+
+  /**
+   * Check if the message may be attempted again
+   * @returns {boolean} True if attempts are left
+   */
+  hasAttemptsLeft() {
+    return this.attempts < this.maxAttempts;
+  }
+
+  /**
+   * Check if the content of the message was removed after it was delivered or its links expired
+   * @returns {boolean} True if the message can no longer be delivered
+   */
+  isRedacted() {
+    return this.type === 'email' && !this.payload.data;
+  }
+
+  /**
+   * Check if the links in an email stopped working, so sending it would be of no use
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the email's links have expired
+   */
+  isExpired(now = new Date()) {
+    return this.type === 'email' && !!this.payload.expiresAt && new Date(this.payload.expiresAt) <= now;
+  }
+
+  /**
+   * Describe where the message goes without exposing its content, which can hold
+   * one-time links and tokens
+   * @returns {Object} Recipient details for admins
+   */
+  getDestination() {
+    switch (this.type) {
+      case 'email':
+        return { template: this.payload.template, to: this.payload.to, expiresAt: this.payload.expiresAt || null };
+      default:
+        return { event: this.payload.event.type, subscriber: this.payload.subscriber };
+    }
+  }
+
+  /**
+   * Message as shown to admins, with the payload replaced by its destination
+   */
+  toSummaryJSON() {
+    const { payload, lockedUntil, ...summary } = this.toJSON();
+    return {
+      ...summary,
+      destination: this.getDestination()
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      lockedUntil: this.lockedUntil,
+      lastError: this.lastError,
+      deliveredAt: this.deliveredAt,
+      correlationId: this.correlationId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Refresh Token Family Domain Entity
+ * A chain of rotated refresh tokens that descend from a single login
+ */
+export class RefreshTokenFamily {
+  constructor({
+    id,
+    familyId,
+    userId,
+    currentJti,
+    revokedAt = null,
+    revokedReason = null,
+    expiresAt,
+    userAgent = null,
+    ipAddress = null,
+    lastSeenAt = null,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.familyId = familyId;
+    this.userId = userId;
+    this.currentJti = currentJti;
+    this.revokedAt = revokedAt;
+    this.revokedReason = revokedReason;
+    this.expiresAt = expiresAt;
+    this.userAgent = userAgent;
+    this.ipAddress = ipAddress;
+    this.lastSeenAt = lastSeenAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.familyId) {
+      throw new Error('Family ID is required');
+    }
+
+    if (!this.userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (!this.currentJti) {
+      throw new Error('Current token ID is required');
+    }
+  }
+
+  /**
+   * Business methods
+   */
+  isRevoked() {
+    return !!this.revokedAt;
+  }
+
+  isExpired() {
+    return this.expiresAt < new Date();
+  }
+
+  isActive() {
+    return !this.isRevoked() && !this.isExpired();
+  }
+
+  /**
+   * Only the most recently issued token of a family may be exchanged
+   */
+  isCurrentToken(jti) {
+    return this.currentJti === jti;
+  }
+
+  /**
+   * Public view of the family as a signed-in session (device)
+   */
+  toSession(currentFamilyId = null) {
+    return {
+      id: this.familyId,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt,
+      lastSeenAt: this.lastSeenAt || this.createdAt,
+      current: this.familyId === currentFamilyId
+    };
+  }
+}
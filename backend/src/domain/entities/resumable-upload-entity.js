@@ -0,0 +1,113 @@
+/**
+ * Resumable Upload Domain Entity
+ * A file being uploaded in pieces with the tus protocol. Once every byte has arrived the
+ * contents go to file storage and the upload points at the resulting File
+ */
+export class ResumableUpload {
+  constructor({
+    id,
+    uploadedBy,
+    length,
+    offset = 0,
+    originalName,
+    mimeType,
+    isPublic = false,
+    metadata = {},
+    fileId = null,
+    stagedOn = null,
+    lockedUntil = null,
+    expiresAt,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.uploadedBy = uploadedBy;
+    this.length = length;
+    this.offset = offset;
+    this.originalName = originalName;
+    this.mimeType = mimeType;
+    this.isPublic = isPublic;
+    this.metadata = metadata;
+    this.fileId = fileId;
+    this.stagedOn = stagedOn;
+    this.lockedUntil = lockedUntil;
+    this.expiresAt = expiresAt;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.uploadedBy) {
+      throw new Error('Uploaded by user is required');
+    }
+
+    if (!Number.isInteger(this.length) || this.length <= 0) {
+      throw new Error('Upload length must be a positive integer');
+    }
+
+    if (!Number.isInteger(this.offset) || this.offset < 0 || this.offset > this.length) {
+      throw new Error('Upload offset must be between 0 and the upload length');
+    }
+
+    if (!this.originalName || this.originalName.trim().length === 0) {
+      throw new Error('Original name is required');
+    }
+
+    if (!this.mimeType || this.mimeType.trim().length === 0) {
+      throw new Error('MIME type is required');
+    }
+
+    if (!this.expiresAt) {
+      throw new Error('Expiry is required');
+    }
+  }
+
+  /**
+   * Business methods
+   */
+  isComplete() {
+    return this.fileId !== null;
+  }
+
+  isExpired(now = new Date()) {
+    return this.expiresAt <= now;
+  }
+
+  belongsTo(userId) {
+    return this.uploadedBy === userId;
+  }
+
+  /**
+   * Check if the bytes of the upload are in the given staging area. Uploads from before
+   * staging areas had IDs are taken to be in any
+   * @param {string} stagingId - Staging area ID
+   * @returns {boolean} True if the upload can be written from there
+   */
+  isStagedIn(stagingId) {
+    return this.stagedOn === null || this.stagedOn === stagingId;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      uploadedBy: this.uploadedBy,
+      length: this.length,
+      offset: this.offset,
+      originalName: this.originalName,
+      mimeType: this.mimeType,
+      isPublic: this.isPublic,
+      metadata: this.metadata,
+      fileId: this.fileId,
+      stagedOn: this.stagedOn,
+      lockedUntil: this.lockedUntil,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
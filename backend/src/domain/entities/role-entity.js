@@ -0,0 +1,124 @@
+// Every permission a role can grant. Without ":any", users:* permissions only reach members of teams
+// the user leads and files:* permissions only the user's own files; ":any" extends them to everyone
+export const PERMISSIONS = [
+  'users:read',
+  'users:update',
+  'users:delete',
+  'users:read:any',
+  'users:update:any',
+  'users:delete:any',
+  'users:create',
+  'users:stats',
+  'users:sessions',
+  'users:unlock',
+  'users:impersonate',
+  'roles:assign',
+  'roles:manage',
+  'teams:manage',
+  'audit:read',
+  'outbox:manage',
+  'files:read',
+  'files:upload',
+  'files:update',
+  'files:delete',
+  'files:read:any',
+  'files:update:any',
+  'files:delete:any'
+];
+
+const STAFF_PERMISSIONS = ['files:read', 'files:upload', 'files:update', 'files:delete'];
+
+const MANAGER_PERMISSIONS = [
+  ...STAFF_PERMISSIONS,
+  'users:read',
+  'users:update',
+  'users:delete',
+  'files:read:any',
+  'files:update:any',
+  'files:delete:any'
+];
+
+// Built-in roles; only whether they require two-factor authentication can be changed
+export const SYSTEM_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: PERMISSIONS
+  },
+  manager: {
+    description: 'Manages the members of the teams they lead, and all files',
+    permissions: MANAGER_PERMISSIONS
+  },
+  staff: {
+    description: 'Manages their own files',
+    permissions: STAFF_PERMISSIONS
+  }
+};
+
+export const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+/**
+ * Role Domain Entity
+ * A named set of permissions that can be assigned to users
+ */
+export class Role {
+  constructor({
+    id,
+    name,
+    description = '',
+    permissions = [],
+    requiresTwoFactor = false,
+    isSystem = false,
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.permissions = permissions;
+    this.requiresTwoFactor = requiresTwoFactor;
+    this.isSystem = isSystem;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.name || !ROLE_NAME_PATTERN.test(this.name)) {
+      throw new Error('Role name must be 2-32 lowercase letters, digits, "-" or "_", starting with a letter');
+    }
+
+    if (!this.isSystem && SYSTEM_ROLES[this.name]) {
+      throw new Error(`"${this.name}" is a built-in role`);
+    }
+
+    const unknown = this.permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Check if the role grants a permission
+   * @param {string} permission - Permission name
+   */
+  hasPermission(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions,
+      requiresTwoFactor: this.requiresTwoFactor,
+      isSystem: this.isSystem,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
@@ -0,0 +1,73 @@
+// Asymmetric algorithms tokens can be signed with
+export const SIGNING_ALGORITHMS = ['RS256', 'EdDSA'];
+
+/**
+ * Signing Key Domain Entity
+ * A key pair used to sign JWTs, identified by its "kid" and published in the JWKS
+ */
+export class SigningKey {
+  constructor({
+    id,
+    kid,
+    sequence,
+    algorithm,
+    publicKey,
+    privateKey,
+    activatesAt,
+    expiresAt = null,
+    createdAt
+  }) {
+    this.id = id;
+    this.kid = kid;
+    this.sequence = sequence;
+    this.algorithm = algorithm;
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.activatesAt = activatesAt;
+    this.expiresAt = expiresAt;
+    this.createdAt = createdAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.kid) {
+      throw new Error('Key ID is required');
+    }
+
+    if (!SIGNING_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Invalid algorithm. Must be one of: ${SIGNING_ALGORITHMS.join(', ')}`);
+    }
+
+    if (!this.publicKey) {
+      throw new Error('Public key is required');
+    }
+  }
+
+  /**
+   * Business methods
+   */
+  isActive(now = new Date()) {
+    return this.activatesAt <= now && !this.isExpired(now);
+  }
+
+  isExpired(now = new Date()) {
+    return !!this.expiresAt && this.expiresAt <= now;
+  }
+
+  /**
+   * Public view of the key; the private key is never returned
+   */
+  toJSON() {
+    return {
+      kid: this.kid,
+      algorithm: this.algorithm,
+      activatesAt: this.activatesAt,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+}
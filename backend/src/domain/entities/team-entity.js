@@ -0,0 +1,64 @@
+/**
+ * Team Domain Entity
+ * A department or group of users; its leads manage the other members
+ */
+export class Team {
+  constructor({
+    id,
+    name,
+    description = '',
+    members = [],
+    createdAt,
+    updatedAt
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.members = members;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+
+    this.validate();
+  }
+
+  /**
+   * Business rules validation
+   */
+  validate() {
+    if (!this.name || this.name.trim().length === 0) {
+      throw new Error('Team name is required');
+    }
+
+    const userIds = this.members.map(member => member.userId);
+    if (new Set(userIds).size !== userIds.length) {
+      throw new Error('A user can only be added to a team once');
+    }
+  }
+
+  /**
+   * Check if a user belongs to the team (as member or lead)
+   * @param {string} userId - User ID
+   */
+  hasMember(userId) {
+    return this.members.some(member => member.userId === userId);
+  }
+
+  /**
+   * Check if a user leads the team
+   * @param {string} userId - User ID
+   */
+  isLead(userId) {
+    return this.members.some(member => member.userId === userId && member.isLead);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      members: this.members,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
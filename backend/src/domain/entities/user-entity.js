@@ -1,3 +1,5 @@
+import { ROLE_NAME_PATTERN } from './role-entity.js';
+
 /**
  * User Domain Entity
  * Represents the core business concept of a User
@@ -13,8 +15,19 @@ export class User {
     isEmailVerified = false,
     emailVerificationToken,
     emailVerificationExpires,
+    pendingEmail = null,
+    pendingEmailToken,
+    pendingEmailExpires,
     passwordResetToken,
     passwordResetExpires,
+    passwordChangedAt,
+    passwordHistory = [],
+    twoFactorEnabled = false,
+    twoFactorSecret,
+    twoFactorRecoveryCodes = [],
+    webauthnCredentials = [],
+    oidcIdentities = [],
+    avatar = null,
     isActive = true,
     createdAt,
     updatedAt
@@ -28,8 +41,19 @@ export class User {
     this.isEmailVerified = isEmailVerified;
     this.emailVerificationToken = emailVerificationToken;
     this.emailVerificationExpires = emailVerificationExpires;
+    this.pendingEmail = pendingEmail;
+    this.pendingEmailToken = pendingEmailToken;
+    this.pendingEmailExpires = pendingEmailExpires;
     this.passwordResetToken = passwordResetToken;
     this.passwordResetExpires = passwordResetExpires;
+    this.passwordChangedAt = passwordChangedAt;
+    this.passwordHistory = passwordHistory;
+    this.twoFactorEnabled = twoFactorEnabled;
+    this.twoFactorSecret = twoFactorSecret;
+    this.twoFactorRecoveryCodes = twoFactorRecoveryCodes;
+    this.webauthnCredentials = webauthnCredentials;
+    this.oidcIdentities = oidcIdentities;
+    this.avatar = avatar;
     this.isActive = isActive;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
@@ -56,9 +80,9 @@ export class User {
       throw new Error('Last name is required');
     }
 
-    const validRoles = ['admin', 'manager', 'staff'];
-    if (this.role && !validRoles.includes(this.role)) {
-      throw new Error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
+    // Whether a custom role exists is checked where roles are assigned
+    if (this.role && !ROLE_NAME_PATTERN.test(this.role)) {
+      throw new Error('Invalid role name');
     }
   }
 
@@ -69,20 +93,44 @@ export class User {
     return `${this.firstName} ${this.lastName}`;
   }
 
-  isAdmin() {
-    return this.role === 'admin';
+  /**
+   * Check if the password was changed after a token was issued
+   * @param {number} issuedAt - Token issued-at time (seconds since epoch)
+   */
+  changedPasswordAfter(issuedAt) {
+    if (!this.passwordChangedAt) {
+      return false;
+    }
+    const changedAt = Math.floor(new Date(this.passwordChangedAt).getTime() / 1000);
+    return changedAt > issuedAt;
   }
 
-  isManager() {
-    return this.role === 'manager' || this.role === 'admin';
+  /**
+   * Check if the password is older than the maximum age
+   * @param {number} maxAgeDays - Maximum password age in days (0 disables expiry)
+   */
+  isPasswordExpired(maxAgeDays = 0) {
+    if (!maxAgeDays) {
+      return false;
+    }
+    const changedAt = new Date(this.passwordChangedAt || this.createdAt).getTime();
+    return Date.now() - changedAt > maxAgeDays * 24 * 60 * 60 * 1000;
   }
 
-  canManageUsers() {
-    return this.isManager();
+  /**
+   * Find a registered passkey by its credential ID
+   * @param {string} credentialId - Base64url credential ID
+   */
+  findWebAuthnCredential(credentialId) {
+    return this.webauthnCredentials.find(credential => credential.credentialId === credentialId) || null;
   }
 
-  canAccessAdminFeatures() {
-    return this.isAdmin();
+  /**
+   * Check if an external login provider is linked
+   * @param {string} provider - Provider ID
+   */
+  hasOidcIdentity(provider) {
+    return this.oidcIdentities.some(identity => identity.provider === provider);
   }
 
   /**
@@ -108,6 +156,7 @@ export class User {
     this.password = newPassword;
     this.passwordResetToken = null;
     this.passwordResetExpires = null;
+    this.passwordChangedAt = new Date();
 
     return {
       type: 'UserPasswordChanged',
@@ -139,6 +188,19 @@ export class User {
     };
   }
 
+  changeRole(role) {
+    const previousRole = this.role;
+    this.role = role;
+    this.validate();
+    return {
+      type: 'UserRoleChanged',
+      userId: this.id,
+      previousRole,
+      role,
+      occurredAt: new Date()
+    };
+  }
+
   deactivate() {
     this.isActive = false;
     return {
@@ -0,0 +1,61 @@
+/**
+ * API Key Repository Interface
+ * Defines the contract for API key persistence
+ */
+export class IApiKeyRepository {
+  /**
+   * Create a new API key
+   * @param {Object} data - Key data (userId, name, prefix, keyHash, scopes, expiresAt)
+   * @returns {Promise<ApiKey>} Created API key entity
+   */
+  async create(data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find an API key by the hash of its secret
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<ApiKey|null>} API key entity or null
+   */
+  async findByHash(keyHash) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find all API keys of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<ApiKey[]>} API keys, newest first
+   */
+  async findByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count the API keys of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of keys
+   */
+  async countByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update the last used time of a key
+   * @param {string} id - API key ID
+   * @param {number} minInterval - Skip the update if used within this many milliseconds
+   * @returns {Promise<boolean>} True if updated
+   */
+  async touch(id, minInterval) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete an API key owned by a user
+   * @param {string} id - API key ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<boolean>} True if a key was deleted
+   */
+  async deleteForUser(id, userId) {
+    throw new Error('Method not implemented');
+  }
+}
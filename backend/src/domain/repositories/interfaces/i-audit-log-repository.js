@@ -0,0 +1,44 @@
+/**
+ * Audit Log Repository Interface
+ * Defines the contract for the append-only audit log; entries are never updated or deleted
+ */
+export class IAuditLogRepository {
+  /**
+   * Append an entry
+   * @param {AuditLog} entry - Entry with its sequence and hash set
+   * @returns {Promise<AuditLog>} Stored entry
+   * @throws {Error} With code 11000 if another entry already took the sequence
+   */
+  async append(entry) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the entry with the highest sequence
+   * @returns {Promise<AuditLog|null>} Latest entry or null if the log is empty
+   */
+  async findLatest() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find entries with pagination, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {Object} options.filters - action, actorId, targetType, targetId, correlationId, from, to
+   * @returns {Promise<Object>} { logs, total, page, totalPages }
+   */
+  async findLogs(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Iterate over matching entries in sequence order without loading them all at once
+   * @param {Object} filters - Same filters as findLogs
+   * @returns {AsyncIterable<AuditLog>} Entries
+   */
+  iterate(filters) {
+    throw new Error('Method not implemented');
+  }
+}
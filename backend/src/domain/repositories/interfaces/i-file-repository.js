@@ -55,6 +55,15 @@ export class IFileRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Stop sharing all files with a team
+   * @param {string} teamId - Team ID
+   * @returns {Promise<number>} Number of files that were shared with the team
+   */
+  async unshareTeam(teamId) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Delete file
    * @param {string} id - File ID
@@ -0,0 +1,98 @@
+/**
+ * Outbox Repository Interface
+ * Defines the contract for storing outbox messages and handing them to dispatchers
+ */
+export class IOutboxRepository {
+  /**
+   * Store new messages
+   * @param {OutboxMessage[]} messages - Messages
+   * @param {Object} options - Options
+   * @param {Object} options.session - Transaction the messages are written in
+   * @returns {Promise<OutboxMessage[]>} Stored messages
+   */
+  async add(messages, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Claim the message that is due next, so no other dispatcher picks it up, and count the attempt.
+   * Messages whose claim expired (the dispatcher stopped mid-delivery) are claimed again
+   * @param {Date} now - Current time
+   * @param {Date} lockedUntil - When the claim expires
+   * @returns {Promise<OutboxMessage|null>} Claimed message or null if none is due
+   */
+  async claimNext(now, lockedUntil) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Mark a message as delivered and remove the parts of its content that can hold secrets
+   * @param {string} id - Message ID
+   * @returns {Promise<void>}
+   */
+  async markDelivered(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {string} id - Message ID
+   * @param {string} error - Error message
+   * @param {Date} nextAttemptAt - Time of the next attempt
+   * @returns {Promise<void>}
+   */
+  async markFailed(id, error, nextAttemptAt) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record a failed last attempt and move the message to the dead-letter state, keeping its
+   * content so it can be replayed
+   * @param {string} id - Message ID
+   * @param {string} error - Error message
+   * @returns {Promise<void>}
+   */
+  async markDead(id, error) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove the data of dead emails whose links expired, as it holds one-time links and tokens
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of emails redacted
+   */
+  async redactExpired(now) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a message by ID
+   * @param {string} id - Message ID
+   * @returns {Promise<OutboxMessage|null>} Message or null if not found
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find messages with pagination, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {Object} options.filters - status, type, correlationId
+   * @returns {Promise<Object>} { messages, total, page, totalPages }
+   */
+  async findMessages(options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Move dead messages back to pending with a fresh set of attempts, skipping emails whose
+   * data was removed or whose links expired
+   * @param {Object} filters - id or type; only dead messages are affected
+   * @returns {Promise<number>} Number of messages replayed
+   */
+  async replayDead(filters) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Refresh Token Family Repository Interface
+ * Defines the contract for refresh token family persistence
+ */
+export class IRefreshTokenFamilyRepository {
+  /**
+   * Create a new token family
+   * @param {Object} data - Family data (familyId, userId, currentJti, expiresAt, userAgent, ipAddress)
+   * @returns {Promise<RefreshTokenFamily>} Created family entity
+   */
+  async create(data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find family by its public family ID
+   * @param {string} familyId - Family ID carried in the refresh token
+   * @returns {Promise<RefreshTokenFamily|null>} Family entity or null
+   */
+  async findByFamilyId(familyId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find active (not revoked, not expired) families of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<RefreshTokenFamily[]>} Families, most recently used first
+   */
+  async findActiveByUserId(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update the last seen time of an active family
+   * @param {string} familyId - Family ID
+   * @param {number} minInterval - Skip the update if seen within this many milliseconds
+   * @returns {Promise<boolean>} True if updated
+   */
+  async touch(familyId, minInterval) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Atomically replace the current token of an active family
+   * @param {string} familyId - Family ID
+   * @param {string} expectedJti - Token ID that is being exchanged
+   * @param {string} nextJti - Token ID of the newly issued token
+   * @param {Date} expiresAt - Expiry of the newly issued token
+   * @returns {Promise<RefreshTokenFamily|null>} Updated family, or null if the expected token was no longer current
+   */
+  async rotate(familyId, expectedJti, nextJti, expiresAt) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Revoke a single family
+   * @param {string} familyId - Family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} True if a family was revoked
+   */
+  async revoke(familyId, reason) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Revoke every active family of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of revoked families
+   */
+  async revokeAllForUser(userId, reason) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Resumable Upload Repository Interface
+ * Defines the contract for tracking tus uploads and serializing writes to them
+ */
+export class IResumableUploadRepository {
+  /**
+   * Store a new upload
+   * @param {ResumableUpload} upload - Upload
+   * @returns {Promise<ResumableUpload>} Stored upload
+   */
+  async create(upload) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find an upload by ID
+   * @param {string} id - Upload ID
+   * @returns {Promise<ResumableUpload|null>} Upload or null if not found
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Claim an unfinished, unexpired upload for writing at an offset, so concurrent requests cannot
+   * interleave their bytes. Claims of requests that died are taken over once they expire
+   * @param {string} id - Upload ID
+   * @param {number} offset - Offset the writer starts at
+   * @param {Date} now - Current time
+   * @param {Date} lockedUntil - When the claim expires
+   * @returns {Promise<ResumableUpload|null>} Claimed upload, or null if the offset moved or another request holds it
+   */
+  async lock(id, offset, now, lockedUntil) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record progress and release the claim
+   * @param {string} id - Upload ID
+   * @param {Object} progress - { offset, expiresAt, fileId }; fileId marks the upload complete
+   * @returns {Promise<ResumableUpload|null>} Updated upload
+   */
+  async unlock(id, progress) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find uploads that expired and are not being written to
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of uploads
+   * @param {string} stagedOn - Only uploads in this staging area (or in none recorded)
+   * @returns {Promise<ResumableUpload[]>} Expired uploads
+   */
+  async findExpired(now, limit, stagedOn) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete an upload
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
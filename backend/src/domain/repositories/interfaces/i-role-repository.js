@@ -0,0 +1,52 @@
+/**
+ * Role Repository Interface
+ * Defines the contract for custom role persistence
+ */
+export class IRoleRepository {
+  /**
+   * Create a new custom role
+   * @param {Object} data - Role data (name, description, permissions)
+   * @returns {Promise<Role>} Created role entity
+   */
+  async create(data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find a custom role by name
+   * @param {string} name - Role name
+   * @returns {Promise<Role|null>} Role entity or null
+   */
+  async findByName(name) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find all custom roles
+   * @returns {Promise<Role[]>} Roles sorted by name
+   */
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update a custom role, or the stored settings of a built-in role
+   * @param {string} name - Role name
+   * @param {Object} updates - Description, permissions and/or requiresTwoFactor
+   * @param {Object} options - Options
+   * @param {boolean} options.upsert - Create the role if it is not stored yet
+   * @returns {Promise<Role|null>} Updated role entity or null
+   */
+  async update(name, updates, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete a custom role
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} True if a role was deleted
+   */
+  async delete(name) {
+    throw new Error('Method not implemented');
+  }
+}
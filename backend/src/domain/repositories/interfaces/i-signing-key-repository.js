@@ -0,0 +1,33 @@
+/**
+ * Signing Key Repository Interface
+ * Defines the contract for JWT signing key persistence
+ */
+export class ISigningKeyRepository {
+  /**
+   * Store a new key pair
+   * @param {Object} data - Key data (kid, sequence, algorithm, publicKey, privateKey, activatesAt)
+   * @returns {Promise<SigningKey>} Created signing key entity
+   * @throws {Error} If a key with the same sequence number already exists
+   */
+  async create(data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find all keys that have not expired, including their private keys
+   * @returns {Promise<SigningKey[]>} Signing keys, newest first
+   */
+  async findUnexpired() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Set the expiry of every key created before a sequence number that has none yet
+   * @param {number} sequence - Sequence number of the new key
+   * @param {Date} expiresAt - When the older keys stop being published
+   * @returns {Promise<number>} Number of keys updated
+   */
+  async expireBefore(sequence, expiresAt) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Storage Driver Interface
+ * Defines the contract for storing file contents. A driver returns the location of what it
+ * stored (e.g. { path } or { bucket, key }); the location is kept on the File and handed
+ * back to the same driver for every later operation
+ */
+export class IStorageDriver {
+  /**
+   * Store file contents
+   * @param {string} filename - Unique filename
+   * @param {Buffer|Readable} content - File contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {number} options.contentLength - Size in bytes; given for streams
+   * @returns {Promise<Object>} Location of the stored contents
+   */
+  async put(filename, content, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Open a stream of the stored contents
+   * @param {File} file - File with its filename and location
+   * @param {Object} range - Byte range to read, both ends inclusive; the whole file if omitted
+   * @param {number} range.start - First byte
+   * @param {number} range.end - Last byte
+   * @returns {Promise<Readable>} Contents
+   */
+  async read(file, range) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete file contents
+   * @param {File} file - File with its filename and location
+   * @returns {Promise<boolean>} True if something was deleted
+   */
+  async delete(file) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Read metadata of the stored contents
+   * @param {File} file - File with its filename and location
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified } or null if missing
+   */
+  async stat(file) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Public URL of the contents
+   * @param {File} file - File with its filename and location
+   * @returns {string|null} URL, or null if the contents are not publicly reachable
+   */
+  getUrl(file) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Time-limited URL that serves the contents straight from storage
+   * @param {File} file - File with its filename and location
+   * @param {Object} options - Options
+   * @param {number} options.expiresIn - Lifetime in seconds
+   * @param {string} options.contentType - Content-Type to serve with
+   * @param {string} options.filename - Name to download as
+   * @returns {string|null} URL, or null if the storage cannot sign URLs (the API signs its own then)
+   */
+  getSignedUrl(file, options) {
+    throw new Error('Method not implemented');
+  }
+}
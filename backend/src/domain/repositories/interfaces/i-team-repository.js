@@ -0,0 +1,99 @@
+/**
+ * Team Repository Interface
+ * Defines the contract for team and membership persistence
+ */
+export class ITeamRepository {
+  /**
+   * Create a new team
+   * @param {Object} data - Team data (name, description)
+   * @returns {Promise<Team>} Created team entity
+   */
+  async create(data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find team by ID
+   * @param {string} id - Team ID
+   * @returns {Promise<Team|null>} Team entity or null
+   */
+  async findById(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find all teams
+   * @returns {Promise<Team[]>} Teams sorted by name
+   */
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the teams a user belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<Team[]>} Teams sorted by name
+   */
+  async findByMember(userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the members (not leads) of every team a user leads
+   * @param {string} leadId - User ID of the lead
+   * @returns {Promise<string[]>} User IDs
+   */
+  async findMemberIdsLedBy(leadId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Check if a user is a member (not a lead) of a team led by another user
+   * @param {string} leadId - User ID of the lead
+   * @param {string} userId - User ID of the member
+   * @returns {Promise<boolean>} True if they share such a team
+   */
+  async isLedBy(leadId, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Update team name or description
+   * @param {string} id - Team ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Team|null>} Updated team entity or null
+   */
+  async update(id, updates) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Add a user to a team, or change whether they lead it
+   * @param {string} id - Team ID
+   * @param {string} userId - User ID
+   * @param {boolean} isLead - Whether the user leads the team
+   * @returns {Promise<Team|null>} Updated team entity or null
+   */
+  async setMember(id, userId, isLead) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove a user from a team
+   * @param {string} id - Team ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if the user was a member
+   */
+  async removeMember(id, userId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Delete team
+   * @param {string} id - Team ID
+   * @returns {Promise<boolean>} True if a team was deleted
+   */
+  async delete(id) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -21,24 +21,72 @@ export class IUserRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Find user by ID including password, password history and two-factor secrets
+   * @param {string} id - User ID
+   * @returns {Promise<User|null>} User entity or null
+   */
+  async findByIdWithSecrets(id) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the user that owns a passkey
+   * @param {string} credentialId - Base64url WebAuthn credential ID
+   * @returns {Promise<User|null>} User entity (with passkeys) or null
+   */
+  async findByWebAuthnCredentialId(credentialId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Find the user linked to an external login
+   * @param {string} provider - OIDC provider ID
+   * @param {string} subject - User ID at the provider ("sub" claim)
+   * @returns {Promise<User|null>} User entity or null
+   */
+  async findByOidcIdentity(provider, subject) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Find user by email verification token
-   * @param {string} token - Verification token
+   * @param {string} token - Hashed verification token
    * @returns {Promise<User|null>} User entity or null
    */
   async findByEmailVerificationToken(token) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Find user by email change confirmation token
+   * @param {string} token - Hashed confirmation token
+   * @returns {Promise<User|null>} User entity or null
+   */
+  async findByPendingEmailToken(token) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Find user by password reset token
-   * @param {string} token - Reset token
+   * @param {string} token - Hashed reset token
    * @returns {Promise<User|null>} User entity or null
    */
   async findByPasswordResetToken(token) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Clear a password reset token and apply updates in one step, only if the token is still
+   * valid, so two requests with the same token cannot both use it
+   * @param {string} token - Hashed reset token
+   * @param {Object} updates - Fields to update along with it
+   * @returns {Promise<User|null>} Updated user or null if the token was not valid
+   */
+  async consumePasswordResetToken(token, updates) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Find users with pagination and filters
    * @param {Object} options - Query options
@@ -56,9 +104,11 @@ export class IUserRepository {
   /**
    * Save user
    * @param {User} user - User entity
+   * @param {Object} options - Options
+   * @param {Object} options.session - Transaction to write in
    * @returns {Promise<User>} Saved user entity
    */
-  async save(user) {
+  async save(user, options) {
     throw new Error('Method not implemented');
   }
 
@@ -66,9 +116,82 @@ export class IUserRepository {
    * Update user
    * @param {string} id - User ID
    * @param {Object} updates - Fields to update
+   * @param {Object} options - Options
+   * @param {Object} options.session - Transaction to write in
    * @returns {Promise<User>} Updated user entity
    */
-  async update(id, updates) {
+  async update(id, updates, options) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record an accepted TOTP time step
+   * @param {string} id - User ID
+   * @param {number} step - Time step of the accepted code
+   * @returns {Promise<boolean>} False if the step (or a later one) was already used
+   */
+  async useTotpStep(id, step) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove a recovery code so it cannot be used again
+   * @param {string} id - User ID
+   * @param {string} codeHash - Hash of the recovery code
+   * @returns {Promise<boolean>} True if the code existed and was removed
+   */
+  async consumeRecoveryCode(id, codeHash) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Store a new passkey for a user
+   * @param {string} id - User ID
+   * @param {Object} credential - Verified credential data
+   * @returns {Promise<boolean>} Success status
+   */
+  async addWebAuthnCredential(id, credential) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Record a successful passkey sign-in
+   * @param {string} id - User ID
+   * @param {string} credentialId - Base64url credential ID
+   * @param {number} counter - New signature counter
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateWebAuthnCredentialUsage(id, credentialId, counter) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Remove a passkey from a user
+   * @param {string} id - User ID
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {Promise<boolean>} True if a passkey was removed
+   */
+  async removeWebAuthnCredential(id, credentialId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Link an external login to a user
+   * @param {string} id - User ID
+   * @param {Object} identity - Provider, subject and email
+   * @returns {Promise<boolean>} False if the provider was already linked
+   */
+  async linkOidcIdentity(id, identity) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Unlink an external login from a user
+   * @param {string} id - User ID
+   * @param {string} provider - OIDC provider ID
+   * @returns {Promise<boolean>} True if an identity was removed
+   */
+  async unlinkOidcIdentity(id, provider) {
     throw new Error('Method not implemented');
   }
 
@@ -91,6 +214,15 @@ export class IUserRepository {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Count users assigned to a role
+   * @param {string} role - Role name
+   * @returns {Promise<number>} Number of users, active or not
+   */
+  async countByRole(role) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Get user statistics
    * @returns {Promise<Object>} User statistics
@@ -1,9 +1,21 @@
+/**
+ * Default password rules, used when no policy is passed in
+ */
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true
+};
+
 /**
  * Password Value Object
  * Represents a validated password with business rules
  */
 export class Password {
-  constructor(value, isHashed = false) {
+  constructor(value, isHashed = false, policy = DEFAULT_PASSWORD_POLICY) {
     if (!value || typeof value !== 'string') {
       throw new Error('Password is required and must be a string');
     }
@@ -14,7 +26,7 @@ export class Password {
       this.isHashed = true;
     } else {
       // Validate plain password
-      this.validatePlainPassword(value);
+      this.validatePlainPassword(value, { ...DEFAULT_PASSWORD_POLICY, ...policy });
       this.plainValue = value;
       this.isHashed = false;
     }
@@ -22,33 +34,35 @@ export class Password {
 
   /**
    * Validate plain password against business rules
+   * @param {string} password - Plain password
+   * @param {Object} policy - Length limits and required character classes
    */
-  validatePlainPassword(password) {
-    if (password.length < 8) {
-      throw new Error('Password must be at least 8 characters long');
+  validatePlainPassword(password, policy = DEFAULT_PASSWORD_POLICY) {
+    if (password.length < policy.minLength) {
+      throw new Error(`Password must be at least ${policy.minLength} characters long`);
     }
 
-    if (password.length > 128) {
-      throw new Error('Password must not exceed 128 characters');
+    if (password.length > policy.maxLength) {
+      throw new Error(`Password must not exceed ${policy.maxLength} characters`);
     }
 
     // Check for at least one uppercase letter
-    if (!/[A-Z]/.test(password)) {
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
       throw new Error('Password must contain at least one uppercase letter');
     }
 
     // Check for at least one lowercase letter
-    if (!/[a-z]/.test(password)) {
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
       throw new Error('Password must contain at least one lowercase letter');
     }
 
     // Check for at least one number
-    if (!/\d/.test(password)) {
+    if (policy.requireNumber && !/\d/.test(password)) {
       throw new Error('Password must contain at least one number');
     }
 
     // Check for at least one special character
-    if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
+    if (policy.requireSymbol && !/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password)) {
       throw new Error('Password must contain at least one special character');
     }
 
@@ -1,3 +1,5 @@
+import os from 'os';
+
 // Environment configuration
 export const config = {
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -5,7 +7,16 @@ export const config = {
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/mern_auth',
   JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+  JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  // 'HS256' signs with JWT_SECRET; 'RS256' or 'EdDSA' use rotating key pairs published at /.well-known/jwks.json
+  JWT_ALGORITHM: process.env.JWT_ALGORITHM || 'HS256',
+  JWT_ISSUER: process.env.JWT_ISSUER || 'your-app',
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE || 'your-app-users',
+  JWT_KEY_ROTATION_DAYS: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+  JWT_KEY_ACTIVATION_DELAY: parseInt(process.env.JWT_KEY_ACTIVATION_DELAY) || 15 * 60, // seconds a new key is published before it signs
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
+  // Public URL of this API, for links opened outside the client (e.g. signed file URLs)
+  API_URL: process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
 
   // Email configuration
@@ -22,20 +33,81 @@ export const config = {
   EMAIL_VERIFICATION_EXPIRES: process.env.EMAIL_VERIFICATION_EXPIRES || '24h', // 24 hours
   PASSWORD_RESET_EXPIRES: process.env.PASSWORD_RESET_EXPIRES || '1h', // 1 hour
 
+  // Two-factor authentication configuration
+  MFA_ISSUER: process.env.MFA_ISSUER || process.env.EMAIL_FROM_NAME || 'Your App',
+  MFA_CHALLENGE_EXPIRES_IN: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+  // Which roles require 2FA is a role setting (PUT /roles/:name { requiresTwoFactor })
+
+  // Login lockout (sliding window per account and per IP, exponential backoff)
+  LOGIN_ATTEMPT_WINDOW: parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 15 * 60, // seconds
+  LOGIN_MAX_ATTEMPTS_PER_ACCOUNT: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  LOGIN_MAX_ATTEMPTS_PER_IP: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  LOGIN_LOCKOUT_DURATION: parseInt(process.env.LOGIN_LOCKOUT_DURATION) || 5 * 60, // seconds, doubled on each repeat
+  LOGIN_LOCKOUT_MAX_DURATION: parseInt(process.env.LOGIN_LOCKOUT_MAX_DURATION) || 24 * 60 * 60, // seconds
+
+  // Password policy (applied to registration, user creation, resets and changes)
+  PASSWORD_MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  PASSWORD_REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  PASSWORD_REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  PASSWORD_REQUIRE_NUMBER: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  PASSWORD_REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+  PASSWORD_HISTORY_SIZE: process.env.PASSWORD_HISTORY_SIZE ? parseInt(process.env.PASSWORD_HISTORY_SIZE) : 5, // 0 allows reuse
+  PASSWORD_MAX_AGE_DAYS: parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0, // 0 disables expiry
+  PASSWORD_BREACH_LIST_FILE: process.env.PASSWORD_BREACH_LIST_FILE || '',
+
+  // Outbox dispatcher (emails written with the business change, events for durable subscribers)
+  OUTBOX_POLL_INTERVAL: parseInt(process.env.OUTBOX_POLL_INTERVAL) || 5, // seconds
+  OUTBOX_MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+  OUTBOX_RETRY_DELAY: parseInt(process.env.OUTBOX_RETRY_DELAY) || 30, // seconds, doubled on each retry
+  OUTBOX_MAX_RETRY_DELAY: parseInt(process.env.OUTBOX_MAX_RETRY_DELAY) || 60 * 60, // seconds
+
+  // Admin "view as" sessions (access token only, no refresh)
+  IMPERSONATION_EXPIRES_IN: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+
+  // WebAuthn (passkey) configuration
+  WEBAUTHN_RP_NAME: process.env.WEBAUTHN_RP_NAME || process.env.EMAIL_FROM_NAME || 'Your App',
+  WEBAUTHN_RP_ID: process.env.WEBAUTHN_RP_ID || new URL(process.env.CLIENT_URL || 'http://localhost:3000').hostname,
+  WEBAUTHN_ORIGINS: process.env.WEBAUTHN_ORIGINS ?
+    process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+    [process.env.CLIENT_URL || 'http://localhost:3000'],
+
+  // OpenID Connect login providers, e.g.
+  // [{"id":"google","name":"Google","issuer":"https://accounts.google.com","clientId":"...","clientSecret":"..."}]
+  OIDC_PROVIDERS: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : [],
+  OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || `${process.env.CLIENT_URL || 'http://localhost:3000'}/auth/oidc/callback`,
+  OIDC_AUTO_PROVISION: process.env.OIDC_AUTO_PROVISION !== 'false',
+  OIDC_DEFAULT_ROLE: process.env.OIDC_DEFAULT_ROLE || 'staff',
+
   // File upload configuration
-  UPLOAD_STORAGE: process.env.UPLOAD_STORAGE || 'local', // 'local' or 's3'
+  UPLOAD_STORAGE: process.env.UPLOAD_STORAGE || 'local', // Backend new uploads are stored in
+  // Extra named backends, e.g. [{"name":"archive","driver":"s3","bucket":"archive"}]
+  STORAGE_BACKENDS: process.env.STORAGE_BACKENDS ? JSON.parse(process.env.STORAGE_BACKENDS) : [],
   UPLOAD_DEST: process.env.UPLOAD_DEST || './uploads',
   MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
   ALLOWED_FILE_TYPES: process.env.ALLOWED_FILE_TYPES ?
     process.env.ALLOWED_FILE_TYPES.split(',') :
     ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+  // Resumable (tus) uploads; unfinished uploads are staged on local disk
+  RESUMABLE_UPLOAD_DIR: process.env.RESUMABLE_UPLOAD_DIR || './tmp/resumable-uploads',
+  // Names the staging directory; instances sharing RESUMABLE_UPLOAD_DIR must use the same ID
+  RESUMABLE_UPLOAD_STAGING_ID: process.env.RESUMABLE_UPLOAD_STAGING_ID || os.hostname(),
+  RESUMABLE_UPLOAD_MAX_SIZE: parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE) || 1024 * 1024 * 1024, // 1GB
+  RESUMABLE_UPLOAD_EXPIRES: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRES) || 24 * 60 * 60, // seconds without progress
+  // Signed file URLs; the lifetime cap is also the S3 limit for presigned URLs
+  SIGNED_URL_SECRET: process.env.SIGNED_URL_SECRET, // Derived from JWT_SECRET when unset
+  SIGNED_URL_EXPIRES: parseInt(process.env.SIGNED_URL_EXPIRES) || 60 * 60, // seconds
+  SIGNED_URL_MAX_EXPIRES: parseInt(process.env.SIGNED_URL_MAX_EXPIRES) || 7 * 24 * 60 * 60, // seconds
 
-  // AWS S3 configuration
+  // S3-compatible storage configuration (AWS S3, MinIO, ...)
   AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
   AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
+  AWS_SESSION_TOKEN: process.env.AWS_SESSION_TOKEN, // Only with temporary credentials (STS, IAM roles)
   AWS_REGION: process.env.AWS_REGION || 'us-east-1',
   AWS_S3_BUCKET: process.env.AWS_S3_BUCKET,
-  AWS_S3_URL: process.env.AWS_S3_URL || `https://${process.env.AWS_S3_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com`,
+  AWS_S3_ENDPOINT: process.env.AWS_S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; unset for AWS
+  AWS_S3_FORCE_PATH_STYLE: process.env.AWS_S3_FORCE_PATH_STYLE ? process.env.AWS_S3_FORCE_PATH_STYLE === 'true' : undefined,
+  AWS_S3_KEY_PREFIX: process.env.AWS_S3_KEY_PREFIX ?? 'uploads/',
+  AWS_S3_URL: process.env.AWS_S3_URL, // Public base URL of the bucket, e.g. a CDN; defaults to the endpoint
 
   // Redis configuration
   REDIS_ENABLED: process.env.REDIS_ENABLED === 'true' || false,
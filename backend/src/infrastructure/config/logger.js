@@ -96,6 +96,8 @@ const transports = [
   new winston.transports.Console({
     level: config.NODE_ENV === 'production' ? 'info' : 'debug',
     format: consoleFormat,
+    // Keep test output readable; tests assert on behaviour, not log lines
+    silent: config.NODE_ENV === 'test',
   }),
 ];
 
@@ -232,6 +232,17 @@ export const cacheKeys = {
   apiResponse: (method, url, query = '') => `api:${method}:${url}:${query}`,
   userStats: (userId) => `user:stats:${userId}`,
   fileStats: (userId) => `file:stats:${userId}`,
+  revokedToken: (jti) => `auth:revoked:jti:${jti}`,
+  revokedUserTokens: (userId) => `auth:revoked:user:${userId}`,
+  revokedSession: (familyId) => `auth:revoked:session:${familyId}`,
+  oidcState: (state) => `auth:oidc:state:${state}`,
+  verificationResend: (userId) => `auth:verification-resend:${userId}`,
+  magicLink: (tokenHash) => `auth:magic-link:${tokenHash}`,
+  magicLinkRequests: (email) => `auth:magic-link:requests:${email}`,
+  loginFailures: (scope, id) => `auth:login:failures:${scope}:${id}`,
+  loginLockout: (scope, id) => `auth:login:lockout:${scope}:${id}`,
+  loginLockoutLevel: (scope, id) => `auth:login:lockout-level:${scope}:${id}`,
+  signedUrlUse: (nonce) => `files:signed-url:${nonce}`,
 };
 
 // Cache TTL constants
@@ -33,6 +33,12 @@ const swaggerDefinition = {
         type: 'http',
         scheme: 'bearer',
         bearerFormat: 'JWT'
+      },
+      apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Personal API key, accepted on /users and /files routes within its scopes'
       }
     },
     schemas: {
@@ -56,8 +62,7 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'staff'],
-            description: 'User role'
+            description: 'Built-in role (admin, manager, staff) or custom role name'
           },
           isEmailVerified: {
             type: 'boolean',
@@ -274,9 +279,8 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'staff'],
             default: 'staff',
-            description: 'User role'
+            description: 'Built-in role (admin, manager, staff) or custom role name'
           }
         },
         required: ['email', 'password', 'firstName', 'lastName']
@@ -296,8 +300,7 @@ const swaggerDefinition = {
           },
           role: {
             type: 'string',
-            enum: ['admin', 'manager', 'staff'],
-            description: 'User role'
+            description: 'Built-in role (admin, manager, staff) or custom role name'
           },
           isActive: {
             type: 'boolean',
@@ -0,0 +1,76 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+/**
+ * API Key Controller
+ * Handles HTTP requests for managing personal API keys
+ */
+export class ApiKeyController {
+  constructor(
+    getApiKeysUseCase,
+    createApiKeyUseCase,
+    revokeApiKeyUseCase
+  ) {
+    this.getApiKeysUseCase = getApiKeysUseCase;
+    this.createApiKeyUseCase = createApiKeyUseCase;
+    this.revokeApiKeyUseCase = revokeApiKeyUseCase;
+  }
+
+  async getApiKeys(req, res) {
+    try {
+      const result = await this.getApiKeysUseCase.execute({ userId: req.user.id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      const result = await this.createApiKeyUseCase.execute({
+        userId: req.user.id,
+        name,
+        scopes,
+        expiresAt
+      }, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.apiKey
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const result = await this.revokeApiKeyUseCase.execute({
+        userId: req.user.id,
+        apiKeyId: req.params.id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
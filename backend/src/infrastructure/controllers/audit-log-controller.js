@@ -0,0 +1,141 @@
+import { once } from 'events';
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'sequence',
+  'occurredAt',
+  'action',
+  'actorId',
+  'impersonatorId',
+  'targetType',
+  'targetId',
+  'changes',
+  'metadata',
+  'ipAddress',
+  'userAgent',
+  'correlationId',
+  'previousHash',
+  'hash'
+];
+
+/**
+ * Audit Log Controller
+ * Handles HTTP requests for reading, exporting and verifying the audit log
+ */
+export class AuditLogController {
+  constructor(
+    getAuditLogsUseCase,
+    exportAuditLogsUseCase,
+    verifyAuditLogUseCase
+  ) {
+    this.getAuditLogsUseCase = getAuditLogsUseCase;
+    this.exportAuditLogsUseCase = exportAuditLogsUseCase;
+    this.verifyAuditLogUseCase = verifyAuditLogUseCase;
+  }
+
+  async getAuditLogs(req, res) {
+    const filters = {
+      action: req.query.action,
+      actorId: req.query.actorId,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      correlationId: req.query.correlationId,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    if (req.query.format === 'csv') {
+      return this.exportAuditLogs(filters, res);
+    }
+
+    try {
+      const result = await this.getAuditLogsUseCase.execute({
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        filters
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Stream matching entries as CSV, oldest first
+   */
+  async exportAuditLogs(filters, res) {
+    try {
+      const { logs } = this.exportAuditLogsUseCase.execute(filters);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+      for await (const log of logs) {
+        const entry = log.toJSON();
+        const row = CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(',');
+        if (!res.write(`${row}\n`)) {
+          await once(res, 'drain');
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      // Once rows were sent the status can no longer change; cut the download short instead
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        message: `Audit log export failed: ${error.message}`
+      });
+    }
+  }
+
+  async verifyAuditLog(req, res) {
+    try {
+      const result = await this.verifyAuditLogUseCase.execute();
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          valid: result.valid,
+          checked: result.checked,
+          brokenAt: result.brokenAt
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Quote a value for CSV; cells that spreadsheets would run as formulas are prefixed with "'"
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
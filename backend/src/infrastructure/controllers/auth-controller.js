@@ -1,16 +1,86 @@
 import { LoginUseCase } from '../../application/use-cases/auth/login-use-case.js';
 import { RegisterUseCase } from '../../application/use-cases/auth/register-use-case.js';
 import { VerifyEmailUseCase } from '../../application/use-cases/auth/verify-email-use-case.js';
+import { ForgotPasswordUseCase } from '../../application/use-cases/auth/forgot-password-use-case.js';
+import { ResetPasswordUseCase } from '../../application/use-cases/auth/reset-password-use-case.js';
+import { RefreshTokenUseCase } from '../../application/use-cases/auth/refresh-token-use-case.js';
+import { LogoutUseCase } from '../../application/use-cases/auth/logout-use-case.js';
+import { LogoutAllUseCase } from '../../application/use-cases/auth/logout-all-use-case.js';
+import { GetSessionsUseCase } from '../../application/use-cases/auth/get-sessions-use-case.js';
+import { RevokeSessionUseCase } from '../../application/use-cases/auth/revoke-session-use-case.js';
+import { SetupTwoFactorUseCase } from '../../application/use-cases/auth/setup-two-factor-use-case.js';
+import { EnableTwoFactorUseCase } from '../../application/use-cases/auth/enable-two-factor-use-case.js';
+import { DisableTwoFactorUseCase } from '../../application/use-cases/auth/disable-two-factor-use-case.js';
+import { VerifyTwoFactorUseCase } from '../../application/use-cases/auth/verify-two-factor-use-case.js';
+import { ResendVerificationUseCase } from '../../application/use-cases/auth/resend-verification-use-case.js';
+import { ChangeEmailUseCase } from '../../application/use-cases/auth/change-email-use-case.js';
+import { ConfirmEmailChangeUseCase } from '../../application/use-cases/auth/confirm-email-change-use-case.js';
+import { RequestMagicLinkUseCase } from '../../application/use-cases/auth/request-magic-link-use-case.js';
+import { MagicLinkLoginUseCase } from '../../application/use-cases/auth/magic-link-login-use-case.js';
+import { ChangePasswordUseCase } from '../../application/use-cases/auth/change-password-use-case.js';
+import { ChangeExpiredPasswordUseCase } from '../../application/use-cases/auth/change-expired-password-use-case.js';
+import { GetPasswordPolicyUseCase } from '../../application/use-cases/auth/get-password-policy-use-case.js';
+import { ErrorResponse } from '../../shared/utils/error-responses.js';
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+// Messages for login steps that need more from the user before tokens are issued
+const CHALLENGE_MESSAGES = {
+  mfa_required: 'Two-factor authentication required',
+  mfa_setup_required: 'Two-factor authentication setup required',
+  password_change_required: 'Your password has expired and must be changed'
+};
 
 /**
  * Auth Controller
  * Handles HTTP requests for authentication
  */
 export class AuthController {
-  constructor(loginUseCase, registerUseCase, verifyEmailUseCase) {
+  constructor(
+    loginUseCase,
+    registerUseCase,
+    verifyEmailUseCase,
+    forgotPasswordUseCase,
+    resetPasswordUseCase,
+    refreshTokenUseCase,
+    logoutUseCase,
+    logoutAllUseCase,
+    getSessionsUseCase,
+    revokeSessionUseCase,
+    setupTwoFactorUseCase,
+    enableTwoFactorUseCase,
+    disableTwoFactorUseCase,
+    verifyTwoFactorUseCase,
+    resendVerificationUseCase,
+    changeEmailUseCase,
+    confirmEmailChangeUseCase,
+    requestMagicLinkUseCase,
+    magicLinkLoginUseCase,
+    changePasswordUseCase,
+    changeExpiredPasswordUseCase,
+    getPasswordPolicyUseCase
+  ) {
     this.loginUseCase = loginUseCase;
     this.registerUseCase = registerUseCase;
     this.verifyEmailUseCase = verifyEmailUseCase;
+    this.forgotPasswordUseCase = forgotPasswordUseCase;
+    this.resetPasswordUseCase = resetPasswordUseCase;
+    this.refreshTokenUseCase = refreshTokenUseCase;
+    this.logoutUseCase = logoutUseCase;
+    this.logoutAllUseCase = logoutAllUseCase;
+    this.getSessionsUseCase = getSessionsUseCase;
+    this.revokeSessionUseCase = revokeSessionUseCase;
+    this.setupTwoFactorUseCase = setupTwoFactorUseCase;
+    this.enableTwoFactorUseCase = enableTwoFactorUseCase;
+    this.disableTwoFactorUseCase = disableTwoFactorUseCase;
+    this.verifyTwoFactorUseCase = verifyTwoFactorUseCase;
+    this.resendVerificationUseCase = resendVerificationUseCase;
+    this.changeEmailUseCase = changeEmailUseCase;
+    this.confirmEmailChangeUseCase = confirmEmailChangeUseCase;
+    this.requestMagicLinkUseCase = requestMagicLinkUseCase;
+    this.magicLinkLoginUseCase = magicLinkLoginUseCase;
+    this.changePasswordUseCase = changePasswordUseCase;
+    this.changeExpiredPasswordUseCase = changeExpiredPasswordUseCase;
+    this.getPasswordPolicyUseCase = getPasswordPolicyUseCase;
   }
 
   async register(req, res) {
@@ -23,7 +93,7 @@ export class AuthController {
         firstName,
         lastName,
         role
-      });
+      }, getRequestContext(req));
 
       res.status(201).json({
         success: true,
@@ -45,13 +115,109 @@ export class AuthController {
     try {
       const { email, password } = req.body;
 
-      const result = await this.loginUseCase.execute({ email, password });
+      const result = await this.loginUseCase.execute({
+        email,
+        password,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      if (result.challenge) {
+        return res.json({
+          success: true,
+          message: CHALLENGE_MESSAGES[result.challenge],
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        res.set('Retry-After', String(error.additionalData.retryAfter));
+        return res.status(error.statusCode).json(error.toResponse());
+      }
+
+      res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+
+      const result = await this.requestMagicLinkUseCase.execute({ email }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          nonce: result.nonce,
+          expiresIn: result.expiresIn
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send sign-in link'
+      });
+    }
+  }
+
+  async magicLinkLogin(req, res) {
+    try {
+      const { token, nonce } = req.body;
+
+      const result = await this.magicLinkLoginUseCase.execute({
+        token,
+        nonce,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      if (result.challenge) {
+        return res.json({
+          success: true,
+          message: CHALLENGE_MESSAGES[result.challenge],
+          data: result
+        });
+      }
 
       res.json({
         success: true,
         message: 'Login successful',
         data: result
       });
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        res.set('Retry-After', String(error.additionalData.retryAfter));
+        return res.status(error.statusCode).json(error.toResponse());
+      }
+
+      res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await this.refreshTokenUseCase.execute({ refreshToken });
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: result
+      });
     } catch (error) {
       res.status(401).json({
         success: false,
@@ -64,7 +230,67 @@ export class AuthController {
     try {
       const { token } = req.body;
 
-      const result = await this.verifyEmailUseCase.execute({ token });
+      const result = await this.verifyEmailUseCase.execute({ token }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.user
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+
+      const result = await this.resendVerificationUseCase.execute({ email }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend verification email'
+      });
+    }
+  }
+
+  async changeEmail(req, res) {
+    try {
+      const { newEmail, password } = req.body;
+
+      const result = await this.changeEmailUseCase.execute({
+        userId: req.user.id,
+        newEmail,
+        password
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { pendingEmail: result.pendingEmail }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async confirmEmailChange(req, res) {
+    try {
+      const { token } = req.body;
+
+      const result = await this.confirmEmailChangeUseCase.execute({ token }, getRequestContext(req));
 
       res.json({
         success: true,
@@ -79,6 +305,115 @@ export class AuthController {
     }
   }
 
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      const result = await this.forgotPasswordUseCase.execute({ email }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process password reset request'
+      });
+    }
+  }
+
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const result = await this.resetPasswordUseCase.execute({ token, password }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const result = await this.changePasswordUseCase.execute({
+        userId: req.user.id,
+        currentPassword,
+        newPassword,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { tokens: result.tokens }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async changeExpiredPassword(req, res) {
+    try {
+      const { passwordChangeToken, newPassword } = req.body;
+
+      const result = await this.changeExpiredPasswordUseCase.execute({
+        passwordChangeToken,
+        newPassword,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      }, getRequestContext(req));
+
+      if (result.challenge) {
+        return res.json({
+          success: true,
+          message: CHALLENGE_MESSAGES[result.challenge],
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async getPasswordPolicy(req, res) {
+    try {
+      const result = await this.getPasswordPolicyUseCase.execute();
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   async getStatus(req, res) {
     try {
       // Check if user is authenticated (user attached by optional auth middleware)
@@ -96,7 +431,21 @@ export class AuthController {
               isEmailVerified: req.user.isEmailVerified,
               createdAt: req.user.createdAt
             },
-            isAuthenticated: true
+            isAuthenticated: true,
+            // Effective permissions of the user's role, so clients can hide controls they cannot use
+            permissions: req.permissions || [],
+            impersonation: req.impersonator ? {
+              active: true,
+              impersonator: {
+                id: req.impersonator.id,
+                email: req.impersonator.email,
+                firstName: req.impersonator.firstName,
+                lastName: req.impersonator.lastName
+              },
+              expiresAt: new Date(req.auth.exp * 1000)
+            } : {
+              active: false
+            }
           }
         });
       } else {
@@ -131,6 +480,8 @@ export class AuthController {
           role: user.role,
           avatar: user.avatar || null, // Avatar field for future Google OAuth or uploaded images
           isEmailVerified: user.isEmailVerified,
+          pendingEmail: user.pendingEmail,
+          twoFactorEnabled: user.twoFactorEnabled,
           createdAt: user.createdAt
         }
       });
@@ -144,11 +495,11 @@ export class AuthController {
 
   async logout(req, res) {
     try {
-      // In a stateless JWT system, logout is handled client-side
-      // by removing the token. We could implement token blacklisting here.
+      const result = await this.logoutUseCase.execute(req.auth);
+
       res.json({
         success: true,
-        message: 'Logout successful'
+        message: result.message
       });
     } catch (error) {
       res.status(500).json({
@@ -157,4 +508,161 @@ export class AuthController {
       });
     }
   }
+
+  async logoutAll(req, res) {
+    try {
+      const result = await this.logoutAllUseCase.execute({ userId: req.user.id }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          revokedSessions: result.revokedSessions
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Logout failed'
+      });
+    }
+  }
+
+  async getSessions(req, res) {
+    try {
+      const result = await this.getSessionsUseCase.execute({
+        userId: req.user.id,
+        currentSessionId: req.auth.family
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await this.revokeSessionUseCase.execute({
+        userId: req.user.id,
+        sessionId: id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async setupTwoFactor(req, res) {
+    try {
+      const result = await this.setupTwoFactorUseCase.execute({
+        userId: req.user?.id,
+        mfaToken: req.body.mfaToken
+      });
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async enableTwoFactor(req, res) {
+    try {
+      const { code, mfaToken } = req.body;
+
+      const result = await this.enableTwoFactorUseCase.execute({
+        userId: req.user?.id,
+        mfaToken,
+        code,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          recoveryCodes: result.recoveryCodes,
+          tokens: result.tokens
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async disableTwoFactor(req, res) {
+    try {
+      const { password } = req.body;
+
+      const result = await this.disableTwoFactorUseCase.execute({
+        userId: req.user.id,
+        password
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async verifyTwoFactor(req, res) {
+    try {
+      const { mfaToken, code } = req.body;
+
+      const result = await this.verifyTwoFactorUseCase.execute({
+        mfaToken,
+        code,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof ErrorResponse) {
+        res.set('Retry-After', String(error.additionalData.retryAfter));
+        return res.status(error.statusCode).json(error.toResponse());
+      }
+
+      res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
 }
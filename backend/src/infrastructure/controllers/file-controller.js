@@ -1,3 +1,12 @@
+import { pipeline } from 'stream/promises';
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+// Headers set while preparing a download, dropped again if it ends in an error response
+const DOWNLOAD_HEADERS = [
+  'Accept-Ranges', 'Cache-Control', 'ETag', 'Last-Modified',
+  'Content-Disposition', 'Content-Type', 'Content-Range', 'Content-Length'
+];
+
 /**
  * File Controller
  * Handles HTTP requests for file management
@@ -8,13 +17,19 @@ export class FileController {
     getFilesUseCase,
     getFileUseCase,
     updateFileUseCase,
-    deleteFileUseCase
+    deleteFileUseCase,
+    downloadFileUseCase,
+    createSignedUrlUseCase,
+    downloadSignedFileUseCase
   ) {
     this.uploadFileUseCase = uploadFileUseCase;
     this.getFilesUseCase = getFilesUseCase;
     this.getFileUseCase = getFileUseCase;
     this.updateFileUseCase = updateFileUseCase;
     this.deleteFileUseCase = deleteFileUseCase;
+    this.downloadFileUseCase = downloadFileUseCase;
+    this.createSignedUrlUseCase = createSignedUrlUseCase;
+    this.downloadSignedFileUseCase = downloadSignedFileUseCase;
   }
 
   async uploadFile(req, res) {
@@ -27,7 +42,7 @@ export class FileController {
       }
 
       const { isPublic } = req.body;
-      const uploadedBy = req.user._id.toString();
+      const uploadedBy = req.user.id;
 
       const result = await this.uploadFileUseCase.execute({
         file: req.file.buffer || req.file,
@@ -61,7 +76,10 @@ export class FileController {
         sortOrder: req.query.sortOrder || 'desc'
       };
 
-      const result = await this.getFilesUseCase.execute(options, req.user);
+      const result = await this.getFilesUseCase.execute(options, {
+        id: req.user.id,
+        permissions: req.permissions
+      });
 
       res.json({
         success: true,
@@ -81,8 +99,8 @@ export class FileController {
       const currentUser = req.user;
 
       const result = await this.getFileUseCase.execute(id, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
+        id: currentUser.id,
+        permissions: req.permissions
       });
 
       res.json({
@@ -107,9 +125,9 @@ export class FileController {
       const currentUser = req.user;
 
       const result = await this.updateFileUseCase.execute(id, updates, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
-      });
+        id: currentUser.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
 
       res.json({
         success: true,
@@ -130,9 +148,9 @@ export class FileController {
       const currentUser = req.user;
 
       const result = await this.deleteFileUseCase.execute(id, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
-      });
+        id: currentUser.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
 
       res.json({
         success: true,
@@ -151,22 +169,165 @@ export class FileController {
       const { id } = req.params;
       const currentUser = req.user;
 
-      const result = await this.getFileUseCase.execute(id, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
+      const result = await this.downloadFileUseCase.execute(id, {
+        id: currentUser.id,
+        permissions: req.permissions
       });
 
-      // For now, redirect to the file URL
-      // In a real implementation, you might stream the file directly
-      res.redirect(result.file.url);
+      await this.sendContent(req, res, result, this.downloadFileUseCase);
     } catch (error) {
       const statusCode = error.message.includes('not found') ? 404 :
                         error.message.includes('Access denied') ? 403 : 500;
 
+      this.sendDownloadError(res, error, statusCode);
+    }
+  }
+
+  async createSignedUrl(req, res) {
+    try {
+      const { id } = req.params;
+      const currentUser = req.user;
+
+      const result = await this.createSignedUrlUseCase.execute(id, req.body, {
+        id: currentUser.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Signed URL created successfully',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Access denied') ? 403 : 400;
+
       res.status(statusCode).json({
         success: false,
         message: error.message
       });
     }
   }
+
+  async downloadSignedFile(req, res) {
+    try {
+      const { id } = req.params;
+      const { expires, nonce, signature } = req.query;
+
+      // HEAD lets clients and link previews inspect a single-use link without using it up
+      const result = await this.downloadSignedFileUseCase.execute(id, { expires, nonce, signature }, {
+        consume: req.method !== 'HEAD'
+      });
+
+      await this.sendContent(req, res, result, this.downloadSignedFileUseCase);
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 403;
+
+      this.sendDownloadError(res, error, statusCode);
+    }
+  }
+
+  /**
+   * Stream file contents, honoring Range and conditional request headers
+   * @param {Object} result - { file, content, singleUse } from a download use case; single-use
+   * downloads always send the whole file, as no second request could fetch the rest
+   * @param {Object} downloadUseCase - Use case that opens the contents
+   */
+  async sendContent(req, res, { file, content, singleUse = false }, downloadUseCase) {
+    // Validators go out with 304 and 416 responses too
+    res.set({
+      'Accept-Ranges': singleUse ? 'none' : 'bytes',
+      // Access is checked per request, so shared caches must not keep a copy
+      'Cache-Control': 'private, no-cache'
+    });
+    if (content.etag) {
+      res.set('ETag', content.etag);
+    }
+    if (content.lastModified) {
+      res.set('Last-Modified', content.lastModified.toUTCString());
+    }
+
+    // Compares If-None-Match / If-Modified-Since with the headers set above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const range = singleUse ? undefined : this.getRequestedRange(req, content);
+    if (range === -1) {
+      return res.status(416).set('Content-Range', `bytes */${content.size}`).end();
+    }
+
+    // Open the stream before the remaining headers so a storage error can still become JSON
+    const stream = req.method === 'HEAD' ? null : await downloadUseCase.openStream(file, range);
+
+    res.attachment(file.originalName);
+    res.set('Content-Type', file.mimeType);
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${content.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(content.size));
+    }
+
+    if (!stream) {
+      return res.end();
+    }
+    await pipeline(stream, res);
+  }
+
+  /**
+   * Answer a failed download with JSON, unless the body is already on its way
+   */
+  sendDownloadError(res, error, statusCode) {
+    // E.g. the client went away mid-stream; pipeline has closed the response
+    if (res.headersSent) {
+      return;
+    }
+    DOWNLOAD_HEADERS.forEach(header => res.removeHeader(header));
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  /**
+   * Byte range to send for a Range header
+   * @returns {Object|number|undefined} { start, end }, -1 if unsatisfiable, or undefined to send the whole file
+   */
+  getRequestedRange(req, content) {
+    if (!req.headers.range || !this.isRangeCurrent(req.headers['if-range'], content)) {
+      return undefined;
+    }
+
+    const ranges = req.range(content.size, { combine: true });
+    if (ranges === -1) {
+      return -1;
+    }
+
+    // Malformed headers, other units and multiple ranges get the whole file, as HTTP allows
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+      return undefined;
+    }
+    return { start: ranges[0].start, end: ranges[0].end };
+  }
+
+  /**
+   * If-Range only lets a range through while the file is unchanged since the client's copy
+   */
+  isRangeCurrent(ifRange, content) {
+    if (!ifRange) {
+      return true;
+    }
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      // Needs a strong match, which weak ETags never are
+      return !ifRange.startsWith('W/') && ifRange === content.etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return !!content.lastModified && !Number.isNaN(date) &&
+      Math.floor(content.lastModified.getTime() / 1000) <= date / 1000;
+  }
 }
@@ -0,0 +1,27 @@
+// Verifiers may cache the key set this long; keep it below JWT_KEY_ACTIVATION_DELAY
+const JWKS_MAX_AGE = 5 * 60;
+
+/**
+ * JWKS Controller
+ * Serves the JSON Web Key Set for verifying tokens issued by this service
+ */
+export class JwksController {
+  constructor(getJwksUseCase) {
+    this.getJwksUseCase = getJwksUseCase;
+  }
+
+  async getJwks(req, res) {
+    try {
+      const jwks = await this.getJwksUseCase.execute();
+
+      // Plain JWKS document (RFC 7517), as expected by JWT libraries
+      res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+      res.json(jwks);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,125 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+/**
+ * OIDC Controller
+ * Handles HTTP requests for OpenID Connect login and account linking
+ */
+export class OidcController {
+  constructor(
+    getOidcProvidersUseCase,
+    oidcAuthorizeUseCase,
+    oidcCallbackUseCase,
+    unlinkOidcIdentityUseCase
+  ) {
+    this.getOidcProvidersUseCase = getOidcProvidersUseCase;
+    this.oidcAuthorizeUseCase = oidcAuthorizeUseCase;
+    this.oidcCallbackUseCase = oidcCallbackUseCase;
+    this.unlinkOidcIdentityUseCase = unlinkOidcIdentityUseCase;
+  }
+
+  async getProviders(req, res) {
+    try {
+      const result = await this.getOidcProvidersUseCase.execute({ userId: req.user?.id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async authorize(req, res) {
+    try {
+      const result = await this.oidcAuthorizeUseCase.execute({ provider: req.params.provider });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async link(req, res) {
+    try {
+      const result = await this.oidcAuthorizeUseCase.execute({
+        provider: req.params.provider,
+        userId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async callback(req, res) {
+    try {
+      const { code, state, iss } = req.body;
+
+      const result = await this.oidcCallbackUseCase.execute({
+        code,
+        state,
+        iss,
+        // Link requests are only finished for the same user, never while impersonating
+        userId: req.impersonator ? null : req.user?.id,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      }, getRequestContext(req));
+
+      let message = 'Login successful';
+      if (result.linked) {
+        message = 'Login provider linked successfully';
+      } else if (result.challenge) {
+        message = result.challenge === 'mfa_required'
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication setup required';
+      }
+
+      res.json({
+        success: true,
+        message,
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async unlink(req, res) {
+    try {
+      const result = await this.unlinkOidcIdentityUseCase.execute({
+        userId: req.user.id,
+        provider: req.params.provider
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Outbox Controller
+ * Handles HTTP requests for inspecting and replaying outbox messages
+ */
+export class OutboxController {
+  constructor(
+    getOutboxMessagesUseCase,
+    replayOutboxMessagesUseCase
+  ) {
+    this.getOutboxMessagesUseCase = getOutboxMessagesUseCase;
+    this.replayOutboxMessagesUseCase = replayOutboxMessagesUseCase;
+  }
+
+  async getMessages(req, res) {
+    try {
+      const result = await this.getOutboxMessagesUseCase.execute({
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        filters: {
+          status: req.query.status,
+          type: req.query.type,
+          correlationId: req.query.correlationId
+        }
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async replayMessage(req, res) {
+    try {
+      const result = await this.replayOutboxMessagesUseCase.execute({ id: req.params.id });
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { replayed: result.replayed }
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async replayDeadMessages(req, res) {
+    try {
+      const result = await this.replayOutboxMessagesUseCase.execute({ type: req.body.type });
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { replayed: result.replayed }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
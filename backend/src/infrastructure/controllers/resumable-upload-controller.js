@@ -0,0 +1,180 @@
+import { config } from '../config/config.js';
+
+// Protocol version spoken, and the optional parts of it that are supported
+export const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+
+/**
+ * Resumable Upload Controller
+ * Handles tus 1.0 requests; errors are answered with the status codes the protocol defines
+ */
+export class ResumableUploadController {
+  constructor(
+    createResumableUploadUseCase,
+    getResumableUploadUseCase,
+    appendResumableUploadUseCase,
+    deleteResumableUploadUseCase
+  ) {
+    this.createResumableUploadUseCase = createResumableUploadUseCase;
+    this.getResumableUploadUseCase = getResumableUploadUseCase;
+    this.appendResumableUploadUseCase = appendResumableUploadUseCase;
+    this.deleteResumableUploadUseCase = deleteResumableUploadUseCase;
+  }
+
+  getOptions(req, res) {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+      'Tus-Max-Size': String(config.RESUMABLE_UPLOAD_MAX_SIZE)
+    });
+    res.status(204).end();
+  }
+
+  async createUpload(req, res) {
+    try {
+      if (req.get('Upload-Defer-Length') !== undefined) {
+        throw new Error('Deferred upload length is not supported');
+      }
+
+      const length = parseHeaderInteger(req.get('Upload-Length'), 'Upload-Length');
+      const metadata = parseMetadata(req.get('Upload-Metadata'));
+
+      const upload = await this.createResumableUploadUseCase.execute({ length, metadata }, req.user.id);
+
+      res.set({
+        Location: `${req.baseUrl}/${upload.id}`,
+        'Upload-Offset': String(upload.offset),
+        'Upload-Expires': upload.expiresAt.toUTCString()
+      });
+      res.status(201).end();
+    } catch (error) {
+      this.sendError(req, res, error);
+    }
+  }
+
+  async getUpload(req, res) {
+    try {
+      const upload = await this.getResumableUploadUseCase.execute(req.params.id, req.user.id);
+
+      res.set({
+        'Upload-Offset': String(upload.offset),
+        'Upload-Length': String(upload.length),
+        'Upload-Expires': upload.expiresAt.toUTCString(),
+        // The offset changes with every piece
+        'Cache-Control': 'no-store'
+      });
+      if (Object.keys(upload.metadata).length > 0) {
+        res.set('Upload-Metadata', encodeMetadata(upload.metadata));
+      }
+      if (upload.isComplete()) {
+        res.set('X-File-Id', upload.fileId);
+      }
+      res.status(200).end();
+    } catch (error) {
+      this.sendError(req, res, error);
+    }
+  }
+
+  async appendUpload(req, res) {
+    try {
+      if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return res.status(415).json({
+          success: false,
+          message: 'Content-Type must be application/offset+octet-stream'
+        });
+      }
+
+      const offset = parseHeaderInteger(req.get('Upload-Offset'), 'Upload-Offset');
+      const contentLength = req.get('Content-Length') !== undefined
+        ? parseHeaderInteger(req.get('Content-Length'), 'Content-Length')
+        : undefined;
+
+      const upload = await this.appendResumableUploadUseCase.execute(req.params.id, {
+        offset,
+        stream: req,
+        contentLength
+      }, req.user.id);
+
+      res.set({
+        'Upload-Offset': String(upload.offset),
+        'Upload-Expires': upload.expiresAt.toUTCString()
+      });
+      if (upload.isComplete()) {
+        res.set('X-File-Id', upload.fileId);
+      }
+      res.status(204).end();
+    } catch (error) {
+      this.sendError(req, res, error);
+    }
+  }
+
+  async deleteUpload(req, res) {
+    try {
+      await this.deleteResumableUploadUseCase.execute(req.params.id, req.user.id);
+
+      res.status(204).end();
+    } catch (error) {
+      this.sendError(req, res, error);
+    }
+  }
+
+  sendError(req, res, error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                      error.message.includes('expired') ? 410 :
+                      error.message.includes('does not match') || error.message.includes('already complete') ||
+                      error.message.includes('another server instance') ? 409 :
+                      error.message.includes('locked') ? 423 :
+                      error.message.includes('exceeds') ? 413 :
+                      error.message.includes('is not allowed') ? 415 : 400;
+
+    // Responses to HEAD have no body
+    if (req.method === 'HEAD') {
+      return res.status(statusCode).end();
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Parse a header that must hold a non-negative integer
+ */
+function parseHeaderInteger(value, name) {
+  if (!/^\d+$/.test(value || '')) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse Upload-Metadata: comma separated pairs of a key and an optional base64 value
+ */
+function parseMetadata(header) {
+  const metadata = new Map();
+  if (!header) {
+    return {};
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    // Keys become field names in MongoDB, so keep them to plain characters
+    if (!/^[A-Za-z0-9_-]+$/.test(key) || rest.length > 0 ||
+        (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) {
+      throw new Error('Upload-Metadata is malformed');
+    }
+    if (metadata.has(key)) {
+      throw new Error(`Upload-Metadata has the key ${key} twice`);
+    }
+    metadata.set(key, value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8'));
+  }
+  return Object.fromEntries(metadata);
+}
+
+function encodeMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => (value === '' ? key : `${key} ${Buffer.from(value, 'utf8').toString('base64')}`))
+    .join(',');
+}
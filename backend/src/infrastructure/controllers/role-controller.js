@@ -0,0 +1,111 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+/**
+ * Role Controller
+ * Handles HTTP requests for managing roles and their permissions
+ */
+export class RoleController {
+  constructor(
+    getRolesUseCase,
+    createRoleUseCase,
+    updateRoleUseCase,
+    deleteRoleUseCase
+  ) {
+    this.getRolesUseCase = getRolesUseCase;
+    this.createRoleUseCase = createRoleUseCase;
+    this.updateRoleUseCase = updateRoleUseCase;
+    this.deleteRoleUseCase = deleteRoleUseCase;
+  }
+
+  async getRoles(req, res) {
+    try {
+      const result = await this.getRolesUseCase.execute();
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async createRole(req, res) {
+    try {
+      const { name, description, permissions, requiresTwoFactor } = req.body;
+
+      const result = await this.createRoleUseCase.execute({
+        name,
+        description,
+        permissions,
+        requiresTwoFactor
+      }, {
+        id: req.user.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.role
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async updateRole(req, res) {
+    try {
+      const { description, permissions, requiresTwoFactor } = req.body;
+
+      const result = await this.updateRoleUseCase.execute(req.params.name, {
+        description,
+        permissions,
+        requiresTwoFactor
+      }, {
+        id: req.user.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.role
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async deleteRole(req, res) {
+    try {
+      const result = await this.deleteRoleUseCase.execute(req.params.name, {
+        id: req.user.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,170 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+/**
+ * Team Controller
+ * Handles HTTP requests for teams and team membership
+ */
+export class TeamController {
+  constructor(
+    getTeamsUseCase,
+    getTeamUseCase,
+    createTeamUseCase,
+    updateTeamUseCase,
+    deleteTeamUseCase,
+    setTeamMemberUseCase,
+    removeTeamMemberUseCase
+  ) {
+    this.getTeamsUseCase = getTeamsUseCase;
+    this.getTeamUseCase = getTeamUseCase;
+    this.createTeamUseCase = createTeamUseCase;
+    this.updateTeamUseCase = updateTeamUseCase;
+    this.deleteTeamUseCase = deleteTeamUseCase;
+    this.setTeamMemberUseCase = setTeamMemberUseCase;
+    this.removeTeamMemberUseCase = removeTeamMemberUseCase;
+  }
+
+  async getTeams(req, res) {
+    try {
+      const result = await this.getTeamsUseCase.execute({
+        id: req.user.id,
+        permissions: req.permissions
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async getTeam(req, res) {
+    try {
+      const result = await this.getTeamUseCase.execute(req.params.id, {
+        id: req.user.id,
+        permissions: req.permissions
+      });
+
+      res.json({
+        success: true,
+        data: result.team
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Access denied') ? 403 : 500;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async createTeam(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      const result = await this.createTeamUseCase.execute({ name, description }, {
+        id: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.team
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async updateTeam(req, res) {
+    try {
+      const result = await this.updateTeamUseCase.execute(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.team
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async deleteTeam(req, res) {
+    try {
+      const result = await this.deleteTeamUseCase.execute(req.params.id, {
+        id: req.user.id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async setTeamMember(req, res) {
+    try {
+      const result = await this.setTeamMemberUseCase.execute({
+        teamId: req.params.id,
+        userId: req.params.userId,
+        isLead: req.body.isLead
+      }, {
+        id: req.user.id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.team
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async removeTeamMember(req, res) {
+    try {
+      const result = await this.removeTeamMemberUseCase.execute({
+        teamId: req.params.id,
+        userId: req.params.userId
+      }, {
+        id: req.user.id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
 /**
  * User Controller
  * Handles HTTP requests for user management
@@ -8,13 +10,21 @@ export class UserController {
     createUserUseCase,
     updateUserUseCase,
     deleteUserUseCase,
-    getUserStatsUseCase
+    getUserStatsUseCase,
+    getSessionsUseCase,
+    revokeSessionUseCase,
+    unlockUserUseCase,
+    impersonateUserUseCase
   ) {
     this.getUsersUseCase = getUsersUseCase;
     this.createUserUseCase = createUserUseCase;
     this.updateUserUseCase = updateUserUseCase;
     this.deleteUserUseCase = deleteUserUseCase;
     this.getUserStatsUseCase = getUserStatsUseCase;
+    this.getSessionsUseCase = getSessionsUseCase;
+    this.revokeSessionUseCase = revokeSessionUseCase;
+    this.unlockUserUseCase = unlockUserUseCase;
+    this.impersonateUserUseCase = impersonateUserUseCase;
   }
 
   async getUsers(req, res) {
@@ -32,7 +42,10 @@ export class UserController {
         sortOrder: req.query.sortOrder || 'desc'
       };
 
-      const result = await this.getUsersUseCase.execute(options);
+      const result = await this.getUsersUseCase.execute(options, {
+        id: req.user.id,
+        permissions: req.permissions
+      });
 
       res.json({
         success: true,
@@ -48,29 +61,20 @@ export class UserController {
 
   async getUser(req, res) {
     try {
+      // Access (own profile or users:read) is checked by the route, team scope by the use case
       const { id } = req.params;
-      const currentUser = req.user;
-
-      // Check if user can access this profile
-      const canAccess = currentUser.role === 'admin' ||
-                       currentUser.role === 'manager' ||
-                       currentUser._id.toString() === id;
-
-      if (!canAccess) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
 
       // For now, reuse getUsers logic but filter for single user
       const options = {
         page: 1,
         limit: 1,
-        filters: { id }
+        filters: { ids: [id] }
       };
 
-      const result = await this.getUsersUseCase.execute(options);
+      const result = await this.getUsersUseCase.execute(options, {
+        id: req.user.id,
+        permissions: req.permissions
+      });
 
       if (result.users.length === 0) {
         return res.status(404).json({
@@ -94,7 +98,6 @@ export class UserController {
   async createUser(req, res) {
     try {
       const { email, password, firstName, lastName, role } = req.body;
-      const createdBy = req.user._id.toString();
 
       const result = await this.createUserUseCase.execute({
         email,
@@ -102,7 +105,10 @@ export class UserController {
         firstName,
         lastName,
         role
-      }, createdBy);
+      }, {
+        id: req.user.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
 
       res.status(201).json({
         success: true,
@@ -124,9 +130,9 @@ export class UserController {
       const currentUser = req.user;
 
       const result = await this.updateUserUseCase.execute(id, updates, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
-      });
+        id: currentUser.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
 
       res.json({
         success: true,
@@ -147,9 +153,9 @@ export class UserController {
       const currentUser = req.user;
 
       const result = await this.deleteUserUseCase.execute(id, {
-        id: currentUser._id.toString(),
-        role: currentUser.role
-      });
+        id: currentUser.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
 
       res.json({
         success: true,
@@ -178,4 +184,86 @@ export class UserController {
       });
     }
   }
+
+  async getUserSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await this.getSessionsUseCase.execute({ userId: id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async revokeUserSession(req, res) {
+    try {
+      const { id, sessionId } = req.params;
+
+      const result = await this.revokeSessionUseCase.execute({
+        userId: id,
+        sessionId,
+        reason: 'admin_revoked'
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async unlockUser(req, res) {
+    try {
+      const result = await this.unlockUserUseCase.execute(req.params.id, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { wasLocked: result.wasLocked }
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async impersonateUser(req, res) {
+    try {
+      const result = await this.impersonateUserUseCase.execute(req.params.id, {
+        id: req.user.id,
+        permissions: req.permissions
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          accessToken: result.accessToken,
+          tokenType: result.tokenType,
+          expiresAt: result.expiresAt,
+          user: result.user
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
 }
@@ -0,0 +1,138 @@
+import { getRequestContext } from '../../shared/utils/request-context.js';
+
+/**
+ * WebAuthn Controller
+ * Handles HTTP requests for passkey registration and sign-in
+ */
+export class WebAuthnController {
+  constructor(
+    registrationOptionsUseCase,
+    registerUseCase,
+    loginOptionsUseCase,
+    loginUseCase,
+    getPasskeysUseCase,
+    deletePasskeyUseCase
+  ) {
+    this.registrationOptionsUseCase = registrationOptionsUseCase;
+    this.registerUseCase = registerUseCase;
+    this.loginOptionsUseCase = loginOptionsUseCase;
+    this.loginUseCase = loginUseCase;
+    this.getPasskeysUseCase = getPasskeysUseCase;
+    this.deletePasskeyUseCase = deletePasskeyUseCase;
+  }
+
+  async registrationOptions(req, res) {
+    try {
+      const result = await this.registrationOptionsUseCase.execute({ userId: req.user.id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async register(req, res) {
+    try {
+      const { ceremonyToken, response, name } = req.body;
+
+      const result = await this.registerUseCase.execute({
+        userId: req.user.id,
+        ceremonyToken,
+        response,
+        name
+      }, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: result.passkey
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async loginOptions(req, res) {
+    try {
+      const result = await this.loginOptionsUseCase.execute();
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async login(req, res) {
+    try {
+      const { ceremonyToken, response } = req.body;
+
+      const result = await this.loginUseCase.execute({
+        ceremonyToken,
+        response,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async getPasskeys(req, res) {
+    try {
+      const result = await this.getPasskeysUseCase.execute({ userId: req.user.id });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  async deletePasskey(req, res) {
+    try {
+      const result = await this.deletePasskeyUseCase.execute({
+        userId: req.user.id,
+        credentialId: req.params.id
+      }, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
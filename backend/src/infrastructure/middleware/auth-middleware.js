@@ -1,6 +1,18 @@
-import { TokenService } from '../../shared/services/token-service.js';
+import { TokenRevocationService } from '../../shared/services/token-revocation-service.js';
 import { UserRepository } from '../repositories/user-repository.js';
+import { RefreshTokenFamilyRepository } from '../repositories/refresh-token-family-repository.js';
+import { ApiKeyRepository } from '../repositories/api-key-repository.js';
 import UserModel from '../models/user-model.js';
+import RefreshTokenFamilyModel from '../models/refresh-token-family-model.js';
+import ApiKeyModel from '../models/api-key-model.js';
+import logger from '../config/logger.js';
+import { container } from '../../shared/kernel/container.js';
+
+// Minimum time between session "last seen" updates
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+// Minimum time between API key "last used" updates
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
 
 /**
  * Authentication Middleware
@@ -8,16 +20,29 @@ import UserModel from '../models/user-model.js';
  */
 export class AuthMiddleware {
   constructor() {
-    this.tokenService = new TokenService();
+    // Shared instance, so verification uses the same signing keys as token issuing
+    this.tokenService = container.getTokenService();
+    this.permissionService = container.getPermissionService();
+    this.tokenRevocationService = new TokenRevocationService();
     this.userRepository = new UserRepository(UserModel);
+    this.refreshTokenFamilyRepository = new RefreshTokenFamilyRepository(RefreshTokenFamilyModel);
+    this.apiKeyRepository = new ApiKeyRepository(ApiKeyModel);
   }
 
   /**
-   * Authenticate user using JWT token
+   * Authenticate user using JWT token or API key
    */
   authenticate = async (req, res, next) => {
     try {
       const authHeader = req.headers.authorization;
+      const apiKey = authHeader && authHeader.startsWith('ApiKey ')
+        ? authHeader.substring(7)
+        : req.headers['x-api-key'];
+
+      if (apiKey) {
+        return await this.authenticateApiKey(req, res, next, apiKey);
+      }
+
       const token = authHeader && authHeader.startsWith('Bearer ')
         ? authHeader.substring(7)
         : null;
@@ -32,6 +57,14 @@ export class AuthMiddleware {
       // Verify token
       const decoded = this.tokenService.verifyToken(token);
 
+      // Check revocation list
+      if (await this.isRevoked(decoded)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
       // Find user
       const user = await this.userRepository.findById(decoded.userId);
       if (!user) {
@@ -49,8 +82,29 @@ export class AuthMiddleware {
         });
       }
 
-      // Attach user to request
+      // Reject tokens issued before the last password change
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please log in again.'
+        });
+      }
+
+      // Impersonation tokens stay valid only while the admin behind them does
+      const impersonator = await this.resolveImpersonator(decoded);
+      if (impersonator === null) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation is no longer valid'
+        });
+      }
+
+      // Attach user, token claims and effective permissions to request
       req.user = user;
+      req.auth = decoded;
+      req.permissions = await this.permissionService.getPermissions(user.role);
+      this.attachImpersonator(req, res, impersonator);
+      this.touchSession(decoded.family);
       next();
     } catch (error) {
       return res.status(401).json({
@@ -61,44 +115,154 @@ export class AuthMiddleware {
   };
 
   /**
-   * Authorize admin users only
+   * Authenticate a request made with an API key, limited to the key's scopes
    */
-  requireAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
+  async authenticateApiKey(req, res, next, key) {
+    const apiKey = await this.apiKeyRepository.findByHash(this.tokenService.hashToken(key.trim()));
+    if (!apiKey || apiKey.isExpired()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    // Route groups opt in to API keys with apiKeyScope(); everything else is session only
+    if (!req.apiKeyScope || !apiKey.hasScope(req.apiKeyScope)) {
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'API key does not have access to this resource'
       });
     }
+
+    const user = await this.userRepository.findById(apiKey.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API key'
+      });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.auth = { userId: user.id, apiKeyId: apiKey.id, scopes: apiKey.scopes };
+    req.permissions = await this.permissionService.getPermissions(user.role);
+    this.apiKeyRepository.touch(apiKey.id, API_KEY_TOUCH_INTERVAL).catch(error => {
+      console.error('Failed to update API key usage:', error.message);
+    });
+    next();
+  }
+
+  /**
+   * Allow API keys with the given scope on the routes that follow
+   */
+  apiKeyScope = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
     next();
   };
 
   /**
-   * Authorize manager and admin users
+   * Check if a token was revoked by logout, session revocation or "log out everywhere"
    */
-  requireManager = (req, res, next) => {
-    if (!['admin', 'manager'].includes(req.user.role)) {
+  async isRevoked(decoded) {
+    const [tokenRevoked, sessionRevoked, userRevoked] = await Promise.all([
+      this.tokenRevocationService.isTokenRevoked(decoded.jti),
+      this.tokenRevocationService.isSessionRevoked(decoded.family),
+      this.tokenRevocationService.isRevokedForUser(decoded.userId, decoded.iat)
+    ]);
+    // "Log out everywhere" by the impersonating admin ends their impersonations too
+    const impersonatorRevoked = decoded.impersonatorId
+      ? await this.tokenRevocationService.isRevokedForUser(decoded.impersonatorId, decoded.iat)
+      : false;
+    return tokenRevoked || sessionRevoked || userRevoked || impersonatorRevoked;
+  }
+
+  /**
+   * Load the admin behind an impersonation token
+   * @returns {Promise<User|null|undefined>} Admin user, null if no longer allowed, undefined for regular tokens
+   */
+  async resolveImpersonator(decoded) {
+    if (!decoded.impersonatorId) {
+      return undefined;
+    }
+    const impersonator = await this.userRepository.findById(decoded.impersonatorId);
+    if (!impersonator || !impersonator.isActive) {
+      return null;
+    }
+    const permissions = await this.permissionService.getPermissions(impersonator.role);
+    return permissions.includes('users:impersonate') ? impersonator : null;
+  }
+
+  /**
+   * Expose the impersonating admin and log the request with both user IDs
+   */
+  attachImpersonator(req, res, impersonator) {
+    if (!impersonator) {
+      return;
+    }
+    req.impersonator = impersonator;
+    res.on('finish', () => {
+      logger.security('Request made while impersonating', {
+        impersonatorId: impersonator.id,
+        userId: req.user.id,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip
+      });
+    });
+  }
+
+  /**
+   * Reject the request when it is made with an impersonation token
+   */
+  denyImpersonation = (req, res, next) => {
+    if (req.auth && req.auth.impersonatorId) {
+      return res.status(403).json({
+        success: false,
+        message: 'This action is not allowed while impersonating a user'
+      });
+    }
+    next();
+  };
+
+  /**
+   * Reject the request when it is made with an API key, even one whose scope covers the route
+   */
+  denyApiKey = (req, res, next) => {
+    if (req.apiKey) {
       return res.status(403).json({
         success: false,
-        message: 'Manager access required'
+        message: 'This action is not allowed with an API key'
       });
     }
     next();
   };
 
   /**
-   * Authorize based on resource ownership or admin access
+   * Record session activity without delaying the request
+   */
+  touchSession(familyId) {
+    if (!familyId) {
+      return;
+    }
+    this.refreshTokenFamilyRepository.touch(familyId, SESSION_TOUCH_INTERVAL).catch(error => {
+      console.error('Failed to update session activity:', error.message);
+    });
+  }
+
+  /**
+   * Require a permission granted by the user's role
+   * @param {string} permission - Permission name, e.g. "users:read"
+   * @param {Object} options - Options
+   * @param {boolean} options.allowSelf - Also allow users acting on their own account (":id" route param)
    */
-  authorizeSelfOrAdmin = (req, res, next) => {
-    const resourceId = req.params.id;
-    const isOwner = req.user._id.toString() === resourceId;
-    const isAdmin = req.user.role === 'admin';
-    const isManager = req.user.role === 'manager';
+  authorize = (permission, { allowSelf = false } = {}) => (req, res, next) => {
+    const isSelf = allowSelf && req.params.id === req.user.id;
 
-    if (!isOwner && !isAdmin && !isManager) {
+    if (!isSelf && !(req.permissions || []).includes(permission)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'Insufficient permissions'
       });
     }
     next();
@@ -116,10 +280,16 @@ export class AuthMiddleware {
 
       if (token) {
         const decoded = this.tokenService.verifyToken(token);
-        const user = await this.userRepository.findById(decoded.userId);
+        const user = await this.isRevoked(decoded)
+          ? null
+          : await this.userRepository.findById(decoded.userId);
+        const impersonator = user ? await this.resolveImpersonator(decoded) : null;
 
-        if (user && user.isActive) {
+        if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) && impersonator !== null) {
           req.user = user;
+          req.auth = decoded;
+          req.permissions = await this.permissionService.getPermissions(user.role);
+          this.attachImpersonator(req, res, impersonator);
         }
       }
     } catch (error) {
@@ -134,7 +304,8 @@ export class AuthMiddleware {
 const authMiddleware = new AuthMiddleware();
 
 export const authenticate = authMiddleware.authenticate;
-export const requireAdmin = authMiddleware.requireAdmin;
-export const requireManager = authMiddleware.requireManager;
-export const authorizeSelfOrAdmin = authMiddleware.authorizeSelfOrAdmin;
+export const authorize = authMiddleware.authorize;
 export const optionalAuth = authMiddleware.optionalAuth;
+export const apiKeyScope = authMiddleware.apiKeyScope;
+export const denyImpersonation = authMiddleware.denyImpersonation;
+export const denyApiKey = authMiddleware.denyApiKey;
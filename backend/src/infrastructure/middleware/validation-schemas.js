@@ -3,12 +3,41 @@
  * Joi schemas for request validation
  */
 import Joi from 'joi';
+import { API_KEY_SCOPES } from '../../domain/entities/api-key-entity.js';
+import { PERMISSIONS, ROLE_NAME_PATTERN } from '../../domain/entities/role-entity.js';
+import { AUDIT_TARGET_TYPES } from '../../domain/entities/audit-log-entity.js';
+import { OUTBOX_MESSAGE_TYPES, OUTBOX_STATUSES } from '../../domain/entities/outbox-message-entity.js';
+import { config } from '../config/config.js';
 
 // Ensure Joi is loaded properly
 if (!Joi) {
   throw new Error('Joi library failed to load');
 }
 
+// Complexity, history and breach checks run in the password policy service
+const newPassword = Joi.string().min(config.PASSWORD_MIN_LENGTH).max(128)
+  .messages({
+    'string.min': 'Password must be at least {#limit} characters long',
+    'string.max': 'Password must not exceed {#limit} characters'
+  });
+
+// Built-in or custom role; whether it exists is checked by the use case
+const roleName = Joi.string().pattern(ROLE_NAME_PATTERN)
+  .messages({
+    'string.pattern.base': 'Role name must be 2-32 lowercase letters, digits, "-" or "_", starting with a letter'
+  });
+
+const rolePermissions = Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique()
+  .messages({
+    'any.only': 'Unknown permission'
+  });
+
+const objectId = Joi.string().hex().length(24)
+  .messages({
+    'string.hex': 'Invalid ID',
+    'string.length': 'Invalid ID'
+  });
+
 export const authSchemas = {
   register: Joi.object({
     email: Joi.string().email().required()
@@ -16,9 +45,8 @@ export const authSchemas = {
         'string.email': 'Please provide a valid email address',
         'any.required': 'Email is required'
       }),
-    password: Joi.string().min(8).required()
+    password: newPassword.required()
       .messages({
-        'string.min': 'Password must be at least 8 characters long',
         'any.required': 'Password is required'
       }),
     firstName: Joi.string().trim().min(1).required()
@@ -49,6 +77,13 @@ export const authSchemas = {
       })
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+      .messages({
+        'any.required': 'Refresh token is required'
+      })
+  }),
+
   verifyEmail: Joi.object({
     token: Joi.string().required()
       .messages({
@@ -56,6 +91,52 @@ export const authSchemas = {
       })
   }),
 
+  resendVerification: Joi.object({
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  changeEmail: Joi.object({
+    newEmail: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'New email is required'
+      }),
+    password: Joi.string().required()
+      .messages({
+        'any.required': 'Password is required'
+      })
+  }),
+
+  confirmEmailChange: Joi.object({
+    token: Joi.string().required()
+      .messages({
+        'any.required': 'Confirmation token is required'
+      })
+  }),
+
+  requestMagicLink: Joi.object({
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  magicLinkLogin: Joi.object({
+    token: Joi.string().required()
+      .messages({
+        'any.required': 'Sign-in token is required'
+      }),
+    nonce: Joi.string().required()
+      .messages({
+        'any.required': 'Nonce is required'
+      })
+  }),
+
   forgotPassword: Joi.object({
     email: Joi.string().email().required()
       .messages({
@@ -69,11 +150,125 @@ export const authSchemas = {
       .messages({
         'any.required': 'Reset token is required'
       }),
-    password: Joi.string().min(8).required()
+    password: newPassword.required()
+      .messages({
+        'any.required': 'Password is required'
+      })
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required()
+      .messages({
+        'any.required': 'Current password is required'
+      }),
+    newPassword: newPassword.required()
+      .messages({
+        'any.required': 'New password is required'
+      })
+  }),
+
+  changeExpiredPassword: Joi.object({
+    passwordChangeToken: Joi.string().required()
+      .messages({
+        'any.required': 'Password change token is required'
+      }),
+    newPassword: newPassword.required()
+      .messages({
+        'any.required': 'New password is required'
+      })
+  }),
+
+  setupTwoFactor: Joi.object({
+    mfaToken: Joi.string()
+  }),
+
+  enableTwoFactor: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits',
+        'any.required': 'Verification code is required'
+      }),
+    mfaToken: Joi.string()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required()
       .messages({
-        'string.min': 'Password must be at least 8 characters long',
         'any.required': 'Password is required'
       })
+  }),
+
+  verifyTwoFactor: Joi.object({
+    mfaToken: Joi.string().required()
+      .messages({
+        'any.required': 'Challenge token is required'
+      }),
+    code: Joi.string().max(20).required()
+      .messages({
+        'any.required': 'Verification code is required'
+      })
+  })
+};
+
+export const webauthnSchemas = {
+  register: Joi.object({
+    ceremonyToken: Joi.string().required()
+      .messages({
+        'any.required': 'Ceremony token is required'
+      }),
+    // Credential JSON produced by the browser, checked during verification
+    response: Joi.object().unknown(true).required()
+      .messages({
+        'any.required': 'Passkey response is required'
+      }),
+    name: Joi.string().trim().max(50)
+  }),
+
+  login: Joi.object({
+    ceremonyToken: Joi.string().required()
+      .messages({
+        'any.required': 'Ceremony token is required'
+      }),
+    response: Joi.object({
+      id: Joi.string().required()
+    }).unknown(true).required()
+      .messages({
+        'any.required': 'Passkey response is required'
+      })
+  })
+};
+
+export const apiKeySchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.max': 'Name cannot exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required()
+      .messages({
+        'any.only': `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`,
+        'array.min': 'At least one scope is required',
+        'any.required': 'Scopes are required'
+      }),
+    expiresAt: Joi.date().iso().greater('now')
+      .messages({
+        'date.greater': 'Expiry must be in the future'
+      })
+  })
+};
+
+export const oidcSchemas = {
+  callback: Joi.object({
+    code: Joi.string().required()
+      .messages({
+        'any.required': 'Authorization code is required'
+      }),
+    state: Joi.string().required()
+      .messages({
+        'any.required': 'State is required'
+      }),
+    iss: Joi.string().uri()
   })
 };
 
@@ -82,7 +277,7 @@ export const userSchemas = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
     email: Joi.string().email(),
-    role: Joi.string().valid('admin', 'manager', 'staff'),
+    role: roleName,
     isActive: Joi.boolean(),
     isEmailVerified: Joi.boolean(),
     sortBy: Joi.string().valid('createdAt', 'email', 'firstName', 'lastName').default('createdAt'),
@@ -91,16 +286,16 @@ export const userSchemas = {
 
   createUser: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(8).required(),
+    password: newPassword.required(),
     firstName: Joi.string().trim().min(1).required(),
     lastName: Joi.string().trim().min(1).required(),
-    role: Joi.string().valid('admin', 'manager', 'staff').default('staff')
+    role: roleName.default('staff')
   }),
 
   updateUser: Joi.object({
     firstName: Joi.string().trim().min(1),
     lastName: Joi.string().trim().min(1),
-    role: Joi.string().valid('admin', 'manager', 'staff'),
+    role: roleName,
     isActive: Joi.boolean()
   }).min(1),
 
@@ -110,6 +305,82 @@ export const userSchemas = {
   }).min(1)
 };
 
+export const roleSchemas = {
+  createRole: Joi.object({
+    name: roleName.required()
+      .messages({
+        'any.required': 'Role name is required'
+      }),
+    description: Joi.string().trim().allow('').max(200),
+    permissions: rolePermissions.required()
+      .messages({
+        'any.required': 'Permissions are required'
+      }),
+    requiresTwoFactor: Joi.boolean()
+  }),
+
+  updateRole: Joi.object({
+    description: Joi.string().trim().allow('').max(200),
+    permissions: rolePermissions,
+    requiresTwoFactor: Joi.boolean()
+  }).min(1)
+};
+
+export const teamSchemas = {
+  createTeam: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'any.required': 'Team name is required'
+      }),
+    description: Joi.string().trim().allow('').max(500)
+  }),
+
+  updateTeam: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().trim().allow('').max(500)
+  }).min(1),
+
+  setMember: Joi.object({
+    isLead: Joi.boolean().default(false)
+  })
+};
+
+export const auditLogSchemas = {
+  getAuditLogs: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    action: Joi.string().trim().max(100),
+    actorId: objectId,
+    targetType: Joi.string().valid(...AUDIT_TARGET_TYPES),
+    targetId: Joi.string().trim().max(100),
+    correlationId: Joi.string().trim().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from'))
+    }),
+    format: Joi.string().valid('json', 'csv').default('json')
+  })
+};
+
+export const outboxSchemas = {
+  getMessages: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...OUTBOX_STATUSES),
+    type: Joi.string().valid(...OUTBOX_MESSAGE_TYPES),
+    correlationId: Joi.string().trim().max(100)
+  }),
+
+  messageParams: Joi.object({
+    id: objectId.required()
+  }),
+
+  replayMessages: Joi.object({
+    type: Joi.string().valid(...OUTBOX_MESSAGE_TYPES)
+  })
+};
+
 export const fileSchemas = {
   uploadFile: Joi.object({
     file: Joi.object().required()
@@ -127,6 +398,22 @@ export const fileSchemas = {
 
   updateFile: Joi.object({
     filename: Joi.string().trim().min(1),
-    isPublic: Joi.boolean()
-  }).min(1)
+    isPublic: Joi.boolean(),
+    sharedWithTeams: Joi.array().items(objectId).max(50)
+  }).min(1),
+
+  fileParams: Joi.object({
+    id: objectId.required()
+  }),
+
+  createSignedUrl: Joi.object({
+    expiresIn: Joi.number().integer().min(60).max(config.SIGNED_URL_MAX_EXPIRES).default(config.SIGNED_URL_EXPIRES),
+    singleUse: Joi.boolean().default(false)
+  }),
+
+  signedDownload: Joi.object({
+    expires: Joi.number().integer().required(),
+    nonce: Joi.string().hex().length(64),
+    signature: Joi.string().hex().length(64).required()
+  })
 };
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../../domain/entities/api-key-entity.js';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // First characters of the key, so users can recognise it in lists
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required']
+  },
+  // SHA-256 hash of the key; the key itself is only shown once
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    required: [true, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing the keys of a user
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { AUDIT_TARGET_TYPES } from '../../domain/entities/audit-log-entity.js';
+
+const auditLogSchema = new mongoose.Schema({
+  // Position in the hash chain
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actorId: {
+    type: String,
+    default: null
+  },
+  impersonatorId: {
+    type: String,
+    default: null
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Changed fields only: { before: {...}, after: {...} }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  correlationId: {
+    type: String,
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  // Mixed fields keep empty objects, so hashes match after a round trip
+  minimize: false
+});
+
+// Indexes for the admin filters
+auditLogSchema.index({ action: 1, occurredAt: -1 });
+auditLogSchema.index({ actorId: 1, occurredAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, occurredAt: -1 });
+auditLogSchema.index({ correlationId: 1 });
+auditLogSchema.index({ occurredAt: -1 });
+
+// Entries are append-only
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
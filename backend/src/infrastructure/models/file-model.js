@@ -7,12 +7,12 @@ const fileSchema = new mongoose.Schema({
     required: [true, 'Filename is required'],
     trim: true,
   },
-  originalname: {
+  originalName: {
     type: String,
     required: [true, 'Original filename is required'],
     trim: true,
   },
-  mimetype: {
+  mimeType: {
     type: String,
     required: [true, 'Mimetype is required'],
   },
@@ -21,35 +21,24 @@ const fileSchema = new mongoose.Schema({
     required: [true, 'File size is required'],
     min: [0, 'File size cannot be negative'],
   },
+  // Public URL, if the storage backend serves files directly
   url: {
     type: String,
-    required: [true, 'File URL is required'],
   },
+  // Name of the storage backend holding the contents
   storage: {
     type: String,
-    enum: ['local', 's3'],
     default: config.UPLOAD_STORAGE,
   },
+  // Location within the backend: path for local disk, bucket and key for S3
   path: {
     type: String,
-    // Path is required for local storage
-    required: function() {
-      return this.storage === 'local';
-    },
   },
   bucket: {
     type: String,
-    // Bucket is required for S3 storage
-    required: function() {
-      return this.storage === 's3';
-    },
   },
   key: {
     type: String,
-    // Key is required for S3 storage
-    required: function() {
-      return this.storage === 's3';
-    },
   },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -65,6 +54,11 @@ const fileSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Members of these teams can view the file
+  sharedWithTeams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+  }],
   metadata: {
     width: Number, // For images
     height: Number, // For images
@@ -80,10 +74,11 @@ const fileSchema = new mongoose.Schema({
 fileSchema.index({ uploadedBy: 1, createdAt: -1 });
 fileSchema.index({ category: 1, createdAt: -1 });
 fileSchema.index({ filename: 1 });
+fileSchema.index({ sharedWithTeams: 1 });
 
 // Virtual for file extension
 fileSchema.virtual('extension').get(function() {
-  return this.originalname.split('.').pop();
+  return this.originalName.split('.').pop();
 });
 
 // Method to get file info
@@ -91,8 +86,8 @@ fileSchema.methods.getInfo = function() {
   return {
     id: this._id,
     filename: this.filename,
-    originalname: this.originalname,
-    mimetype: this.mimetype,
+    originalName: this.originalName,
+    mimeType: this.mimeType,
     size: this.size,
     url: this.url,
     storage: this.storage,
@@ -124,26 +119,4 @@ fileSchema.statics.findByUser = function(userId, options = {}) {
     .skip(options.skip || 0);
 };
 
-// Pre-remove middleware to delete file from storage
-fileSchema.pre('remove', async function(next) {
-  try {
-    const uploadService = await import('../config/upload.js');
-
-    if (this.storage === 's3' && this.key) {
-      await uploadService.deleteFile(this.filename);
-    } else if (this.storage === 'local' && this.path) {
-      const fs = await import('fs');
-      const path = await import('path');
-
-      const fullPath = this.path;
-      if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
-      }
-    }
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
 export default mongoose.model('File', fileSchema);
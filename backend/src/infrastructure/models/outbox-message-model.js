@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { OUTBOX_MESSAGE_TYPES, OUTBOX_STATUSES } from '../../domain/entities/outbox-message-entity.js';
+
+// Delivered messages are removed after this time (seconds); dead ones are kept until replayed
+const DELIVERED_RETENTION = 7 * 24 * 60 * 60;
+
+const outboxMessageSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: OUTBOX_MESSAGE_TYPES,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim of the dispatcher delivering the message
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  correlationId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for claiming due messages and for the admin filters
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, lockedUntil: 1 });
+outboxMessageSchema.index({ type: 1, createdAt: -1 });
+outboxMessageSchema.index({ correlationId: 1 });
+outboxMessageSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: DELIVERED_RETENTION });
+// Dead emails whose links expired, for removing their data
+outboxMessageSchema.index({ status: 1, 'payload.expiresAt': 1 });
+
+export default mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const refreshTokenFamilySchema = new mongoose.Schema({
+  familyId: {
+    type: String,
+    required: [true, 'Family ID is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // ID (jti) of the only refresh token in this family that may still be used
+  currentJti: {
+    type: String,
+    required: [true, 'Current token ID is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Device the family was issued to, shown as a session to the user
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for revoking all families of a user
+refreshTokenFamilySchema.index({ userId: 1, revokedAt: 1 });
+
+// Let MongoDB purge families once their latest token has expired
+refreshTokenFamilySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshTokenFamily', refreshTokenFamilySchema);
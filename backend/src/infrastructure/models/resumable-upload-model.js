@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const resumableUploadSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Total size announced by the client (Upload-Length)
+  length: {
+    type: Number,
+    required: true
+  },
+  // Bytes received so far (Upload-Offset)
+  offset: {
+    type: Number,
+    default: 0
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Decoded Upload-Metadata, echoed back to clients
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // File created once the upload completed
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+  // Staging area holding the bytes (RESUMABLE_UPLOAD_STAGING_ID of the instance that created it)
+  stagedOn: {
+    type: String,
+    default: null
+  },
+  // Claim of the request writing to the upload
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Expired uploads are removed by the cleanup schedule, which also deletes their staged bytes
+resumableUploadSchema.index({ expiresAt: 1 });
+resumableUploadSchema.index({ uploadedBy: 1 });
+
+export default mongoose.model('ResumableUpload', resumableUploadSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, ROLE_NAME_PATTERN } from '../../domain/entities/role-entity.js';
+
+// Custom roles, and the settings of built-in roles (isSystem); built-in permissions are defined in code
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    match: [ROLE_NAME_PATTERN, 'Invalid role name']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: []
+  },
+  // Holders must enroll in two-factor authentication before they can sign in
+  requiresTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Role', roleSchema);
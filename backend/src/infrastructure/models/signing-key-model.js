@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import { SIGNING_ALGORITHMS } from '../../domain/entities/signing-key-entity.js';
+
+const signingKeySchema = new mongoose.Schema({
+  // Key ID placed in the JWT header and the JWKS
+  kid: {
+    type: String,
+    required: [true, 'Key ID is required'],
+    unique: true
+  },
+  // Increases by one per rotation; unique so concurrent rotations create only one key
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required'],
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: SIGNING_ALGORITHMS,
+    required: [true, 'Algorithm is required']
+  },
+  // PEM encoded (SPKI / PKCS#8)
+  publicKey: {
+    type: String,
+    required: [true, 'Public key is required']
+  },
+  privateKey: {
+    type: String,
+    required: [true, 'Private key is required'],
+    select: false
+  },
+  // New keys are published in the JWKS before they are used for signing
+  activatesAt: {
+    type: Date,
+    required: [true, 'Activation time is required']
+  },
+  // Set once a newer key takes over; kept until tokens it signed have expired
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Remove keys automatically once they have expired
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SigningKey', signingKeySchema);
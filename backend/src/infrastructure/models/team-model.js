@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  members: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Leads manage the other members of the team
+    isLead: {
+      type: Boolean,
+      default: false
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for looking up the teams of a user
+teamSchema.index({ 'members.userId': 1 });
+
+export default mongoose.model('Team', teamSchema);
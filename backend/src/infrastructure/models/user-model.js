@@ -1,8 +1,56 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { ROLE_NAME_PATTERN } from '../../domain/entities/role-entity.js';
 import { config } from '../config/config.js';
 
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// Passkey registered through WebAuthn
+const webauthnCredentialSchema = new mongoose.Schema({
+  credentialId: {
+    type: String,
+    required: true
+  },
+  // COSE public key, base64url encoded
+  publicKey: {
+    type: String,
+    required: true
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: [String],
+  deviceType: String,
+  backedUp: Boolean,
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Passkey name must be less than 50 characters']
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Account at an external OpenID Connect provider
+const oidcIdentitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Stable user ID at the provider ("sub" claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  email: String
+}, {
+  _id: false,
+  timestamps: { createdAt: 'linkedAt', updatedAt: false }
+});
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -29,12 +77,13 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    // Length and complexity rules are enforced by the password policy before hashing
     select: false // Don't include password in queries by default
   },
   role: {
     type: String,
-    enum: ['admin', 'manager', 'staff'],
+    // Built-in role (admin, manager, staff) or the name of a custom role
+    match: [ROLE_NAME_PATTERN, 'Invalid role name'],
     default: 'staff'
   },
   isActive: {
@@ -44,6 +93,9 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  avatar: {
+    type: String
+  },
 
   // Email verification fields
   emailVerified: {
@@ -53,9 +105,56 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: String,
   emailVerificationExpires: Date,
 
+  // Email change awaiting confirmation from the new address
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  pendingEmailToken: String,
+  pendingEmailExpires: Date,
+
   // Password reset fields
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Hashes of previous passwords, newest first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+
+  // Two-factor authentication fields
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+
+  // WebAuthn (passkey) credentials
+  webauthnCredentials: {
+    type: [webauthnCredentialSchema],
+    select: false
+  },
+
+  // Linked OpenID Connect accounts
+  oidcIdentities: {
+    type: [oidcIdentitySchema],
+    default: undefined
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -71,12 +170,17 @@ userSchema.virtual('fullName').get(function() {
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'webauthnCredentials.credentialId': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
 
+  // Use cases hash with AuthService already; don't hash a bcrypt hash again
+  if (BCRYPT_HASH_PATTERN.test(this.password)) return next();
+
   try {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(config.BCRYPT_ROUNDS);
@@ -0,0 +1,72 @@
+import { ApiKey } from '../../domain/entities/api-key-entity.js';
+import { IApiKeyRepository } from '../../domain/repositories/interfaces/i-api-key-repository.js';
+
+/**
+ * API Key Repository Implementation
+ * Implements the IApiKeyRepository interface using Mongoose
+ */
+export class ApiKeyRepository extends IApiKeyRepository {
+  constructor(apiKeyModel) {
+    super();
+    this.ApiKeyModel = apiKeyModel;
+  }
+
+  async create(data) {
+    const apiKeyDoc = new this.ApiKeyModel(data);
+    const savedDoc = await apiKeyDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findByHash(keyHash) {
+    const apiKeyDoc = await this.ApiKeyModel.findOne({ keyHash });
+    return apiKeyDoc ? this._toEntity(apiKeyDoc) : null;
+  }
+
+  async findByUserId(userId) {
+    const apiKeyDocs = await this.ApiKeyModel.find({ userId }).sort({ createdAt: -1 });
+    return apiKeyDocs.map(doc => this._toEntity(doc));
+  }
+
+  async countByUserId(userId) {
+    return this.ApiKeyModel.countDocuments({ userId });
+  }
+
+  async touch(id, minInterval = 0) {
+    const now = new Date();
+    // Skip the write when the key was used within the interval
+    const result = await this.ApiKeyModel.updateOne(
+      {
+        _id: id,
+        $or: [
+          { lastUsedAt: null },
+          { lastUsedAt: { $lt: new Date(now.getTime() - minInterval) } }
+        ]
+      },
+      { lastUsedAt: now }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async deleteForUser(id, userId) {
+    const result = await this.ApiKeyModel.deleteOne({ _id: id, userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(apiKeyDoc) {
+    return new ApiKey({
+      id: apiKeyDoc._id.toString(),
+      userId: apiKeyDoc.userId.toString(),
+      name: apiKeyDoc.name,
+      prefix: apiKeyDoc.prefix,
+      keyHash: apiKeyDoc.keyHash,
+      scopes: apiKeyDoc.scopes,
+      expiresAt: apiKeyDoc.expiresAt,
+      lastUsedAt: apiKeyDoc.lastUsedAt,
+      createdAt: apiKeyDoc.createdAt,
+      updatedAt: apiKeyDoc.updatedAt
+    });
+  }
+}
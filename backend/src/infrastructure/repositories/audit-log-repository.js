@@ -0,0 +1,102 @@
+import { AuditLog } from '../../domain/entities/audit-log-entity.js';
+import { IAuditLogRepository } from '../../domain/repositories/interfaces/i-audit-log-repository.js';
+
+/**
+ * Audit Log Repository Implementation
+ * Implements the IAuditLogRepository interface using Mongoose
+ */
+export class AuditLogRepository extends IAuditLogRepository {
+  constructor(auditLogModel) {
+    super();
+    this.AuditLogModel = auditLogModel;
+  }
+
+  async append(entry) {
+    const { id, ...data } = entry.toJSON();
+    const auditLogDoc = new this.AuditLogModel(data);
+    const savedDoc = await auditLogDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findLatest() {
+    const auditLogDoc = await this.AuditLogModel.findOne().sort({ sequence: -1 });
+    return auditLogDoc ? this._toEntity(auditLogDoc) : null;
+  }
+
+  async findLogs(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      filters = {}
+    } = options;
+
+    const query = this._buildQuery(filters);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      this.AuditLogModel.find(query).sort({ sequence: -1 }).skip(skip).limit(limit),
+      this.AuditLogModel.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      logs: logs.map(log => this._toEntity(log)),
+      total,
+      page,
+      totalPages
+    };
+  }
+
+  async *iterate(filters = {}) {
+    const cursor = this.AuditLogModel.find(this._buildQuery(filters)).sort({ sequence: 1 }).cursor();
+    for await (const auditLogDoc of cursor) {
+      yield this._toEntity(auditLogDoc);
+    }
+  }
+
+  _buildQuery(filters) {
+    const query = {};
+
+    ['action', 'actorId', 'targetType', 'targetId', 'correlationId'].forEach(field => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+
+    if (filters.from || filters.to) {
+      query.occurredAt = {};
+      if (filters.from) {
+        query.occurredAt.$gte = filters.from;
+      }
+      if (filters.to) {
+        query.occurredAt.$lte = filters.to;
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(auditLogDoc) {
+    return new AuditLog({
+      id: auditLogDoc._id.toString(),
+      sequence: auditLogDoc.sequence,
+      action: auditLogDoc.action,
+      actorId: auditLogDoc.actorId,
+      impersonatorId: auditLogDoc.impersonatorId,
+      targetType: auditLogDoc.targetType,
+      targetId: auditLogDoc.targetId,
+      changes: auditLogDoc.changes,
+      metadata: auditLogDoc.metadata,
+      ipAddress: auditLogDoc.ipAddress,
+      userAgent: auditLogDoc.userAgent,
+      correlationId: auditLogDoc.correlationId,
+      occurredAt: auditLogDoc.occurredAt,
+      previousHash: auditLogDoc.previousHash,
+      hash: auditLogDoc.hash
+    });
+  }
+}
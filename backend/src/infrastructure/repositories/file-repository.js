@@ -44,7 +44,8 @@ export class FileRepository extends IFileRepository {
     if (filters.accessibleBy) {
       query.$or = [
         { isPublic: true },
-        { uploadedBy: filters.accessibleBy }
+        { uploadedBy: filters.accessibleBy },
+        { sharedWithTeams: { $in: filters.accessibleTeams || [] } }
       ];
     }
 
@@ -86,6 +87,14 @@ export class FileRepository extends IFileRepository {
     return !!result;
   }
 
+  async unshareTeam(teamId) {
+    const result = await this.FileModel.updateMany(
+      { sharedWithTeams: teamId },
+      { $pull: { sharedWithTeams: teamId } }
+    );
+    return result.modifiedCount;
+  }
+
   async fileExists(filename) {
     const count = await this.FileModel.countDocuments({ filename });
     return count > 0;
@@ -150,8 +159,11 @@ export class FileRepository extends IFileRepository {
       path: fileDoc.path,
       url: fileDoc.url,
       storage: fileDoc.storage,
-      uploadedBy: fileDoc.uploadedBy,
+      bucket: fileDoc.bucket,
+      key: fileDoc.key,
+      uploadedBy: fileDoc.uploadedBy.toString(),
       isPublic: fileDoc.isPublic,
+      sharedWithTeams: (fileDoc.sharedWithTeams || []).map(teamId => teamId.toString()),
       metadata: fileDoc.metadata,
       createdAt: fileDoc.createdAt,
       updatedAt: fileDoc.updatedAt
@@ -0,0 +1,160 @@
+import { OutboxMessage } from '../../domain/entities/outbox-message-entity.js';
+import { IOutboxRepository } from '../../domain/repositories/interfaces/i-outbox-repository.js';
+
+// Template data of emails holds one-time links and tokens, so it is not kept once the
+// message is delivered or its links expire; until then a dead email can be replayed
+const REDACTED_FIELDS = { 'payload.data': '' };
+
+/**
+ * Outbox Repository Implementation
+ * Implements the IOutboxRepository interface using Mongoose
+ */
+export class OutboxRepository extends IOutboxRepository {
+  constructor(outboxMessageModel) {
+    super();
+    this.OutboxMessageModel = outboxMessageModel;
+  }
+
+  async add(messages, { session } = {}) {
+    const docs = messages.map(message => {
+      const { id, createdAt, updatedAt, ...data } = message.toJSON();
+      return data;
+    });
+    const savedDocs = await this.OutboxMessageModel.insertMany(docs, { session });
+    return savedDocs.map(doc => this._toEntity(doc));
+  }
+
+  async claimNext(now, lockedUntil) {
+    const outboxMessageDoc = await this.OutboxMessageModel.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        status: 'processing',
+        lockedUntil,
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    return outboxMessageDoc ? this._toEntity(outboxMessageDoc) : null;
+  }
+
+  async markDelivered(id) {
+    await this.OutboxMessageModel.updateOne(
+      { _id: id },
+      {
+        status: 'delivered',
+        deliveredAt: new Date(),
+        lockedUntil: null,
+        lastError: null,
+        $unset: { ...REDACTED_FIELDS, 'payload.context': '' }
+      }
+    );
+  }
+
+  async markFailed(id, error, nextAttemptAt) {
+    await this.OutboxMessageModel.updateOne(
+      { _id: id },
+      { status: 'pending', nextAttemptAt, lockedUntil: null, lastError: error }
+    );
+  }
+
+  async markDead(id, error) {
+    await this.OutboxMessageModel.updateOne(
+      { _id: id },
+      { status: 'dead', lockedUntil: null, lastError: error }
+    );
+  }
+
+  async redactExpired(now) {
+    const result = await this.OutboxMessageModel.updateMany(
+      { type: 'email', status: 'dead', 'payload.expiresAt': { $lte: now }, 'payload.data': { $exists: true } },
+      { $unset: REDACTED_FIELDS }
+    );
+    return result.modifiedCount;
+  }
+
+  async findById(id) {
+    const outboxMessageDoc = await this.OutboxMessageModel.findById(id);
+    return outboxMessageDoc ? this._toEntity(outboxMessageDoc) : null;
+  }
+
+  async findMessages(options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      filters = {}
+    } = options;
+
+    const query = {};
+    ['status', 'type', 'correlationId'].forEach(field => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+
+    const skip = (page - 1) * limit;
+
+    const [messages, total] = await Promise.all([
+      this.OutboxMessageModel.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      this.OutboxMessageModel.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      messages: messages.map(message => this._toEntity(message)),
+      total,
+      page,
+      totalPages
+    };
+  }
+
+  async replayDead(filters = {}) {
+    // Emails without their data, or whose links expired, are of no use sent again
+    const query = {
+      status: 'dead',
+      $or: [
+        { type: { $ne: 'email' } },
+        { 'payload.data': { $ne: null }, 'payload.expiresAt': { $not: { $lte: new Date() } } }
+      ]
+    };
+    if (filters.id) {
+      query._id = filters.id;
+    }
+    if (filters.type) {
+      query.type = filters.type;
+    }
+
+    const result = await this.OutboxMessageModel.updateMany(query, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date()
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(outboxMessageDoc) {
+    return new OutboxMessage({
+      id: outboxMessageDoc._id.toString(),
+      type: outboxMessageDoc.type,
+      payload: outboxMessageDoc.payload,
+      status: outboxMessageDoc.status,
+      attempts: outboxMessageDoc.attempts,
+      maxAttempts: outboxMessageDoc.maxAttempts,
+      nextAttemptAt: outboxMessageDoc.nextAttemptAt,
+      lockedUntil: outboxMessageDoc.lockedUntil,
+      lastError: outboxMessageDoc.lastError,
+      deliveredAt: outboxMessageDoc.deliveredAt,
+      correlationId: outboxMessageDoc.correlationId,
+      createdAt: outboxMessageDoc.createdAt,
+      updatedAt: outboxMessageDoc.updatedAt
+    });
+  }
+}
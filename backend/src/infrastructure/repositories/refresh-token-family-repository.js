@@ -0,0 +1,93 @@
+import { RefreshTokenFamily } from '../../domain/entities/refresh-token-family-entity.js';
+import { IRefreshTokenFamilyRepository } from '../../domain/repositories/interfaces/i-refresh-token-family-repository.js';
+
+/**
+ * Refresh Token Family Repository Implementation
+ * Implements the IRefreshTokenFamilyRepository interface using Mongoose
+ */
+export class RefreshTokenFamilyRepository extends IRefreshTokenFamilyRepository {
+  constructor(refreshTokenFamilyModel) {
+    super();
+    this.RefreshTokenFamilyModel = refreshTokenFamilyModel;
+  }
+
+  async create(data) {
+    const familyDoc = new this.RefreshTokenFamilyModel(data);
+    const savedDoc = await familyDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findByFamilyId(familyId) {
+    const familyDoc = await this.RefreshTokenFamilyModel.findOne({ familyId });
+    return familyDoc ? this._toEntity(familyDoc) : null;
+  }
+
+  async findActiveByUserId(userId) {
+    const familyDocs = await this.RefreshTokenFamilyModel.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+    return familyDocs.map(doc => this._toEntity(doc));
+  }
+
+  async touch(familyId, minInterval = 0) {
+    const now = new Date();
+    // Skip the write when the family was seen within the interval
+    const result = await this.RefreshTokenFamilyModel.updateOne(
+      {
+        familyId,
+        revokedAt: null,
+        lastSeenAt: { $lt: new Date(now.getTime() - minInterval) }
+      },
+      { lastSeenAt: now }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async rotate(familyId, expectedJti, nextJti, expiresAt) {
+    // Matching on the expected jti makes concurrent exchanges of the same token fail
+    const updatedDoc = await this.RefreshTokenFamilyModel.findOneAndUpdate(
+      { familyId, currentJti: expectedJti, revokedAt: null },
+      { currentJti: nextJti, expiresAt, lastSeenAt: new Date() },
+      { new: true }
+    );
+    return updatedDoc ? this._toEntity(updatedDoc) : null;
+  }
+
+  async revoke(familyId, reason) {
+    const result = await this.RefreshTokenFamilyModel.updateOne(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeAllForUser(userId, reason) {
+    const result = await this.RefreshTokenFamilyModel.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(familyDoc) {
+    return new RefreshTokenFamily({
+      id: familyDoc._id.toString(),
+      familyId: familyDoc.familyId,
+      userId: familyDoc.userId.toString(),
+      currentJti: familyDoc.currentJti,
+      revokedAt: familyDoc.revokedAt,
+      revokedReason: familyDoc.revokedReason,
+      expiresAt: familyDoc.expiresAt,
+      userAgent: familyDoc.userAgent,
+      ipAddress: familyDoc.ipAddress,
+      lastSeenAt: familyDoc.lastSeenAt,
+      createdAt: familyDoc.createdAt,
+      updatedAt: familyDoc.updatedAt
+    });
+  }
+}
@@ -0,0 +1,88 @@
+import { ResumableUpload } from '../../domain/entities/resumable-upload-entity.js';
+import { IResumableUploadRepository } from '../../domain/repositories/interfaces/i-resumable-upload-repository.js';
+
+/**
+ * Resumable Upload Repository Implementation
+ * Implements the IResumableUploadRepository interface using Mongoose
+ */
+export class ResumableUploadRepository extends IResumableUploadRepository {
+  constructor(resumableUploadModel) {
+    super();
+    this.ResumableUploadModel = resumableUploadModel;
+  }
+
+  async create(upload) {
+    const { id, createdAt, updatedAt, ...data } = upload.toJSON();
+    const resumableUploadDoc = await this.ResumableUploadModel.create(data);
+    return this._toEntity(resumableUploadDoc);
+  }
+
+  async findById(id) {
+    const resumableUploadDoc = await this.ResumableUploadModel.findById(id);
+    return resumableUploadDoc ? this._toEntity(resumableUploadDoc) : null;
+  }
+
+  async lock(id, offset, now, lockedUntil) {
+    const resumableUploadDoc = await this.ResumableUploadModel.findOneAndUpdate(
+      {
+        _id: id,
+        offset,
+        fileId: null,
+        expiresAt: { $gt: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil },
+      { new: true }
+    );
+    return resumableUploadDoc ? this._toEntity(resumableUploadDoc) : null;
+  }
+
+  async unlock(id, progress) {
+    const resumableUploadDoc = await this.ResumableUploadModel.findByIdAndUpdate(
+      id,
+      { ...progress, lockedUntil: null },
+      { new: true }
+    );
+    return resumableUploadDoc ? this._toEntity(resumableUploadDoc) : null;
+  }
+
+  async findExpired(now, limit, stagedOn) {
+    const resumableUploadDocs = await this.ResumableUploadModel
+      // Uploads being written to are left alone until the writer is done
+      .find({
+        expiresAt: { $lte: now },
+        stagedOn: { $in: [stagedOn, null] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      })
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+    return resumableUploadDocs.map(doc => this._toEntity(doc));
+  }
+
+  async delete(id) {
+    const result = await this.ResumableUploadModel.findByIdAndDelete(id);
+    return !!result;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(resumableUploadDoc) {
+    return new ResumableUpload({
+      id: resumableUploadDoc._id.toString(),
+      uploadedBy: resumableUploadDoc.uploadedBy.toString(),
+      length: resumableUploadDoc.length,
+      offset: resumableUploadDoc.offset,
+      originalName: resumableUploadDoc.originalName,
+      mimeType: resumableUploadDoc.mimeType,
+      isPublic: resumableUploadDoc.isPublic,
+      metadata: resumableUploadDoc.metadata,
+      fileId: resumableUploadDoc.fileId ? resumableUploadDoc.fileId.toString() : null,
+      stagedOn: resumableUploadDoc.stagedOn,
+      lockedUntil: resumableUploadDoc.lockedUntil,
+      expiresAt: resumableUploadDoc.expiresAt,
+      createdAt: resumableUploadDoc.createdAt,
+      updatedAt: resumableUploadDoc.updatedAt
+    });
+  }
+}
@@ -0,0 +1,59 @@
+import { Role } from '../../domain/entities/role-entity.js';
+import { IRoleRepository } from '../../domain/repositories/interfaces/i-role-repository.js';
+
+/**
+ * Role Repository Implementation
+ * Implements the IRoleRepository interface using Mongoose
+ */
+export class RoleRepository extends IRoleRepository {
+  constructor(roleModel) {
+    super();
+    this.RoleModel = roleModel;
+  }
+
+  async create(data) {
+    const roleDoc = new this.RoleModel(data);
+    const savedDoc = await roleDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findByName(name) {
+    const roleDoc = await this.RoleModel.findOne({ name });
+    return roleDoc ? this._toEntity(roleDoc) : null;
+  }
+
+  async findAll() {
+    const roleDocs = await this.RoleModel.find().sort({ name: 1 });
+    return roleDocs.map(doc => this._toEntity(doc));
+  }
+
+  async update(name, updates, { upsert = false } = {}) {
+    const roleDoc = await this.RoleModel.findOneAndUpdate(
+      { name },
+      updates,
+      { new: true, runValidators: true, upsert }
+    );
+    return roleDoc ? this._toEntity(roleDoc) : null;
+  }
+
+  async delete(name) {
+    const result = await this.RoleModel.deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(roleDoc) {
+    return new Role({
+      id: roleDoc._id.toString(),
+      name: roleDoc.name,
+      description: roleDoc.description,
+      permissions: roleDoc.permissions,
+      requiresTwoFactor: roleDoc.requiresTwoFactor || false,
+      isSystem: roleDoc.isSystem || false,
+      createdAt: roleDoc.createdAt,
+      updatedAt: roleDoc.updatedAt
+    });
+  }
+}
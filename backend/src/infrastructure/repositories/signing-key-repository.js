@@ -0,0 +1,56 @@
+import { SigningKey } from '../../domain/entities/signing-key-entity.js';
+import { ISigningKeyRepository } from '../../domain/repositories/interfaces/i-signing-key-repository.js';
+
+/**
+ * Signing Key Repository Implementation
+ * Implements the ISigningKeyRepository interface using Mongoose
+ */
+export class SigningKeyRepository extends ISigningKeyRepository {
+  constructor(signingKeyModel) {
+    super();
+    this.SigningKeyModel = signingKeyModel;
+  }
+
+  async create(data) {
+    const signingKeyDoc = new this.SigningKeyModel(data);
+    const savedDoc = await signingKeyDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findUnexpired() {
+    const signingKeyDocs = await this.SigningKeyModel.find({
+      $or: [
+        { expiresAt: null },
+        { expiresAt: { $gt: new Date() } }
+      ]
+    })
+      .select('+privateKey')
+      .sort({ sequence: -1 });
+    return signingKeyDocs.map(doc => this._toEntity(doc));
+  }
+
+  async expireBefore(sequence, expiresAt) {
+    const result = await this.SigningKeyModel.updateMany(
+      { sequence: { $lt: sequence }, expiresAt: null },
+      { expiresAt }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(signingKeyDoc) {
+    return new SigningKey({
+      id: signingKeyDoc._id.toString(),
+      kid: signingKeyDoc.kid,
+      sequence: signingKeyDoc.sequence,
+      algorithm: signingKeyDoc.algorithm,
+      publicKey: signingKeyDoc.publicKey,
+      privateKey: signingKeyDoc.privateKey,
+      activatesAt: signingKeyDoc.activatesAt,
+      expiresAt: signingKeyDoc.expiresAt,
+      createdAt: signingKeyDoc.createdAt
+    });
+  }
+}
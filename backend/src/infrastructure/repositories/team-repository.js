@@ -0,0 +1,111 @@
+import { Team } from '../../domain/entities/team-entity.js';
+import { ITeamRepository } from '../../domain/repositories/interfaces/i-team-repository.js';
+
+/**
+ * Team Repository Implementation
+ * Implements the ITeamRepository interface using Mongoose
+ */
+export class TeamRepository extends ITeamRepository {
+  constructor(teamModel) {
+    super();
+    this.TeamModel = teamModel;
+  }
+
+  async create(data) {
+    const teamDoc = new this.TeamModel(data);
+    const savedDoc = await teamDoc.save();
+    return this._toEntity(savedDoc);
+  }
+
+  async findById(id) {
+    const teamDoc = await this.TeamModel.findById(id);
+    return teamDoc ? this._toEntity(teamDoc) : null;
+  }
+
+  async findAll() {
+    const teamDocs = await this.TeamModel.find().sort({ name: 1 });
+    return teamDocs.map(doc => this._toEntity(doc));
+  }
+
+  async findByMember(userId) {
+    const teamDocs = await this.TeamModel.find({ 'members.userId': userId }).sort({ name: 1 });
+    return teamDocs.map(doc => this._toEntity(doc));
+  }
+
+  async findMemberIdsLedBy(leadId) {
+    const teamDocs = await this.TeamModel.find({
+      members: { $elemMatch: { userId: leadId, isLead: true } }
+    });
+
+    const memberIds = teamDocs.flatMap(doc => doc.members
+      .filter(member => !member.isLead)
+      .map(member => member.userId.toString()));
+    return [...new Set(memberIds)];
+  }
+
+  async isLedBy(leadId, userId) {
+    const count = await this.TeamModel.countDocuments({
+      $and: [
+        { members: { $elemMatch: { userId: leadId, isLead: true } } },
+        { members: { $elemMatch: { userId, isLead: false } } }
+      ]
+    });
+    return count > 0;
+  }
+
+  async update(id, updates) {
+    const teamDoc = await this.TeamModel.findByIdAndUpdate(
+      id,
+      updates,
+      { new: true, runValidators: true }
+    );
+    return teamDoc ? this._toEntity(teamDoc) : null;
+  }
+
+  async setMember(id, userId, isLead) {
+    const result = await this.TeamModel.updateOne(
+      { _id: id, 'members.userId': userId },
+      { $set: { 'members.$.isLead': isLead } }
+    );
+
+    // Not a member yet; the condition keeps concurrent adds from creating duplicates
+    if (result.matchedCount === 0) {
+      await this.TeamModel.updateOne(
+        { _id: id, 'members.userId': { $ne: userId } },
+        { $push: { members: { userId, isLead } } }
+      );
+    }
+
+    return this.findById(id);
+  }
+
+  async removeMember(id, userId) {
+    const result = await this.TeamModel.updateOne(
+      { _id: id },
+      { $pull: { members: { userId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async delete(id) {
+    const result = await this.TeamModel.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Convert Mongoose document to Domain Entity
+   */
+  _toEntity(teamDoc) {
+    return new Team({
+      id: teamDoc._id.toString(),
+      name: teamDoc.name,
+      description: teamDoc.description,
+      members: teamDoc.members.map(member => ({
+        userId: member.userId.toString(),
+        isLead: member.isLead
+      })),
+      createdAt: teamDoc.createdAt,
+      updatedAt: teamDoc.updatedAt
+    });
+  }
+}
@@ -21,6 +21,25 @@ export class UserRepository extends IUserRepository {
     return userDoc ? this._toEntity(userDoc) : null;
   }
 
+  async findByIdWithSecrets(id) {
+    const userDoc = await this.UserModel.findById(id)
+      .select('+password +passwordHistory +twoFactorSecret +twoFactorRecoveryCodes +webauthnCredentials');
+    return userDoc ? this._toEntity(userDoc) : null;
+  }
+
+  async findByWebAuthnCredentialId(credentialId) {
+    const userDoc = await this.UserModel.findOne({ 'webauthnCredentials.credentialId': credentialId })
+      .select('+webauthnCredentials');
+    return userDoc ? this._toEntity(userDoc) : null;
+  }
+
+  async findByOidcIdentity(provider, subject) {
+    const userDoc = await this.UserModel.findOne({
+      oidcIdentities: { $elemMatch: { provider, subject } }
+    });
+    return userDoc ? this._toEntity(userDoc) : null;
+  }
+
   async findByEmailVerificationToken(token) {
     const userDoc = await this.UserModel.findOne({
       emailVerificationToken: token,
@@ -29,6 +48,14 @@ export class UserRepository extends IUserRepository {
     return userDoc ? this._toEntity(userDoc) : null;
   }
 
+  async findByPendingEmailToken(token) {
+    const userDoc = await this.UserModel.findOne({
+      pendingEmailToken: token,
+      pendingEmailExpires: { $gt: new Date() }
+    });
+    return userDoc ? this._toEntity(userDoc) : null;
+  }
+
   async findByPasswordResetToken(token) {
     const userDoc = await this.UserModel.findOne({
       passwordResetToken: token,
@@ -37,6 +64,15 @@ export class UserRepository extends IUserRepository {
     return userDoc ? this._toEntity(userDoc) : null;
   }
 
+  async consumePasswordResetToken(token, updates) {
+    const userDoc = await this.UserModel.findOneAndUpdate(
+      { passwordResetToken: token, passwordResetExpires: { $gt: new Date() } },
+      { ...updates, passwordResetToken: null, passwordResetExpires: null, updatedAt: new Date() },
+      { new: true }
+    );
+    return userDoc ? this._toEntity(userDoc) : null;
+  }
+
   async findUsers(options = {}) {
     const {
       page = 1,
@@ -49,6 +85,9 @@ export class UserRepository extends IUserRepository {
     const query = {};
 
     // Apply filters
+    if (filters.ids) {
+      query._id = { $in: filters.ids };
+    }
     if (filters.email) {
       query.email = { $regex: filters.email, $options: 'i' };
     }
@@ -80,21 +119,91 @@ export class UserRepository extends IUserRepository {
     };
   }
 
-  async save(userData) {
+  async save(userData, { session } = {}) {
     const userDoc = new this.UserModel(userData);
-    const savedDoc = await userDoc.save();
+    const savedDoc = await userDoc.save({ session });
     return this._toEntity(savedDoc);
   }
 
-  async update(id, updates) {
+  async update(id, updates, { session } = {}) {
     const updatedDoc = await this.UserModel.findByIdAndUpdate(
       id,
       { ...updates, updatedAt: new Date() },
-      { new: true }
+      { new: true, session }
     );
     return updatedDoc ? this._toEntity(updatedDoc) : null;
   }
 
+  async useTotpStep(id, step) {
+    // Only succeeds for a step newer than the last accepted one
+    const result = await this.UserModel.updateOne(
+      {
+        _id: id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: { $exists: false } },
+          { twoFactorLastUsedStep: null }
+        ]
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async consumeRecoveryCode(id, codeHash) {
+    const result = await this.UserModel.updateOne(
+      { _id: id, twoFactorRecoveryCodes: codeHash },
+      { $pull: { twoFactorRecoveryCodes: codeHash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async addWebAuthnCredential(id, credential) {
+    const result = await this.UserModel.updateOne(
+      { _id: id },
+      { $push: { webauthnCredentials: credential } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async updateWebAuthnCredentialUsage(id, credentialId, counter) {
+    const result = await this.UserModel.updateOne(
+      { _id: id, 'webauthnCredentials.credentialId': credentialId },
+      {
+        $set: {
+          'webauthnCredentials.$.counter': counter,
+          'webauthnCredentials.$.lastUsedAt': new Date()
+        }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async removeWebAuthnCredential(id, credentialId) {
+    const result = await this.UserModel.updateOne(
+      { _id: id },
+      { $pull: { webauthnCredentials: { credentialId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async linkOidcIdentity(id, identity) {
+    // One account per provider and user
+    const result = await this.UserModel.updateOne(
+      { _id: id, 'oidcIdentities.provider': { $ne: identity.provider } },
+      { $push: { oidcIdentities: { ...identity, linkedAt: new Date() } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async unlinkOidcIdentity(id, provider) {
+    const result = await this.UserModel.updateOne(
+      { _id: id },
+      { $pull: { oidcIdentities: { provider } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
   async delete(id) {
     const result = await this.UserModel.findByIdAndDelete(id);
     return !!result;
@@ -109,6 +218,10 @@ export class UserRepository extends IUserRepository {
     return count > 0;
   }
 
+  async countByRole(role) {
+    return this.UserModel.countDocuments({ role });
+  }
+
   async getUserStats() {
     const [
       totalUsers,
@@ -169,8 +282,35 @@ export class UserRepository extends IUserRepository {
       isEmailVerified: userDoc.emailVerified || false,
       emailVerificationToken: userDoc.emailVerificationToken,
       emailVerificationExpires: userDoc.emailVerificationExpires,
+      pendingEmail: userDoc.pendingEmail || null,
+      pendingEmailToken: userDoc.pendingEmailToken,
+      pendingEmailExpires: userDoc.pendingEmailExpires,
       passwordResetToken: userDoc.passwordResetToken,
       passwordResetExpires: userDoc.passwordResetExpires,
+      passwordChangedAt: userDoc.passwordChangedAt,
+      passwordHistory: userDoc.passwordHistory || [],
+      twoFactorEnabled: userDoc.twoFactorEnabled || false,
+      twoFactorSecret: userDoc.twoFactorSecret,
+      twoFactorRecoveryCodes: userDoc.twoFactorRecoveryCodes || [],
+      webauthnCredentials: (userDoc.webauthnCredentials || []).map(credential => ({
+        id: credential._id.toString(),
+        credentialId: credential.credentialId,
+        publicKey: credential.publicKey,
+        counter: credential.counter,
+        transports: credential.transports || [],
+        deviceType: credential.deviceType,
+        backedUp: credential.backedUp,
+        name: credential.name,
+        createdAt: credential.createdAt,
+        lastUsedAt: credential.lastUsedAt
+      })),
+      oidcIdentities: (userDoc.oidcIdentities || []).map(identity => ({
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email,
+        linkedAt: identity.linkedAt
+      })),
+      avatar: userDoc.avatar || null,
       isActive: userDoc.isActive !== false, // Default to true
       createdAt: userDoc.createdAt,
       updatedAt: userDoc.updatedAt
@@ -0,0 +1,103 @@
+import express from 'express';
+import { ApiKeyController } from '../controllers/api-key-controller.js';
+import { validateRequest } from '../middleware/validation-middleware.js';
+import { apiKeySchemas } from '../middleware/validation-schemas.js';
+import { authenticate, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * API Key Routes
+ * Defines routes for managing personal API keys
+ */
+export function createApiKeyRoutes(apiKeyController) {
+  const router = express.Router();
+
+  // All routes require a signed-in user; API keys and impersonation tokens cannot manage API keys
+  router.use(authenticate, denyImpersonation);
+
+  /**
+   * @swagger
+   * /auth/api-keys:
+   *   get:
+   *     summary: List API keys of the current user
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: API keys retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/',
+    apiKeyController.getApiKeys.bind(apiKeyController)
+  );
+
+  /**
+   * @swagger
+   * /auth/api-keys:
+   *   post:
+   *     summary: Create an API key
+   *     description: The key is only returned in this response. Use it as "Authorization: ApiKey <key>" or "X-API-Key: <key>".
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - scopes
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 maxLength: 100
+   *               scopes:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   enum: [users, files]
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *     responses:
+   *       201:
+   *         description: API key created
+   *       400:
+   *         description: Validation error or key limit reached
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/',
+    validateRequest(apiKeySchemas.create),
+    apiKeyController.createApiKey.bind(apiKeyController)
+  );
+
+  /**
+   * @swagger
+   * /auth/api-keys/{id}:
+   *   delete:
+   *     summary: Revoke an API key
+   *     tags: [API Keys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: API key revoked successfully
+   *       404:
+   *         description: API key not found
+   */
+  router.delete('/:id',
+    apiKeyController.revokeApiKey.bind(apiKeyController)
+  );
+
+  return router;
+}
@@ -0,0 +1,114 @@
+import express from 'express';
+import { AuditLogController } from '../controllers/audit-log-controller.js';
+import { validateQuery } from '../middleware/validation-middleware.js';
+import { auditLogSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, authorize, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * Audit Log Routes
+ * Defines routes for reading and verifying the audit log
+ */
+export function createAuditLogRoutes(auditLogController) {
+  const router = express.Router();
+
+  // All routes require the audit:read permission and cannot be used while impersonating
+  router.use(authenticate, denyImpersonation, authorize('audit:read'));
+
+  /**
+   * @swagger
+   * /audit-logs:
+   *   get:
+   *     summary: List audit log entries, newest first, or export them as CSV
+   *     tags: [Audit Log]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *         description: Event type, e.g. UserRoleChanged
+   *       - in: query
+   *         name: actorId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: targetType
+   *         schema:
+   *           type: string
+   *           enum: [user, file, role, team]
+   *       - in: query
+   *         name: targetId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: correlationId
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv]
+   *           default: json
+   *         description: csv downloads every matching entry, oldest first, ignoring pagination
+   *     responses:
+   *       200:
+   *         description: Audit log entries retrieved successfully
+   *       400:
+   *         description: Invalid filters
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires audit:read permission
+   */
+  router.get('/',
+    validateQuery(auditLogSchemas.getAuditLogs),
+    auditLogController.getAuditLogs.bind(auditLogController)
+  );
+
+  /**
+   * @swagger
+   * /audit-logs/verify:
+   *   get:
+   *     summary: Check the hash chain of the audit log for changed or removed entries
+   *     tags: [Audit Log]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Verification result
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires audit:read permission
+   */
+  router.get('/verify',
+    auditLogController.verifyAuditLog.bind(auditLogController)
+  );
+
+  return router;
+}
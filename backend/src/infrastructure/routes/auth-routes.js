@@ -2,7 +2,8 @@ import express from 'express';
 import { AuthController } from '../controllers/auth-controller.js';
 import { validateRequest } from '../middleware/validation-middleware.js';
 import { authSchemas } from '../middleware/validation-schemas.js';
-import { optionalAuth, authenticate } from '../middleware/auth-middleware.js';
+import { optionalAuth, authenticate, denyImpersonation } from '../middleware/auth-middleware.js';
+import { createRateLimit } from '../../../middleware/security.js';
 
 /**
  * Auth Routes
@@ -11,6 +12,13 @@ import { optionalAuth, authenticate } from '../middleware/auth-middleware.js';
 export function createAuthRoutes(authController) {
   const router = express.Router();
 
+  // Stricter per-IP limit for endpoints that send emails
+  const emailLimiter = createRateLimit(
+    15 * 60 * 1000, // 15 minutes
+    5, // max 5 requests per window
+    'Too many email requests from this IP, please try again later.'
+  );
+
   /**
    * @swagger
    * /auth/register:
@@ -86,6 +94,103 @@ export function createAuthRoutes(authController) {
     authController.login.bind(authController)
   );
 
+  /**
+   * @swagger
+   * /auth/magic-link:
+   *   post:
+   *     summary: Request a magic sign-in link
+   *     description: Emails a single-use sign-in link. The returned nonce must be kept by the browser and sent back with the link token.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Link sent if the account exists
+   *       400:
+   *         description: Validation error
+   *       429:
+   *         description: Too many requests
+   */
+  router.post('/magic-link',
+    emailLimiter,
+    validateRequest(authSchemas.requestMagicLink),
+    authController.requestMagicLink.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/magic-link/verify:
+   *   post:
+   *     summary: Sign in with a magic link
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - nonce
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: Token from the emailed link
+   *               nonce:
+   *                 type: string
+   *                 description: Nonce returned when the link was requested
+   *     responses:
+   *       200:
+   *         description: Login successful or second factor required
+   *       401:
+   *         description: Invalid, expired or already used link
+   *       429:
+   *         description: Account or IP is locked out after failed logins
+   */
+  router.post('/magic-link/verify',
+    validateRequest(authSchemas.magicLinkLogin),
+    authController.magicLinkLogin.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new token pair
+   *     description: Refresh tokens are single use. Presenting an already rotated token revokes its whole token family.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - refreshToken
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Token refreshed successfully
+   *       401:
+   *         description: Invalid, expired, revoked or reused refresh token
+   */
+  router.post('/refresh',
+    validateRequest(authSchemas.refreshToken),
+    authController.refresh.bind(authController)
+  );
+
   /**
    * @swagger
    * /auth/verify-email:
@@ -114,6 +219,250 @@ export function createAuthRoutes(authController) {
     authController.verifyEmail.bind(authController)
   );
 
+  /**
+   * @swagger
+   * /auth/resend-verification:
+   *   post:
+   *     summary: Resend the email verification link
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Verification email sent if the account exists and is unverified
+   *       400:
+   *         description: Validation error
+   *       429:
+   *         description: Too many requests
+   */
+  router.post('/resend-verification',
+    emailLimiter,
+    validateRequest(authSchemas.resendVerification),
+    authController.resendVerification.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/change-email:
+   *   post:
+   *     summary: Request an email address change
+   *     description: The current address stays active until the new address is confirmed
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - newEmail
+   *               - password
+   *             properties:
+   *               newEmail:
+   *                 type: string
+   *                 format: email
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Confirmation email sent to the new address
+   *       400:
+   *         description: Invalid password or email already registered
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/change-email',
+    authenticate,
+    denyImpersonation,
+    emailLimiter,
+    validateRequest(authSchemas.changeEmail),
+    authController.changeEmail.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/change-email/confirm:
+   *   post:
+   *     summary: Confirm a new email address
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Email address changed
+   *       400:
+   *         description: Invalid or expired token
+   */
+  router.post('/change-email/confirm',
+    validateRequest(authSchemas.confirmEmailChange),
+    authController.confirmEmailChange.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/forgot-password:
+   *   post:
+   *     summary: Request a password reset email
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Reset email sent if the account exists
+   *       400:
+   *         description: Validation error
+   *       429:
+   *         description: Too many requests
+   */
+  router.post('/forgot-password',
+    emailLimiter,
+    validateRequest(authSchemas.forgotPassword),
+    authController.forgotPassword.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/reset-password:
+   *   post:
+   *     summary: Reset password using a reset token
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password reset successfully
+   *       400:
+   *         description: Invalid or expired token
+   */
+  router.post('/reset-password',
+    validateRequest(authSchemas.resetPassword),
+    authController.resetPassword.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/change-password:
+   *   post:
+   *     summary: Change the password of the current user
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - currentPassword
+   *               - newPassword
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password changed, new tokens issued
+   *       400:
+   *         description: Wrong current password or password rejected by the policy
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/change-password',
+    authenticate,
+    denyImpersonation,
+    validateRequest(authSchemas.changePassword),
+    authController.changePassword.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/change-expired-password:
+   *   post:
+   *     summary: Replace an expired password and finish signing in
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - passwordChangeToken
+   *               - newPassword
+   *             properties:
+   *               passwordChangeToken:
+   *                 type: string
+   *                 description: Token returned by login with the password_change_required challenge
+   *               newPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password changed and login completed (or a two-factor challenge)
+   *       400:
+   *         description: Invalid token or password rejected by the policy
+   */
+  router.post('/change-expired-password',
+    validateRequest(authSchemas.changeExpiredPassword),
+    authController.changeExpiredPassword.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/password-policy:
+   *   get:
+   *     summary: Get the rules new passwords have to meet
+   *     tags: [Authentication]
+   *     responses:
+   *       200:
+   *         description: Password policy retrieved successfully
+   */
+  router.get('/password-policy', authController.getPasswordPolicy.bind(authController));
+
   /**
    * @swagger
    * /auth/status:
@@ -156,5 +505,193 @@ export function createAuthRoutes(authController) {
    */
   router.post('/logout', authenticate, authController.logout.bind(authController));
 
+  /**
+   * @swagger
+   * /auth/logout-all:
+   *   post:
+   *     summary: Logout from all devices
+   *     description: Revokes every access token and refresh token issued to the current user
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Logged out from all devices
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/logout-all', authenticate, authController.logoutAll.bind(authController));
+
+  /**
+   * @swagger
+   * /auth/sessions:
+   *   get:
+   *     summary: List active sessions (devices) of the current user
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/sessions', authenticate, authController.getSessions.bind(authController));
+
+  /**
+   * @swagger
+   * /auth/sessions/{id}:
+   *   delete:
+   *     summary: Revoke a session of the current user
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Session revoked successfully
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Session not found
+   */
+  router.delete('/sessions/:id', authenticate, authController.revokeSession.bind(authController));
+
+  /**
+   * @swagger
+   * /auth/2fa/verify:
+   *   post:
+   *     summary: Complete a login that requires a second factor
+   *     description: Accepts a 6-digit authenticator code or a one-time recovery code.
+   *     tags: [Authentication]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - mfaToken
+   *               - code
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Login successful
+   *       401:
+   *         description: Invalid or expired challenge, or invalid code
+   *       429:
+   *         description: Too many wrong codes; the account or IP is locked out (see Retry-After)
+   */
+  router.post('/2fa/verify',
+    validateRequest(authSchemas.verifyTwoFactor),
+    authController.verifyTwoFactor.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/2fa/setup:
+   *   post:
+   *     summary: Start two-factor enrollment
+   *     description: Returns a new TOTP secret and otpauth URI. Requires a bearer token, or the mfaToken returned by login when the user's role requires 2FA.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               mfaToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Secret generated
+   *       400:
+   *         description: Two-factor authentication already enabled
+   */
+  router.post('/2fa/setup',
+    optionalAuth,
+    denyImpersonation,
+    validateRequest(authSchemas.setupTwoFactor),
+    authController.setupTwoFactor.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/2fa/enable:
+   *   post:
+   *     summary: Confirm two-factor enrollment with a first code
+   *     description: Returns one-time recovery codes. When enrolling with an mfaToken the login is completed and tokens are returned.
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *               mfaToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication enabled
+   *       400:
+   *         description: Invalid code
+   */
+  router.post('/2fa/enable',
+    optionalAuth,
+    denyImpersonation,
+    validateRequest(authSchemas.enableTwoFactor),
+    authController.enableTwoFactor.bind(authController)
+  );
+
+  /**
+   * @swagger
+   * /auth/2fa/disable:
+   *   post:
+   *     summary: Disable two-factor authentication
+   *     tags: [Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *             properties:
+   *               password:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication disabled
+   *       400:
+   *         description: Invalid password, or 2FA is required for the user's role
+   */
+  router.post('/2fa/disable',
+    authenticate,
+    denyImpersonation,
+    validateRequest(authSchemas.disableTwoFactor),
+    authController.disableTwoFactor.bind(authController)
+  );
+
   return router;
 }
@@ -1,9 +1,10 @@
 import express from 'express';
 import multer from 'multer';
 import { FileController } from '../controllers/file-controller.js';
-import { validateRequest, validateQuery } from '../middleware/validation-middleware.js';
+import { validateRequest, validateQuery, validateParams } from '../middleware/validation-middleware.js';
 import { fileSchemas } from '../middleware/validation-schemas.js';
-import { authenticate } from '../middleware/auth-middleware.js';
+import { authenticate, authorize, denyImpersonation } from '../middleware/auth-middleware.js';
+import { UPLOADABLE_MIME_TYPES } from '../../domain/entities/file-entity.js';
 
 // Configure multer for memory storage
 const upload = multer({
@@ -12,12 +13,7 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-      'application/pdf', 'text/plain'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (UPLOADABLE_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error(`File type ${file.mimetype} is not allowed`), false);
@@ -32,7 +28,52 @@ const upload = multer({
 export function createFileRoutes(fileController) {
   const router = express.Router();
 
-  // All routes require authentication
+  /**
+   * @swagger
+   * /files/{id}/signed-download:
+   *   get:
+   *     summary: Download a file through a signed URL
+   *     description: Takes the place of the bearer token for links created with POST /files/{id}/signed-url. Supports the same Range and conditional headers as /files/{id}/download. Single-use links are used up by the first GET; HEAD does not use them up.
+   *     tags: [Files]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: expires
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: nonce
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: signature
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: File contents
+   *       206:
+   *         description: Requested byte range of the file
+   *       304:
+   *         description: File unchanged since the given ETag or date
+   *       403:
+   *         description: Invalid, expired or already used link
+   *       404:
+   *         description: File not found
+   */
+  router.get('/:id/signed-download',
+    validateParams(fileSchemas.fileParams),
+    validateQuery(fileSchemas.signedDownload),
+    fileController.downloadSignedFile.bind(fileController)
+  );
+
+  // All other routes require authentication
   router.use(authenticate);
 
   /**
@@ -76,6 +117,7 @@ export function createFileRoutes(fileController) {
    *         description: Unauthorized
    */
   router.get('/',
+    authorize('files:read'),
     validateQuery(fileSchemas.getFiles),
     fileController.getFiles.bind(fileController)
   );
@@ -112,6 +154,7 @@ export function createFileRoutes(fileController) {
    *         description: Unauthorized
    */
   router.post('/',
+    authorize('files:upload'),
     upload.single('file'),
     validateRequest(fileSchemas.uploadFile),
     fileController.uploadFile.bind(fileController)
@@ -142,6 +185,7 @@ export function createFileRoutes(fileController) {
    *         description: File not found
    */
   router.get('/:id',
+    authorize('files:read'),
     fileController.getFile.bind(fileController)
   );
 
@@ -150,6 +194,7 @@ export function createFileRoutes(fileController) {
    * /files/{id}/download:
    *   get:
    *     summary: Download file by ID
+   *     description: Streams the file contents. Supports a single byte range and conditional requests.
    *     tags: [Files]
    *     security:
    *       - bearerAuth: []
@@ -159,20 +204,96 @@ export function createFileRoutes(fileController) {
    *         required: true
    *         schema:
    *           type: string
+   *       - in: header
+   *         name: Range
+   *         schema:
+   *           type: string
+   *           example: bytes=1048576-
+   *       - in: header
+   *         name: If-Range
+   *         schema:
+   *           type: string
+   *       - in: header
+   *         name: If-None-Match
+   *         schema:
+   *           type: string
    *     responses:
    *       200:
-   *         description: File download initiated
+   *         description: File contents
+   *         content:
+   *           application/octet-stream:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       206:
+   *         description: Requested byte range of the file
+   *       304:
+   *         description: File unchanged since the given ETag or date
    *       401:
    *         description: Unauthorized
    *       403:
    *         description: Forbidden
    *       404:
    *         description: File not found
+   *       416:
+   *         description: Range not satisfiable
    */
   router.get('/:id/download',
+    authorize('files:read'),
     fileController.downloadFile.bind(fileController)
   );
 
+  /**
+   * @swagger
+   * /files/{id}/signed-url:
+   *   post:
+   *     summary: Create a time-limited URL that downloads the file without a bearer token
+   *     description: Files in S3 storage get a presigned S3 URL; other files, and all single-use links, get a signed link to /files/{id}/signed-download.
+   *     tags: [Files]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               expiresIn:
+   *                 type: integer
+   *                 minimum: 60
+   *                 maximum: 604800
+   *                 default: 3600
+   *                 description: Lifetime in seconds
+   *               singleUse:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Stop working after the first download
+   *     responses:
+   *       201:
+   *         description: Signed URL created
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden or impersonating
+   *       404:
+   *         description: File not found
+   */
+  router.post('/:id/signed-url',
+    denyImpersonation,
+    authorize('files:read'),
+    validateParams(fileSchemas.fileParams),
+    validateRequest(fileSchemas.createSignedUrl),
+    fileController.createSignedUrl.bind(fileController)
+  );
+
   /**
    * @swagger
    * /files/{id}:
@@ -211,6 +332,7 @@ export function createFileRoutes(fileController) {
    *         description: File not found
    */
   router.put('/:id',
+    authorize('files:update'),
     validateRequest(fileSchemas.updateFile),
     fileController.updateFile.bind(fileController)
   );
@@ -240,6 +362,7 @@ export function createFileRoutes(fileController) {
    *         description: File not found
    */
   router.delete('/:id',
+    authorize('files:delete'),
     fileController.deleteFile.bind(fileController)
   );
 
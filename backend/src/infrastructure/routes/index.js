@@ -1,7 +1,17 @@
 import express from 'express';
 import { createAuthRoutes } from './auth-routes.js';
+import { createWebAuthnRoutes } from './webauthn-routes.js';
+import { createOidcRoutes } from './oidc-routes.js';
+import { createApiKeyRoutes } from './api-key-routes.js';
 import { createUserRoutes } from './user-routes.js';
 import { createFileRoutes } from './file-routes.js';
+import { createResumableUploadRoutes } from './resumable-upload-routes.js';
+import { createRoleRoutes } from './role-routes.js';
+import { createTeamRoutes } from './team-routes.js';
+import { createAuditLogRoutes } from './audit-log-routes.js';
+import { createOutboxRoutes } from './outbox-routes.js';
+import { createWellKnownRoutes } from './well-known-routes.js';
+import { apiKeyScope } from '../middleware/auth-middleware.js';
 import { container } from '../../shared/kernel/container.js';
 
 /**
@@ -14,12 +24,48 @@ const router = express.Router();
 const authController = container.getAuthController();
 router.use('/auth', createAuthRoutes(authController));
 
-// User routes
+// Passkey routes
+const webAuthnController = container.getWebAuthnController();
+router.use('/auth/webauthn', createWebAuthnRoutes(webAuthnController));
+
+// External login routes
+const oidcController = container.getOidcController();
+router.use('/auth/oidc', createOidcRoutes(oidcController));
+
+// API key routes
+const apiKeyController = container.getApiKeyController();
+router.use('/auth/api-keys', createApiKeyRoutes(apiKeyController));
+
+// User routes (reachable with API keys scoped to "users")
 const userController = container.getUserController();
-router.use('/users', createUserRoutes(userController));
+router.use('/users', apiKeyScope('users'), createUserRoutes(userController));
+
+// Role routes
+const roleController = container.getRoleController();
+router.use('/roles', createRoleRoutes(roleController));
+
+// Team routes
+const teamController = container.getTeamController();
+router.use('/teams', createTeamRoutes(teamController));
 
-// File routes
+// Audit log routes
+const auditLogController = container.getAuditLogController();
+router.use('/audit-logs', createAuditLogRoutes(auditLogController));
+
+// Outbox routes
+const outboxController = container.getOutboxController();
+router.use('/outbox', createOutboxRoutes(outboxController));
+
+// Resumable (tus) upload routes (reachable with API keys scoped to "files")
+const resumableUploadController = container.getResumableUploadController();
+router.use('/files/uploads', apiKeyScope('files'), createResumableUploadRoutes(resumableUploadController));
+
+// File routes (reachable with API keys scoped to "files")
 const fileController = container.getFileController();
-router.use('/files', createFileRoutes(fileController));
+router.use('/files', apiKeyScope('files'), createFileRoutes(fileController));
+
+// Discovery documents, mounted at /.well-known by the server
+const jwksController = container.getJwksController();
+export const wellKnownRoutes = createWellKnownRoutes(jwksController);
 
 export default router;
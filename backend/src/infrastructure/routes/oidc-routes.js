@@ -0,0 +1,131 @@
+import express from 'express';
+import { OidcController } from '../controllers/oidc-controller.js';
+import { validateRequest } from '../middleware/validation-middleware.js';
+import { oidcSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, optionalAuth, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * OIDC Routes
+ * Defines routes for OpenID Connect login and account linking
+ */
+export function createOidcRoutes(oidcController) {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /auth/oidc/providers:
+   *   get:
+   *     summary: List external login providers
+   *     description: When called with a bearer token, each provider also reports whether it is linked to the current user.
+   *     tags: [External Login]
+   *     responses:
+   *       200:
+   *         description: Providers retrieved successfully
+   */
+  router.get('/providers', optionalAuth, oidcController.getProviders.bind(oidcController));
+
+  /**
+   * @swagger
+   * /auth/oidc/callback:
+   *   post:
+   *     summary: Finish an external login or account link
+   *     description: Send the code and state the provider redirected to OIDC_REDIRECT_URI with. Finishing a link requires the bearer token of the user who started it.
+   *     tags: [External Login]
+   *     security:
+   *       - {}
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *               - state
+   *             properties:
+   *               code:
+   *                 type: string
+   *               state:
+   *                 type: string
+   *               iss:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Login successful, two-factor challenge, or provider linked
+   *       401:
+   *         description: Invalid or expired authorization request, or a link finished by another user
+   */
+  router.post('/callback',
+    optionalAuth,
+    validateRequest(oidcSchemas.callback),
+    oidcController.callback.bind(oidcController)
+  );
+
+  /**
+   * @swagger
+   * /auth/oidc/{provider}/authorize:
+   *   post:
+   *     summary: Start an external login
+   *     description: Returns the provider URL to redirect the browser to (authorization code flow with PKCE).
+   *     tags: [External Login]
+   *     parameters:
+   *       - in: path
+   *         name: provider
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Authorization URL generated
+   *       400:
+   *         description: Unknown provider
+   */
+  router.post('/:provider/authorize', oidcController.authorize.bind(oidcController));
+
+  /**
+   * @swagger
+   * /auth/oidc/{provider}/link:
+   *   post:
+   *     summary: Start linking an external login to the current user
+   *     tags: [External Login]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: provider
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Authorization URL generated
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/:provider/link', authenticate, denyImpersonation, oidcController.link.bind(oidcController));
+
+  /**
+   * @swagger
+   * /auth/oidc/{provider}:
+   *   delete:
+   *     summary: Unlink an external login from the current user
+   *     tags: [External Login]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: provider
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Provider unlinked
+   *       404:
+   *         description: Provider not linked
+   */
+  router.delete('/:provider', authenticate, denyImpersonation, oidcController.unlink.bind(oidcController));
+
+  return router;
+}
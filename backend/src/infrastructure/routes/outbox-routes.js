@@ -0,0 +1,130 @@
+import express from 'express';
+import { validateParams, validateQuery, validateRequest } from '../middleware/validation-middleware.js';
+import { outboxSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, authorize, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * Outbox Routes
+ * Defines routes for inspecting outbox messages and replaying dead ones
+ */
+export function createOutboxRoutes(outboxController) {
+  const router = express.Router();
+
+  // All routes require the outbox:manage permission and cannot be used while impersonating
+  router.use(authenticate, denyImpersonation, authorize('outbox:manage'));
+
+  /**
+   * @swagger
+   * /outbox:
+   *   get:
+   *     summary: List outbox messages (emails, events), newest first
+   *     tags: [Outbox]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, processing, delivered, dead]
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [email, event]
+   *       - in: query
+   *         name: correlationId
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Outbox messages retrieved successfully
+   *       400:
+   *         description: Invalid filters
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires outbox:manage permission
+   */
+  router.get('/',
+    validateQuery(outboxSchemas.getMessages),
+    outboxController.getMessages.bind(outboxController)
+  );
+
+  /**
+   * @swagger
+   * /outbox/replay:
+   *   post:
+   *     summary: Queue every dead message for delivery again
+   *     tags: [Outbox]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               type:
+   *                 type: string
+   *                 enum: [email, event]
+   *                 description: Only replay messages of this type
+   *     responses:
+   *       200:
+   *         description: Dead messages queued for delivery
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires outbox:manage permission
+   */
+  router.post('/replay',
+    validateRequest(outboxSchemas.replayMessages),
+    outboxController.replayDeadMessages.bind(outboxController)
+  );
+
+  /**
+   * @swagger
+   * /outbox/{id}/replay:
+   *   post:
+   *     summary: Queue a dead message for delivery again
+   *     tags: [Outbox]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Message queued for delivery
+   *       400:
+   *         description: Message is not dead, or is an email whose links have expired
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires outbox:manage permission
+   *       404:
+   *         description: Message not found
+   */
+  router.post('/:id/replay',
+    validateParams(outboxSchemas.messageParams),
+    outboxController.replayMessage.bind(outboxController)
+  );
+
+  return router;
+}
@@ -0,0 +1,194 @@
+import express from 'express';
+import { TUS_VERSION } from '../controllers/resumable-upload-controller.js';
+import { authenticate, authorize } from '../middleware/auth-middleware.js';
+import { validateParams } from '../middleware/validation-middleware.js';
+import { fileSchemas } from '../middleware/validation-schemas.js';
+
+/**
+ * Resumable Upload Routes
+ * Defines the tus 1.0 endpoints for uploading files in resumable pieces
+ */
+export function createResumableUploadRoutes(resumableUploadController) {
+  const router = express.Router();
+
+  // Clients behind proxies that only pass GET and POST send PATCH and DELETE this way
+  router.use((req, res, next) => {
+    const override = req.get('X-HTTP-Method-Override');
+    if (req.method === 'POST' && override) {
+      req.method = override.toUpperCase();
+    }
+    next();
+  });
+
+  // Every response names the protocol version; requests for other versions are refused
+  router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return res.status(412).json({
+        success: false,
+        message: `Unsupported tus version; this server supports ${TUS_VERSION}`
+      });
+    }
+    next();
+  });
+
+  /**
+   * @swagger
+   * /files/uploads:
+   *   options:
+   *     summary: Discover the supported tus version, extensions and maximum size
+   *     tags: [Files]
+   *     responses:
+   *       204:
+   *         description: Tus-Version, Tus-Extension and Tus-Max-Size headers
+   */
+  router.options('/', resumableUploadController.getOptions.bind(resumableUploadController));
+
+  router.use(authenticate, authorize('files:upload'));
+
+  /**
+   * @swagger
+   * /files/uploads:
+   *   post:
+   *     summary: Start a resumable upload (tus creation)
+   *     tags: [Files]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: header
+   *         name: Tus-Resumable
+   *         required: true
+   *         schema:
+   *           type: string
+   *           example: 1.0.0
+   *       - in: header
+   *         name: Upload-Length
+   *         required: true
+   *         description: Total size in bytes
+   *         schema:
+   *           type: integer
+   *       - in: header
+   *         name: Upload-Metadata
+   *         required: true
+   *         description: Comma separated "key base64(value)" pairs; filename and filetype are required, isPublic is optional
+   *         schema:
+   *           type: string
+   *           example: filename cmVwb3J0LnBkZg==,filetype YXBwbGljYXRpb24vcGRm
+   *     responses:
+   *       201:
+   *         description: Upload created; its URL is in the Location header
+   *       400:
+   *         description: Missing or malformed headers
+   *       412:
+   *         description: Unsupported tus version
+   *       413:
+   *         description: Upload-Length exceeds the maximum size
+   *       415:
+   *         description: File type not allowed
+   */
+  router.post('/', resumableUploadController.createUpload.bind(resumableUploadController));
+
+  /**
+   * @swagger
+   * /files/uploads/{id}:
+   *   head:
+   *     summary: Get the offset to resume a resumable upload at
+   *     tags: [Files]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Upload-Offset, Upload-Length, Upload-Metadata and Upload-Expires headers; X-File-Id once complete
+   *       404:
+   *         description: Upload not found
+   *       410:
+   *         description: Upload expired
+   */
+  router.head('/:id',
+    validateParams(fileSchemas.fileParams),
+    resumableUploadController.getUpload.bind(resumableUploadController)
+  );
+
+  /**
+   * @swagger
+   * /files/uploads/{id}:
+   *   patch:
+   *     summary: Append bytes to a resumable upload
+   *     description: The last piece stores the file and creates its record; the response then carries its ID in X-File-Id.
+   *     tags: [Files]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: header
+   *         name: Upload-Offset
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/offset+octet-stream:
+   *           schema:
+   *             type: string
+   *             format: binary
+   *     responses:
+   *       204:
+   *         description: Bytes stored; Upload-Offset holds the new offset
+   *       404:
+   *         description: Upload not found
+   *       409:
+   *         description: Upload-Offset does not match, or the upload is already complete
+   *       410:
+   *         description: Upload expired
+   *       413:
+   *         description: More bytes than Upload-Length
+   *       415:
+   *         description: Wrong Content-Type
+   *       423:
+   *         description: Another request is writing to the upload
+   */
+  router.patch('/:id',
+    validateParams(fileSchemas.fileParams),
+    resumableUploadController.appendUpload.bind(resumableUploadController)
+  );
+
+  /**
+   * @swagger
+   * /files/uploads/{id}:
+   *   delete:
+   *     summary: Cancel a resumable upload and delete its bytes (tus termination)
+   *     tags: [Files]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       204:
+   *         description: Upload terminated
+   *       404:
+   *         description: Upload not found
+   *       423:
+   *         description: Another request is writing to the upload
+   */
+  router.delete('/:id',
+    validateParams(fileSchemas.fileParams),
+    resumableUploadController.deleteUpload.bind(resumableUploadController)
+  );
+
+  return router;
+}
@@ -0,0 +1,162 @@
+import express from 'express';
+import { RoleController } from '../controllers/role-controller.js';
+import { validateRequest } from '../middleware/validation-middleware.js';
+import { roleSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, authorize, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * Role Routes
+ * Defines routes for managing roles and their permissions
+ */
+export function createRoleRoutes(roleController) {
+  const router = express.Router();
+
+  // All routes require the roles:manage permission and cannot be used while impersonating
+  router.use(authenticate, denyImpersonation, authorize('roles:manage'));
+
+  /**
+   * @swagger
+   * /roles:
+   *   get:
+   *     summary: List built-in and custom roles, and all available permissions
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Roles retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires roles:manage permission
+   */
+  router.get('/',
+    roleController.getRoles.bind(roleController)
+  );
+
+  /**
+   * @swagger
+   * /roles:
+   *   post:
+   *     summary: Create a custom role
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - permissions
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 pattern: '^[a-z][a-z0-9_-]{1,31}$'
+   *               description:
+   *                 type: string
+   *                 maxLength: 200
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               requiresTwoFactor:
+   *                 type: boolean
+   *                 description: Holders must enroll in two-factor authentication before they can sign in
+   *     responses:
+   *       201:
+   *         description: Role created
+   *       400:
+   *         description: Validation error, name taken or permissions the caller does not have
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires roles:manage permission
+   */
+  router.post('/',
+    validateRequest(roleSchemas.createRole),
+    roleController.createRole.bind(roleController)
+  );
+
+  /**
+   * @swagger
+   * /roles/{name}:
+   *   put:
+   *     summary: Update a custom role, or whether a built-in role requires two-factor authentication
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               description:
+   *                 type: string
+   *                 maxLength: 200
+   *               permissions:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               requiresTwoFactor:
+   *                 type: boolean
+   *                 description: Holders must enroll in two-factor authentication before they can sign in
+   *     responses:
+   *       200:
+   *         description: Role updated
+   *       400:
+   *         description: Validation error, description or permissions of a built-in role, or permissions the caller does not have
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires roles:manage permission
+   *       404:
+   *         description: Role not found
+   */
+  router.put('/:name',
+    validateRequest(roleSchemas.updateRole),
+    roleController.updateRole.bind(roleController)
+  );
+
+  /**
+   * @swagger
+   * /roles/{name}:
+   *   delete:
+   *     summary: Delete a custom role that is not assigned to any user
+   *     tags: [Roles]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Role deleted
+   *       400:
+   *         description: Built-in role or role still assigned to users
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires roles:manage permission
+   *       404:
+   *         description: Role not found
+   */
+  router.delete('/:name',
+    roleController.deleteRole.bind(roleController)
+  );
+
+  return router;
+}
@@ -0,0 +1,260 @@
+import express from 'express';
+import { TeamController } from '../controllers/team-controller.js';
+import { validateRequest } from '../middleware/validation-middleware.js';
+import { teamSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, authorize, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * Team Routes
+ * Defines routes for teams and team membership
+ */
+export function createTeamRoutes(teamController) {
+  const router = express.Router();
+
+  // All routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /teams:
+   *   get:
+   *     summary: List teams (all teams with teams:manage, otherwise the caller's own)
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Teams retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/',
+    teamController.getTeams.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams:
+   *   post:
+   *     summary: Create a team
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 maxLength: 100
+   *               description:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       201:
+   *         description: Team created
+   *       400:
+   *         description: Validation error or name taken
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires teams:manage permission
+   */
+  router.post('/',
+    authorize('teams:manage'),
+    denyImpersonation,
+    validateRequest(teamSchemas.createTeam),
+    teamController.createTeam.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams/{id}:
+   *   get:
+   *     summary: Get a team with its members (members of the team or teams:manage)
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Team retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not a member of the team
+   *       404:
+   *         description: Team not found
+   */
+  router.get('/:id',
+    teamController.getTeam.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams/{id}:
+   *   put:
+   *     summary: Rename a team or change its description
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 maxLength: 100
+   *               description:
+   *                 type: string
+   *                 maxLength: 500
+   *     responses:
+   *       200:
+   *         description: Team updated
+   *       400:
+   *         description: Validation error or name taken
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires teams:manage permission
+   *       404:
+   *         description: Team not found
+   */
+  router.put('/:id',
+    authorize('teams:manage'),
+    denyImpersonation,
+    validateRequest(teamSchemas.updateTeam),
+    teamController.updateTeam.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams/{id}:
+   *   delete:
+   *     summary: Delete a team and stop sharing files with it
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Team deleted
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires teams:manage permission
+   *       404:
+   *         description: Team not found
+   */
+  router.delete('/:id',
+    authorize('teams:manage'),
+    denyImpersonation,
+    teamController.deleteTeam.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams/{id}/members/{userId}:
+   *   put:
+   *     summary: Add a user to a team, or change whether they lead it
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               isLead:
+   *                 type: boolean
+   *                 default: false
+   *     responses:
+   *       200:
+   *         description: Membership saved
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires teams:manage permission
+   *       404:
+   *         description: Team or user not found
+   */
+  router.put('/:id/members/:userId',
+    authorize('teams:manage'),
+    denyImpersonation,
+    validateRequest(teamSchemas.setMember),
+    teamController.setTeamMember.bind(teamController)
+  );
+
+  /**
+   * @swagger
+   * /teams/{id}/members/{userId}:
+   *   delete:
+   *     summary: Remove a user from a team
+   *     tags: [Teams]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Member removed
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden - requires teams:manage permission
+   *       404:
+   *         description: Team member not found
+   */
+  router.delete('/:id/members/:userId',
+    authorize('teams:manage'),
+    denyImpersonation,
+    teamController.removeTeamMember.bind(teamController)
+  );
+
+  return router;
+}
@@ -2,7 +2,7 @@ import express from 'express';
 import { UserController } from '../controllers/user-controller.js';
 import { validateRequest, validateQuery } from '../middleware/validation-middleware.js';
 import { userSchemas } from '../middleware/validation-schemas.js';
-import { authenticate, requireAdmin, requireManager, authorizeSelfOrAdmin } from '../middleware/auth-middleware.js';
+import { authenticate, authorize, denyImpersonation, denyApiKey } from '../middleware/auth-middleware.js';
 
 /**
  * User Routes
@@ -44,7 +44,7 @@ export function createUserRoutes(userController) {
    *         name: role
    *         schema:
    *           type: string
-   *           enum: [admin, manager, staff]
+   *         description: Built-in role (admin, manager, staff) or custom role name
    *       - in: query
    *         name: isActive
    *         schema:
@@ -62,7 +62,7 @@ export function createUserRoutes(userController) {
    *         description: Forbidden
    */
   router.get('/',
-    requireManager,
+    authorize('users:read'),
     validateQuery(userSchemas.getUsers),
     userController.getUsers.bind(userController)
   );
@@ -81,10 +81,10 @@ export function createUserRoutes(userController) {
    *       401:
    *         description: Unauthorized
    *       403:
-   *         description: Forbidden - Admin only
+   *         description: Forbidden - requires users:stats permission
    */
   router.get('/stats',
-    requireAdmin,
+    authorize('users:stats'),
     userController.getUserStats.bind(userController)
   );
 
@@ -120,7 +120,7 @@ export function createUserRoutes(userController) {
    *                 type: string
    *               role:
    *                 type: string
-   *                 enum: [admin, manager, staff]
+   *                 description: Built-in role (admin, manager, staff) or custom role name
    *                 default: staff
    *     responses:
    *       201:
@@ -130,10 +130,10 @@ export function createUserRoutes(userController) {
    *       401:
    *         description: Unauthorized
    *       403:
-   *         description: Forbidden - Admin only
+   *         description: Forbidden - requires users:create permission
    */
   router.post('/',
-    requireAdmin,
+    authorize('users:create'),
     validateRequest(userSchemas.createUser),
     userController.createUser.bind(userController)
   );
@@ -163,7 +163,7 @@ export function createUserRoutes(userController) {
    *         description: User not found
    */
   router.get('/:id',
-    authorizeSelfOrAdmin,
+    authorize('users:read', { allowSelf: true }),
     userController.getUser.bind(userController)
   );
 
@@ -194,7 +194,7 @@ export function createUserRoutes(userController) {
    *                 type: string
    *               role:
    *                 type: string
-   *                 enum: [admin, manager, staff]
+   *                 description: Built-in role (admin, manager, staff) or custom role name
    *               isActive:
    *                 type: boolean
    *     responses:
@@ -210,7 +210,8 @@ export function createUserRoutes(userController) {
    *         description: User not found
    */
   router.put('/:id',
-    authorizeSelfOrAdmin,
+    denyImpersonation,
+    authorize('users:update', { allowSelf: true }),
     validateRequest(userSchemas.updateUser),
     userController.updateUser.bind(userController)
   );
@@ -240,9 +241,130 @@ export function createUserRoutes(userController) {
    *         description: User not found
    */
   router.delete('/:id',
-    requireManager,
+    authorize('users:delete'),
     userController.deleteUser.bind(userController)
   );
 
+  /**
+   * @swagger
+   * /users/{id}/sessions:
+   *   get:
+   *     summary: List active sessions (devices) of a user (users:sessions permission)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Sessions retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   */
+  router.get('/:id/sessions',
+    authorize('users:sessions'),
+    userController.getUserSessions.bind(userController)
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/sessions/{sessionId}:
+   *   delete:
+   *     summary: Revoke a session of a user (users:sessions permission)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Session revoked successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: Session not found
+   */
+  router.delete('/:id/sessions/:sessionId',
+    authorize('users:sessions'),
+    userController.revokeUserSession.bind(userController)
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/unlock:
+   *   post:
+   *     summary: Lift a login lockout (users:unlock permission)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Lockout cleared
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden
+   *       404:
+   *         description: User not found
+   */
+  router.post('/:id/unlock',
+    authorize('users:unlock'),
+    userController.unlockUser.bind(userController)
+  );
+
+  /**
+   * @swagger
+   * /users/{id}/impersonate:
+   *   post:
+   *     summary: Get a short-lived token to act as another user (users:impersonate permission)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Impersonation token issued
+   *       400:
+   *         description: User cannot be impersonated
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Forbidden, or called with an impersonation token or an API key
+   */
+  router.post('/:id/impersonate',
+    authorize('users:impersonate'),
+    denyImpersonation,
+    denyApiKey,
+    userController.impersonateUser.bind(userController)
+  );
+
   return router;
 }
@@ -0,0 +1,164 @@
+import express from 'express';
+import { WebAuthnController } from '../controllers/webauthn-controller.js';
+import { validateRequest } from '../middleware/validation-middleware.js';
+import { webauthnSchemas } from '../middleware/validation-schemas.js';
+import { authenticate, denyImpersonation } from '../middleware/auth-middleware.js';
+
+/**
+ * WebAuthn Routes
+ * Defines routes for passkey registration and sign-in
+ */
+export function createWebAuthnRoutes(webAuthnController) {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /auth/webauthn/register/options:
+   *   post:
+   *     summary: Start passkey registration
+   *     description: Returns options for navigator.credentials.create() and a ceremony token to send back with the result.
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Registration options generated
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/register/options',
+    authenticate,
+    denyImpersonation,
+    webAuthnController.registrationOptions.bind(webAuthnController)
+  );
+
+  /**
+   * @swagger
+   * /auth/webauthn/register/verify:
+   *   post:
+   *     summary: Finish passkey registration
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - ceremonyToken
+   *               - response
+   *             properties:
+   *               ceremonyToken:
+   *                 type: string
+   *               response:
+   *                 type: object
+   *                 description: Result of navigator.credentials.create() as JSON
+   *               name:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Passkey registered
+   *       400:
+   *         description: Verification failed
+   */
+  router.post('/register/verify',
+    authenticate,
+    denyImpersonation,
+    validateRequest(webauthnSchemas.register),
+    webAuthnController.register.bind(webAuthnController)
+  );
+
+  /**
+   * @swagger
+   * /auth/webauthn/login/options:
+   *   post:
+   *     summary: Start passwordless sign-in with a passkey
+   *     description: Returns options for navigator.credentials.get() and a ceremony token to send back with the result.
+   *     tags: [Passkeys]
+   *     responses:
+   *       200:
+   *         description: Authentication options generated
+   */
+  router.post('/login/options', webAuthnController.loginOptions.bind(webAuthnController));
+
+  /**
+   * @swagger
+   * /auth/webauthn/login/verify:
+   *   post:
+   *     summary: Finish passwordless sign-in with a passkey
+   *     tags: [Passkeys]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - ceremonyToken
+   *               - response
+   *             properties:
+   *               ceremonyToken:
+   *                 type: string
+   *               response:
+   *                 type: object
+   *                 description: Result of navigator.credentials.get() as JSON
+   *     responses:
+   *       200:
+   *         description: Login successful
+   *       401:
+   *         description: Verification failed
+   */
+  router.post('/login/verify',
+    validateRequest(webauthnSchemas.login),
+    webAuthnController.login.bind(webAuthnController)
+  );
+
+  /**
+   * @swagger
+   * /auth/webauthn/credentials:
+   *   get:
+   *     summary: List passkeys of the current user
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Passkeys retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/credentials',
+    authenticate,
+    webAuthnController.getPasskeys.bind(webAuthnController)
+  );
+
+  /**
+   * @swagger
+   * /auth/webauthn/credentials/{id}:
+   *   delete:
+   *     summary: Remove a passkey
+   *     tags: [Passkeys]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Passkey removed successfully
+   *       404:
+   *         description: Passkey not found
+   */
+  router.delete('/credentials/:id',
+    authenticate,
+    denyImpersonation,
+    webAuthnController.deletePasskey.bind(webAuthnController)
+  );
+
+  return router;
+}
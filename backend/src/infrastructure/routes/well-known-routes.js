@@ -0,0 +1,16 @@
+import express from 'express';
+import { JwksController } from '../controllers/jwks-controller.js';
+
+/**
+ * Well-Known Routes
+ * Public discovery documents served under /.well-known
+ */
+export function createWellKnownRoutes(jwksController) {
+  const router = express.Router();
+
+  // JSON Web Key Set for verifying access tokens (empty while HS256 is used).
+  // Served outside /api/v1, so it is not part of the Swagger spec.
+  router.get('/jwks.json', jwksController.getJwks.bind(jwksController));
+
+  return router;
+}
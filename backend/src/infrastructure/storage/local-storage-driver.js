@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { IStorageDriver } from '../../domain/repositories/interfaces/i-storage-driver.js';
+
+/**
+ * Local Storage Driver
+ * Stores file contents in a directory on disk
+ */
+export class LocalStorageDriver extends IStorageDriver {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.root - Directory the files are written to
+   * @param {string} options.publicPath - URL path the directory is served under, if any
+   */
+  constructor({ root, publicPath = null }) {
+    super();
+    if (!root) {
+      throw new Error('Local storage needs a root directory');
+    }
+    this.root = root;
+    this.publicPath = publicPath;
+  }
+
+  async put(filename, content) {
+    await fs.mkdir(this.root, { recursive: true });
+    const filePath = path.join(this.root, filename);
+    // Takes buffers and streams alike
+    await fs.writeFile(filePath, content);
+    return { path: filePath };
+  }
+
+  async read(file, { start, end } = {}) {
+    const stream = createReadStream(this._getPath(file), { start, end });
+
+    // Surface a missing file here rather than as a stream error halfway through a response
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', reject);
+    });
+    return stream;
+  }
+
+  async delete(file) {
+    try {
+      await fs.unlink(this._getPath(file));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async stat(file) {
+    try {
+      const stats = await fs.stat(this._getPath(file));
+      return {
+        size: stats.size,
+        contentType: null,
+        // Strong, like most web servers' size-mtime ETags, so If-Range works for resumed downloads
+        etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  getUrl(file) {
+    return this.publicPath ? `${this.publicPath}/${path.basename(this._getPath(file))}` : null;
+  }
+
+  getSignedUrl() {
+    return null;
+  }
+
+  _getPath(file) {
+    return file.path || path.join(this.root, file.filename);
+  }
+}
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { IStorageDriver } from '../../domain/repositories/interfaces/i-storage-driver.js';
+
+/**
+ * Memory Storage Driver
+ * Keeps file contents in process memory; for tests and local experiments only,
+ * as everything is lost on restart
+ */
+export class MemoryStorageDriver extends IStorageDriver {
+  constructor() {
+    super();
+    this.objects = new Map();
+  }
+
+  async put(filename, content, { contentType } = {}) {
+    const data = Buffer.isBuffer(content) ? Buffer.from(content) : Buffer.concat(await content.toArray());
+    this.objects.set(filename, {
+      content: data,
+      contentType: contentType || null,
+      etag: `"${crypto.createHash('md5').update(data).digest('hex')}"`,
+      lastModified: new Date()
+    });
+    return { key: filename };
+  }
+
+  async read(file, { start = 0, end } = {}) {
+    const object = this.objects.get(this._getKey(file));
+    if (!object) {
+      throw new Error(`File ${this._getKey(file)} not found`);
+    }
+    return Readable.from([object.content.subarray(start, end === undefined ? undefined : end + 1)]);
+  }
+
+  async delete(file) {
+    return this.objects.delete(this._getKey(file));
+  }
+
+  async stat(file) {
+    const object = this.objects.get(this._getKey(file));
+    if (!object) {
+      return null;
+    }
+
+    return {
+      size: object.content.length,
+      contentType: object.contentType,
+      etag: object.etag,
+      lastModified: object.lastModified
+    };
+  }
+
+  getUrl() {
+    return null;
+  }
+
+  getSignedUrl() {
+    return null;
+  }
+
+  _getKey(file) {
+    return file.key || file.filename;
+  }
+}
@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+// Payload hash sent when the body is not hashed up front (streams)
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Requests that take longer than this are aborted; for downloads, until the response headers arrive
+const REQUEST_TIMEOUT = 30 * 1000;
+
+// Downloads are streamed to clients and may take long in total, but are aborted when S3 sends
+// nothing for this long while the next chunk is wanted
+const READ_TIMEOUT = 30 * 1000;
+
+/**
+ * S3 Client
+ * Minimal client for S3-compatible object storage (AWS S3, MinIO, ...) that signs
+ * requests with AWS Signature Version 4
+ */
+export class S3Client {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region, e.g. us-east-1
+   * @param {string} options.accessKeyId - Access key ID
+   * @param {string} options.secretAccessKey - Secret access key
+   * @param {string} options.sessionToken - Session token of temporary credentials (STS, IAM roles)
+   * @param {string} options.endpoint - Endpoint for S3-compatible servers, e.g. http://localhost:9000
+   * @param {boolean} options.forcePathStyle - Address the bucket in the path instead of the host name
+   * @param {number} options.requestTimeout - Milliseconds until a response must have arrived
+   * @param {number} options.readTimeout - Milliseconds a download may wait for its next chunk
+   */
+  constructor({
+    bucket,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    sessionToken,
+    endpoint,
+    forcePathStyle,
+    requestTimeout = REQUEST_TIMEOUT,
+    readTimeout = READ_TIMEOUT
+  }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+    }
+
+    this.bucket = bucket;
+    this.region = region || 'us-east-1';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken || null;
+    this.requestTimeout = requestTimeout;
+    this.readTimeout = readTimeout;
+    // Custom endpoints (MinIO and the like) rarely have per-bucket host names
+    this.forcePathStyle = forcePathStyle ?? !!endpoint;
+    this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|Readable} body - Content
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {number} options.contentLength - Size in bytes; required for streams
+   * @returns {Promise<Object>} { etag }
+   */
+  async putObject(key, body, { contentType, contentLength } = {}) {
+    const headers = {
+      'content-type': contentType || 'application/octet-stream'
+    };
+    if (contentLength !== undefined) {
+      headers['content-length'] = String(contentLength);
+    }
+
+    const response = await this._request('PUT', key, { headers, body });
+    return { etag: response.headers.get('etag') };
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @param {Object} options - Options
+   * @param {Object} options.range - Byte range to read, both ends inclusive: { start, end }
+   * @returns {Promise<Readable>} Content
+   */
+  async getObject(key, { range } = {}) {
+    const headers = {};
+    if (range) {
+      headers.range = `bytes=${range.start}-${range.end ?? ''}`;
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort(new Error(`S3 GET ${key} timed out`));
+
+    const timer = setTimeout(abort, this.requestTimeout);
+    let response;
+    try {
+      response = await this._request('GET', key, { headers, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return Readable.from(readWithTimeout(response.body, this.readTimeout, abort));
+  }
+
+  /**
+   * Read an object's metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified } or null if it does not exist
+   */
+  async headObject(key) {
+    const response = await this._request('HEAD', key, { allowNotFound: true });
+    if (response.status === 404) {
+      return null;
+    }
+
+    return {
+      size: parseInt(response.headers.get('content-length')),
+      contentType: response.headers.get('content-type'),
+      etag: response.headers.get('etag'),
+      lastModified: new Date(response.headers.get('last-modified'))
+    };
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   * @param {string} key - Object key
+   */
+  async deleteObject(key) {
+    await this._request('DELETE', key);
+  }
+
+  /**
+   * Unsigned URL of an object; only usable if the bucket allows public reads
+   * @param {string} key - Object key
+   * @returns {string} URL
+   */
+  getObjectUrl(key) {
+    return this._objectUrl(key).toString();
+  }
+
+  /**
+   * Presigned GET URL of an object, usable without credentials until it expires
+   * @param {string} key - Object key
+   * @param {Object} options - Options
+   * @param {number} options.expiresIn - Lifetime in seconds, at most 7 days
+   * @param {string} options.contentType - Content-Type S3 should answer with
+   * @param {string} options.contentDisposition - Content-Disposition S3 should answer with
+   * @returns {string} URL
+   */
+  presignGetObject(key, { expiresIn, contentType, contentDisposition } = {}) {
+    const url = this._objectUrl(key);
+    const { amzDate, scope } = this._scope();
+
+    const params = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    if (this.sessionToken) {
+      params['X-Amz-Security-Token'] = this.sessionToken;
+    }
+    if (contentType) {
+      params['response-content-type'] = contentType;
+    }
+    if (contentDisposition) {
+      params['response-content-disposition'] = contentDisposition;
+    }
+    // Encoded the same way as in the canonical request, which URLSearchParams would not do
+    url.search = Object.entries(params)
+      .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+      .join('&');
+
+    const canonicalRequest = [
+      'GET',
+      url.pathname,
+      canonicalQuery(url.searchParams),
+      `host:${url.host}\n`,
+      'host',
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    url.search += `&X-Amz-Signature=${this._signature(amzDate, scope, canonicalRequest)}`;
+    return url.toString();
+  }
+
+  _objectUrl(key) {
+    const url = new URL(this.endpoint);
+    const path = key.split('/').map(encodeRfc3986).join('/');
+
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${path}`;
+    } else {
+      url.host = `${this.bucket}.${url.host}`;
+      url.pathname = `/${path}`;
+    }
+
+    return url;
+  }
+
+  async _request(method, key, { headers = {}, body, allowNotFound = false, signal = AbortSignal.timeout(this.requestTimeout) } = {}) {
+    const url = this._objectUrl(key);
+    const payloadHash = Buffer.isBuffer(body) || typeof body === 'string'
+      ? sha256(body)
+      : body ? UNSIGNED_PAYLOAD : sha256('');
+
+    const signedHeaders = this._sign(method, url, headers, payloadHash);
+
+    const response = await fetch(url, {
+      method,
+      headers: signedHeaders,
+      body,
+      // Needed by fetch to send a stream as the body
+      duplex: body && !Buffer.isBuffer(body) && typeof body !== 'string' ? 'half' : undefined,
+      signal
+    });
+
+    if (response.ok || (allowNotFound && response.status === 404)) {
+      return response;
+    }
+
+    const text = method === 'HEAD' ? '' : await response.text();
+    const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1] || response.statusText;
+    throw new Error(`S3 ${method} ${key} failed: ${response.status} ${code}`);
+  }
+
+  /**
+   * Add the AWS Signature Version 4 headers to a request
+   */
+  _sign(method, url, headers, payloadHash) {
+    const { amzDate, scope } = this._scope();
+
+    const allHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (this.sessionToken) {
+      allHeaders['x-amz-security-token'] = this.sessionToken;
+    }
+    const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+    const signedHeaderNames = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(url.searchParams),
+      headerNames.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+      signedHeaderNames,
+      payloadHash
+    ].join('\n');
+
+    const signature = this._signature(amzDate, scope, canonicalRequest);
+
+    // fetch sets the host header itself
+    const { host, ...requestHeaders } = lowerCased;
+    return {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+    };
+  }
+
+  _scope() {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, scope: `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request` };
+  }
+
+  _signature(amzDate, scope, canonicalRequest) {
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      sha256(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8)), this.region)
+    );
+    return hmac(signingKey, stringToSign).toString('hex');
+  }
+}
+
+/**
+ * Read a fetch response body, calling onTimeout when a chunk takes longer than timeout to arrive.
+ * The time is only counted while a chunk is wanted, so slow readers do not time out
+ */
+async function* readWithTimeout(body, timeout, onTimeout) {
+  const reader = body.getReader();
+  try {
+    while (true) {
+      const timer = setTimeout(onTimeout, timeout);
+      let result;
+      try {
+        result = await reader.read();
+      } finally {
+        clearTimeout(timer);
+      }
+      if (result.done) {
+        return;
+      }
+      yield Buffer.from(result.value);
+    }
+  } finally {
+    // Stops the download when the stream is destroyed before the end
+    reader.cancel().catch(() => {});
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Percent-encode as required by Signature Version 4 (encodeURIComponent leaves !'()* as is)
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
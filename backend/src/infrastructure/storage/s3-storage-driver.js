@@ -0,0 +1,65 @@
+import { IStorageDriver } from '../../domain/repositories/interfaces/i-storage-driver.js';
+
+/**
+ * S3 Storage Driver
+ * Stores file contents as objects in an S3-compatible bucket
+ */
+export class S3StorageDriver extends IStorageDriver {
+  /**
+   * @param {Object} options - Options
+   * @param {S3Client} options.client - Client bound to the bucket
+   * @param {string} options.keyPrefix - Prefix of the object keys
+   * @param {string} options.publicUrl - Public base URL of the bucket (e.g. a CDN); defaults to the endpoint
+   */
+  constructor({ client, keyPrefix = '', publicUrl = null }) {
+    super();
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.publicUrl = publicUrl;
+  }
+
+  async put(filename, content, { contentType, contentLength } = {}) {
+    const key = `${this.keyPrefix}${filename}`;
+    await this.client.putObject(key, content, { contentType, contentLength: contentLength ?? content.length });
+    return { bucket: this.client.bucket, key };
+  }
+
+  async read(file, range) {
+    return this.client.getObject(this._getKey(file), { range });
+  }
+
+  async delete(file) {
+    await this.client.deleteObject(this._getKey(file));
+    return true;
+  }
+
+  async stat(file) {
+    return this.client.headObject(this._getKey(file));
+  }
+
+  getUrl(file) {
+    const key = this._getKey(file);
+    return this.publicUrl ? `${this.publicUrl.replace(/\/$/, '')}/${key}` : this.client.getObjectUrl(key);
+  }
+
+  getSignedUrl(file, { expiresIn, contentType, filename }) {
+    return this.client.presignGetObject(this._getKey(file), {
+      expiresIn,
+      contentType,
+      contentDisposition: filename ? attachment(filename) : undefined
+    });
+  }
+
+  _getKey(file) {
+    return file.key || `${this.keyPrefix}${file.filename}`;
+  }
+}
+
+/**
+ * Content-Disposition for downloading under a name, with an ASCII fallback for old clients
+ */
+function attachment(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '?').replace(/["\\]/g, '\\$&');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
@@ -0,0 +1,64 @@
+import { config } from '../config/config.js';
+import { S3Client } from './s3-client.js';
+import { LocalStorageDriver } from './local-storage-driver.js';
+import { S3StorageDriver } from './s3-storage-driver.js';
+import { MemoryStorageDriver } from './memory-storage-driver.js';
+
+/**
+ * Create the named storage backends
+ *
+ * "local" (UPLOAD_DEST) always exists and "s3" exists when
+ * AWS_S3_BUCKET is set, so files stored under either keep resolving. STORAGE_BACKENDS
+ * adds more, or replaces these by using the same name. S3 backends fall back to the
+ * AWS_* settings for anything they leave out.
+ *
+ * @param {Object[]} definitions - Extra backends: { name, driver: 'local' | 's3' | 'memory', ...options }
+ * @returns {Map<string, IStorageDriver>} Drivers by backend name
+ */
+export function createStorageBackends(definitions = config.STORAGE_BACKENDS) {
+  const builtIn = [
+    { name: 'local', driver: 'local', root: config.UPLOAD_DEST },
+    ...(config.AWS_S3_BUCKET ? [{ name: 's3', driver: 's3' }] : [])
+  ];
+
+  const backends = new Map();
+  [...builtIn, ...definitions].forEach(definition => {
+    if (!definition.name) {
+      throw new Error('Every storage backend needs a name');
+    }
+    backends.set(definition.name, createDriver(definition));
+  });
+  return backends;
+}
+
+function createDriver({ name, driver, ...options }) {
+  switch (driver) {
+    case 'local':
+      return new LocalStorageDriver({
+        root: options.root,
+        publicPath: options.publicPath
+      });
+
+    case 's3':
+      return new S3StorageDriver({
+        client: new S3Client({
+          bucket: options.bucket || config.AWS_S3_BUCKET,
+          region: options.region || config.AWS_REGION,
+          accessKeyId: options.accessKeyId || config.AWS_ACCESS_KEY_ID,
+          secretAccessKey: options.secretAccessKey || config.AWS_SECRET_ACCESS_KEY,
+          // The default session token belongs to the default keys
+          sessionToken: options.accessKeyId ? options.sessionToken : config.AWS_SESSION_TOKEN,
+          endpoint: options.endpoint || config.AWS_S3_ENDPOINT,
+          forcePathStyle: options.forcePathStyle ?? config.AWS_S3_FORCE_PATH_STYLE
+        }),
+        keyPrefix: options.keyPrefix ?? config.AWS_S3_KEY_PREFIX,
+        publicUrl: options.publicUrl || config.AWS_S3_URL
+      });
+
+    case 'memory':
+      return new MemoryStorageDriver();
+
+    default:
+      throw new Error(`Storage backend "${name}" has an unknown driver "${driver}". Use local, s3 or memory`);
+  }
+}
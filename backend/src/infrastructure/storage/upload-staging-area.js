@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Upload Staging Area
+ * Local directory where the bytes of unfinished resumable uploads are collected, one file
+ * per upload, until they are complete and moved to file storage. Uploads record the ID of
+ * the area they were staged in, so other instances refuse them instead of writing elsewhere
+ */
+export class UploadStagingArea {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.root - Directory the staged bytes are written to
+   * @param {string} options.id - Name of this area, shared by instances that share the directory
+   */
+  constructor({ root, id }) {
+    if (!root) {
+      throw new Error('The upload staging area needs a root directory');
+    }
+    if (!id) {
+      throw new Error('The upload staging area needs an ID');
+    }
+    this.root = root;
+    this.id = id;
+  }
+
+  /**
+   * Start an empty staging file
+   * @param {string} id - Upload ID
+   */
+  async create(id) {
+    await fs.mkdir(this.root, { recursive: true });
+    await fs.writeFile(this._getPath(id), '');
+  }
+
+  /**
+   * Append a request body, keeping whatever arrived if the stream breaks off
+   * @param {string} id - Upload ID
+   * @param {Readable} stream - Bytes to append
+   * @param {number} maxBytes - Bytes that may still be appended; the stream fails beyond that
+   * @returns {Promise<Object>} { size } of the staging file afterwards, and { error } if the stream failed
+   */
+  async append(id, stream, maxBytes) {
+    let received = 0;
+    let error = null;
+
+    try {
+      await pipeline(
+        stream,
+        async function* (source) {
+          for await (const chunk of source) {
+            const remaining = maxBytes - received;
+            received += chunk.length;
+            if (chunk.length > remaining) {
+              yield chunk.subarray(0, remaining);
+              throw new Error('Upload exceeds its declared length');
+            }
+            yield chunk;
+          }
+        },
+        createWriteStream(this._getPath(id), { flags: 'a' })
+      );
+    } catch (streamError) {
+      error = streamError;
+    }
+
+    // The file itself is the record of what was written, also after a broken stream
+    return { size: await this.size(id), error };
+  }
+
+  /**
+   * Size of a staging file
+   * @param {string} id - Upload ID
+   * @returns {Promise<number>} Bytes staged
+   */
+  async size(id) {
+    const stats = await fs.stat(this._getPath(id));
+    return stats.size;
+  }
+
+  /**
+   * Cut a staging file back to the bytes that were recorded
+   * @param {string} id - Upload ID
+   * @param {number} size - Bytes to keep
+   */
+  async truncate(id, size) {
+    await fs.truncate(this._getPath(id), size);
+  }
+
+  /**
+   * Open a stream of the staged bytes
+   * @param {string} id - Upload ID
+   * @returns {Readable} Contents
+   */
+  createReadStream(id) {
+    return createReadStream(this._getPath(id));
+  }
+
+  /**
+   * Delete a staging file
+   * @param {string} id - Upload ID
+   * @returns {Promise<boolean>} True if something was deleted
+   */
+  async remove(id) {
+    try {
+      await fs.unlink(this._getPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  _getPath(id) {
+    // IDs come from the database, but never let one point outside the directory
+    return path.join(this.root, path.basename(id));
+  }
+}
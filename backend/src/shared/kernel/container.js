@@ -1,27 +1,136 @@
 import UserModel from '../../infrastructure/models/user-model.js';
 import FileModel from '../../infrastructure/models/file-model.js';
+import ResumableUploadModel from '../../infrastructure/models/resumable-upload-model.js';
+import RefreshTokenFamilyModel from '../../infrastructure/models/refresh-token-family-model.js';
+import ApiKeyModel from '../../infrastructure/models/api-key-model.js';
+import SigningKeyModel from '../../infrastructure/models/signing-key-model.js';
+import RoleModel from '../../infrastructure/models/role-model.js';
+import TeamModel from '../../infrastructure/models/team-model.js';
+import AuditLogModel from '../../infrastructure/models/audit-log-model.js';
+import OutboxMessageModel from '../../infrastructure/models/outbox-message-model.js';
 import { UserRepository } from '../../infrastructure/repositories/user-repository.js';
 import { FileRepository } from '../../infrastructure/repositories/file-repository.js';
+import { ResumableUploadRepository } from '../../infrastructure/repositories/resumable-upload-repository.js';
+import { RefreshTokenFamilyRepository } from '../../infrastructure/repositories/refresh-token-family-repository.js';
+import { ApiKeyRepository } from '../../infrastructure/repositories/api-key-repository.js';
+import { SigningKeyRepository } from '../../infrastructure/repositories/signing-key-repository.js';
+import { RoleRepository } from '../../infrastructure/repositories/role-repository.js';
+import { TeamRepository } from '../../infrastructure/repositories/team-repository.js';
+import { AuditLogRepository } from '../../infrastructure/repositories/audit-log-repository.js';
+import { OutboxRepository } from '../../infrastructure/repositories/outbox-repository.js';
 import { AuthController } from '../../infrastructure/controllers/auth-controller.js';
 import { UserController } from '../../infrastructure/controllers/user-controller.js';
 import { FileController } from '../../infrastructure/controllers/file-controller.js';
+import { ResumableUploadController } from '../../infrastructure/controllers/resumable-upload-controller.js';
+import { WebAuthnController } from '../../infrastructure/controllers/webauthn-controller.js';
+import { OidcController } from '../../infrastructure/controllers/oidc-controller.js';
+import { ApiKeyController } from '../../infrastructure/controllers/api-key-controller.js';
+import { JwksController } from '../../infrastructure/controllers/jwks-controller.js';
+import { RoleController } from '../../infrastructure/controllers/role-controller.js';
+import { TeamController } from '../../infrastructure/controllers/team-controller.js';
+import { AuditLogController } from '../../infrastructure/controllers/audit-log-controller.js';
+import { OutboxController } from '../../infrastructure/controllers/outbox-controller.js';
 import { LoginUseCase } from '../../application/use-cases/auth/login-use-case.js';
 import { RegisterUseCase } from '../../application/use-cases/auth/register-use-case.js';
 import { VerifyEmailUseCase } from '../../application/use-cases/auth/verify-email-use-case.js';
+import { ForgotPasswordUseCase } from '../../application/use-cases/auth/forgot-password-use-case.js';
+import { ResetPasswordUseCase } from '../../application/use-cases/auth/reset-password-use-case.js';
+import { RefreshTokenUseCase } from '../../application/use-cases/auth/refresh-token-use-case.js';
+import { GetJwksUseCase } from '../../application/use-cases/auth/get-jwks-use-case.js';
+import { LogoutUseCase } from '../../application/use-cases/auth/logout-use-case.js';
+import { LogoutAllUseCase } from '../../application/use-cases/auth/logout-all-use-case.js';
+import { GetSessionsUseCase } from '../../application/use-cases/auth/get-sessions-use-case.js';
+import { RevokeSessionUseCase } from '../../application/use-cases/auth/revoke-session-use-case.js';
+import { SetupTwoFactorUseCase } from '../../application/use-cases/auth/setup-two-factor-use-case.js';
+import { EnableTwoFactorUseCase } from '../../application/use-cases/auth/enable-two-factor-use-case.js';
+import { DisableTwoFactorUseCase } from '../../application/use-cases/auth/disable-two-factor-use-case.js';
+import { VerifyTwoFactorUseCase } from '../../application/use-cases/auth/verify-two-factor-use-case.js';
+import { ResendVerificationUseCase } from '../../application/use-cases/auth/resend-verification-use-case.js';
+import { ChangeEmailUseCase } from '../../application/use-cases/auth/change-email-use-case.js';
+import { ConfirmEmailChangeUseCase } from '../../application/use-cases/auth/confirm-email-change-use-case.js';
+import { RequestMagicLinkUseCase } from '../../application/use-cases/auth/request-magic-link-use-case.js';
+import { MagicLinkLoginUseCase } from '../../application/use-cases/auth/magic-link-login-use-case.js';
+import { ChangePasswordUseCase } from '../../application/use-cases/auth/change-password-use-case.js';
+import { ChangeExpiredPasswordUseCase } from '../../application/use-cases/auth/change-expired-password-use-case.js';
+import { GetPasswordPolicyUseCase } from '../../application/use-cases/auth/get-password-policy-use-case.js';
+import { WebAuthnRegistrationOptionsUseCase } from '../../application/use-cases/auth/webauthn-registration-options-use-case.js';
+import { WebAuthnRegisterUseCase } from '../../application/use-cases/auth/webauthn-register-use-case.js';
+import { WebAuthnLoginOptionsUseCase } from '../../application/use-cases/auth/webauthn-login-options-use-case.js';
+import { WebAuthnLoginUseCase } from '../../application/use-cases/auth/webauthn-login-use-case.js';
+import { GetPasskeysUseCase } from '../../application/use-cases/auth/get-passkeys-use-case.js';
+import { DeletePasskeyUseCase } from '../../application/use-cases/auth/delete-passkey-use-case.js';
+import { GetOidcProvidersUseCase } from '../../application/use-cases/auth/get-oidc-providers-use-case.js';
+import { OidcAuthorizeUseCase } from '../../application/use-cases/auth/oidc-authorize-use-case.js';
+import { OidcCallbackUseCase } from '../../application/use-cases/auth/oidc-callback-use-case.js';
+import { UnlinkOidcIdentityUseCase } from '../../application/use-cases/auth/unlink-oidc-identity-use-case.js';
+import { CreateApiKeyUseCase } from '../../application/use-cases/auth/create-api-key-use-case.js';
+import { GetApiKeysUseCase } from '../../application/use-cases/auth/get-api-keys-use-case.js';
+import { RevokeApiKeyUseCase } from '../../application/use-cases/auth/revoke-api-key-use-case.js';
 import { GetUsersUseCase } from '../../application/use-cases/users/get-users-use-case.js';
 import { CreateUserUseCase } from '../../application/use-cases/users/create-user-use-case.js';
 import { UpdateUserUseCase } from '../../application/use-cases/users/update-user-use-case.js';
 import { DeleteUserUseCase } from '../../application/use-cases/users/delete-user-use-case.js';
 import { GetUserStatsUseCase } from '../../application/use-cases/users/get-user-stats-use-case.js';
+import { UnlockUserUseCase } from '../../application/use-cases/users/unlock-user-use-case.js';
+import { ImpersonateUserUseCase } from '../../application/use-cases/users/impersonate-user-use-case.js';
+import { GetRolesUseCase } from '../../application/use-cases/roles/get-roles-use-case.js';
+import { CreateRoleUseCase } from '../../application/use-cases/roles/create-role-use-case.js';
+import { UpdateRoleUseCase } from '../../application/use-cases/roles/update-role-use-case.js';
+import { DeleteRoleUseCase } from '../../application/use-cases/roles/delete-role-use-case.js';
+import { GetTeamsUseCase } from '../../application/use-cases/teams/get-teams-use-case.js';
+import { GetTeamUseCase } from '../../application/use-cases/teams/get-team-use-case.js';
+import { CreateTeamUseCase } from '../../application/use-cases/teams/create-team-use-case.js';
+import { UpdateTeamUseCase } from '../../application/use-cases/teams/update-team-use-case.js';
+import { DeleteTeamUseCase } from '../../application/use-cases/teams/delete-team-use-case.js';
+import { SetTeamMemberUseCase } from '../../application/use-cases/teams/set-team-member-use-case.js';
+import { RemoveTeamMemberUseCase } from '../../application/use-cases/teams/remove-team-member-use-case.js';
 import { UploadFileUseCase } from '../../application/use-cases/files/upload-file-use-case.js';
 import { GetFilesUseCase } from '../../application/use-cases/files/get-files-use-case.js';
 import { GetFileUseCase } from '../../application/use-cases/files/get-file-use-case.js';
 import { UpdateFileUseCase } from '../../application/use-cases/files/update-file-use-case.js';
 import { DeleteFileUseCase } from '../../application/use-cases/files/delete-file-use-case.js';
+import { DownloadFileUseCase } from '../../application/use-cases/files/download-file-use-case.js';
+import { CreateSignedUrlUseCase } from '../../application/use-cases/files/create-signed-url-use-case.js';
+import { DownloadSignedFileUseCase } from '../../application/use-cases/files/download-signed-file-use-case.js';
+import { CreateResumableUploadUseCase } from '../../application/use-cases/files/create-resumable-upload-use-case.js';
+import { GetResumableUploadUseCase } from '../../application/use-cases/files/get-resumable-upload-use-case.js';
+import { AppendResumableUploadUseCase } from '../../application/use-cases/files/append-resumable-upload-use-case.js';
+import { DeleteResumableUploadUseCase } from '../../application/use-cases/files/delete-resumable-upload-use-case.js';
+import { GetAuditLogsUseCase } from '../../application/use-cases/audit/get-audit-logs-use-case.js';
+import { ExportAuditLogsUseCase } from '../../application/use-cases/audit/export-audit-logs-use-case.js';
+import { VerifyAuditLogUseCase } from '../../application/use-cases/audit/verify-audit-log-use-case.js';
+import { GetOutboxMessagesUseCase } from '../../application/use-cases/outbox/get-outbox-messages-use-case.js';
+import { ReplayOutboxMessagesUseCase } from '../../application/use-cases/outbox/replay-outbox-messages-use-case.js';
 import { AuthService } from '../services/auth-service.js';
 import { EmailService } from '../services/email-service.js';
 import { TokenService } from '../services/token-service.js';
 import { FileStorageService } from '../services/file-storage-service.js';
+import { FileAccessService } from '../services/file-access-service.js';
+import { SignedUrlService } from '../services/signed-url-service.js';
+import { deriveKey } from '../utils/crypto.js';
+import { ResumableUploadService } from '../services/resumable-upload-service.js';
+import { UploadStagingArea } from '../../infrastructure/storage/upload-staging-area.js';
+import { createStorageBackends } from '../../infrastructure/storage/storage-backends.js';
+import { config } from '../../infrastructure/config/config.js';
+import { RefreshTokenService } from '../services/refresh-token-service.js';
+import { TokenRevocationService } from '../services/token-revocation-service.js';
+import { TotpService } from '../services/totp-service.js';
+import { WebAuthnService } from '../services/webauthn-service.js';
+import { OidcService } from '../services/oidc-service.js';
+import { ExpiringStoreService } from '../services/expiring-store-service.js';
+import { LoginAttemptService } from '../services/login-attempt-service.js';
+import { PasswordPolicyService } from '../services/password-policy-service.js';
+import { SigningKeyService } from '../services/signing-key-service.js';
+import { PermissionService } from '../services/permission-service.js';
+import { AuditLogService } from '../services/audit-log-service.js';
+import { OutboxService } from '../services/outbox-service.js';
+import { TransactionService } from '../services/transaction-service.js';
+import { EventBus } from './event-bus.js';
+import { AuditLogSubscriber } from '../../application/subscribers/audit-log-subscriber.js';
+import { SecurityLogSubscriber } from '../../application/subscribers/security-log-subscriber.js';
+import { EmailNotificationSubscriber } from '../../application/subscribers/email-notification-subscriber.js';
+import { PermissionCacheSubscriber } from '../../application/subscribers/permission-cache-subscriber.js';
+import { FileSharingSubscriber } from '../../application/subscribers/file-sharing-subscriber.js';
 
 /**
  * Dependency Injection Container
@@ -47,6 +156,62 @@ class Container {
     return this.instances.get('fileRepository');
   }
 
+  getResumableUploadRepository() {
+    if (!this.instances.has('resumableUploadRepository')) {
+      this.instances.set('resumableUploadRepository', new ResumableUploadRepository(ResumableUploadModel));
+    }
+    return this.instances.get('resumableUploadRepository');
+  }
+
+  getRefreshTokenFamilyRepository() {
+    if (!this.instances.has('refreshTokenFamilyRepository')) {
+      this.instances.set('refreshTokenFamilyRepository', new RefreshTokenFamilyRepository(RefreshTokenFamilyModel));
+    }
+    return this.instances.get('refreshTokenFamilyRepository');
+  }
+
+  getApiKeyRepository() {
+    if (!this.instances.has('apiKeyRepository')) {
+      this.instances.set('apiKeyRepository', new ApiKeyRepository(ApiKeyModel));
+    }
+    return this.instances.get('apiKeyRepository');
+  }
+
+  getSigningKeyRepository() {
+    if (!this.instances.has('signingKeyRepository')) {
+      this.instances.set('signingKeyRepository', new SigningKeyRepository(SigningKeyModel));
+    }
+    return this.instances.get('signingKeyRepository');
+  }
+
+  getRoleRepository() {
+    if (!this.instances.has('roleRepository')) {
+      this.instances.set('roleRepository', new RoleRepository(RoleModel));
+    }
+    return this.instances.get('roleRepository');
+  }
+
+  getTeamRepository() {
+    if (!this.instances.has('teamRepository')) {
+      this.instances.set('teamRepository', new TeamRepository(TeamModel));
+    }
+    return this.instances.get('teamRepository');
+  }
+
+  getAuditLogRepository() {
+    if (!this.instances.has('auditLogRepository')) {
+      this.instances.set('auditLogRepository', new AuditLogRepository(AuditLogModel));
+    }
+    return this.instances.get('auditLogRepository');
+  }
+
+  getOutboxRepository() {
+    if (!this.instances.has('outboxRepository')) {
+      this.instances.set('outboxRepository', new OutboxRepository(OutboxMessageModel));
+    }
+    return this.instances.get('outboxRepository');
+  }
+
   getAuthService() {
     if (!this.instances.has('authService')) {
       this.instances.set('authService', new AuthService());
@@ -63,24 +228,186 @@ class Container {
 
   getTokenService() {
     if (!this.instances.has('tokenService')) {
-      this.instances.set('tokenService', new TokenService());
+      this.instances.set('tokenService', new TokenService(this.getSigningKeyService()));
     }
     return this.instances.get('tokenService');
   }
 
+  getSigningKeyService() {
+    if (!this.instances.has('signingKeyService')) {
+      this.instances.set('signingKeyService', new SigningKeyService(this.getSigningKeyRepository()));
+    }
+    return this.instances.get('signingKeyService');
+  }
+
   getFileStorageService() {
     if (!this.instances.has('fileStorageService')) {
-      this.instances.set('fileStorageService', new FileStorageService());
+      this.instances.set('fileStorageService', new FileStorageService(
+        createStorageBackends(),
+        config.UPLOAD_STORAGE
+      ));
     }
     return this.instances.get('fileStorageService');
   }
 
+  getFileAccessService() {
+    if (!this.instances.has('fileAccessService')) {
+      this.instances.set('fileAccessService', new FileAccessService(this.getTeamRepository()));
+    }
+    return this.instances.get('fileAccessService');
+  }
+
+  getRefreshTokenService() {
+    if (!this.instances.has('refreshTokenService')) {
+      this.instances.set('refreshTokenService', new RefreshTokenService(
+        this.getRefreshTokenFamilyRepository(),
+        this.getTokenService()
+      ));
+    }
+    return this.instances.get('refreshTokenService');
+  }
+
+  getTokenRevocationService() {
+    if (!this.instances.has('tokenRevocationService')) {
+      this.instances.set('tokenRevocationService', new TokenRevocationService(this.getExpiringStoreService()));
+    }
+    return this.instances.get('tokenRevocationService');
+  }
+
+  getTotpService() {
+    if (!this.instances.has('totpService')) {
+      this.instances.set('totpService', new TotpService());
+    }
+    return this.instances.get('totpService');
+  }
+
+  getWebAuthnService() {
+    if (!this.instances.has('webAuthnService')) {
+      this.instances.set('webAuthnService', new WebAuthnService());
+    }
+    return this.instances.get('webAuthnService');
+  }
+
+  getOidcService() {
+    if (!this.instances.has('oidcService')) {
+      this.instances.set('oidcService', new OidcService());
+    }
+    return this.instances.get('oidcService');
+  }
+
+  getLoginAttemptService() {
+    if (!this.instances.has('loginAttemptService')) {
+      this.instances.set('loginAttemptService', new LoginAttemptService(this.getExpiringStoreService()));
+    }
+    return this.instances.get('loginAttemptService');
+  }
+
+  getPasswordPolicyService() {
+    if (!this.instances.has('passwordPolicyService')) {
+      this.instances.set('passwordPolicyService', new PasswordPolicyService(this.getAuthService()));
+    }
+    return this.instances.get('passwordPolicyService');
+  }
+
+  getPermissionService() {
+    if (!this.instances.has('permissionService')) {
+      this.instances.set('permissionService', new PermissionService(this.getRoleRepository()));
+    }
+    return this.instances.get('permissionService');
+  }
+
+  getAuditLogService() {
+    if (!this.instances.has('auditLogService')) {
+      this.instances.set('auditLogService', new AuditLogService(this.getAuditLogRepository()));
+    }
+    return this.instances.get('auditLogService');
+  }
+
+  getEventBus() {
+    if (!this.instances.has('eventBus')) {
+      const eventBus = new EventBus();
+      // Stored before the subscribers are created, as the outbox service publishes to the bus
+      this.instances.set('eventBus', eventBus);
+      // Side effects of domain events, run after the use case has persisted its changes
+      [
+        new AuditLogSubscriber(this.getAuditLogService()),
+        new SecurityLogSubscriber(),
+        new EmailNotificationSubscriber(this.getUserRepository(), this.getOutboxService()),
+        new PermissionCacheSubscriber(this.getPermissionService()),
+        new FileSharingSubscriber(this.getFileRepository())
+      ].forEach(subscriber => subscriber.register(eventBus));
+      eventBus.useOutbox(this.getOutboxService());
+    }
+    return this.instances.get('eventBus');
+  }
+
+  getOutboxService() {
+    if (!this.instances.has('outboxService')) {
+      this.instances.set('outboxService', new OutboxService(
+        this.getOutboxRepository(),
+        this.getEmailService(),
+        this.getEventBus()
+      ));
+    }
+    return this.instances.get('outboxService');
+  }
+
+  getTransactionService() {
+    if (!this.instances.has('transactionService')) {
+      this.instances.set('transactionService', new TransactionService());
+    }
+    return this.instances.get('transactionService');
+  }
+
+  getExpiringStoreService() {
+    if (!this.instances.has('expiringStoreService')) {
+      this.instances.set('expiringStoreService', new ExpiringStoreService());
+    }
+    return this.instances.get('expiringStoreService');
+  }
+
+  getUploadStagingArea() {
+    if (!this.instances.has('uploadStagingArea')) {
+      this.instances.set('uploadStagingArea', new UploadStagingArea({
+        root: config.RESUMABLE_UPLOAD_DIR,
+        id: config.RESUMABLE_UPLOAD_STAGING_ID
+      }));
+    }
+    return this.instances.get('uploadStagingArea');
+  }
+
+  getResumableUploadService() {
+    if (!this.instances.has('resumableUploadService')) {
+      this.instances.set('resumableUploadService', new ResumableUploadService(
+        this.getResumableUploadRepository(),
+        this.getUploadStagingArea()
+      ));
+    }
+    return this.instances.get('resumableUploadService');
+  }
+
+  getSignedUrlService() {
+    if (!this.instances.has('signedUrlService')) {
+      this.instances.set('signedUrlService', new SignedUrlService(
+        // Never JWT_SECRET itself, so a link signature can never pass for a token signature
+        config.SIGNED_URL_SECRET || deriveKey(config.JWT_SECRET, 'signed-file-url'),
+        `${config.API_URL}/api/v1`
+      ));
+    }
+    return this.instances.get('signedUrlService');
+  }
+
   // Use cases
   getLoginUseCase() {
     return new LoginUseCase(
       this.getUserRepository(),
       this.getAuthService(),
-      this.getTokenService()
+      this.getRefreshTokenService(),
+      this.getTokenService(),
+      this.getLoginAttemptService(),
+      this.getEventBus(),
+      this.getPasswordPolicyService(),
+      this.getPermissionService()
     );
   }
 
@@ -88,43 +415,430 @@ class Container {
     return new RegisterUseCase(
       this.getUserRepository(),
       this.getAuthService(),
-      this.getEmailService(),
-      this.getTokenService()
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getRefreshTokenService(),
+      this.getPasswordPolicyService(),
+      this.getTransactionService()
+    );
+  }
+
+  getRefreshTokenUseCase() {
+    return new RefreshTokenUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getRefreshTokenService()
+    );
+  }
+
+  getGetJwksUseCase() {
+    return new GetJwksUseCase(this.getSigningKeyService());
+  }
+
+  getLogoutUseCase() {
+    return new LogoutUseCase(
+      this.getTokenRevocationService(),
+      this.getRefreshTokenService()
+    );
+  }
+
+  getLogoutAllUseCase() {
+    return new LogoutAllUseCase(
+      this.getTokenRevocationService(),
+      this.getRefreshTokenService(),
+      this.getTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getGetSessionsUseCase() {
+    return new GetSessionsUseCase(
+      this.getRefreshTokenFamilyRepository()
+    );
+  }
+
+  getRevokeSessionUseCase() {
+    return new RevokeSessionUseCase(
+      this.getRefreshTokenFamilyRepository(),
+      this.getTokenRevocationService(),
+      this.getTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getSetupTwoFactorUseCase() {
+    return new SetupTwoFactorUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getTotpService()
+    );
+  }
+
+  getEnableTwoFactorUseCase() {
+    return new EnableTwoFactorUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getTotpService(),
+      this.getRefreshTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getDisableTwoFactorUseCase() {
+    return new DisableTwoFactorUseCase(
+      this.getUserRepository(),
+      this.getAuthService(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  getVerifyTwoFactorUseCase() {
+    return new VerifyTwoFactorUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getTotpService(),
+      this.getRefreshTokenService(),
+      this.getLoginAttemptService(),
+      this.getEventBus()
+    );
+  }
+
+  getWebAuthnRegistrationOptionsUseCase() {
+    return new WebAuthnRegistrationOptionsUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getWebAuthnService()
+    );
+  }
+
+  getWebAuthnRegisterUseCase() {
+    return new WebAuthnRegisterUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getTokenRevocationService(),
+      this.getWebAuthnService(),
+      this.getEventBus()
+    );
+  }
+
+  getWebAuthnLoginOptionsUseCase() {
+    return new WebAuthnLoginOptionsUseCase(
+      this.getTokenService(),
+      this.getWebAuthnService()
+    );
+  }
+
+  getWebAuthnLoginUseCase() {
+    return new WebAuthnLoginUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getTokenRevocationService(),
+      this.getWebAuthnService(),
+      this.getRefreshTokenService()
+    );
+  }
+
+  getGetPasskeysUseCase() {
+    return new GetPasskeysUseCase(
+      this.getUserRepository()
+    );
+  }
+
+  getDeletePasskeyUseCase() {
+    return new DeletePasskeyUseCase(
+      this.getUserRepository(),
+      this.getEventBus()
+    );
+  }
+
+  getGetOidcProvidersUseCase() {
+    return new GetOidcProvidersUseCase(
+      this.getUserRepository(),
+      this.getOidcService()
+    );
+  }
+
+  getOidcAuthorizeUseCase() {
+    return new OidcAuthorizeUseCase(
+      this.getOidcService(),
+      this.getExpiringStoreService()
+    );
+  }
+
+  getOidcCallbackUseCase() {
+    return new OidcCallbackUseCase(
+      this.getUserRepository(),
+      this.getOidcService(),
+      this.getExpiringStoreService(),
+      this.getAuthService(),
+      this.getTokenService(),
+      this.getRefreshTokenService(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  getUnlinkOidcIdentityUseCase() {
+    return new UnlinkOidcIdentityUseCase(
+      this.getUserRepository(),
+      this.getEventBus()
+    );
+  }
+
+  getGetApiKeysUseCase() {
+    return new GetApiKeysUseCase(
+      this.getApiKeyRepository()
+    );
+  }
+
+  getCreateApiKeyUseCase() {
+    return new CreateApiKeyUseCase(
+      this.getApiKeyRepository(),
+      this.getTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getRevokeApiKeyUseCase() {
+    return new RevokeApiKeyUseCase(
+      this.getApiKeyRepository(),
+      this.getEventBus()
     );
   }
 
   getVerifyEmailUseCase() {
     return new VerifyEmailUseCase(
-      this.getUserRepository()
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getResendVerificationUseCase() {
+    return new ResendVerificationUseCase(
+      this.getUserRepository(),
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getExpiringStoreService(),
+      this.getTransactionService()
+    );
+  }
+
+  getChangeEmailUseCase() {
+    return new ChangeEmailUseCase(
+      this.getUserRepository(),
+      this.getAuthService(),
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getTransactionService()
+    );
+  }
+
+  getConfirmEmailChangeUseCase() {
+    return new ConfirmEmailChangeUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getEventBus()
+    );
+  }
+
+  getRequestMagicLinkUseCase() {
+    return new RequestMagicLinkUseCase(
+      this.getUserRepository(),
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getExpiringStoreService()
+    );
+  }
+
+  getMagicLinkLoginUseCase() {
+    return new MagicLinkLoginUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getRefreshTokenService(),
+      this.getExpiringStoreService(),
+      this.getPermissionService(),
+      this.getLoginAttemptService(),
+      this.getPasswordPolicyService()
+    );
+  }
+
+  getChangePasswordUseCase() {
+    return new ChangePasswordUseCase(
+      this.getUserRepository(),
+      this.getAuthService(),
+      this.getRefreshTokenService(),
+      this.getPasswordPolicyService(),
+      this.getEventBus()
+    );
+  }
+
+  getChangeExpiredPasswordUseCase() {
+    return new ChangeExpiredPasswordUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getRefreshTokenService(),
+      this.getPasswordPolicyService(),
+      this.getEventBus(),
+      this.getPermissionService()
+    );
+  }
+
+  getGetPasswordPolicyUseCase() {
+    return new GetPasswordPolicyUseCase(this.getPasswordPolicyService());
+  }
+
+  getForgotPasswordUseCase() {
+    return new ForgotPasswordUseCase(
+      this.getUserRepository(),
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getTransactionService()
+    );
+  }
+
+  getResetPasswordUseCase() {
+    return new ResetPasswordUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getPasswordPolicyService(),
+      this.getEventBus()
     );
   }
 
   // User use cases
   getGetUsersUseCase() {
-    return new GetUsersUseCase(this.getUserRepository());
+    return new GetUsersUseCase(
+      this.getUserRepository(),
+      this.getTeamRepository()
+    );
   }
 
   getCreateUserUseCase() {
     return new CreateUserUseCase(
       this.getUserRepository(),
       this.getAuthService(),
-      this.getEmailService(),
-      this.getTokenService()
+      this.getOutboxService(),
+      this.getTokenService(),
+      this.getPasswordPolicyService(),
+      this.getPermissionService(),
+      this.getEventBus(),
+      this.getTransactionService()
     );
   }
 
   getUpdateUserUseCase() {
-    return new UpdateUserUseCase(this.getUserRepository());
+    return new UpdateUserUseCase(
+      this.getUserRepository(),
+      this.getPermissionService(),
+      this.getTeamRepository(),
+      this.getEventBus()
+    );
   }
 
   getDeleteUserUseCase() {
-    return new DeleteUserUseCase(this.getUserRepository());
+    return new DeleteUserUseCase(
+      this.getUserRepository(),
+      this.getPermissionService(),
+      this.getTeamRepository(),
+      this.getEventBus()
+    );
   }
 
   getGetUserStatsUseCase() {
     return new GetUserStatsUseCase(this.getUserRepository());
   }
 
+  getUnlockUserUseCase() {
+    return new UnlockUserUseCase(
+      this.getUserRepository(),
+      this.getLoginAttemptService(),
+      this.getEventBus()
+    );
+  }
+
+  getImpersonateUserUseCase() {
+    return new ImpersonateUserUseCase(
+      this.getUserRepository(),
+      this.getTokenService(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  // Role use cases
+  getGetRolesUseCase() {
+    return new GetRolesUseCase(this.getPermissionService());
+  }
+
+  getCreateRoleUseCase() {
+    return new CreateRoleUseCase(
+      this.getRoleRepository(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  getUpdateRoleUseCase() {
+    return new UpdateRoleUseCase(
+      this.getRoleRepository(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  getDeleteRoleUseCase() {
+    return new DeleteRoleUseCase(
+      this.getRoleRepository(),
+      this.getUserRepository(),
+      this.getPermissionService(),
+      this.getEventBus()
+    );
+  }
+
+  // Team use cases
+  getGetTeamsUseCase() {
+    return new GetTeamsUseCase(this.getTeamRepository());
+  }
+
+  getGetTeamUseCase() {
+    return new GetTeamUseCase(
+      this.getTeamRepository(),
+      this.getUserRepository()
+    );
+  }
+
+  getCreateTeamUseCase() {
+    return new CreateTeamUseCase(this.getTeamRepository());
+  }
+
+  getUpdateTeamUseCase() {
+    return new UpdateTeamUseCase(this.getTeamRepository());
+  }
+
+  getDeleteTeamUseCase() {
+    return new DeleteTeamUseCase(
+      this.getTeamRepository(),
+      this.getEventBus()
+    );
+  }
+
+  getSetTeamMemberUseCase() {
+    return new SetTeamMemberUseCase(
+      this.getTeamRepository(),
+      this.getUserRepository(),
+      this.getEventBus()
+    );
+  }
+
+  getRemoveTeamMemberUseCase() {
+    return new RemoveTeamMemberUseCase(
+      this.getTeamRepository(),
+      this.getEventBus()
+    );
+  }
+
   // File use cases
   getUploadFileUseCase() {
     return new UploadFileUseCase(
@@ -134,40 +848,220 @@ class Container {
   }
 
   getGetFilesUseCase() {
-    return new GetFilesUseCase(this.getFileRepository());
+    return new GetFilesUseCase(
+      this.getFileRepository(),
+      this.getTeamRepository()
+    );
   }
 
   getGetFileUseCase() {
-    return new GetFileUseCase(this.getFileRepository());
+    return new GetFileUseCase(
+      this.getFileRepository(),
+      this.getFileAccessService()
+    );
   }
 
   getUpdateFileUseCase() {
-    return new UpdateFileUseCase(this.getFileRepository());
+    return new UpdateFileUseCase(
+      this.getFileRepository(),
+      this.getTeamRepository(),
+      this.getEventBus()
+    );
   }
 
   getDeleteFileUseCase() {
     return new DeleteFileUseCase(
       this.getFileRepository(),
+      this.getFileStorageService(),
+      this.getEventBus()
+    );
+  }
+
+  getDownloadFileUseCase() {
+    return new DownloadFileUseCase(
+      this.getFileRepository(),
+      this.getFileAccessService(),
       this.getFileStorageService()
     );
   }
 
+  getCreateSignedUrlUseCase() {
+    return new CreateSignedUrlUseCase(
+      this.getFileRepository(),
+      this.getFileAccessService(),
+      this.getFileStorageService(),
+      this.getSignedUrlService(),
+      this.getExpiringStoreService(),
+      this.getEventBus()
+    );
+  }
+
+  getDownloadSignedFileUseCase() {
+    return new DownloadSignedFileUseCase(
+      this.getFileRepository(),
+      this.getFileStorageService(),
+      this.getSignedUrlService(),
+      this.getExpiringStoreService()
+    );
+  }
+
+  // Resumable upload use cases
+  getCreateResumableUploadUseCase() {
+    return new CreateResumableUploadUseCase(
+      this.getResumableUploadRepository(),
+      this.getUploadStagingArea()
+    );
+  }
+
+  getGetResumableUploadUseCase() {
+    return new GetResumableUploadUseCase(this.getResumableUploadRepository());
+  }
+
+  getAppendResumableUploadUseCase() {
+    return new AppendResumableUploadUseCase(
+      this.getResumableUploadRepository(),
+      this.getUploadStagingArea(),
+      this.getUploadFileUseCase()
+    );
+  }
+
+  getDeleteResumableUploadUseCase() {
+    return new DeleteResumableUploadUseCase(
+      this.getResumableUploadRepository(),
+      this.getResumableUploadService(),
+      this.getUploadStagingArea()
+    );
+  }
+
+  // Audit log use cases
+  getGetAuditLogsUseCase() {
+    return new GetAuditLogsUseCase(this.getAuditLogRepository());
+  }
+
+  getExportAuditLogsUseCase() {
+    return new ExportAuditLogsUseCase(this.getAuditLogRepository());
+  }
+
+  getVerifyAuditLogUseCase() {
+    return new VerifyAuditLogUseCase(this.getAuditLogService());
+  }
+
+  // Outbox use cases
+  getGetOutboxMessagesUseCase() {
+    return new GetOutboxMessagesUseCase(this.getOutboxRepository());
+  }
+
+  getReplayOutboxMessagesUseCase() {
+    return new ReplayOutboxMessagesUseCase(this.getOutboxRepository());
+  }
+
   // Controllers
   getAuthController() {
     return new AuthController(
       this.getLoginUseCase(),
       this.getRegisterUseCase(),
-      this.getVerifyEmailUseCase()
+      this.getVerifyEmailUseCase(),
+      this.getForgotPasswordUseCase(),
+      this.getResetPasswordUseCase(),
+      this.getRefreshTokenUseCase(),
+      this.getLogoutUseCase(),
+      this.getLogoutAllUseCase(),
+      this.getGetSessionsUseCase(),
+      this.getRevokeSessionUseCase(),
+      this.getSetupTwoFactorUseCase(),
+      this.getEnableTwoFactorUseCase(),
+      this.getDisableTwoFactorUseCase(),
+      this.getVerifyTwoFactorUseCase(),
+      this.getResendVerificationUseCase(),
+      this.getChangeEmailUseCase(),
+      this.getConfirmEmailChangeUseCase(),
+      this.getRequestMagicLinkUseCase(),
+      this.getMagicLinkLoginUseCase(),
+      this.getChangePasswordUseCase(),
+      this.getChangeExpiredPasswordUseCase(),
+      this.getGetPasswordPolicyUseCase()
+    );
+  }
+
+  getWebAuthnController() {
+    return new WebAuthnController(
+      this.getWebAuthnRegistrationOptionsUseCase(),
+      this.getWebAuthnRegisterUseCase(),
+      this.getWebAuthnLoginOptionsUseCase(),
+      this.getWebAuthnLoginUseCase(),
+      this.getGetPasskeysUseCase(),
+      this.getDeletePasskeyUseCase()
     );
   }
 
+  getOidcController() {
+    return new OidcController(
+      this.getGetOidcProvidersUseCase(),
+      this.getOidcAuthorizeUseCase(),
+      this.getOidcCallbackUseCase(),
+      this.getUnlinkOidcIdentityUseCase()
+    );
+  }
+
+  getApiKeyController() {
+    return new ApiKeyController(
+      this.getGetApiKeysUseCase(),
+      this.getCreateApiKeyUseCase(),
+      this.getRevokeApiKeyUseCase()
+    );
+  }
+
+  getJwksController() {
+    return new JwksController(this.getGetJwksUseCase());
+  }
+
   getUserController() {
     return new UserController(
       this.getGetUsersUseCase(),
       this.getCreateUserUseCase(),
       this.getUpdateUserUseCase(),
       this.getDeleteUserUseCase(),
-      this.getGetUserStatsUseCase()
+      this.getGetUserStatsUseCase(),
+      this.getGetSessionsUseCase(),
+      this.getRevokeSessionUseCase(),
+      this.getUnlockUserUseCase(),
+      this.getImpersonateUserUseCase()
+    );
+  }
+
+  getRoleController() {
+    return new RoleController(
+      this.getGetRolesUseCase(),
+      this.getCreateRoleUseCase(),
+      this.getUpdateRoleUseCase(),
+      this.getDeleteRoleUseCase()
+    );
+  }
+
+  getTeamController() {
+    return new TeamController(
+      this.getGetTeamsUseCase(),
+      this.getGetTeamUseCase(),
+      this.getCreateTeamUseCase(),
+      this.getUpdateTeamUseCase(),
+      this.getDeleteTeamUseCase(),
+      this.getSetTeamMemberUseCase(),
+      this.getRemoveTeamMemberUseCase()
+    );
+  }
+
+  getAuditLogController() {
+    return new AuditLogController(
+      this.getGetAuditLogsUseCase(),
+      this.getExportAuditLogsUseCase(),
+      this.getVerifyAuditLogUseCase()
+    );
+  }
+
+  getOutboxController() {
+    return new OutboxController(
+      this.getGetOutboxMessagesUseCase(),
+      this.getReplayOutboxMessagesUseCase()
     );
   }
 
@@ -177,7 +1071,19 @@ class Container {
       this.getGetFilesUseCase(),
       this.getGetFileUseCase(),
       this.getUpdateFileUseCase(),
-      this.getDeleteFileUseCase()
+      this.getDeleteFileUseCase(),
+      this.getDownloadFileUseCase(),
+      this.getCreateSignedUrlUseCase(),
+      this.getDownloadSignedFileUseCase()
+    );
+  }
+
+  getResumableUploadController() {
+    return new ResumableUploadController(
+      this.getCreateResumableUploadUseCase(),
+      this.getGetResumableUploadUseCase(),
+      this.getAppendResumableUploadUseCase(),
+      this.getDeleteResumableUploadUseCase()
     );
   }
 }
@@ -0,0 +1,127 @@
+import logger from '../../infrastructure/config/logger.js';
+
+// Subscribe to this type to receive every event
+export const ALL_EVENTS = '*';
+
+// Attempts per subscriber before an event is given up on, unless the subscriber sets its own
+const DEFAULT_ATTEMPTS = 3;
+
+// Delay before the first retry; doubles on every further attempt
+const RETRY_DELAY = 100;
+
+/**
+ * Event Bus
+ * Dispatches domain events to in-process subscribers after use cases persist their changes.
+ * Every subscriber runs on its own: a failing subscriber is retried and logged, but never
+ * affects the other subscribers or the use case that published the event.
+ * Durable subscribers receive their events through the outbox instead, so an event that keeps
+ * failing ends up as a dead message an admin can replay rather than being dropped
+ */
+export class EventBus {
+  constructor() {
+    this.subscriptions = [];
+    this.outboxService = null;
+  }
+
+  /**
+   * Deliver events to durable subscribers through the outbox
+   * @param {OutboxService} outboxService - Outbox service
+   */
+  useOutbox(outboxService) {
+    this.outboxService = outboxService;
+  }
+
+  /**
+   * Register a subscriber
+   * @param {string|string[]} types - Event type(s) to receive, or ALL_EVENTS
+   * @param {Function} handler - async (event, context) => void
+   * @param {Object} options - Options
+   * @param {string} options.name - Name used in logs
+   * @param {number} options.attempts - Attempts before giving up
+   * @param {boolean} options.durable - Deliver through the outbox; the name must be unique
+   * @param {Function} options.prepare - (context) => context, reduces the context of a durable
+   * subscriber to what it needs before the context is stored
+   */
+  subscribe(types, handler, {
+    name = handler.name || 'anonymous',
+    attempts = DEFAULT_ATTEMPTS,
+    durable = false,
+    prepare = context => context
+  } = {}) {
+    this.subscriptions.push({
+      types: Array.isArray(types) ? types : [types],
+      handler,
+      name,
+      attempts,
+      durable,
+      prepare
+    });
+  }
+
+  /**
+   * Publish an event to its subscribers and wait until each has succeeded or given up
+   * @param {Object} event - Domain event ({ type, occurredAt, ... })
+   * @param {Object} context - Request details passed to subscribers (actorId, ipAddress, correlationId, ...)
+   * @returns {Promise<void>} Never rejects
+   */
+  async publish(event, context = {}) {
+    const subscriptions = this.subscriptions.filter(subscription =>
+      subscription.types.includes(event.type) || subscription.types.includes(ALL_EVENTS));
+
+    await Promise.all(subscriptions.map(subscription => subscription.durable && this.outboxService
+      ? this._enqueue(subscription, event, context)
+      : this._deliver(subscription, event, context)));
+  }
+
+  /**
+   * Run one durable subscriber for an event taken from the outbox
+   * @param {string} name - Subscriber name
+   * @param {Object} event - Domain event
+   * @param {Object} context - Request details
+   * @returns {Promise<void>} Rejects when the subscriber fails, so the outbox retries it
+   */
+  async deliverTo(name, event, context = {}) {
+    const subscription = this.subscriptions.find(candidate => candidate.durable && candidate.name === name);
+    if (!subscription) {
+      throw new Error(`Unknown event subscriber: ${name}`);
+    }
+
+    await subscription.handler(event, context);
+  }
+
+  async _enqueue(subscription, event, context) {
+    try {
+      await this.outboxService.enqueueEvent(subscription.name, event, subscription.prepare(context));
+    } catch (error) {
+      // Without the outbox the event is still delivered, just without a dead letter to fall back on
+      logger.error('Queueing event failed, delivering it directly', {
+        event: event.type,
+        subscriber: subscription.name,
+        error: error.message,
+        correlationId: context.correlationId
+      });
+      await this._deliver(subscription, event, context);
+    }
+  }
+
+  async _deliver({ handler, name, attempts }, event, context) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        await handler(event, context);
+        return;
+      } catch (error) {
+        const gaveUp = attempt === attempts;
+        logger.error(gaveUp ? 'Event subscriber failed, giving up' : 'Event subscriber failed, retrying', {
+          event: event.type,
+          subscriber: name,
+          attempt,
+          error: error.message,
+          correlationId: context.correlationId
+        });
+        if (!gaveUp) {
+          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * 2 ** (attempt - 1)));
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import { AuditLog } from '../../domain/entities/audit-log-entity.js';
+
+// "previousHash" of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Attempts to append when concurrent writers take the same sequence
+const APPEND_ATTEMPTS = 5;
+
+// Event fields that name the audited record, most specific first
+const TARGET_FIELDS = [
+  ['fileId', 'file'],
+  ['teamId', 'team'],
+  ['roleName', 'role'],
+  ['userId', 'user']
+];
+
+// Fields that change on every write and are left out of diffs
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Audit Log Service
+ * Records domain events as a hash-chained, append-only audit trail
+ */
+export class AuditLogService {
+  constructor(auditLogRepository) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  /**
+   * Record a domain event
+   * @param {Object} event - Domain event ({ type, occurredAt, userId | fileId | teamId | roleName, ... })
+   * @param {Object} context - Who did it and how
+   * @param {string} context.actorId - User who performed the action (null for anonymous flows)
+   * @param {string} context.impersonatorId - Admin behind an impersonation token
+   * @param {string} context.ipAddress - Client IP
+   * @param {string} context.userAgent - Client user agent
+   * @param {string} context.correlationId - Request correlation ID
+   * @param {Object} context.before - State before the change
+   * @param {Object} context.after - State after the change
+   * @param {string[]} context.fields - Only compare these fields of before and after
+   * @returns {Promise<AuditLog>} Stored entry
+   */
+  async record(event, context = {}) {
+    const [targetField, targetType] = TARGET_FIELDS.find(([field]) => event[field]) || [];
+    if (!targetField) {
+      throw new Error(`Event ${event.type} has no target`);
+    }
+
+    const { type, occurredAt, [targetField]: targetId, ...metadata } = event;
+    const data = {
+      action: type,
+      actorId: context.actorId || null,
+      impersonatorId: context.impersonatorId || null,
+      targetType,
+      targetId,
+      changes: this._diff(context.before, context.after, context.fields),
+      metadata: toPlain(metadata),
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent || null,
+      correlationId: context.correlationId || null,
+      occurredAt: occurredAt || new Date()
+    };
+
+    for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt++) {
+      const latest = await this.auditLogRepository.findLatest();
+      const entry = new AuditLog({
+        ...data,
+        sequence: latest ? latest.sequence + 1 : 1,
+        previousHash: latest ? latest.hash : GENESIS_HASH
+      });
+      entry.hash = this.computeHash(entry);
+
+      try {
+        return await this.auditLogRepository.append(entry);
+      } catch (error) {
+        // Another entry took this sequence; chain onto it instead
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Too many concurrent audit log writes');
+  }
+
+  /**
+   * Replace the before and after states of a context with the changes record() would store,
+   * so the context can be kept until the entry is written without holding whole records
+   * @param {Object} context - Same context as record()
+   * @returns {Object} Context that records the same entry
+   */
+  reduceContext(context = {}) {
+    const { before, after, fields, ...rest } = context;
+    const changes = this._diff(before, after, fields);
+    return changes ? { ...rest, before: changes.before, after: changes.after } : rest;
+  }
+
+  /**
+   * Compute the hash of an entry from its fields and the previous entry's hash
+   * @param {AuditLog} entry - Entry
+   * @returns {string} Hex SHA-256 hash
+   */
+  computeHash(entry) {
+    return crypto.createHash('sha256').update(canonicalJson(entry.getHashedFields())).digest('hex');
+  }
+
+  /**
+   * Walk the whole chain and check every link and hash
+   * @returns {Promise<Object>} { valid, checked, brokenAt } - brokenAt is the first bad sequence
+   */
+  async verify() {
+    let previous = null;
+    let checked = 0;
+
+    for await (const entry of this.auditLogRepository.iterate()) {
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+      const expectedPreviousHash = previous ? previous.hash : GENESIS_HASH;
+
+      if (entry.sequence !== expectedSequence ||
+          entry.previousHash !== expectedPreviousHash ||
+          entry.hash !== this.computeHash(entry)) {
+        return { valid: false, checked, brokenAt: expectedSequence };
+      }
+
+      previous = entry;
+      checked++;
+    }
+
+    return { valid: true, checked, brokenAt: null };
+  }
+
+  /**
+   * Keep only the fields that changed
+   * @returns {Object|null} { before, after } or null if nothing changed
+   */
+  _diff(before, after, fields) {
+    if (!before && !after) {
+      return null;
+    }
+
+    // Pick the compared fields first, so nothing else of the records is serialized
+    const select = state => toPlain(state && fields
+      ? Object.fromEntries(fields.map(field => [field, state[field]]))
+      : state || {});
+    const oldState = select(before);
+    const newState = select(after);
+    const changes = { before: {}, after: {} };
+
+    new Set([...Object.keys(oldState), ...Object.keys(newState)]).forEach(field => {
+      if (IGNORED_FIELDS.includes(field)) {
+        return;
+      }
+      if (JSON.stringify(oldState[field]) !== JSON.stringify(newState[field])) {
+        changes.before[field] = oldState[field] === undefined ? null : oldState[field];
+        changes.after[field] = newState[field] === undefined ? null : newState[field];
+      }
+    });
+
+    return Object.keys(changes.after).length > 0 ? changes : null;
+  }
+}
+
+/**
+ * Convert to plain JSON data (dates become ISO strings), so the stored value hashes the same
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * JSON with object keys sorted, so the hash does not depend on key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
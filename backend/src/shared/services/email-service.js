@@ -80,6 +80,106 @@ export class EmailService {
     await this.sendEmail(to, subject, template, data);
   }
 
+  /**
+   * Send a magic sign-in link
+   * @param {string} to - Recipient email
+   * @param {Object} data - Template data
+   */
+  async sendMagicLink(to, data) {
+    const subject = 'Your Sign-In Link';
+    const template = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Sign In</h2>
+        <p>Hello {{firstName}},</p>
+        <p>Click the link below to sign in. Open it in the same browser you requested it from:</p>
+        <p style="margin: 30px 0;">
+          <a href="{{magicLinkUrl}}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Sign In</a>
+        </p>
+        <p>If the button doesn't work, you can also copy and paste this link into your browser:</p>
+        <p>{{magicLinkUrl}}</p>
+        <p>This link can only be used once and will expire in {{expiresInMinutes}} minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <p>Best regards,<br>The Team</p>
+      </div>
+    `;
+
+    await this.sendEmail(to, subject, template, data);
+  }
+
+  /**
+   * Send confirmation link for a new email address
+   * @param {string} to - New email address
+   * @param {Object} data - Template data
+   */
+  async sendEmailChangeVerification(to, data) {
+    const subject = 'Confirm Your New Email Address';
+    const template = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Confirm Your New Email Address</h2>
+        <p>Hello {{firstName}},</p>
+        <p>You asked to change the email address on your account to this one. Please confirm it by clicking the link below:</p>
+        <p style="margin: 30px 0;">
+          <a href="{{confirmUrl}}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Confirm Email</a>
+        </p>
+        <p>If the button doesn't work, you can also copy and paste this link into your browser:</p>
+        <p>{{confirmUrl}}</p>
+        <p>This link will expire in 24 hours. Until then you can keep signing in with your current email address.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <p>Best regards,<br>The Team</p>
+      </div>
+    `;
+
+    await this.sendEmail(to, subject, template, data);
+  }
+
+  /**
+   * Notify the current address about an email change
+   * @param {string} to - Current (old) email address
+   * @param {Object} data - Template data
+   * @param {boolean} data.completed - Whether the change was confirmed or only requested
+   */
+  async sendEmailChangeNotice(to, data) {
+    const subject = data.completed ? 'Your Email Address Was Changed' : 'Email Change Requested';
+    const template = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>{{#if completed}}Your Email Address Was Changed{{else}}Email Change Requested{{/if}}</h2>
+        <p>Hello {{firstName}},</p>
+        {{#if completed}}
+        <p>The email address on your account has been changed to <strong>{{newEmail}}</strong>. You will no longer be able to sign in with this address.</p>
+        {{else}}
+        <p>A request was made to change the email address on your account to <strong>{{newEmail}}</strong>. The change will only take effect once the new address is confirmed.</p>
+        {{/if}}
+        <p>If you didn't make this change, please reset your password and contact support immediately.</p>
+        <p>Best regards,<br>The Team</p>
+      </div>
+    `;
+
+    await this.sendEmail(to, subject, template, data);
+  }
+
+  /**
+   * Notify a user that their account was locked after failed logins
+   * @param {string} to - Recipient email
+   * @param {Object} data - Template data
+   */
+  async sendAccountLockedNotice(to, data) {
+    const subject = 'Your Account Was Temporarily Locked';
+    const template = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Account Temporarily Locked</h2>
+        <p>Hello {{firstName}},</p>
+        <p>We noticed several failed sign-in attempts on your account, the last one from IP address {{ipAddress}}. To protect you, sign-in has been locked for {{lockedMinutes}} minute(s).</p>
+        <p>If this was you, simply wait and try again. If it wasn't, we recommend resetting your password:</p>
+        <p style="margin: 30px 0;">
+          <a href="{{resetUrl}}" style="background-color: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Reset Password</a>
+        </p>
+        <p>Best regards,<br>The Team</p>
+      </div>
+    `;
+
+    await this.sendEmail(to, subject, template, data);
+  }
+
   /**
    * Send generic email
    * @param {string} to - Recipient email
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { cache, getRedisClient } from '../../infrastructure/config/redis.js';
+
+// In-memory fallback used when Redis is not available (single instance only)
+const memoryStore = new Map();
+
+/**
+ * Expiring Store Service
+ * Short-lived key/value storage backed by Redis, with an in-memory fallback
+ */
+export class ExpiringStoreService {
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serializable value
+   * @param {number} ttl - Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    if (getRedisClient()) {
+      return cache.set(key, value, ttl);
+    }
+
+    memoryStore.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+    // Clean up expired entries periodically
+    if (Math.random() < 0.01) {
+      cleanupExpiredEntries();
+    }
+    return true;
+  }
+
+  /**
+   * Store a value only if the key is not set yet, in one step
+   * @param {string} key - Cache key
+   * @param {*} value - JSON serializable value
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} True if the value was stored
+   */
+  async setIfAbsent(key, value, ttl) {
+    const redisClient = getRedisClient();
+    if (redisClient) {
+      const result = await redisClient.set(key, JSON.stringify(value), { EX: ttl, NX: true });
+      return result === 'OK';
+    }
+
+    // No await between the check and the write, so concurrent callers cannot both win
+    const entry = memoryStore.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return false;
+    }
+    memoryStore.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async get(key) {
+    if (getRedisClient()) {
+      return cache.get(key);
+    }
+
+    const entry = memoryStore.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      memoryStore.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Read and delete a value in one step, so it can only be used once
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Stored value or null
+   */
+  async take(key) {
+    const redisClient = getRedisClient();
+    if (redisClient) {
+      const value = await redisClient.getDel(key);
+      return value ? JSON.parse(value) : null;
+    }
+
+    const value = await this.get(key);
+    memoryStore.delete(key);
+    return value;
+  }
+
+  /**
+   * Record an event in a sliding window
+   * @param {string} key - Cache key
+   * @param {number} window - Window length in seconds
+   * @returns {Promise<number>} Number of events in the window, including this one
+   */
+  async addToWindow(key, window) {
+    const now = Date.now();
+    const windowStart = now - window * 1000;
+
+    const redisClient = getRedisClient();
+    if (redisClient) {
+      // Sorted set of event timestamps; drop the ones that left the window
+      const results = await redisClient.multi()
+        .zRemRangeByScore(key, 0, windowStart)
+        .zAdd(key, { score: now, value: `${now}:${crypto.randomUUID()}` })
+        .zCard(key)
+        .expire(key, window)
+        .exec();
+      return Number(results[2]);
+    }
+
+    const entry = memoryStore.get(key);
+    const events = (entry && Array.isArray(entry.value) ? entry.value : [])
+      .filter(timestamp => timestamp > windowStart);
+    events.push(now);
+    memoryStore.set(key, { value: events, expiresAt: now + window * 1000 });
+    return events.length;
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Cache key
+   */
+  async del(key) {
+    if (getRedisClient()) {
+      return cache.del(key);
+    }
+    return memoryStore.delete(key);
+  }
+}
+
+// Remove expired in-memory entries
+const cleanupExpiredEntries = () => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore.entries()) {
+    if (entry.expiresAt <= now) {
+      memoryStore.delete(key);
+    }
+  }
+};
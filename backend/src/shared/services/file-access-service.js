@@ -0,0 +1,45 @@
+/**
+ * File Access Service
+ * Decides who may read a file: anyone for public files, its uploader,
+ * members of the teams it is shared with, and holders of files:read:any
+ */
+export class FileAccessService {
+  constructor(teamRepository) {
+    this.teamRepository = teamRepository;
+  }
+
+  /**
+   * Check if a user may read, download or link to a file
+   * @param {File} file - File entity
+   * @param {Object} user - Current user with id and permissions
+   * @returns {Promise<boolean>} True if the user may read the file
+   */
+  async canRead(file, user) {
+    return file.isPublic ||
+      file.uploadedBy === user.id ||
+      user.permissions.includes('files:read:any') ||
+      await this.isSharedWith(file, user.id);
+  }
+
+  /**
+   * Throw unless the user may read the file
+   * @param {File} file - File entity
+   * @param {Object} user - Current user with id and permissions
+   */
+  async assertCanRead(file, user) {
+    if (!(await this.canRead(file, user))) {
+      throw new Error('Access denied to this file');
+    }
+  }
+
+  /**
+   * Check if the file is shared with a team the user belongs to
+   */
+  async isSharedWith(file, userId) {
+    if (file.sharedWithTeams.length === 0) {
+      return false;
+    }
+    const teams = await this.teamRepository.findByMember(userId);
+    return teams.some(team => file.sharedWithTeams.includes(team.id));
+  }
+}
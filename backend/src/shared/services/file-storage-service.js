@@ -1,133 +1,114 @@
-import fs from 'fs';
-import path from 'path';
-import { config } from '../../infrastructure/config/config.js';
+import { Readable } from 'stream';
 
 /**
  * File Storage Service
- * Handles file storage operations (local and cloud)
+ * Single entry point for storing, inspecting and removing file contents. New uploads go to
+ * the default backend; every other operation uses the backend named in the file's
+ * "storage" field, so files stay reachable when the default changes
  */
 export class FileStorageService {
-  constructor() {
-    this.storageType = config.UPLOAD_STORAGE || 'local';
-    this.uploadDest = config.UPLOAD_DEST || './uploads';
-  }
-
   /**
-   * Upload file to storage
-   * @param {Buffer|Object} file - File buffer or file object
-   * @param {string} filename - Unique filename
-   * @returns {Promise<Object>} Upload result with path and URL
+   * @param {Map<string, IStorageDriver>} backends - Drivers by backend name
+   * @param {string} defaultBackend - Backend for new uploads
    */
-  async uploadFile(file, filename) {
-    if (this.storageType === 's3') {
-      return this._uploadToS3(file, filename);
-    } else {
-      return this._uploadToLocal(file, filename);
-    }
+  constructor(backends, defaultBackend) {
+    this.backends = backends;
+    this.defaultBackend = defaultBackend;
+
+    // Fail at startup rather than on the first upload
+    this.getDriver(defaultBackend);
   }
 
   /**
-   * Delete file from storage
-   * @param {string} filename - Filename to delete
-   * @returns {Promise<boolean>} Success status
+   * Get the driver of a backend
+   * @param {string} name - Backend name
+   * @returns {IStorageDriver} Driver
    */
-  async deleteFile(filename) {
-    if (this.storageType === 's3') {
-      return this._deleteFromS3(filename);
-    } else {
-      return this._deleteFromLocal(filename);
+  getDriver(name) {
+    const driver = this.backends.get(name);
+    if (!driver) {
+      throw new Error(`Unknown storage backend "${name}". Configured: ${[...this.backends.keys()].join(', ')}`);
     }
+    return driver;
   }
 
   /**
-   * Upload file to local storage
+   * Upload file to storage
+   * @param {Buffer|Readable|Object} file - File buffer, stream or multer file object
+   * @param {string} filename - Unique filename
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {number} options.contentLength - Size in bytes; required for streams
+   * @param {string} options.backend - Backend to store in instead of the default
+   * @returns {Promise<Object>} { storage, url } and the driver's location fields (path, or bucket and key)
    */
-  async _uploadToLocal(file, filename) {
-    // Ensure upload directory exists
-    if (!fs.existsSync(this.uploadDest)) {
-      fs.mkdirSync(this.uploadDest, { recursive: true });
-    }
+  async uploadFile(file, filename, { contentType, contentLength, backend = this.defaultBackend } = {}) {
+    // A Buffer has a .buffer too (its ArrayBuffer), so check for multer files explicitly
+    const content = Buffer.isBuffer(file) || file instanceof Readable ? file : file.buffer;
+    const driver = this.getDriver(backend);
 
-    const filePath = path.join(this.uploadDest, filename);
-
-    // Write file to disk
-    if (file.buffer) {
-      // Multer memory storage
-      fs.writeFileSync(filePath, file.buffer);
-    } else {
-      // File stream or other format
-      fs.writeFileSync(filePath, file);
-    }
+    const location = await driver.put(filename, content, { contentType, contentLength });
 
     return {
-      path: filePath,
-      url: `/uploads/${filename}`,
-      storage: 'local'
+      ...location,
+      storage: backend,
+      url: driver.getUrl({ filename, ...location })
     };
   }
 
   /**
-   * Delete file from local storage
+   * Open a stream of the file contents
+   * @param {File} file - Stored file
+   * @param {Object} range - Byte range, both ends inclusive: { start, end }; the whole file if omitted
+   * @returns {Promise<Readable>} Contents
    */
-  async _deleteFromLocal(filename) {
-    try {
-      const filePath = path.join(this.uploadDest, filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        return true;
-      }
-      return false;
-    } catch (error) {
-      console.error('Error deleting local file:', error);
-      return false;
-    }
+  async readFile(file, range) {
+    return this.getDriver(file.storage).read(file, range);
   }
 
   /**
-   * Upload file to S3 (placeholder - would need AWS SDK)
+   * Delete file from storage
+   * @param {File} file - Stored file
+   * @returns {Promise<boolean>} True if the contents were deleted
    */
-  async _uploadToS3(file, filename) {
-    // This would require aws-sdk and multer-s3
-    // For now, fall back to local storage
-    console.warn('S3 storage not implemented, falling back to local storage');
-    return this._uploadToLocal(file, filename);
+  async deleteFile(file) {
+    return this.getDriver(file.storage).delete(file);
   }
 
   /**
-   * Delete file from S3 (placeholder - would need AWS SDK)
+   * Check if file exists
+   * @param {File} file - Stored file
+   * @returns {Promise<boolean>} True if file exists
    */
-  async _deleteFromS3(filename) {
-    // This would require aws-sdk
-    // For now, return false
-    console.warn('S3 deletion not implemented');
-    return false;
+  async fileExists(file) {
+    return (await this.statFile(file)) !== null;
   }
 
   /**
-   * Get file URL
-   * @param {string} filename - Filename
-   * @returns {string} File URL
+   * Read file metadata from storage
+   * @param {File} file - Stored file
+   * @returns {Promise<Object|null>} { size, contentType, etag, lastModified } or null if it does not exist
    */
-  getFileUrl(filename) {
-    if (this.storageType === 's3') {
-      return `${config.AWS_S3_URL}/${filename}`;
-    } else {
-      return `/uploads/${filename}`;
-    }
+  async statFile(file) {
+    return this.getDriver(file.storage).stat(file);
   }
 
   /**
-   * Check if file exists
-   * @param {string} filename - Filename
-   * @returns {Promise<boolean>} True if file exists
+   * Get a time-limited URL served by the storage itself
+   * @param {File} file - Stored file
+   * @param {Object} options - { expiresIn, contentType, filename }
+   * @returns {string|null} URL, or null if the backend cannot sign URLs
    */
-  async fileExists(filename) {
-    if (this.storageType === 's3') {
-      // Would need to check S3
-      return false;
-    } else {
-      const filePath = path.join(this.uploadDest, filename);
-      return fs.existsSync(filePath);
-    }
+  getSignedUrl(file, options) {
+    return this.getDriver(file.storage).getSignedUrl(file, options);
+  }
+
+  /**
+   * Get file URL
+   * @param {File} file - Stored file
+   * @returns {string|null} File URL, or null if the backend does not serve files publicly
+   */
+  getFileUrl(file) {
+    return this.getDriver(file.storage).getUrl(file);
   }
 }
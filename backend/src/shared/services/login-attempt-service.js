@@ -0,0 +1,115 @@
+import { cacheKeys } from '../../infrastructure/config/redis.js';
+import { config } from '../../infrastructure/config/config.js';
+import { ExpiringStoreService } from './expiring-store-service.js';
+
+// Backoff level is forgotten after a day without new lockouts (seconds)
+const LOCKOUT_LEVEL_TTL = 24 * 60 * 60;
+
+/**
+ * Login Attempt Service
+ * Counts failed logins per account and per IP, and locks them out with exponential backoff
+ */
+export class LoginAttemptService {
+  constructor(store = new ExpiringStoreService()) {
+    this.store = store;
+    this.window = config.LOGIN_ATTEMPT_WINDOW;
+    this.maxAttempts = {
+      account: config.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT,
+      ip: config.LOGIN_MAX_ATTEMPTS_PER_IP
+    };
+    this.lockoutDuration = config.LOGIN_LOCKOUT_DURATION;
+    this.maxLockoutDuration = config.LOGIN_LOCKOUT_MAX_DURATION;
+  }
+
+  /**
+   * Check whether the account or the IP is currently locked out
+   * @param {Object} attempt - Login attempt
+   * @param {string} attempt.email - Email the login was attempted for
+   * @param {string} attempt.ipAddress - Client IP
+   * @returns {Promise<{scope: string, retryAfter: number}|null>} Active lockout or null
+   */
+  async getLockout({ email, ipAddress }) {
+    for (const [scope, id] of this._targets(email, ipAddress)) {
+      const lockout = await this.store.get(cacheKeys.loginLockout(scope, id));
+      const retryAfter = lockout ? Math.ceil((lockout.until - Date.now()) / 1000) : 0;
+      if (retryAfter > 0) {
+        return { scope, retryAfter };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a failed login and lock out the account or IP once its limit is reached
+   * @param {Object} attempt - Login attempt
+   * @param {string} attempt.email - Email the login was attempted for
+   * @param {string} attempt.ipAddress - Client IP
+   * @returns {Promise<{scope: string, retryAfter: number}|null>} Lockout started by this failure, or null
+   */
+  async recordFailure({ email, ipAddress }) {
+    let started = null;
+
+    for (const [scope, id] of this._targets(email, ipAddress)) {
+      const failures = await this.store.addToWindow(cacheKeys.loginFailures(scope, id), this.window);
+      if (failures >= this.maxAttempts[scope]) {
+        const retryAfter = await this._lock(scope, id);
+        // Account lockouts take precedence, they are the ones the user is notified about
+        if (!started || scope === 'account') {
+          started = { scope, retryAfter };
+        }
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * Clear failed attempts and backoff for an account after a successful login
+   * @param {string} email - Account email
+   */
+  async reset(email) {
+    const id = normalizeEmail(email);
+    await this.store.del(cacheKeys.loginFailures('account', id));
+    await this.store.del(cacheKeys.loginLockoutLevel('account', id));
+  }
+
+  /**
+   * Lift an account lockout
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} True if the account was locked
+   */
+  async unlock(email) {
+    const id = normalizeEmail(email);
+    const wasLocked = !!(await this.getLockout({ email: id }));
+
+    await this.store.del(cacheKeys.loginLockout('account', id));
+    await this.reset(id);
+
+    return wasLocked;
+  }
+
+  async _lock(scope, id) {
+    const level = (await this.store.get(cacheKeys.loginLockoutLevel(scope, id)) || 0) + 1;
+    const duration = Math.min(this.lockoutDuration * 2 ** (level - 1), this.maxLockoutDuration);
+
+    await this.store.set(cacheKeys.loginLockout(scope, id), { until: Date.now() + duration * 1000 }, duration);
+    await this.store.set(cacheKeys.loginLockoutLevel(scope, id), level, Math.max(LOCKOUT_LEVEL_TTL, duration));
+    // Start counting from zero once the lockout ends
+    await this.store.del(cacheKeys.loginFailures(scope, id));
+
+    return duration;
+  }
+
+  _targets(email, ipAddress) {
+    const targets = [];
+    if (email) {
+      targets.push(['account', normalizeEmail(email)]);
+    }
+    if (ipAddress) {
+      targets.push(['ip', ipAddress]);
+    }
+    return targets;
+  }
+}
+
+const normalizeEmail = (email) => email.toLowerCase().trim();
@@ -0,0 +1,122 @@
+import * as client from 'openid-client';
+import { config } from '../../infrastructure/config/config.js';
+
+/**
+ * OIDC Service
+ * Authorization code + PKCE login against configurable OpenID Connect issuers
+ */
+export class OidcService {
+  constructor() {
+    this.providers = config.OIDC_PROVIDERS;
+    this.redirectUri = config.OIDC_REDIRECT_URI;
+    // Discovered issuer metadata, per provider
+    this.configurations = new Map();
+  }
+
+  /**
+   * List configured providers
+   * @returns {Object[]} Provider IDs and display names
+   */
+  listProviders() {
+    return this.providers.map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id
+    }));
+  }
+
+  /**
+   * Build the URL that sends the user to the identity provider
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<Object>} Authorization URL and the values needed to finish the flow
+   */
+  async createAuthorizationRequest(providerId) {
+    const provider = this._getProvider(providerId);
+    const configuration = await this._getConfiguration(provider);
+
+    const state = client.randomState();
+    const nonce = client.randomNonce();
+    const codeVerifier = client.randomPKCECodeVerifier();
+
+    const authorizationUrl = client.buildAuthorizationUrl(configuration, {
+      redirect_uri: this.redirectUri,
+      scope: provider.scope || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: await client.calculatePKCECodeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      authorizationUrl: authorizationUrl.href,
+      state,
+      nonce,
+      codeVerifier
+    };
+  }
+
+  /**
+   * Exchange the authorization code and validate the ID token
+   * @param {string} providerId - Provider ID
+   * @param {Object} callbackParams - Query parameters the provider redirected with (code, state, iss)
+   * @param {Object} checks - Stored state, nonce and PKCE code verifier
+   * @returns {Promise<Object>} Identity claims (sub, email, email_verified, names, picture)
+   */
+  async exchangeCode(providerId, callbackParams, { state, nonce, codeVerifier }) {
+    const provider = this._getProvider(providerId);
+    const configuration = await this._getConfiguration(provider);
+
+    const callbackUrl = new URL(this.redirectUri);
+    Object.entries(callbackParams).forEach(([key, value]) => {
+      if (value) {
+        callbackUrl.searchParams.set(key, value);
+      }
+    });
+
+    const tokens = await client.authorizationCodeGrant(configuration, callbackUrl, {
+      pkceCodeVerifier: codeVerifier,
+      expectedState: state,
+      expectedNonce: nonce,
+      idTokenExpected: true
+    });
+
+    const claims = tokens.claims();
+
+    // Some providers only return profile claims from the userinfo endpoint
+    if (!claims.email && configuration.serverMetadata().userinfo_endpoint) {
+      const userInfo = await client.fetchUserInfo(configuration, tokens.access_token, claims.sub);
+      return { ...claims, ...userInfo };
+    }
+
+    return claims;
+  }
+
+  _getProvider(providerId) {
+    const provider = this.providers.find(item => item.id === providerId);
+    if (!provider) {
+      throw new Error('Unknown login provider');
+    }
+    return provider;
+  }
+
+  async _getConfiguration(provider) {
+    if (!this.configurations.has(provider.id)) {
+      const options = provider.allowInsecureRequests
+        ? { execute: [client.allowInsecureRequests] }
+        : undefined;
+
+      // Providers without a client secret are public clients that rely on PKCE alone
+      const discovery = client.discovery(
+        new URL(provider.issuer),
+        provider.clientId,
+        provider.clientSecret,
+        provider.clientSecret ? undefined : client.None(),
+        options
+      );
+      this.configurations.set(provider.id, discovery);
+
+      // Retry discovery on the next request if the issuer was unreachable
+      discovery.catch(() => this.configurations.delete(provider.id));
+    }
+    return this.configurations.get(provider.id);
+  }
+}
@@ -0,0 +1,204 @@
+import { OutboxMessage } from '../../domain/entities/outbox-message-entity.js';
+import { config } from '../../infrastructure/config/config.js';
+import logger from '../../infrastructure/config/logger.js';
+
+// Email service method used for each email template
+const EMAIL_SENDERS = {
+  'email-verification': 'sendEmailVerification',
+  'password-reset': 'sendPasswordReset',
+  'magic-link': 'sendMagicLink',
+  'email-change-verification': 'sendEmailChangeVerification',
+  'email-change-notice': 'sendEmailChangeNotice',
+  'account-locked': 'sendAccountLockedNotice'
+};
+
+// How long a dispatcher may take to deliver a claimed message before another one may retry it
+const CLAIM_DURATION = 60 * 1000;
+
+/**
+ * Outbox Service
+ * Stores emails and domain events for durable subscribers in the outbox and delivers them in
+ * the background, retrying with exponential backoff until they succeed or run out of attempts
+ */
+export class OutboxService {
+  constructor(outboxRepository, emailService, eventBus) {
+    this.outboxRepository = outboxRepository;
+    this.emailService = emailService;
+    this.eventBus = eventBus;
+    this.timer = null;
+    this.dispatching = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Add messages to the outbox
+   * @param {Object[]} messages - { type, payload } of each message
+   * @param {Object} options - Options
+   * @param {Object} options.session - Transaction of the business change, if any
+   * @param {string} options.correlationId - Request correlation ID
+   * @returns {Promise<OutboxMessage[]>} Stored messages
+   */
+  async enqueue(messages, { session = null, correlationId = null } = {}) {
+    return this.outboxRepository.add(messages.map(message => new OutboxMessage({
+      ...message,
+      maxAttempts: config.OUTBOX_MAX_ATTEMPTS,
+      correlationId
+    })), { session });
+  }
+
+  /**
+   * Add an email to the outbox
+   * @param {string} template - Template name, e.g. 'email-verification'
+   * @param {string} to - Recipient email
+   * @param {Object} data - Template data
+   * @param {Object} options - Same options as enqueue, plus:
+   * @param {Date} options.expiresAt - When the links in the email stop working; a dead email
+   * can be replayed until then
+   */
+  async enqueueEmail(template, to, data, { expiresAt = null, ...options } = {}) {
+    if (!EMAIL_SENDERS[template]) {
+      throw new Error(`Unknown email template: ${template}`);
+    }
+
+    const [message] = await this.enqueue([{ type: 'email', payload: { template, to, data, expiresAt } }], options);
+    return message;
+  }
+
+  /**
+   * Add a domain event for one durable event bus subscriber to the outbox
+   * @param {string} subscriber - Name of the durable subscriber
+   * @param {Object} event - Domain event
+   * @param {Object} context - Request details passed to the subscriber
+   * @param {Object} options - Same options as enqueue; correlationId defaults to the context's
+   */
+  async enqueueEvent(subscriber, event, context = {}, options = {}) {
+    const [message] = await this.enqueue([{
+      type: 'event',
+      // Stored as plain JSON, so entities in the context keep only what they serialize
+      payload: { subscriber, event: toPlain(event), context: toPlain(context) }
+    }], { correlationId: context.correlationId || null, ...options });
+    return message;
+  }
+
+  /**
+   * Start delivering due messages on a schedule
+   */
+  start() {
+    this.stopping = false;
+    this.timer = setInterval(() => {
+      this.dispatchDue().catch(error => logger.error(`Outbox dispatch failed: ${error.message}`));
+    }, config.OUTBOX_POLL_INTERVAL * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the schedule and wait for the message being delivered
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+    // Failures of that run are already logged by the schedule
+    await this.dispatching?.catch(() => {});
+  }
+
+  /**
+   * Deliver every message that is due, one at a time
+   * @returns {Promise<number>} Number of messages attempted
+   */
+  async dispatchDue() {
+    // A slow run is not started twice; the next tick continues where it left off
+    if (this.dispatching) {
+      return 0;
+    }
+
+    this.dispatching = (async () => {
+      await this.outboxRepository.redactExpired(new Date());
+
+      let attempted = 0;
+      let message;
+      while (!this.stopping && (message = await this.outboxRepository.claimNext(new Date(), new Date(Date.now() + CLAIM_DURATION)))) {
+        await this._process(message);
+        attempted++;
+      }
+      return attempted;
+    })();
+
+    try {
+      return await this.dispatching;
+    } finally {
+      this.dispatching = null;
+    }
+  }
+
+  async _process(message) {
+    // Sending links that no longer work would only confuse the recipient
+    if (message.isExpired()) {
+      logger.warn('Outbox email expired before it could be delivered', {
+        messageId: message.id,
+        correlationId: message.correlationId
+      });
+      await this.outboxRepository.markDead(message.id, 'The links in this email have expired');
+      return;
+    }
+
+    try {
+      await this._deliver(message);
+      await this.outboxRepository.markDelivered(message.id);
+    } catch (error) {
+      const details = {
+        messageId: message.id,
+        type: message.type,
+        attempt: message.attempts,
+        error: error.message,
+        correlationId: message.correlationId
+      };
+
+      if (!message.hasAttemptsLeft()) {
+        logger.error('Outbox message failed, moved to dead letters', details);
+        await this.outboxRepository.markDead(message.id, error.message);
+        return;
+      }
+
+      const delay = Math.min(
+        config.OUTBOX_RETRY_DELAY * 2 ** (message.attempts - 1),
+        config.OUTBOX_MAX_RETRY_DELAY
+      );
+      logger.warn('Outbox message failed, retrying', { ...details, retryIn: delay });
+      await this.outboxRepository.markFailed(message.id, error.message, new Date(Date.now() + delay * 1000));
+    }
+  }
+
+  async _deliver(message) {
+    const { payload } = message;
+
+    switch (message.type) {
+      case 'email': {
+        const sender = EMAIL_SENDERS[payload.template];
+        if (!sender) {
+          throw new Error(`Unknown email template: ${payload.template}`);
+        }
+        await this.emailService[sender](payload.to, payload.data);
+        break;
+      }
+
+      case 'event':
+        await this.eventBus.deliverTo(
+          payload.subscriber,
+          { ...payload.event, occurredAt: new Date(payload.event.occurredAt || message.createdAt) },
+          payload.context || {}
+        );
+        break;
+
+      default:
+        throw new Error(`Unknown outbox message type: ${message.type}`);
+    }
+  }
+}
+
+/**
+ * Convert to plain JSON data, as stored in the outbox
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
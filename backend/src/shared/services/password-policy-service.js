@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import { config } from '../../infrastructure/config/config.js';
+import { Password, DEFAULT_PASSWORD_POLICY } from '../../domain/value-objects/password.js';
+
+const SHA1_HASH_PATTERN = /^[0-9A-F]{40}$/;
+
+/**
+ * Password Policy Service
+ * Applies the configured password rules, reuse history and breached-password list
+ */
+export class PasswordPolicyService {
+  constructor(authService) {
+    this.authService = authService;
+    this.rules = {
+      minLength: config.PASSWORD_MIN_LENGTH,
+      requireUppercase: config.PASSWORD_REQUIRE_UPPERCASE,
+      requireLowercase: config.PASSWORD_REQUIRE_LOWERCASE,
+      requireNumber: config.PASSWORD_REQUIRE_NUMBER,
+      requireSymbol: config.PASSWORD_REQUIRE_SYMBOL
+    };
+    this.historySize = config.PASSWORD_HISTORY_SIZE;
+    this.maxAgeDays = config.PASSWORD_MAX_AGE_DAYS;
+    this.breachListFile = config.PASSWORD_BREACH_LIST_FILE;
+    // Loaded on first use and kept in memory
+    this.breachedHashes = null;
+  }
+
+  /**
+   * Rules a new password has to meet, so clients can check passwords as they are typed
+   * @returns {Object} Length limits and required character classes
+   */
+  getRules() {
+    return { ...DEFAULT_PASSWORD_POLICY, ...this.rules };
+  }
+
+  /**
+   * Check a new password against the policy
+   * @param {string} password - Plain password
+   * @param {User} user - Existing owner (with password and passwordHistory), or null for new accounts
+   * @throws {Error} Describing the first rule the password breaks
+   */
+  async validate(password, user = null) {
+    new Password(password, false, this.rules);
+
+    if (await this.isBreached(password)) {
+      throw new Error('This password has appeared in a data breach. Please choose a different one');
+    }
+
+    if (user && await this.wasUsedBefore(password, user)) {
+      throw new Error(`Password must not match any of your last ${this.historySize} passwords`);
+    }
+  }
+
+  /**
+   * Hash a new password for an existing user and rotate the previous one into the history
+   * @param {string} password - Plain password that passed validate()
+   * @param {User} user - Current owner (with password and passwordHistory)
+   * @returns {Promise<Object>} Fields to update on the user
+   */
+  async buildPasswordUpdate(password, user) {
+    const previous = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+    return {
+      password: await this.authService.hashPassword(password),
+      // The current password counts towards the history size
+      passwordHistory: previous.slice(0, Math.max(this.historySize - 1, 0)),
+      passwordChangedAt: new Date()
+    };
+  }
+
+  /**
+   * Check if the user has to change their password before signing in
+   * @param {User} user - User entity
+   * @returns {boolean} True if the password is older than the maximum age
+   */
+  isExpired(user) {
+    return user.isPasswordExpired(this.maxAgeDays);
+  }
+
+  /**
+   * Check if the password matches the current one or one in the history
+   */
+  async wasUsedBefore(password, user) {
+    if (!this.historySize) {
+      return false;
+    }
+
+    const recent = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, this.historySize);
+
+    for (const hash of recent) {
+      if (await this.authService.verifyPassword(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check the password against the breached-password hash file, if one is configured
+   */
+  async isBreached(password) {
+    if (!this.breachListFile) {
+      return false;
+    }
+
+    if (!this.breachedHashes) {
+      this.breachedHashes = loadHashFile(this.breachListFile).catch(error => {
+        // Try again on the next check instead of caching the failure
+        this.breachedHashes = null;
+        throw new Error(`Failed to load breached password list: ${error.message}`);
+      });
+    }
+
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    return (await this.breachedHashes).has(hash);
+  }
+}
+
+/**
+ * Read SHA-1 hashes from a file with one "HASH" or "HASH:count" entry per line
+ */
+const loadHashFile = async (file) => {
+  const hashes = new Set();
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    const hash = line.split(':')[0].trim().toUpperCase();
+    if (SHA1_HASH_PATTERN.test(hash)) {
+      hashes.add(hash);
+    }
+  }
+  return hashes;
+};
@@ -0,0 +1,95 @@
+import { Role, SYSTEM_ROLES } from '../../domain/entities/role-entity.js';
+
+// How long stored roles are cached, so changes made on another instance apply within this time
+const ROLE_CACHE_TTL = 30 * 1000;
+
+/**
+ * Permission Service
+ * Resolves the permissions granted by built-in and custom roles
+ */
+export class PermissionService {
+  constructor(roleRepository) {
+    this.roleRepository = roleRepository;
+    this.systemRoles = Object.entries(SYSTEM_ROLES).map(([name, role]) => new Role({
+      name,
+      ...role,
+      isSystem: true
+    }));
+    this.storedRoles = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Get all roles, built-in first
+   * @returns {Promise<Role[]>} Roles
+   */
+  async getRoles() {
+    const stored = await this._getStoredRoles();
+    // Built-in roles keep their permissions from code; only their settings are stored
+    const settings = new Map(stored.filter(role => role.isSystem).map(role => [role.name, role]));
+
+    return [
+      ...this.systemRoles.map(role => (settings.has(role.name)
+        ? new Role({ ...role, requiresTwoFactor: settings.get(role.name).requiresTwoFactor })
+        : role)),
+      ...stored.filter(role => !role.isSystem)
+    ];
+  }
+
+  /**
+   * Find a built-in or custom role
+   * @param {string} name - Role name
+   * @returns {Promise<Role|null>} Role or null if it does not exist
+   */
+  async getRole(name) {
+    const roles = await this.getRoles();
+    return roles.find(role => role.name === name) || null;
+  }
+
+  /**
+   * Get the permissions granted by a role
+   * @param {string} name - Role name
+   * @returns {Promise<string[]>} Permissions (empty for unknown roles)
+   */
+  async getPermissions(name) {
+    const role = await this.getRole(name);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * Check if holders of a role must use two-factor authentication
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} True if the role requires 2FA
+   */
+  async requiresTwoFactor(name) {
+    const role = await this.getRole(name);
+    return !!role && role.requiresTwoFactor;
+  }
+
+  /**
+   * Check if someone with the given permissions may act on holders of a role:
+   * the role must not grant anything they lack
+   * @param {string[]} permissions - Permissions of the acting user
+   * @param {string} roleName - Role of the user (or role) being acted on
+   * @returns {Promise<boolean>} True if the role grants no extra permissions
+   */
+  async canManageRole(permissions, roleName) {
+    const rolePermissions = await this.getPermissions(roleName);
+    return rolePermissions.every(permission => permissions.includes(permission));
+  }
+
+  /**
+   * Forget cached roles after a change
+   */
+  invalidate() {
+    this.storedRoles = null;
+  }
+
+  async _getStoredRoles() {
+    if (!this.storedRoles || Date.now() - this.loadedAt > ROLE_CACHE_TTL) {
+      this.storedRoles = await this.roleRepository.findAll();
+      this.loadedAt = Date.now();
+    }
+    return this.storedRoles;
+  }
+}
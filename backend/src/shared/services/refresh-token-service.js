@@ -0,0 +1,139 @@
+import logger from '../../infrastructure/config/logger.js';
+
+/**
+ * Refresh Token Service
+ * Issues access/refresh token pairs and rotates refresh token families
+ */
+export class RefreshTokenService {
+  constructor(refreshTokenFamilyRepository, tokenService) {
+    this.refreshTokenFamilyRepository = refreshTokenFamilyRepository;
+    this.tokenService = tokenService;
+  }
+
+  /**
+   * Issue a token pair that starts a new refresh token family
+   * @param {User} user - Authenticated user
+   * @param {Object} client - Client details recorded on the session (userAgent, ipAddress)
+   * @returns {Promise<Object>} Access and refresh tokens
+   */
+  async issueTokenPair(user, client = {}) {
+    const familyId = this.tokenService.generateTokenId();
+    const jti = this.tokenService.generateTokenId();
+    const refreshToken = this._signRefreshToken(user, familyId, jti);
+
+    await this.refreshTokenFamilyRepository.create({
+      familyId,
+      userId: user.id,
+      currentJti: jti,
+      expiresAt: this._getExpiry(refreshToken),
+      userAgent: client.userAgent || null,
+      ipAddress: client.ipAddress || null
+    });
+
+    return this._buildTokenPair(user, familyId, refreshToken);
+  }
+
+  /**
+   * Exchange the current refresh token of a family for a new pair.
+   * Presenting a token that was already rotated revokes the whole family.
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {User} user - Token owner
+   * @returns {Promise<Object>} Access and refresh tokens
+   */
+  async rotateTokenPair(decoded, user) {
+    const { family: familyId, jti } = decoded;
+
+    if (!familyId || !jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const family = await this.refreshTokenFamilyRepository.findByFamilyId(familyId);
+    if (!family || family.userId !== user.id) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (family.isRevoked()) {
+      throw new Error('Refresh token has been revoked');
+    }
+
+    if (!family.isCurrentToken(jti)) {
+      await this._handleReuse(family);
+    }
+
+    const nextJti = this.tokenService.generateTokenId();
+    const refreshToken = this._signRefreshToken(user, familyId, nextJti);
+
+    const rotated = await this.refreshTokenFamilyRepository.rotate(
+      familyId,
+      jti,
+      nextJti,
+      this._getExpiry(refreshToken)
+    );
+
+    // Another request exchanged the same token first
+    if (!rotated) {
+      await this._handleReuse(family);
+    }
+
+    return this._buildTokenPair(user, familyId, refreshToken);
+  }
+
+  /**
+   * Revoke a single refresh token family
+   * @param {string} familyId - Family ID
+   * @param {string} reason - Revocation reason
+   */
+  async revokeFamily(familyId, reason) {
+    return this.refreshTokenFamilyRepository.revoke(familyId, reason);
+  }
+
+  /**
+   * Revoke all refresh token families of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   */
+  async revokeAllForUser(userId, reason) {
+    return this.refreshTokenFamilyRepository.revokeAllForUser(userId, reason);
+  }
+
+  async _handleReuse(family) {
+    await this.refreshTokenFamilyRepository.revoke(family.familyId, 'reuse_detected');
+
+    logger.security('Refresh token reuse detected, token family revoked', {
+      userId: family.userId,
+      familyId: family.familyId
+    });
+
+    throw new Error('Refresh token reuse detected');
+  }
+
+  _signRefreshToken(user, familyId, jti) {
+    return this.tokenService.generateRefreshToken({
+      userId: user.id,
+      family: familyId,
+      jti
+    });
+  }
+
+  _getExpiry(token) {
+    const { exp } = this.tokenService.decodeToken(token);
+    return new Date(exp * 1000);
+  }
+
+  _buildTokenPair(user, familyId, refreshToken) {
+    // Access tokens carry their own jti (for revocation) and the family they belong to
+    const accessToken = this.tokenService.generateAccessToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      family: familyId,
+      jti: this.tokenService.generateTokenId()
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer'
+    };
+  }
+}
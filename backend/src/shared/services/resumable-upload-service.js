@@ -0,0 +1,69 @@
+import logger from '../../infrastructure/config/logger.js';
+
+// How often expired uploads are looked for
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+// Uploads removed per database query
+const CLEANUP_BATCH_SIZE = 100;
+
+/**
+ * Resumable Upload Service
+ * Removes resumable uploads once they expire, together with their staged bytes. Each instance
+ * removes the uploads in its own staging area
+ */
+export class ResumableUploadService {
+  constructor(resumableUploadRepository, uploadStagingArea) {
+    this.resumableUploadRepository = resumableUploadRepository;
+    this.uploadStagingArea = uploadStagingArea;
+    this.timer = null;
+  }
+
+  /**
+   * Start removing expired uploads on a schedule
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.removeExpired().catch(error => logger.error(`Resumable upload cleanup failed: ${error.message}`));
+    }, CLEANUP_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete an upload and its staged bytes
+   * @param {ResumableUpload} upload - Upload
+   */
+  async remove(upload) {
+    // Bytes first: a record without bytes is cleaned up again, bytes without a record never are
+    await this.uploadStagingArea.remove(upload.id);
+    await this.resumableUploadRepository.delete(upload.id);
+  }
+
+  /**
+   * Delete every expired upload
+   * @returns {Promise<number>} Number of uploads removed
+   */
+  async removeExpired() {
+    let removed = 0;
+    let uploads;
+    do {
+      uploads = await this.resumableUploadRepository.findExpired(new Date(), CLEANUP_BATCH_SIZE, this.uploadStagingArea.id);
+      for (const upload of uploads) {
+        await this.remove(upload);
+        removed++;
+      }
+    } while (uploads.length === CLEANUP_BATCH_SIZE);
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} expired resumable uploads`);
+    }
+    return removed;
+  }
+}
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+
+/**
+ * Signed URL Service
+ * Creates and checks HMAC-signed links that grant access to a resource without a bearer token
+ */
+export class SignedUrlService {
+  /**
+   * @param {string|Buffer} secret - Signing key
+   * @param {string} baseUrl - Public URL of the API the links point to
+   */
+  constructor(secret, baseUrl) {
+    this.secret = secret;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Create a signed URL
+   * @param {string} path - Path of the route that verifies the link, e.g. /api/v1/files/<id>/signed-download
+   * @param {string} resource - What the link grants access to, e.g. file:<id>
+   * @param {Object} options - Options
+   * @param {Date} options.expiresAt - When the link stops working
+   * @param {string} options.nonce - Identifies a single-use link
+   * @returns {string} URL
+   */
+  createUrl(path, resource, { expiresAt, nonce }) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+
+    const url = new URL(`${this.baseUrl}${path}`);
+    url.searchParams.set('expires', String(expires));
+    if (nonce) {
+      url.searchParams.set('nonce', nonce);
+    }
+    url.searchParams.set('signature', this._signature(resource, expires, nonce));
+    return url.toString();
+  }
+
+  /**
+   * Check the signature and expiry of a signed link
+   * @param {string} resource - Resource the link must have been created for
+   * @param {Object} params - Query parameters of the link: { expires, nonce, signature }
+   * @returns {boolean} True if the link is authentic and has not expired
+   */
+  verify(resource, { expires, nonce, signature }) {
+    if (!expires || typeof signature !== 'string' || expires * 1000 <= Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this._signature(resource, expires, nonce), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  _signature(resource, expires, nonce) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${resource}\n${expires}\n${nonce || ''}`)
+      .digest('hex');
+  }
+}
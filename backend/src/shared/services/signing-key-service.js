@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { config } from '../../infrastructure/config/config.js';
+import logger from '../../infrastructure/config/logger.js';
+import { SIGNING_ALGORITHMS } from '../../domain/entities/signing-key-entity.js';
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// How often keys are re-read, so keys rotated by another instance are picked up
+const RELOAD_INTERVAL = 60 * 1000;
+
+// Minimum time between reloads triggered by an unknown "kid"
+const UNKNOWN_KID_RELOAD_INTERVAL = 10 * 1000;
+
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  EdDSA: ['ed25519', {}]
+};
+
+/**
+ * Signing Key Service
+ * Keeps the JWT signing key pairs, rotates them on schedule and publishes the public keys as a JWKS
+ */
+export class SigningKeyService {
+  constructor(signingKeyRepository) {
+    this.signingKeyRepository = signingKeyRepository;
+    this.algorithm = config.JWT_ALGORITHM;
+    this.rotationInterval = config.JWT_KEY_ROTATION_DAYS * 24 * 60 * 60 * 1000;
+    this.activationDelay = config.JWT_KEY_ACTIVATION_DELAY * 1000;
+    // A replaced key stays published until every token it signed has expired
+    this.retention = Math.max(
+      lifetimeSeconds(config.JWT_EXPIRES_IN),
+      lifetimeSeconds(config.JWT_REFRESH_EXPIRES_IN)
+    ) * 1000;
+    this.keys = [];
+    this.keysByKid = new Map();
+    this.lastReload = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Check if tokens are signed with rotating key pairs rather than JWT_SECRET
+   * @returns {boolean} True for RS256 and EdDSA
+   */
+  isAsymmetric() {
+    return this.algorithm !== 'HS256';
+  }
+
+  /**
+   * Load the keys, create the first one if needed and start the rotation schedule
+   */
+  async initialize() {
+    if (!this.isAsymmetric()) {
+      return;
+    }
+
+    if (!SIGNING_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported JWT_ALGORITHM "${this.algorithm}". Use HS256, ${SIGNING_ALGORITHMS.join(' or ')}`);
+    }
+
+    await this.reload();
+    await this.rotateIfDue();
+
+    this.timer = setInterval(() => {
+      this.reload()
+        .then(() => this.rotateIfDue())
+        .catch(error => logger.error(`Signing key refresh failed: ${error.message}`));
+    }, RELOAD_INTERVAL);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the rotation schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Re-read all unexpired keys from the database
+   */
+  async reload() {
+    const keys = await this.signingKeyRepository.findUnexpired();
+
+    this.keys = keys;
+    this.keysByKid = new Map(keys.map(key => [key.kid, {
+      key,
+      privateKey: key.privateKey ? crypto.createPrivateKey(key.privateKey) : null,
+      publicKey: crypto.createPublicKey(key.publicKey)
+    }]));
+    this.lastReload = Date.now();
+  }
+
+  /**
+   * Create a new key pair when the newest one is older than the rotation interval
+   * @returns {Promise<SigningKey|null>} The new key, or null if no rotation was due
+   */
+  async rotateIfDue(now = new Date()) {
+    const [latest] = this.keys;
+    const isDue = !latest ||
+      latest.algorithm !== this.algorithm ||
+      now - latest.createdAt >= this.rotationInterval;
+
+    if (!isDue) {
+      return null;
+    }
+
+    // The first key signs right away; later ones are published first so verifiers can fetch them
+    const activatesAt = latest ? new Date(now.getTime() + this.activationDelay) : now;
+    const sequence = latest ? latest.sequence + 1 : 1;
+    const [type, options] = KEY_TYPES[this.algorithm];
+    const { publicKey, privateKey } = await generateKeyPair(type, {
+      ...options,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    let key = null;
+    try {
+      key = await this.signingKeyRepository.create({
+        kid: crypto.randomUUID(),
+        sequence,
+        algorithm: this.algorithm,
+        publicKey,
+        privateKey,
+        activatesAt
+      });
+      await this.signingKeyRepository.expireBefore(sequence, new Date(activatesAt.getTime() + this.retention));
+
+      logger.info('JWT signing key rotated', { kid: key.kid, algorithm: key.algorithm, activatesAt });
+    } catch (error) {
+      // Another instance rotated first; use its key
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    await this.reload();
+    return key;
+  }
+
+  /**
+   * Get the key new tokens are signed with
+   * @returns {{key: SigningKey, privateKey: crypto.KeyObject}} Newest active key
+   */
+  getSigningKey(now = new Date()) {
+    const key = this.keys.find(candidate => candidate.isActive(now));
+    if (!key) {
+      throw new Error('No active signing key');
+    }
+    return this.keysByKid.get(key.kid);
+  }
+
+  /**
+   * Get the key a token was signed with
+   * @param {string} kid - Key ID from the token header
+   * @returns {{key: SigningKey, publicKey: crypto.KeyObject}|null} Key, or null if unknown or expired
+   */
+  getVerificationKey(kid) {
+    const entry = this.keysByKid.get(kid);
+    if (entry && !entry.key.isExpired()) {
+      return entry;
+    }
+
+    // The key may have just been created by another instance
+    if (Date.now() - this.lastReload > UNKNOWN_KID_RELOAD_INTERVAL) {
+      this.lastReload = Date.now();
+      this.reload().catch(error => logger.error(`Signing key reload failed: ${error.message}`));
+    }
+    return null;
+  }
+
+  /**
+   * Build the JSON Web Key Set with every published public key
+   * @returns {{keys: Object[]}} JWKS (empty when HS256 is used)
+   */
+  getJwks() {
+    return {
+      keys: this.keys
+        .filter(key => !key.isExpired())
+        .map(key => ({
+          ...this.keysByKid.get(key.kid).publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+}
+
+/**
+ * Convert a jsonwebtoken lifetime ("15m", "7d" or seconds) to seconds
+ */
+export const lifetimeSeconds = (expiresIn) => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+  return exp - iat;
+};
@@ -0,0 +1,98 @@
+import { cacheKeys } from '../../infrastructure/config/redis.js';
+import { ExpiringStoreService } from './expiring-store-service.js';
+
+/**
+ * Token Revocation Service
+ * Keeps a deny-list of access tokens (by jti) and per-user revocation timestamps
+ */
+export class TokenRevocationService {
+  constructor(store = new ExpiringStoreService()) {
+    this.store = store;
+  }
+
+  /**
+   * Revoke a single access token until it expires
+   * @param {string} jti - Token ID
+   * @param {number} expiresAt - Token expiry (seconds since epoch)
+   */
+  async revokeToken(jti, expiresAt) {
+    const ttl = expiresAt - Math.floor(Date.now() / 1000);
+    if (!jti || ttl <= 0) {
+      return false;
+    }
+    return this.store.set(cacheKeys.revokedToken(jti), true, ttl);
+  }
+
+  /**
+   * Check if an access token has been revoked
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isTokenRevoked(jti) {
+    if (!jti) {
+      return false;
+    }
+    return !!(await this.store.get(cacheKeys.revokedToken(jti)));
+  }
+
+  /**
+   * Mark a single-use token as used, unless it already was
+   * @param {string} jti - Token ID
+   * @param {number} expiresAt - Token expiry (seconds since epoch)
+   * @returns {Promise<boolean>} True if this call claimed the token
+   */
+  async claimToken(jti, expiresAt) {
+    const ttl = expiresAt - Math.floor(Date.now() / 1000);
+    if (!jti || ttl <= 0) {
+      return false;
+    }
+    // Set-if-absent, so two concurrent requests cannot both claim it
+    return this.store.setIfAbsent(cacheKeys.revokedToken(jti), true, ttl);
+  }
+
+  /**
+   * Revoke every access token issued within a session (refresh token family)
+   * @param {string} familyId - Family ID carried in the access tokens
+   * @param {number} ttl - Seconds to keep the entry (the access token lifetime)
+   */
+  async revokeSession(familyId, ttl) {
+    return this.store.set(cacheKeys.revokedSession(familyId), true, ttl);
+  }
+
+  /**
+   * Check if the session an access token belongs to has been revoked
+   * @param {string} familyId - Family ID
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isSessionRevoked(familyId) {
+    if (!familyId) {
+      return false;
+    }
+    return !!(await this.store.get(cacheKeys.revokedSession(familyId)));
+  }
+
+  /**
+   * Revoke every access token issued to a user up to now
+   * @param {string} userId - User ID
+   * @param {number} ttl - Seconds to keep the entry (the access token lifetime)
+   */
+  async revokeAllForUser(userId, ttl) {
+    // Seconds, like the iat it is compared with
+    return this.store.set(cacheKeys.revokedUserTokens(userId), Math.floor(Date.now() / 1000), ttl);
+  }
+
+  /**
+   * Check if a token was issued before or in the same second as the user's last "log out everywhere"
+   * @param {string} userId - User ID
+   * @param {number} issuedAt - Token issued-at time (seconds since epoch)
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isRevokedForUser(userId, issuedAt) {
+    const revokedAt = await this.store.get(cacheKeys.revokedUserTokens(userId));
+    if (!revokedAt) {
+      return false;
+    }
+    // iat has whole seconds, so a token from the second of the revocation may predate it
+    return issuedAt <= revokedAt;
+  }
+}
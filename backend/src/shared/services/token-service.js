@@ -1,16 +1,39 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { config } from '../../infrastructure/config/config.js';
+import { lifetimeSeconds } from './signing-key-service.js';
+import { signEdDsaJwt, verifyEdDsaJwt } from '../utils/eddsa-jwt.js';
+import {
+  generateTokenHash,
+  compareTokenHash,
+  generateEmailVerificationToken,
+  generatePasswordResetToken,
+  generateMagicLinkToken
+} from '../utils/crypto.js';
 
 /**
  * Token Service
  * Handles JWT token generation and verification
  */
 export class TokenService {
-  constructor() {
+  /**
+   * @param {SigningKeyService} signingKeyService - Key pairs for RS256/EdDSA; HS256 uses JWT_SECRET
+   */
+  constructor(signingKeyService) {
+    this.signingKeyService = signingKeyService;
     this.jwtSecret = config.JWT_SECRET;
+    this.issuer = config.JWT_ISSUER;
+    // Only access tokens leave this service; the other audiences are derived from the issuer
+    this.audiences = {
+      access: config.JWT_AUDIENCE,
+      refresh: `${config.JWT_ISSUER}-refresh`,
+      mfa: `${config.JWT_ISSUER}-mfa`,
+      webauthn: `${config.JWT_ISSUER}-webauthn`
+    };
     this.jwtExpiresIn = config.JWT_EXPIRES_IN || '1h';
     this.refreshTokenExpiresIn = config.JWT_REFRESH_EXPIRES_IN || '7d';
+    this.mfaTokenExpiresIn = config.MFA_CHALLENGE_EXPIRES_IN || '5m';
+    this.impersonationExpiresIn = config.IMPERSONATION_EXPIRES_IN || '15m';
   }
 
   /**
@@ -20,16 +43,29 @@ export class TokenService {
    */
   generateAccessToken(payload) {
     try {
-      return jwt.sign(payload, this.jwtSecret, {
-        expiresIn: this.jwtExpiresIn,
-        issuer: 'your-app',
-        audience: 'your-app-users'
-      });
+      return this._sign(payload, this.jwtExpiresIn, this.audiences.access);
     } catch (error) {
       throw new Error(`Failed to generate access token: ${error.message}`);
     }
   }
 
+  /**
+   * Generate a short-lived access token that lets an admin act as another user
+   * @param {Object} payload - Target user claims plus impersonatorId
+   * @returns {string} JWT access token
+   */
+  generateImpersonationToken(payload) {
+    try {
+      return this._sign(
+        { ...payload, jti: this.generateTokenId() },
+        this.impersonationExpiresIn,
+        this.audiences.access
+      );
+    } catch (error) {
+      throw new Error(`Failed to generate impersonation token: ${error.message}`);
+    }
+  }
+
   /**
    * Generate refresh token
    * @param {Object} payload - Token payload
@@ -37,28 +73,89 @@ export class TokenService {
    */
   generateRefreshToken(payload) {
     try {
-      return jwt.sign(payload, this.jwtSecret, {
-        expiresIn: this.refreshTokenExpiresIn,
-        issuer: 'your-app',
-        audience: 'your-app-refresh'
-      });
+      return this._sign(payload, this.refreshTokenExpiresIn, this.audiences.refresh);
     } catch (error) {
       throw new Error(`Failed to generate refresh token: ${error.message}`);
     }
   }
 
+  /**
+   * Verify a refresh token
+   * @param {string} token - JWT refresh token
+   * @returns {Object} Decoded payload
+   */
+  verifyRefreshToken(token) {
+    return this.verifyToken(token, this.audiences.refresh);
+  }
+
+  /**
+   * Generate a short-lived login challenge token
+   * @param {string} userId - User that passed the password check
+   * @param {string} purpose - 'mfa_required', 'mfa_setup_required' or 'password_change_required'
+   * @returns {string} JWT challenge token
+   */
+  generateMfaToken(userId, purpose) {
+    try {
+      return this._sign({ userId, purpose }, this.mfaTokenExpiresIn, this.audiences.mfa);
+    } catch (error) {
+      throw new Error(`Failed to generate challenge token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   * @param {string} token - JWT challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Decoded payload
+   */
+  verifyMfaToken(token, purpose) {
+    const decoded = this.verifyToken(token, this.audiences.mfa);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid token');
+    }
+    return decoded;
+  }
+
+  /**
+   * Generate a short-lived token carrying a WebAuthn ceremony challenge
+   * @param {Object} payload - Challenge, purpose and (for registration) user ID
+   * @returns {string} JWT ceremony token
+   */
+  generateWebAuthnToken(payload) {
+    try {
+      return this._sign(
+        { ...payload, jti: this.generateTokenId() },
+        this.mfaTokenExpiresIn,
+        this.audiences.webauthn
+      );
+    } catch (error) {
+      throw new Error(`Failed to generate ceremony token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a WebAuthn ceremony token
+   * @param {string} token - JWT ceremony token
+   * @param {string} purpose - 'registration' or 'authentication'
+   * @returns {Object} Decoded payload
+   */
+  verifyWebAuthnToken(token, purpose) {
+    const decoded = this.verifyToken(token, this.audiences.webauthn);
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid token');
+    }
+    return decoded;
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token
    * @param {string} expectedAudience - Expected audience
    * @returns {Object} Decoded payload
    */
-  verifyToken(token, expectedAudience = 'your-app-users') {
+  verifyToken(token, expectedAudience = this.audiences.access) {
     try {
-      return jwt.verify(token, this.jwtSecret, {
-        issuer: 'your-app',
-        audience: expectedAudience
-      });
+      return this._verify(token, expectedAudience);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Token has expired');
@@ -70,20 +167,66 @@ export class TokenService {
     }
   }
 
+  /**
+   * Decode a JWT without verifying it
+   * @param {string} token - JWT token
+   * @returns {Object|null} Decoded payload
+   */
+  decodeToken(token) {
+    return jwt.decode(token);
+  }
+
+  /**
+   * Get the lifetime of access tokens in seconds
+   * @returns {number} Access token lifetime
+   */
+  getAccessTokenTtl() {
+    return lifetimeSeconds(this.jwtExpiresIn);
+  }
+
+  /**
+   * Generate a unique token identifier (jti)
+   * @returns {string} Random UUID
+   */
+  generateTokenId() {
+    return crypto.randomUUID();
+  }
+
   /**
    * Generate email verification token
-   * @returns {string} Random token
+   * @returns {{token: string, hashedToken: string}} Plain token to send, hash to store
    */
   generateEmailVerificationToken() {
-    return crypto.randomBytes(32).toString('hex');
+    return generateEmailVerificationToken();
   }
 
   /**
    * Generate password reset token
-   * @returns {string} Random token
+   * @returns {{token: string, hashedToken: string}} Plain token to send, hash to store
    */
   generatePasswordResetToken() {
-    return crypto.randomBytes(32).toString('hex');
+    return generatePasswordResetToken();
+  }
+
+  /**
+   * Generate magic link sign-in token
+   * @returns {{token: string, hashedToken: string}} Plain token to send, hash to store
+   */
+  generateMagicLinkToken() {
+    return generateMagicLinkToken();
+  }
+
+  /**
+   * Generate an API key
+   * @returns {{token: string, hashedToken: string, prefix: string}} Key to show once, hash to store, display prefix
+   */
+  generateApiKey() {
+    const token = `ak_${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+      token,
+      hashedToken: generateTokenHash(token),
+      prefix: token.slice(0, 10)
+    };
   }
 
   /**
@@ -92,6 +235,63 @@ export class TokenService {
    * @returns {string} Hashed token
    */
   hashToken(token) {
-    return crypto.createHash('sha256').update(token).digest('hex');
+    return generateTokenHash(token);
+  }
+
+  /**
+   * Check a plain token against a stored hash in constant time
+   * @param {string} token - Plain token
+   * @param {string} hashedToken - Stored hash
+   * @returns {boolean} True if the token matches
+   */
+  verifyTokenHash(token, hashedToken) {
+    return compareTokenHash(token, hashedToken);
+  }
+
+  _sign(payload, expiresIn, audience) {
+    if (!this.signingKeyService.isAsymmetric()) {
+      return jwt.sign(payload, this.jwtSecret, { expiresIn, issuer: this.issuer, audience });
+    }
+
+    const { key, privateKey } = this.signingKeyService.getSigningKey();
+    if (key.algorithm === 'EdDSA') {
+      return signEdDsaJwt(payload, privateKey, {
+        keyid: key.kid,
+        expiresInSeconds: lifetimeSeconds(expiresIn),
+        issuer: this.issuer,
+        audience
+      });
+    }
+
+    return jwt.sign(payload, privateKey, {
+      algorithm: key.algorithm,
+      keyid: key.kid,
+      expiresIn,
+      issuer: this.issuer,
+      audience
+    });
+  }
+
+  _verify(token, audience) {
+    if (!this.signingKeyService.isAsymmetric()) {
+      return jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'], issuer: this.issuer, audience });
+    }
+
+    // Only the algorithm of the key named in the header is accepted
+    const header = jwt.decode(token, { complete: true })?.header;
+    const entry = header && this.signingKeyService.getVerificationKey(header.kid);
+    if (!entry) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    if (entry.key.algorithm === 'EdDSA') {
+      return verifyEdDsaJwt(token, entry.publicKey, { issuer: this.issuer, audience });
+    }
+
+    return jwt.verify(token, entry.publicKey, {
+      algorithms: [entry.key.algorithm],
+      issuer: this.issuer,
+      audience
+    });
   }
 }
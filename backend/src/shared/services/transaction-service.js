@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import logger from '../../infrastructure/config/logger.js';
+
+// Error code of a standalone MongoDB server asked to start a transaction
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Transaction Service
+ * Runs work in a MongoDB transaction, so a business change and the outbox messages it
+ * causes are written together or not at all
+ */
+export class TransactionService {
+  constructor(connection = mongoose.connection) {
+    this.connection = connection;
+    this.supported = true;
+  }
+
+  /**
+   * Run work in a transaction; it is retried as a whole on transient errors
+   * @param {Function} work - async (session) => result; pass the session to every repository write
+   * @returns {Promise<*>} Result of work
+   */
+  async run(work) {
+    if (!this.supported) {
+      return work(null);
+    }
+
+    try {
+      return await this.connection.transaction(session => work(session));
+    } catch (error) {
+      if (error.code !== ILLEGAL_OPERATION) {
+        throw error;
+      }
+
+      // Transactions need a replica set; without one the writes still happen, one after the other
+      this.supported = false;
+      logger.warn('MongoDB does not support transactions (not a replica set) - writes will not be atomic');
+      return work(null);
+    }
+  }
+}
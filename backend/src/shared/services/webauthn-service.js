@@ -0,0 +1,120 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} from '@simplewebauthn/server';
+import { config } from '../../infrastructure/config/config.js';
+
+/**
+ * WebAuthn Service
+ * Runs passkey registration and authentication ceremonies for this relying party
+ */
+export class WebAuthnService {
+  constructor() {
+    this.rpName = config.WEBAUTHN_RP_NAME;
+    this.rpID = config.WEBAUTHN_RP_ID;
+    this.origins = config.WEBAUTHN_ORIGINS;
+  }
+
+  /**
+   * Build options for navigator.credentials.create()
+   * @param {User} user - User registering a passkey
+   * @returns {Promise<Object>} Registration options (JSON)
+   */
+  async generateRegistrationOptions(user) {
+    return generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userName: user.email,
+      userID: Buffer.from(user.id),
+      userDisplayName: `${user.firstName} ${user.lastName}`.trim(),
+      attestationType: 'none',
+      // Don't let the same authenticator be registered twice
+      excludeCredentials: user.webauthnCredentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'required'
+      }
+    });
+  }
+
+  /**
+   * Verify the response of navigator.credentials.create()
+   * @param {Object} response - RegistrationResponseJSON from the browser
+   * @param {string} expectedChallenge - Challenge issued with the options
+   * @returns {Promise<Object>} Credential data to store
+   */
+  async verifyRegistration(response, expectedChallenge) {
+    const { verified, registrationInfo } = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpID,
+      requireUserVerification: true
+    });
+
+    if (!verified) {
+      throw new Error('Passkey registration could not be verified');
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+
+    return {
+      credentialId: credential.id,
+      publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+      counter: credential.counter,
+      transports: credential.transports || response.response?.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp
+    };
+  }
+
+  /**
+   * Build options for navigator.credentials.get()
+   * @param {Object[]} credentials - Stored credentials to allow (empty for discoverable passkeys)
+   * @returns {Promise<Object>} Authentication options (JSON)
+   */
+  async generateAuthenticationOptions(credentials = []) {
+    return generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: credentials.map(credential => ({
+        id: credential.credentialId,
+        transports: credential.transports
+      })),
+      userVerification: 'required'
+    });
+  }
+
+  /**
+   * Verify the response of navigator.credentials.get()
+   * @param {Object} response - AuthenticationResponseJSON from the browser
+   * @param {string} expectedChallenge - Challenge issued with the options
+   * @param {Object} credential - Stored credential the response claims to come from
+   * @returns {Promise<number>} New signature counter
+   */
+  async verifyAuthentication(response, expectedChallenge, credential) {
+    const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: Buffer.from(credential.publicKey, 'base64url'),
+        counter: credential.counter,
+        transports: credential.transports
+      },
+      requireUserVerification: true
+    });
+
+    if (!verified) {
+      throw new Error('Passkey could not be verified');
+    }
+
+    return authenticationInfo.newCounter;
+  }
+}
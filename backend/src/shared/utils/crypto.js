@@ -10,6 +10,23 @@ const generateTokenHash = (token) => {
   return crypto.createHash('sha256').update(token).digest('hex');
 };
 
+// Compare a plain token against a stored hash in constant time
+const compareTokenHash = (token, hashedToken) => {
+  if (typeof token !== 'string' || typeof hashedToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hashedToken, 'hex');
+  const actual = Buffer.from(generateTokenHash(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Derive a key for one purpose from a shared secret (HKDF-SHA256), so a key leaked or
+// misused in one place does not work for another
+const deriveKey = (secret, label) => {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', label, 32));
+};
+
 // Generate email verification token
 const generateEmailVerificationToken = () => {
   const token = generateToken();
@@ -32,9 +49,23 @@ const generatePasswordResetToken = () => {
   };
 };
 
+// Generate magic link sign-in token
+const generateMagicLinkToken = () => {
+  const token = generateToken();
+  const hashedToken = generateTokenHash(token);
+
+  return {
+    token,
+    hashedToken
+  };
+};
+
 export {
   generateToken,
   generateTokenHash,
+  compareTokenHash,
+  deriveKey,
   generateEmailVerificationToken,
-  generatePasswordResetToken
+  generatePasswordResetToken,
+  generateMagicLinkToken
 };
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// jsonwebtoken has no EdDSA support; these helpers produce and check the same
+// claims and raise the same error types, so callers can treat both alike
+const { JsonWebTokenError, TokenExpiredError } = jwt;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JsonWebTokenError('invalid token');
+  }
+};
+
+// Sign a JWT with an Ed25519 private key
+const signEdDsaJwt = (payload, privateKey, { keyid, expiresInSeconds, issuer, audience }) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'EdDSA', typ: 'JWT', kid: keyid });
+  const body = encode({ ...payload, iat, exp: iat + expiresInSeconds, aud: audience, iss: issuer });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), privateKey);
+
+  return `${header}.${body}.${signature.toString('base64url')}`;
+};
+
+// Verify an EdDSA JWT and its exp, iss and aud claims
+const verifyEdDsaJwt = (token, publicKey, { issuer, audience }) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new JsonWebTokenError('jwt malformed');
+  }
+
+  const [header, body, signature] = parts;
+  if (decode(header).alg !== 'EdDSA') {
+    throw new JsonWebTokenError('invalid algorithm');
+  }
+
+  const valid = crypto.verify(null, Buffer.from(`${header}.${body}`), publicKey, Buffer.from(signature, 'base64url'));
+  if (!valid) {
+    throw new JsonWebTokenError('invalid signature');
+  }
+
+  const payload = decode(body);
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenExpiredError('jwt expired', new Date((payload.exp || 0) * 1000));
+  }
+
+  if (payload.iss !== issuer) {
+    throw new JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(audience)) {
+    throw new JsonWebTokenError(`jwt audience invalid. expected: ${audience}`);
+  }
+
+  return payload;
+};
+
+export {
+  signEdDsaJwt,
+  verifyEdDsaJwt
+};
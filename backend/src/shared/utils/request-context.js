@@ -0,0 +1,8 @@
+// Who made a request and from where, as recorded in the audit log
+export const getRequestContext = (req) => ({
+  actorId: req.user ? req.user.id : null,
+  impersonatorId: (req.auth && req.auth.impersonatorId) || null,
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null,
+  correlationId: req.correlationId || null
+});
@@ -0,0 +1,103 @@
+import { AuditLogSubscriber } from '../../../src/application/subscribers/audit-log-subscriber.js';
+import { AuditLogService } from '../../../src/shared/services/audit-log-service.js';
+import { OutboxService } from '../../../src/shared/services/outbox-service.js';
+import { EventBus } from '../../../src/shared/kernel/event-bus.js';
+import { config } from '../../../src/infrastructure/config/config.js';
+import { InMemoryAuditLogRepository } from '../../helpers/in-memory-audit-log-repository.js';
+import { InMemoryOutboxRepository } from '../../helpers/in-memory-outbox-repository.js';
+
+describe('AuditLogSubscriber', () => {
+  let auditLogRepository;
+  let outboxRepository;
+  let outboxService;
+  let eventBus;
+
+  const entries = async () => {
+    const result = [];
+    for await (const entry of auditLogRepository.iterate()) {
+      result.push(entry);
+    }
+    return result;
+  };
+
+  const makeDue = () => outboxRepository.records.forEach(record => {
+    record.nextAttemptAt = new Date(0);
+  });
+
+  const onlyMessage = () => [...outboxRepository.records.values()][0];
+
+  const before = { id: 'user-1', firstName: 'Ada', role: 'staff', password: 'bcrypt-hash' };
+  const after = { ...before, role: 'manager' };
+
+  const publishRoleChange = () => eventBus.publish(
+    { type: 'UserRoleChanged', userId: 'user-1', role: 'manager', occurredAt: new Date('2024-01-01T10:00:00Z') },
+    { actorId: 'admin-1', ipAddress: '127.0.0.1', correlationId: 'request-1', before, after, fields: ['role'] }
+  );
+
+  beforeEach(() => {
+    auditLogRepository = new InMemoryAuditLogRepository();
+    outboxRepository = new InMemoryOutboxRepository();
+    eventBus = new EventBus();
+    outboxService = new OutboxService(outboxRepository, {}, eventBus);
+    new AuditLogSubscriber(new AuditLogService(auditLogRepository)).register(eventBus);
+    eventBus.useOutbox(outboxService);
+  });
+
+  it('records events through the outbox', async () => {
+    await publishRoleChange();
+
+    expect(await entries()).toEqual([]);
+
+    await outboxService.dispatchDue();
+
+    const [entry] = await entries();
+    expect(entry).toMatchObject({
+      sequence: 1,
+      action: 'UserRoleChanged',
+      actorId: 'admin-1',
+      targetType: 'user',
+      targetId: 'user-1',
+      changes: { before: { role: 'staff' }, after: { role: 'manager' } },
+      metadata: { role: 'manager' },
+      ipAddress: '127.0.0.1',
+      correlationId: 'request-1',
+      occurredAt: new Date('2024-01-01T10:00:00Z')
+    });
+    await expect(new AuditLogService(auditLogRepository).verify()).resolves.toMatchObject({ valid: true, checked: 1 });
+  });
+
+  it('queues only the changes, not the whole records', async () => {
+    await publishRoleChange();
+
+    expect(onlyMessage().payload.context).toEqual({
+      actorId: 'admin-1',
+      ipAddress: '127.0.0.1',
+      correlationId: 'request-1',
+      before: { role: 'staff' },
+      after: { role: 'manager' }
+    });
+    expect(JSON.stringify(onlyMessage().payload)).not.toContain('bcrypt-hash');
+  });
+
+  it('keeps an entry that cannot be written as a dead message until it is replayed', async () => {
+    const append = auditLogRepository.append.bind(auditLogRepository);
+    auditLogRepository.append = async () => {
+      throw new Error('Database unavailable');
+    };
+    await publishRoleChange();
+
+    for (let attempt = 0; attempt < config.OUTBOX_MAX_ATTEMPTS; attempt++) {
+      makeDue();
+      await outboxService.dispatchDue();
+    }
+
+    expect(onlyMessage()).toMatchObject({ status: 'dead', lastError: 'Database unavailable' });
+    expect(await entries()).toEqual([]);
+
+    auditLogRepository.append = append;
+    await outboxRepository.replayDead({ type: 'event' });
+    await outboxService.dispatchDue();
+
+    expect(await entries()).toHaveLength(1);
+  });
+});
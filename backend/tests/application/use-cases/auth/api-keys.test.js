@@ -0,0 +1,64 @@
+import { CreateApiKeyUseCase } from '../../../../src/application/use-cases/auth/create-api-key-use-case.js';
+import { RevokeApiKeyUseCase } from '../../../../src/application/use-cases/auth/revoke-api-key-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { InMemoryApiKeyRepository } from '../../../helpers/in-memory-api-key-repository.js';
+import { fakeEventBus, fakeSigningKeyService } from '../../../helpers/fakes.js';
+
+describe('API keys', () => {
+  let apiKeyRepository;
+  let tokenService;
+  let eventBus;
+  let createApiKey;
+  let revokeApiKey;
+
+  beforeEach(() => {
+    apiKeyRepository = new InMemoryApiKeyRepository();
+    tokenService = new TokenService(fakeSigningKeyService());
+    eventBus = fakeEventBus();
+    createApiKey = new CreateApiKeyUseCase(apiKeyRepository, tokenService, eventBus);
+    revokeApiKey = new RevokeApiKeyUseCase(apiKeyRepository, eventBus);
+  });
+
+  it('returns the key once and stores only its hash', async () => {
+    const { apiKey } = await createApiKey.execute({ userId: 'user-1', name: ' CI ', scopes: ['files', 'files'] });
+
+    const [stored] = apiKeyRepository.records.values();
+    expect(apiKey).toMatchObject({ name: 'CI', scopes: ['files'], key: expect.stringMatching(/^ak_/) });
+    expect(stored.keyHash).toBe(tokenService.hashToken(apiKey.key));
+    expect(Object.values(stored)).not.toContain(apiKey.key);
+  });
+
+  it('records who created which key, without the key', async () => {
+    const { apiKey } = await createApiKey.execute({ userId: 'user-1', name: 'CI', scopes: ['files'] }, { actorId: 'user-1' });
+
+    expect(eventBus.events).toEqual([{
+      type: 'ApiKeyCreated',
+      userId: 'user-1',
+      apiKeyId: apiKey.id,
+      name: 'CI',
+      scopes: ['files'],
+      expiresAt: null,
+      occurredAt: expect.any(Date),
+      context: { actorId: 'user-1' }
+    }]);
+  });
+
+  it('revokes only keys of the user and records it', async () => {
+    const { apiKey } = await createApiKey.execute({ userId: 'user-1', name: 'CI', scopes: ['files'] });
+
+    await expect(revokeApiKey.execute({ userId: 'user-2', apiKeyId: apiKey.id })).rejects.toThrow('API key not found');
+    await revokeApiKey.execute({ userId: 'user-1', apiKeyId: apiKey.id });
+
+    expect(apiKeyRepository.records.size).toBe(0);
+    expect(eventBus.events.map(event => event.type)).toEqual(['ApiKeyCreated', 'ApiKeyRevoked']);
+    expect(eventBus.events[1]).toMatchObject({ userId: 'user-1', apiKeyId: apiKey.id });
+  });
+
+  it('refuses keys without scopes or with a past expiry', async () => {
+    await expect(createApiKey.execute({ userId: 'user-1', name: 'CI', scopes: [] }))
+      .rejects.toThrow('Name and at least one scope are required');
+    await expect(createApiKey.execute({ userId: 'user-1', name: 'CI', scopes: ['files'], expiresAt: '2000-01-01T00:00:00Z' }))
+      .rejects.toThrow('Expiry must be in the future');
+    expect(eventBus.events).toEqual([]);
+  });
+});
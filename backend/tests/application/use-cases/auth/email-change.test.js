@@ -0,0 +1,101 @@
+import { ChangeEmailUseCase } from '../../../../src/application/use-cases/auth/change-email-use-case.js';
+import { ConfirmEmailChangeUseCase } from '../../../../src/application/use-cases/auth/confirm-email-change-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import {
+  fakeAuthService,
+  fakeEventBus,
+  fakeOutboxService,
+  fakeSigningKeyService,
+  fakeTransactionService
+} from '../../../helpers/fakes.js';
+
+describe('email change', () => {
+  const password = 'Passw0rd!';
+  let userRepository;
+  let outboxService;
+  let eventBus;
+  let changeEmail;
+  let confirmEmailChange;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    outboxService = fakeOutboxService();
+    eventBus = fakeEventBus();
+    const tokenService = new TokenService(fakeSigningKeyService());
+    changeEmail = new ChangeEmailUseCase(userRepository, fakeAuthService(), outboxService, tokenService, fakeTransactionService());
+    confirmEmailChange = new ConfirmEmailChangeUseCase(userRepository, tokenService, eventBus);
+    user = userRepository.add({ email: 'jane@example.com', password: `hashed:${password}` });
+  });
+
+  // Requests a change and returns the token from the confirmation email
+  const requestChange = async newEmail => {
+    await changeEmail.execute({ userId: user.id, newEmail, password });
+    const { to, data } = outboxService.emails.filter(email => email.template === 'email-change-verification').at(-1);
+    return { to, token: new URL(data.confirmUrl).searchParams.get('token') };
+  };
+
+  it('sends the confirmation to the new address and keeps the current one until it is used', async () => {
+    const { to } = await requestChange('Jane.New@Example.com');
+
+    expect(to).toBe('jane.new@example.com');
+    expect(outboxService.emails.map(email => [email.template, email.to])).toEqual([
+      ['email-change-verification', 'jane.new@example.com'],
+      ['email-change-notice', 'jane@example.com']
+    ]);
+    expect(userRepository.record(user.id)).toMatchObject({ email: 'jane@example.com', pendingEmail: 'jane.new@example.com' });
+  });
+
+  it('switches to the new address once confirmed, and only once', async () => {
+    const { token } = await requestChange('jane.new@example.com');
+
+    const result = await confirmEmailChange.execute({ token });
+
+    expect(result.user).toMatchObject({ email: 'jane.new@example.com', isEmailVerified: true });
+    expect(userRepository.record(user.id)).toMatchObject({ email: 'jane.new@example.com', pendingEmail: null, pendingEmailToken: null });
+    expect(eventBus.events).toEqual([expect.objectContaining({
+      type: 'UserEmailChanged', previousEmail: 'jane@example.com', email: 'jane.new@example.com'
+    })]);
+    await expect(confirmEmailChange.execute({ token })).rejects.toThrow('Invalid or expired confirmation token');
+  });
+
+  it('binds the token to the address it was sent to', async () => {
+    const first = await requestChange('first@example.com');
+    const second = await requestChange('second@example.com');
+
+    // A newer request replaces the pending address and its token
+    await expect(confirmEmailChange.execute({ token: first.token })).rejects.toThrow('Invalid or expired confirmation token');
+    await confirmEmailChange.execute({ token: second.token });
+
+    expect(userRepository.record(user.id).email).toBe('second@example.com');
+  });
+
+  it('refuses expired tokens', async () => {
+    const { token } = await requestChange('jane.new@example.com');
+    await userRepository.update(user.id, { pendingEmailExpires: new Date(Date.now() - 1000) });
+
+    await expect(confirmEmailChange.execute({ token })).rejects.toThrow('Invalid or expired confirmation token');
+    expect(userRepository.record(user.id).email).toBe('jane@example.com');
+  });
+
+  it('refuses an address registered in the meantime', async () => {
+    const { token } = await requestChange('taken@example.com');
+    userRepository.add({ email: 'taken@example.com', password: 'hashed:x' });
+
+    await expect(confirmEmailChange.execute({ token })).rejects.toThrow('Email already registered');
+    expect(userRepository.record(user.id).email).toBe('jane@example.com');
+  });
+
+  it('requires the current password and a new, unused address', async () => {
+    userRepository.add({ email: 'john@example.com', password: 'hashed:x' });
+
+    await expect(changeEmail.execute({ userId: user.id, newEmail: 'new@example.com', password: 'wrong' }))
+      .rejects.toThrow('Invalid password');
+    await expect(changeEmail.execute({ userId: user.id, newEmail: 'jane@example.com', password }))
+      .rejects.toThrow('New email must be different');
+    await expect(changeEmail.execute({ userId: user.id, newEmail: 'john@example.com', password }))
+      .rejects.toThrow('Email already registered');
+    expect(outboxService.emails).toEqual([]);
+  });
+});
@@ -0,0 +1,23 @@
+import { GetPasswordPolicyUseCase } from '../../../../src/application/use-cases/auth/get-password-policy-use-case.js';
+import { PasswordPolicyService } from '../../../../src/shared/services/password-policy-service.js';
+import { fakeAuthService } from '../../../helpers/fakes.js';
+
+describe('GetPasswordPolicyUseCase', () => {
+  it('returns the rules the server enforces', async () => {
+    const passwordPolicyService = new PasswordPolicyService(fakeAuthService());
+    const { policy } = await new GetPasswordPolicyUseCase(passwordPolicyService).execute();
+
+    expect(policy).toEqual({
+      minLength: 8,
+      maxLength: 128,
+      requireUppercase: true,
+      requireLowercase: true,
+      requireNumber: true,
+      requireSymbol: true
+    });
+
+    // A password built to the advertised rules passes, one missing a symbol does not
+    await expect(passwordPolicyService.validate('Abcdefg1!')).resolves.toBeUndefined();
+    await expect(passwordPolicyService.validate('Abcdefg12')).rejects.toThrow('special character');
+  });
+});
@@ -0,0 +1,119 @@
+import { LoginUseCase } from '../../../../src/application/use-cases/auth/login-use-case.js';
+import { VerifyTwoFactorUseCase } from '../../../../src/application/use-cases/auth/verify-two-factor-use-case.js';
+import { UnlockUserUseCase } from '../../../../src/application/use-cases/users/unlock-user-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { TotpService } from '../../../../src/shared/services/totp-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { LoginAttemptService } from '../../../../src/shared/services/login-attempt-service.js';
+import { PasswordPolicyService } from '../../../../src/shared/services/password-policy-service.js';
+import { PermissionService } from '../../../../src/shared/services/permission-service.js';
+import { ErrorResponse } from '../../../../src/shared/utils/error-responses.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryRoleRepository } from '../../../helpers/in-memory-role-repository.js';
+import {
+  InMemoryExpiringStore,
+  fakeAuthService,
+  fakeEventBus,
+  fakeSigningKeyService
+} from '../../../helpers/fakes.js';
+
+describe('login lockout', () => {
+  const password = 'Passw0rd!';
+  const ipAddress = '203.0.113.1';
+  let userRepository;
+  let eventBus;
+  let tokenService;
+  let totpService;
+  let loginAttemptService;
+  let login;
+  let verify;
+  let unlock;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    eventBus = fakeEventBus();
+    tokenService = new TokenService(fakeSigningKeyService());
+    totpService = new TotpService();
+    loginAttemptService = new LoginAttemptService(new InMemoryExpiringStore());
+    const authService = fakeAuthService();
+    const refreshTokenService = new RefreshTokenService(new InMemoryRefreshTokenFamilyRepository(), tokenService);
+
+    login = new LoginUseCase(
+      userRepository, authService, refreshTokenService, tokenService, loginAttemptService, eventBus,
+      new PasswordPolicyService(authService), new PermissionService(new InMemoryRoleRepository())
+    );
+    verify = new VerifyTwoFactorUseCase(
+      userRepository, tokenService, totpService, refreshTokenService, loginAttemptService, eventBus
+    );
+    unlock = new UnlockUserUseCase(userRepository, loginAttemptService, eventBus);
+
+    user = userRepository.add({ email: 'jane@example.com', password: `hashed:${password}`, role: 'staff', isActive: true });
+  });
+
+  const attempt = (attemptPassword, attemptIp = ipAddress) => login
+    .execute({ email: user.email, password: attemptPassword, ipAddress: attemptIp })
+    .catch(error => error);
+
+  const failLogins = async count => {
+    const results = [];
+    for (let failure = 0; failure < count; failure++) {
+      results.push(await attempt('wrong', `198.51.100.${failure}`));
+    }
+    return results;
+  };
+
+  it('locks the account after repeated wrong passwords and tells the owner', async () => {
+    const results = await failLogins(loginAttemptService.maxAttempts.account);
+
+    expect(results.slice(0, -1).every(error => error.message.includes('Invalid credentials'))).toBe(true);
+    const lockout = results.at(-1);
+    expect(lockout).toBeInstanceOf(ErrorResponse);
+    expect(lockout.statusCode).toBe(429);
+    expect(lockout.additionalData.retryAfter).toBe(loginAttemptService.lockoutDuration);
+    expect(eventBus.events).toEqual([expect.objectContaining({ type: 'UserLockedOut', userId: user.id })]);
+
+    // The right password is refused while locked out
+    await expect(attempt(password)).resolves.toBeInstanceOf(ErrorResponse);
+  });
+
+  it('starts counting over after a successful login', async () => {
+    await failLogins(loginAttemptService.maxAttempts.account - 1);
+
+    const result = await attempt(password);
+    expect(result.tokens).toBeDefined();
+
+    const results = await failLogins(loginAttemptService.maxAttempts.account - 1);
+    expect(results.some(error => error instanceof ErrorResponse)).toBe(false);
+  });
+
+  it('lets an admin lift the lockout', async () => {
+    await failLogins(loginAttemptService.maxAttempts.account);
+
+    const result = await unlock.execute(user.id, { actorId: 'admin-1' });
+
+    expect(result).toEqual({ message: 'User unlocked successfully', wasLocked: true });
+    expect(eventBus.events.at(-1)).toMatchObject({ type: 'UserUnlocked', userId: user.id });
+    await expect(attempt(password)).resolves.toMatchObject({ tokens: expect.any(Object) });
+  });
+
+  it('does not announce unlocking an account that was not locked', async () => {
+    await expect(unlock.execute(user.id)).resolves.toEqual({ message: 'User was not locked', wasLocked: false });
+    expect(eventBus.events).toEqual([]);
+    await expect(unlock.execute('unknown')).rejects.toThrow('User not found');
+  });
+
+  it('counts wrong two-factor codes toward the same lockout as wrong passwords', async () => {
+    await userRepository.update(user.id, { twoFactorEnabled: true, twoFactorSecret: totpService.generateSecret() });
+    const { mfaToken } = await attempt(password);
+    await failLogins(loginAttemptService.maxAttempts.account - 1);
+
+    const error = await verify.execute({ mfaToken, code: '000000', ipAddress }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ErrorResponse);
+    expect(eventBus.events).toEqual([expect.objectContaining({ type: 'UserLockedOut', userId: user.id })]);
+    // Password logins are locked out too
+    await expect(attempt(password)).resolves.toBeInstanceOf(ErrorResponse);
+  });
+});
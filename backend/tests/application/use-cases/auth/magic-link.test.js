@@ -0,0 +1,132 @@
+import { RequestMagicLinkUseCase } from '../../../../src/application/use-cases/auth/request-magic-link-use-case.js';
+import { MagicLinkLoginUseCase } from '../../../../src/application/use-cases/auth/magic-link-login-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { LoginAttemptService } from '../../../../src/shared/services/login-attempt-service.js';
+import { PasswordPolicyService } from '../../../../src/shared/services/password-policy-service.js';
+import { PermissionService } from '../../../../src/shared/services/permission-service.js';
+import { ErrorResponse } from '../../../../src/shared/utils/error-responses.js';
+import { cacheKeys } from '../../../../src/infrastructure/config/redis.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryRoleRepository } from '../../../helpers/in-memory-role-repository.js';
+import {
+  InMemoryExpiringStore,
+  fakeAuthService,
+  fakeOutboxService,
+  fakeSigningKeyService
+} from '../../../helpers/fakes.js';
+
+describe('magic link sign-in', () => {
+  const ipAddress = '203.0.113.1';
+  let userRepository;
+  let store;
+  let attemptStore;
+  let outboxService;
+  let loginAttemptService;
+  let passwordPolicyService;
+  let requestMagicLink;
+  let magicLinkLogin;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    store = new InMemoryExpiringStore();
+    outboxService = fakeOutboxService();
+    const tokenService = new TokenService(fakeSigningKeyService());
+    attemptStore = new InMemoryExpiringStore();
+    loginAttemptService = new LoginAttemptService(attemptStore);
+    passwordPolicyService = new PasswordPolicyService(fakeAuthService());
+
+    requestMagicLink = new RequestMagicLinkUseCase(userRepository, outboxService, tokenService, store);
+    magicLinkLogin = new MagicLinkLoginUseCase(
+      userRepository,
+      tokenService,
+      new RefreshTokenService(new InMemoryRefreshTokenFamilyRepository(), tokenService),
+      store,
+      new PermissionService(new InMemoryRoleRepository()),
+      loginAttemptService,
+      passwordPolicyService
+    );
+
+    user = userRepository.add({ email: 'jane@example.com', password: 'hashed:Passw0rd!', role: 'staff', isActive: true });
+  });
+
+  // Requests a link and returns what the browser keeps and what the email holds
+  const requestLink = async () => {
+    const { nonce } = await requestMagicLink.execute({ email: user.email });
+    const { magicLinkUrl } = outboxService.emails.at(-1).data;
+    return { nonce, token: new URL(magicLinkUrl).searchParams.get('token') };
+  };
+
+  const signIn = ({ token, nonce }) => magicLinkLogin.execute({ token, nonce, ipAddress });
+
+  it('signs in with the emailed link and the nonce of the requesting browser', async () => {
+    const link = await requestLink();
+
+    const result = await signIn(link);
+
+    expect(result.user).toMatchObject({ id: user.id, email: user.email });
+    expect(result.tokens.accessToken).toBeDefined();
+  });
+
+  it('works only once', async () => {
+    const link = await requestLink();
+    await signIn(link);
+
+    await expect(signIn(link)).rejects.toThrow('Invalid or expired sign-in link');
+  });
+
+  it('is used up by an attempt with the wrong nonce', async () => {
+    const link = await requestLink();
+
+    await expect(signIn({ ...link, nonce: 'other-browser' })).rejects.toThrow('requested from a different browser');
+    await expect(signIn(link)).rejects.toThrow('Invalid or expired sign-in link');
+  });
+
+  it('expires', async () => {
+    const link = await requestLink();
+    store.entries.forEach(entry => {
+      entry.expiresAt = Date.now() - 1;
+    });
+
+    await expect(signIn(link)).rejects.toThrow('Invalid or expired sign-in link');
+  });
+
+  it('refuses an account locked out by failed password logins', async () => {
+    for (let attempt = 0; attempt < loginAttemptService.maxAttempts.account; attempt++) {
+      await loginAttemptService.recordFailure({ email: user.email, ipAddress: `198.51.100.${attempt}` });
+    }
+    const link = await requestLink();
+
+    const error = await signIn(link).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ErrorResponse);
+    expect(error.additionalData.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('clears earlier failed logins of the account once signed in', async () => {
+    await loginAttemptService.recordFailure({ email: user.email, ipAddress });
+
+    await signIn(await requestLink());
+
+    await expect(attemptStore.get(cacheKeys.loginFailures('account', user.email))).resolves.toBeNull();
+  });
+
+  it('asks for a new password when the current one has expired', async () => {
+    passwordPolicyService.maxAgeDays = 90;
+    await userRepository.update(user.id, { passwordChangedAt: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) });
+
+    const result = await signIn(await requestLink());
+
+    expect(result).toEqual({ challenge: 'password_change_required', passwordChangeToken: expect.any(String) });
+  });
+
+  it('asks for the second factor when two-factor authentication is on', async () => {
+    await userRepository.update(user.id, { twoFactorEnabled: true });
+
+    const result = await signIn(await requestLink());
+
+    expect(result).toEqual({ challenge: 'mfa_required', mfaToken: expect.any(String) });
+  });
+});
@@ -0,0 +1,177 @@
+import { OidcAuthorizeUseCase } from '../../../../src/application/use-cases/auth/oidc-authorize-use-case.js';
+import { OidcCallbackUseCase } from '../../../../src/application/use-cases/auth/oidc-callback-use-case.js';
+import { UnlinkOidcIdentityUseCase } from '../../../../src/application/use-cases/auth/unlink-oidc-identity-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { PermissionService } from '../../../../src/shared/services/permission-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryRoleRepository } from '../../../helpers/in-memory-role-repository.js';
+import { InMemoryExpiringStore, fakeAuthService, fakeEventBus, fakeSigningKeyService } from '../../../helpers/fakes.js';
+
+// Stands in for the provider: each authorization code maps to the ID token claims it yields
+class FakeOidcService {
+  constructor() {
+    this.codes = new Map();
+    this.requests = 0;
+  }
+
+  async createAuthorizationRequest(provider) {
+    this.requests += 1;
+    const state = `state-${this.requests}`;
+    return {
+      authorizationUrl: `https://idp.test/${provider}/authorize?state=${state}`,
+      state,
+      nonce: `nonce-${this.requests}`,
+      codeVerifier: `verifier-${this.requests}`
+    };
+  }
+
+  async exchangeCode(provider, { code }, { nonce }) {
+    const claims = this.codes.get(code);
+    if (!claims || claims.nonce !== nonce) {
+      throw new Error('invalid_grant');
+    }
+    return claims;
+  }
+}
+
+describe('external login (OIDC)', () => {
+  let userRepository;
+  let oidcService;
+  let eventBus;
+  let authorize;
+  let callback;
+  let unlink;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    oidcService = new FakeOidcService();
+    eventBus = fakeEventBus();
+    const store = new InMemoryExpiringStore();
+    const tokenService = new TokenService(fakeSigningKeyService());
+    const refreshTokenService = new RefreshTokenService(new InMemoryRefreshTokenFamilyRepository(), tokenService);
+
+    authorize = new OidcAuthorizeUseCase(oidcService, store);
+    callback = new OidcCallbackUseCase(
+      userRepository, oidcService, store, fakeAuthService(), tokenService, refreshTokenService,
+      new PermissionService(new InMemoryRoleRepository()), eventBus
+    );
+    unlink = new UnlinkOidcIdentityUseCase(userRepository, eventBus);
+
+    user = userRepository.add({ email: 'jane@example.com', password: 'hashed:Passw0rd!' });
+  });
+
+  // Runs the provider side: the user signs in there and comes back with a code
+  const signInAtProvider = async (claims, { linkFor = null } = {}) => {
+    const { state } = await authorize.execute({ provider: 'google', userId: linkFor });
+    const code = `code-${state}`;
+    oidcService.codes.set(code, { nonce: `nonce-${oidcService.requests}`, ...claims });
+    return { code, state };
+  };
+
+  it('links and signs in an existing account with the same verified email', async () => {
+    const params = await signInAtProvider({ sub: 'google-1', email: 'Jane@Example.com', email_verified: true });
+
+    const result = await callback.execute(params);
+
+    expect(result.user.id).toBe(user.id);
+    expect(result.tokens.accessToken).toBeDefined();
+    expect(userRepository.record(user.id).oidcIdentities)
+      .toEqual([expect.objectContaining({ provider: 'google', subject: 'google-1' })]);
+    expect(eventBus.events).toEqual([expect.objectContaining({
+      type: 'OidcIdentityLinked', userId: user.id, provider: 'google', method: 'email_match'
+    })]);
+  });
+
+  it('does not match accounts by an unverified email', async () => {
+    const params = await signInAtProvider({ sub: 'google-1', email: 'jane@example.com', email_verified: false });
+
+    await expect(callback.execute(params)).rejects.toThrow('The provider did not return a verified email address');
+    expect(userRepository.record(user.id).oidcIdentities).toBeUndefined();
+  });
+
+  it('provisions a new account for an unknown verified email', async () => {
+    const params = await signInAtProvider({
+      sub: 'google-2', email: 'new@example.com', email_verified: true, given_name: 'New', family_name: 'Person'
+    });
+
+    const result = await callback.execute(params);
+
+    expect(result.user).toMatchObject({ email: 'new@example.com', name: 'New Person', role: 'staff' });
+  });
+
+  it('accepts each state only once', async () => {
+    const params = await signInAtProvider({ sub: 'google-1', email: 'jane@example.com', email_verified: true });
+    await callback.execute(params);
+
+    await expect(callback.execute(params)).rejects.toThrow('Invalid or expired authorization request');
+  });
+
+  it('asks for the second factor when the account has 2FA enabled', async () => {
+    await userRepository.update(user.id, { twoFactorEnabled: true });
+    const params = await signInAtProvider({ sub: 'google-1', email: 'jane@example.com', email_verified: true });
+
+    const result = await callback.execute(params);
+
+    expect(result).toEqual({ challenge: 'mfa_required', mfaToken: expect.any(String) });
+  });
+
+  describe('linking', () => {
+    it('links the provider for the user who started it', async () => {
+      const params = await signInAtProvider({ sub: 'google-9', email: 'other@gmail.com' }, { linkFor: user.id });
+
+      const result = await callback.execute({ ...params, userId: user.id });
+
+      expect(result).toEqual({ linked: true, provider: 'google', email: 'other@gmail.com' });
+      expect(userRepository.record(user.id).oidcIdentities)
+        .toEqual([expect.objectContaining({ subject: 'google-9' })]);
+      expect(eventBus.events).toEqual([expect.objectContaining({
+        type: 'OidcIdentityLinked', userId: user.id, provider: 'google', method: 'link'
+      })]);
+    });
+
+    it('unlinks a linked provider', async () => {
+      await userRepository.update(user.id, { oidcIdentities: [{ provider: 'google', subject: 'google-9' }] });
+
+      await unlink.execute({ userId: user.id, provider: 'google' });
+
+      expect(userRepository.record(user.id).oidcIdentities).toEqual([]);
+      expect(eventBus.events).toEqual([expect.objectContaining({ type: 'OidcIdentityUnlinked', userId: user.id, provider: 'google' })]);
+      await expect(unlink.execute({ userId: user.id, provider: 'google' })).rejects.toThrow('Login provider is not linked');
+    });
+
+    it('is not finished without the signed-in user', async () => {
+      const params = await signInAtProvider({ sub: 'google-9' }, { linkFor: user.id });
+
+      await expect(callback.execute(params))
+        .rejects.toThrow('Sign in as the user who started linking this provider');
+      expect(userRepository.record(user.id).oidcIdentities).toBeUndefined();
+    });
+
+    it('is not finished by another signed-in user', async () => {
+      const attacker = userRepository.add({ email: 'mallory@example.com', password: 'hashed:Passw0rd!' });
+      const params = await signInAtProvider({ sub: 'google-9' }, { linkFor: attacker.id });
+
+      // The attacker's link URL, opened while the victim is signed in
+      await expect(callback.execute({ ...params, userId: user.id }))
+        .rejects.toThrow('Sign in as the user who started linking this provider');
+      expect(userRepository.record(user.id).oidcIdentities).toBeUndefined();
+      expect(userRepository.record(attacker.id).oidcIdentities).toBeUndefined();
+    });
+
+    it('refuses a provider account that is linked to someone else', async () => {
+      const other = userRepository.add({
+        email: 'john@example.com',
+        password: 'hashed:Passw0rd!',
+        oidcIdentities: [{ provider: 'google', subject: 'google-9' }]
+      });
+      const params = await signInAtProvider({ sub: 'google-9' }, { linkFor: user.id });
+
+      await expect(callback.execute({ ...params, userId: user.id }))
+        .rejects.toThrow('This account is already linked to another user');
+      expect(userRepository.record(other.id).oidcIdentities).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { ForgotPasswordUseCase } from '../../../../src/application/use-cases/auth/forgot-password-use-case.js';
+import { ResetPasswordUseCase } from '../../../../src/application/use-cases/auth/reset-password-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { PasswordPolicyService } from '../../../../src/shared/services/password-policy-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import {
+  fakeAuthService,
+  fakeEventBus,
+  fakeOutboxService,
+  fakeSigningKeyService,
+  fakeTransactionService
+} from '../../../helpers/fakes.js';
+
+describe('password reset', () => {
+  let userRepository;
+  let outboxService;
+  let eventBus;
+  let forgotPassword;
+  let resetPassword;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    outboxService = fakeOutboxService();
+    eventBus = fakeEventBus();
+    const tokenService = new TokenService(fakeSigningKeyService());
+    forgotPassword = new ForgotPasswordUseCase(userRepository, outboxService, tokenService, fakeTransactionService());
+    resetPassword = new ResetPasswordUseCase(
+      userRepository,
+      tokenService,
+      new PasswordPolicyService(fakeAuthService()),
+      eventBus
+    );
+    user = userRepository.add({ email: 'jane@example.com', password: 'hashed:Old-passw0rd' });
+  });
+
+  const requestToken = async () => {
+    await forgotPassword.execute({ email: user.email });
+    const { resetUrl } = outboxService.emails.at(-1).data;
+    return new URL(resetUrl).searchParams.get('token');
+  };
+
+  it('emails a reset link and stores only the token hash', async () => {
+    const token = await requestToken();
+
+    expect(outboxService.emails).toHaveLength(1);
+    expect(outboxService.emails[0].data.resetUrl).toMatch(/^http:\/\/client\.test\/reset-password\?token=/);
+    const stored = userRepository.record(user.id).passwordResetToken;
+    expect(stored).toBeDefined();
+    expect(stored).not.toBe(token);
+  });
+
+  it('answers the same way for unknown emails without sending anything', async () => {
+    const known = await forgotPassword.execute({ email: user.email });
+    const unknown = await forgotPassword.execute({ email: 'nobody@example.com' });
+
+    expect(unknown).toEqual(known);
+    expect(outboxService.emails).toHaveLength(1);
+  });
+
+  it('sets the new password and consumes the token', async () => {
+    const token = await requestToken();
+
+    await resetPassword.execute({ token, password: 'New-passw0rd!' });
+
+    const record = userRepository.record(user.id);
+    expect(record.password).toBe('hashed:New-passw0rd!');
+    expect(record.passwordResetToken).toBeNull();
+    expect(record.passwordHistory).toContain('hashed:Old-passw0rd');
+    expect(eventBus.events).toEqual([expect.objectContaining({ type: 'UserPasswordChanged', method: 'reset' })]);
+
+    await expect(resetPassword.execute({ token, password: 'Other-passw0rd!' }))
+      .rejects.toThrow('Invalid or expired reset token');
+  });
+
+  it('lets only one of two concurrent resets with the same token succeed', async () => {
+    const token = await requestToken();
+
+    const results = await Promise.allSettled([
+      resetPassword.execute({ token, password: 'First-passw0rd!' }),
+      resetPassword.execute({ token, password: 'Second-passw0rd!' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toContain('Invalid or expired reset token');
+    expect(eventBus.events).toHaveLength(1);
+    const winner = results[0].status === 'fulfilled' ? 'First-passw0rd!' : 'Second-passw0rd!';
+    expect(userRepository.record(user.id).password).toBe(`hashed:${winner}`);
+  });
+
+  it('rejects expired and unknown tokens', async () => {
+    const token = await requestToken();
+    await userRepository.update(user.id, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    await expect(resetPassword.execute({ token, password: 'New-passw0rd!' }))
+      .rejects.toThrow('Invalid or expired reset token');
+    await expect(resetPassword.execute({ token: 'f'.repeat(64), password: 'New-passw0rd!' }))
+      .rejects.toThrow('Invalid or expired reset token');
+  });
+
+  it('applies the password policy', async () => {
+    const token = await requestToken();
+
+    await expect(resetPassword.execute({ token, password: 'short' })).rejects.toThrow('Password reset failed');
+    await expect(resetPassword.execute({ token, password: 'Old-passw0rd' }))
+      .rejects.toThrow('must not match any of your last');
+    expect(userRepository.record(user.id).password).toBe('hashed:Old-passw0rd');
+  });
+});
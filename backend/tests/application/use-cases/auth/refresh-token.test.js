@@ -0,0 +1,76 @@
+import { RefreshTokenUseCase } from '../../../../src/application/use-cases/auth/refresh-token-use-case.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { fakeSigningKeyService } from '../../../helpers/fakes.js';
+
+describe('refresh token rotation', () => {
+  let userRepository;
+  let familyRepository;
+  let refreshTokenService;
+  let refreshToken;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    familyRepository = new InMemoryRefreshTokenFamilyRepository();
+    const tokenService = new TokenService(fakeSigningKeyService());
+    refreshTokenService = new RefreshTokenService(familyRepository, tokenService);
+    refreshToken = new RefreshTokenUseCase(userRepository, tokenService, refreshTokenService);
+    user = userRepository.add({ email: 'jane@example.com' });
+  });
+
+  it('exchanges the current token for a new pair in the same family', async () => {
+    const first = await refreshTokenService.issueTokenPair(user, { userAgent: 'jest' });
+
+    const { tokens } = await refreshToken.execute({ refreshToken: first.refreshToken });
+
+    expect(tokens.refreshToken).not.toBe(first.refreshToken);
+    expect(familyRepository.records.size).toBe(1);
+    await expect(refreshToken.execute({ refreshToken: tokens.refreshToken })).resolves.toHaveProperty('tokens');
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const first = await refreshTokenService.issueTokenPair(user);
+    const { tokens: second } = await refreshToken.execute({ refreshToken: first.refreshToken });
+
+    await expect(refreshToken.execute({ refreshToken: first.refreshToken }))
+      .rejects.toThrow('Refresh token reuse detected');
+
+    const [family] = familyRepository.records.values();
+    expect(family.revokedReason).toBe('reuse_detected');
+    // The legitimate holder of the newest token is signed out as well
+    await expect(refreshToken.execute({ refreshToken: second.refreshToken }))
+      .rejects.toThrow('Refresh token has been revoked');
+  });
+
+  it('lets only one of two concurrent exchanges of the same token win', async () => {
+    const first = await refreshTokenService.issueTokenPair(user);
+
+    const results = await Promise.allSettled([
+      refreshToken.execute({ refreshToken: first.refreshToken }),
+      refreshToken.execute({ refreshToken: first.refreshToken })
+    ]);
+
+    expect(results.filter(result => result.status === 'rejected')).toHaveLength(1);
+    const [family] = familyRepository.records.values();
+    expect(family.revokedReason).toBe('reuse_detected');
+  });
+
+  it('rejects tokens issued before a password change and revokes their family', async () => {
+    const first = await refreshTokenService.issueTokenPair(user);
+    await userRepository.update(user.id, { passwordChangedAt: new Date(Date.now() + 2000) });
+
+    await expect(refreshToken.execute({ refreshToken: first.refreshToken }))
+      .rejects.toThrow('Password was changed recently');
+    const [family] = familyRepository.records.values();
+    expect(family.revokedReason).toBe('password_changed');
+  });
+
+  it('does not accept an access token as a refresh token', async () => {
+    const { accessToken } = await refreshTokenService.issueTokenPair(user);
+
+    await expect(refreshToken.execute({ refreshToken: accessToken })).rejects.toThrow('Token refresh failed');
+  });
+});
@@ -0,0 +1,104 @@
+import { GetSessionsUseCase } from '../../../../src/application/use-cases/auth/get-sessions-use-case.js';
+import { RevokeSessionUseCase } from '../../../../src/application/use-cases/auth/revoke-session-use-case.js';
+import { LogoutAllUseCase } from '../../../../src/application/use-cases/auth/logout-all-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { TokenRevocationService } from '../../../../src/shared/services/token-revocation-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryExpiringStore, fakeEventBus, fakeSigningKeyService } from '../../../helpers/fakes.js';
+
+describe('sessions', () => {
+  let familyRepository;
+  let tokenService;
+  let refreshTokenService;
+  let tokenRevocationService;
+  let eventBus;
+  let getSessions;
+  let revokeSession;
+  let jane;
+  let john;
+
+  beforeEach(() => {
+    const userRepository = new InMemoryUserRepository();
+    familyRepository = new InMemoryRefreshTokenFamilyRepository();
+    tokenService = new TokenService(fakeSigningKeyService());
+    refreshTokenService = new RefreshTokenService(familyRepository, tokenService);
+    tokenRevocationService = new TokenRevocationService(new InMemoryExpiringStore());
+    eventBus = fakeEventBus();
+    getSessions = new GetSessionsUseCase(familyRepository);
+    revokeSession = new RevokeSessionUseCase(familyRepository, tokenRevocationService, tokenService, eventBus);
+
+    jane = userRepository.add({ email: 'jane@example.com' });
+    john = userRepository.add({ email: 'john@example.com' });
+  });
+
+  // Signs in and returns the session (refresh token family) ID carried in the access token
+  const signIn = async (user, userAgent = 'jest') => {
+    const { accessToken } = await refreshTokenService.issueTokenPair(user, { userAgent, ipAddress: '203.0.113.1' });
+    return tokenService.verifyToken(accessToken).family;
+  };
+
+  it('lists the active sessions of the user and marks the current one', async () => {
+    const laptop = await signIn(jane, 'laptop');
+    const phone = await signIn(jane, 'phone');
+    await signIn(john);
+
+    const { sessions } = await getSessions.execute({ userId: jane.id, currentSessionId: phone });
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: laptop, userAgent: 'laptop', ipAddress: '203.0.113.1', current: false }),
+      expect.objectContaining({ id: phone, userAgent: 'phone', current: true })
+    ]));
+  });
+
+  it('revokes a session and the access tokens issued in it', async () => {
+    const laptop = await signIn(jane, 'laptop');
+    const phone = await signIn(jane, 'phone');
+
+    await revokeSession.execute({ userId: jane.id, sessionId: laptop });
+
+    expect(familyRepository.records.get(laptop)).toMatchObject({ revokedReason: 'session_revoked' });
+    expect(eventBus.events).toEqual([expect.objectContaining({
+      type: 'SessionRevoked', userId: jane.id, sessionId: laptop, reason: 'session_revoked'
+    })]);
+    await expect(tokenRevocationService.isSessionRevoked(laptop)).resolves.toBe(true);
+    await expect(tokenRevocationService.isSessionRevoked(phone)).resolves.toBe(false);
+    const { sessions } = await getSessions.execute({ userId: jane.id });
+    expect(sessions.map(session => session.id)).toEqual([phone]);
+  });
+
+  it('refuses to revoke a session of another user', async () => {
+    const johnsSession = await signIn(john);
+
+    await expect(revokeSession.execute({ userId: jane.id, sessionId: johnsSession }))
+      .rejects.toThrow('Session not found');
+
+    expect(familyRepository.records.get(johnsSession).revokedAt).toBeUndefined();
+    await expect(tokenRevocationService.isSessionRevoked(johnsSession)).resolves.toBe(false);
+    expect(eventBus.events).toEqual([]);
+  });
+
+  it('refuses unknown and already revoked sessions', async () => {
+    const laptop = await signIn(jane);
+    await revokeSession.execute({ userId: jane.id, sessionId: laptop });
+
+    await expect(revokeSession.execute({ userId: jane.id, sessionId: laptop })).rejects.toThrow('Session not found');
+    await expect(revokeSession.execute({ userId: jane.id, sessionId: 'unknown' })).rejects.toThrow('Session not found');
+  });
+
+  it('signs the user, and only them, out of every session with log out everywhere', async () => {
+    await signIn(jane, 'laptop');
+    await signIn(jane, 'phone');
+    const johnsSession = await signIn(john);
+
+    const result = await new LogoutAllUseCase(tokenRevocationService, refreshTokenService, tokenService, eventBus)
+      .execute({ userId: jane.id });
+
+    expect(result.revokedSessions).toBe(2);
+    expect(eventBus.events).toEqual([expect.objectContaining({ type: 'AllSessionsRevoked', userId: jane.id, revokedSessions: 2 })]);
+    await expect(getSessions.execute({ userId: jane.id })).resolves.toEqual({ sessions: [] });
+    await expect(getSessions.execute({ userId: john.id })).resolves.toMatchObject({ sessions: [{ id: johnsSession }] });
+  });
+});
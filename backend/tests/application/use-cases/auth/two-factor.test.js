@@ -0,0 +1,164 @@
+import { LoginUseCase } from '../../../../src/application/use-cases/auth/login-use-case.js';
+import { SetupTwoFactorUseCase } from '../../../../src/application/use-cases/auth/setup-two-factor-use-case.js';
+import { EnableTwoFactorUseCase } from '../../../../src/application/use-cases/auth/enable-two-factor-use-case.js';
+import { VerifyTwoFactorUseCase } from '../../../../src/application/use-cases/auth/verify-two-factor-use-case.js';
+import { DisableTwoFactorUseCase } from '../../../../src/application/use-cases/auth/disable-two-factor-use-case.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { TotpService } from '../../../../src/shared/services/totp-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { LoginAttemptService } from '../../../../src/shared/services/login-attempt-service.js';
+import { PasswordPolicyService } from '../../../../src/shared/services/password-policy-service.js';
+import { PermissionService } from '../../../../src/shared/services/permission-service.js';
+import { ErrorResponse } from '../../../../src/shared/utils/error-responses.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryRoleRepository } from '../../../helpers/in-memory-role-repository.js';
+import {
+  InMemoryExpiringStore,
+  fakeAuthService,
+  fakeEventBus,
+  fakeSigningKeyService
+} from '../../../helpers/fakes.js';
+
+describe('two-factor authentication', () => {
+  const password = 'Passw0rd!';
+  let userRepository;
+  let roleRepository;
+  let eventBus;
+  let tokenService;
+  let totpService;
+  let permissionService;
+  let login;
+  let setup;
+  let enable;
+  let verify;
+  let disable;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    roleRepository = new InMemoryRoleRepository();
+    eventBus = fakeEventBus();
+    tokenService = new TokenService(fakeSigningKeyService());
+    totpService = new TotpService();
+    permissionService = new PermissionService(roleRepository);
+    const authService = fakeAuthService();
+    const refreshTokenService = new RefreshTokenService(new InMemoryRefreshTokenFamilyRepository(), tokenService);
+    const loginAttemptService = new LoginAttemptService(new InMemoryExpiringStore());
+
+    login = new LoginUseCase(
+      userRepository, authService, refreshTokenService, tokenService, loginAttemptService, eventBus,
+      new PasswordPolicyService(authService), permissionService
+    );
+    setup = new SetupTwoFactorUseCase(userRepository, tokenService, totpService);
+    enable = new EnableTwoFactorUseCase(userRepository, tokenService, totpService, refreshTokenService, eventBus);
+    verify = new VerifyTwoFactorUseCase(
+      userRepository, tokenService, totpService, refreshTokenService, loginAttemptService, eventBus
+    );
+    disable = new DisableTwoFactorUseCase(userRepository, authService, permissionService, eventBus);
+
+    user = userRepository.add({ email: 'jane@example.com', password: `hashed:${password}`, role: 'staff' });
+  });
+
+  // Enrolls the user; the first code uses the previous time step so current codes are still unused
+  const enroll = async () => {
+    const { secret } = await setup.execute({ userId: user.id });
+    const { recoveryCodes } = await enable.execute({
+      userId: user.id,
+      code: totpService.generateCode(secret, totpService.getCurrentStep() - 1)
+    });
+    return { secret, recoveryCodes };
+  };
+
+  const challenge = async () => {
+    const result = await login.execute({ email: user.email, password, ipAddress: '203.0.113.1' });
+    expect(result.challenge).toBe('mfa_required');
+    return result.mfaToken;
+  };
+
+  it('asks for a code after the password once 2FA is enabled', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(eventBus.events).toEqual([expect.objectContaining({ type: 'TwoFactorEnabled', userId: user.id })]);
+    expect(userRepository.record(user.id).twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+
+    const mfaToken = await challenge();
+    const result = await verify.execute({ mfaToken, code: totpService.generateCode(secret) });
+
+    expect(result.tokens.accessToken).toBeDefined();
+  });
+
+  it('accepts each authenticator code and recovery code only once', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    const code = totpService.generateCode(secret);
+
+    await verify.execute({ mfaToken: await challenge(), code });
+    await expect(verify.execute({ mfaToken: await challenge(), code }))
+      .rejects.toThrow('Invalid verification code');
+
+    await verify.execute({ mfaToken: await challenge(), code: recoveryCodes[0].toUpperCase() });
+    await expect(verify.execute({ mfaToken: await challenge(), code: recoveryCodes[0] }))
+      .rejects.toThrow('Invalid verification code');
+  });
+
+  it('locks the account after repeated wrong codes', async () => {
+    const { secret } = await enroll();
+    const mfaToken = await challenge();
+
+    const attempts = [];
+    for (let i = 0; i < 5; i++) {
+      attempts.push(await verify.execute({ mfaToken, code: '000000' }).catch(error => error));
+    }
+
+    expect(attempts.slice(0, 4).every(error => error.message.includes('Invalid verification code'))).toBe(true);
+    expect(attempts[4]).toBeInstanceOf(ErrorResponse);
+    expect(attempts[4].statusCode).toBe(429);
+    expect(eventBus.events.at(-1)).toMatchObject({ type: 'UserLockedOut', userId: user.id });
+
+    // Even the right code is refused while locked out
+    await expect(verify.execute({ mfaToken, code: totpService.generateCode(secret) }))
+      .rejects.toBeInstanceOf(ErrorResponse);
+  });
+
+  it('rejects challenge tokens meant for another step', async () => {
+    await enroll();
+    const setupToken = tokenService.generateMfaToken(user.id, 'mfa_setup_required');
+
+    await expect(verify.execute({ mfaToken: setupToken, code: '123456' })).rejects.toThrow('Invalid token');
+  });
+
+  describe('roles that require 2FA', () => {
+    beforeEach(async () => {
+      await roleRepository.update('staff', { isSystem: true, requiresTwoFactor: true }, { upsert: true });
+    });
+
+    it('makes users without 2FA enroll before tokens are issued', async () => {
+      const result = await login.execute({ email: user.email, password });
+      expect(result).toEqual({ challenge: 'mfa_setup_required', mfaToken: expect.any(String) });
+      expect(result.tokens).toBeUndefined();
+
+      const { secret } = await setup.execute({ mfaToken: result.mfaToken });
+      const enabled = await enable.execute({ mfaToken: result.mfaToken, code: totpService.generateCode(secret) });
+
+      expect(enabled.tokens.accessToken).toBeDefined();
+    });
+
+    it('does not let users disable 2FA', async () => {
+      await enroll();
+
+      await expect(disable.execute({ userId: user.id, password }))
+        .rejects.toThrow('Two-factor authentication is required for the staff role');
+    });
+  });
+
+  it('lets users of other roles disable 2FA with their password', async () => {
+    await enroll();
+
+    await expect(disable.execute({ userId: user.id, password: 'wrong' })).rejects.toThrow('Invalid password');
+    await disable.execute({ userId: user.id, password });
+    expect(eventBus.events.at(-1)).toMatchObject({ type: 'TwoFactorDisabled', userId: user.id });
+
+    const result = await login.execute({ email: user.email, password });
+    expect(result.tokens).toBeDefined();
+  });
+});
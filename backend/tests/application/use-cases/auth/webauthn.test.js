@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { WebAuthnRegistrationOptionsUseCase } from '../../../../src/application/use-cases/auth/webauthn-registration-options-use-case.js';
+import { WebAuthnRegisterUseCase } from '../../../../src/application/use-cases/auth/webauthn-register-use-case.js';
+import { WebAuthnLoginOptionsUseCase } from '../../../../src/application/use-cases/auth/webauthn-login-options-use-case.js';
+import { WebAuthnLoginUseCase } from '../../../../src/application/use-cases/auth/webauthn-login-use-case.js';
+import { DeletePasskeyUseCase } from '../../../../src/application/use-cases/auth/delete-passkey-use-case.js';
+import { WebAuthnService } from '../../../../src/shared/services/webauthn-service.js';
+import { TokenService } from '../../../../src/shared/services/token-service.js';
+import { TokenRevocationService } from '../../../../src/shared/services/token-revocation-service.js';
+import { RefreshTokenService } from '../../../../src/shared/services/refresh-token-service.js';
+import { InMemoryUserRepository } from '../../../helpers/in-memory-user-repository.js';
+import { InMemoryRefreshTokenFamilyRepository } from '../../../helpers/in-memory-refresh-token-family-repository.js';
+import { InMemoryExpiringStore, fakeEventBus, fakeSigningKeyService } from '../../../helpers/fakes.js';
+import { SoftwareAuthenticator } from '../../../helpers/software-authenticator.js';
+
+describe('passkeys', () => {
+  let userRepository;
+  let tokenService;
+  let eventBus;
+  let registrationOptions;
+  let register;
+  let loginOptions;
+  let login;
+  let deletePasskey;
+  let authenticator;
+  let user;
+
+  beforeEach(() => {
+    userRepository = new InMemoryUserRepository();
+    tokenService = new TokenService(fakeSigningKeyService());
+    eventBus = fakeEventBus();
+    const tokenRevocationService = new TokenRevocationService(new InMemoryExpiringStore());
+    const webAuthnService = new WebAuthnService();
+    const refreshTokenService = new RefreshTokenService(new InMemoryRefreshTokenFamilyRepository(), tokenService);
+
+    registrationOptions = new WebAuthnRegistrationOptionsUseCase(userRepository, tokenService, webAuthnService);
+    register = new WebAuthnRegisterUseCase(userRepository, tokenService, tokenRevocationService, webAuthnService, eventBus);
+    loginOptions = new WebAuthnLoginOptionsUseCase(tokenService, webAuthnService);
+    login = new WebAuthnLoginUseCase(
+      userRepository, tokenService, tokenRevocationService, webAuthnService, refreshTokenService
+    );
+    deletePasskey = new DeletePasskeyUseCase(userRepository, eventBus);
+
+    authenticator = new SoftwareAuthenticator({ origin: 'http://client.test', rpId: 'client.test' });
+    user = userRepository.add({ email: 'jane@example.com', password: 'hashed:Passw0rd!' });
+  });
+
+  const registerPasskey = async () => {
+    const { options, ceremonyToken } = await registrationOptions.execute({ userId: user.id });
+    const response = authenticator.register(options);
+    return register.execute({ userId: user.id, ceremonyToken, response, name: 'Laptop' });
+  };
+
+  it('registers a passkey for the signed-in user', async () => {
+    const result = await registerPasskey();
+
+    expect(result.passkey).toMatchObject({ id: authenticator.id, name: 'Laptop' });
+    const [stored] = userRepository.record(user.id).webauthnCredentials;
+    expect(stored).toMatchObject({ credentialId: authenticator.id, counter: 0, transports: ['internal'] });
+    expect(eventBus.events).toEqual([expect.objectContaining({
+      type: 'PasskeyRegistered', userId: user.id, credentialId: authenticator.id, name: 'Laptop'
+    })]);
+  });
+
+  it('removes a passkey of the user, which then no longer signs in', async () => {
+    await registerPasskey();
+
+    await expect(deletePasskey.execute({ userId: user.id, credentialId: 'unknown' })).rejects.toThrow('Passkey not found');
+    await deletePasskey.execute({ userId: user.id, credentialId: authenticator.id }, { actorId: user.id });
+
+    expect(eventBus.events.at(-1)).toMatchObject({ type: 'PasskeyRemoved', userId: user.id, credentialId: authenticator.id });
+    const { options, ceremonyToken } = await loginOptions.execute();
+    await expect(login.execute({ ceremonyToken, response: authenticator.authenticate(options) })).rejects.toThrow('Unknown passkey');
+  });
+
+  it('does not accept a registration ceremony started for another user', async () => {
+    const other = userRepository.add({ email: 'john@example.com', password: 'hashed:Passw0rd!' });
+    const { options, ceremonyToken } = await registrationOptions.execute({ userId: user.id });
+
+    await expect(register.execute({ userId: other.id, ceremonyToken, response: authenticator.register(options) }))
+      .rejects.toThrow('Invalid token');
+  });
+
+  it('does not register the same passkey twice', async () => {
+    await registerPasskey();
+
+    await expect(registerPasskey()).rejects.toThrow('Passkey is already registered');
+  });
+
+  it('signs in with a registered passkey', async () => {
+    await registerPasskey();
+
+    const { options, ceremonyToken } = await loginOptions.execute();
+    const result = await login.execute({ ceremonyToken, response: authenticator.authenticate(options) });
+
+    expect(result.user.id).toBe(user.id);
+    expect(result.tokens.accessToken).toBeDefined();
+    expect(userRepository.record(user.id).webauthnCredentials[0].counter).toBe(1);
+  });
+
+  it('answers each challenge only once, even when both answers arrive together', async () => {
+    await registerPasskey();
+    const { options, ceremonyToken } = await loginOptions.execute();
+    const response = authenticator.authenticate(options);
+
+    const results = await Promise.allSettled([
+      login.execute({ ceremonyToken, response }),
+      login.execute({ ceremonyToken, response })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message)
+      .toBe('Passkey login failed: Challenge has already been used');
+  });
+
+  it('rejects a replayed registration response', async () => {
+    const { options, ceremonyToken } = await registrationOptions.execute({ userId: user.id });
+    const response = authenticator.register(options);
+    await register.execute({ userId: user.id, ceremonyToken, response });
+    await userRepository.removeWebAuthnCredential(user.id, authenticator.id);
+
+    await expect(register.execute({ userId: user.id, ceremonyToken, response }))
+      .rejects.toThrow('Challenge has already been used');
+  });
+
+  it('rejects an answer to a different challenge', async () => {
+    await registerPasskey();
+    const first = await loginOptions.execute();
+    const second = await loginOptions.execute();
+
+    await expect(login.execute({
+      ceremonyToken: second.ceremonyToken,
+      response: authenticator.authenticate(first.options)
+    })).rejects.toThrow('Passkey login failed');
+  });
+
+  it('rejects a signature from another key', async () => {
+    await registerPasskey();
+    const { options, ceremonyToken } = await loginOptions.execute();
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    await expect(login.execute({ ceremonyToken, response: authenticator.authenticate(options, { privateKey }) }))
+      .rejects.toThrow('Passkey login failed');
+  });
+
+  it('rejects a passkey that claims to belong to another user', async () => {
+    await registerPasskey();
+    const { options, ceremonyToken } = await loginOptions.execute();
+    const userHandle = Buffer.from('someone-else').toString('base64url');
+
+    await expect(login.execute({ ceremonyToken, response: authenticator.authenticate(options, { userHandle }) }))
+      .rejects.toThrow('Unknown passkey');
+  });
+
+  it('rejects a signature counter that did not move forward, as from a cloned authenticator', async () => {
+    await registerPasskey();
+    let ceremony = await loginOptions.execute();
+    await login.execute({ ceremonyToken: ceremony.ceremonyToken, response: authenticator.authenticate(ceremony.options, { counter: 5 }) });
+
+    ceremony = await loginOptions.execute();
+    await expect(login.execute({
+      ceremonyToken: ceremony.ceremonyToken,
+      response: authenticator.authenticate(ceremony.options, { counter: 5 })
+    })).rejects.toThrow('Passkey login failed');
+  });
+
+  it('refuses deactivated accounts', async () => {
+    await registerPasskey();
+    await userRepository.update(user.id, { isActive: false });
+    const { options, ceremonyToken } = await loginOptions.execute();
+
+    await expect(login.execute({ ceremonyToken, response: authenticator.authenticate(options) }))
+      .rejects.toThrow('Account is deactivated');
+  });
+});
@@ -0,0 +1,100 @@
+import { Readable } from 'stream';
+import { GetFileUseCase } from '../../../../src/application/use-cases/files/get-file-use-case.js';
+import { DownloadFileUseCase } from '../../../../src/application/use-cases/files/download-file-use-case.js';
+import { CreateSignedUrlUseCase } from '../../../../src/application/use-cases/files/create-signed-url-use-case.js';
+import { FileAccessService } from '../../../../src/shared/services/file-access-service.js';
+import { SignedUrlService } from '../../../../src/shared/services/signed-url-service.js';
+import { File } from '../../../../src/domain/entities/file-entity.js';
+import { InMemoryTeamRepository } from '../../../helpers/in-memory-team-repository.js';
+import { InMemoryExpiringStore, fakeEventBus } from '../../../helpers/fakes.js';
+
+const fakeFileStorageService = () => ({
+  getSignedUrl: () => null,
+  statFile: async () => ({ size: 5, etag: '"etag-1"', lastModified: new Date('2024-01-01T00:00:00Z') }),
+  readFile: async () => Readable.from([Buffer.from('hello')])
+});
+
+describe('file access', () => {
+  const owner = { id: 'owner-1', permissions: [] };
+  const teammate = { id: 'teammate-1', permissions: [] };
+  const stranger = { id: 'stranger-1', permissions: [] };
+  const auditor = { id: 'auditor-1', permissions: ['files:read:any'] };
+  let files;
+  let file;
+
+  // Each way of reading a file, with the same access rules
+  let readers;
+
+  beforeEach(async () => {
+    const teamRepository = new InMemoryTeamRepository();
+    const team = await teamRepository.create({ name: 'Design' });
+    await teamRepository.setMember(team.id, teammate.id, false);
+    const otherTeam = await teamRepository.create({ name: 'Sales' });
+    await teamRepository.setMember(otherTeam.id, stranger.id, true);
+
+    file = new File({
+      id: 'file-1',
+      filename: 'plan.txt',
+      originalName: 'plan.txt',
+      mimeType: 'text/plain',
+      size: 5,
+      uploadedBy: owner.id,
+      sharedWithTeams: [team.id]
+    });
+    files = new Map([[file.id, file]]);
+    const fileRepository = { findById: async id => files.get(id) || null };
+    const fileAccessService = new FileAccessService(teamRepository);
+    const fileStorageService = fakeFileStorageService();
+
+    const getFile = new GetFileUseCase(fileRepository, fileAccessService);
+    const downloadFile = new DownloadFileUseCase(fileRepository, fileAccessService, fileStorageService);
+    const createSignedUrl = new CreateSignedUrlUseCase(
+      fileRepository, fileAccessService, fileStorageService,
+      new SignedUrlService('secret', 'http://api.test/api/v1'), new InMemoryExpiringStore(), fakeEventBus()
+    );
+
+    readers = {
+      get: user => getFile.execute(file.id, user),
+      download: user => downloadFile.execute(file.id, user),
+      'signed URL': user => createSignedUrl.execute(file.id, {}, user)
+    };
+  });
+
+  describe.each(['get', 'download', 'signed URL'])('%s', reader => {
+    const read = user => readers[reader](user);
+
+    it('lets the uploader in', async () => {
+      await expect(read(owner)).resolves.toBeDefined();
+    });
+
+    it('lets members of a team the file is shared with in', async () => {
+      await expect(read(teammate)).resolves.toBeDefined();
+    });
+
+    it('keeps out users outside those teams', async () => {
+      await expect(read(stranger)).rejects.toThrow('Access denied to this file');
+    });
+
+    it('keeps team members out once the file is no longer shared with their team', async () => {
+      file.shareWithTeams([]);
+
+      await expect(read(teammate)).rejects.toThrow('Access denied to this file');
+    });
+
+    it('lets anyone read a public file', async () => {
+      file.isPublic = true;
+
+      await expect(read(stranger)).resolves.toBeDefined();
+    });
+
+    it('lets users who may read any file in', async () => {
+      await expect(read(auditor)).resolves.toBeDefined();
+    });
+
+    it('reports unknown files before checking access', async () => {
+      files.clear();
+
+      await expect(read(stranger)).rejects.toThrow('File not found');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { CreateResumableUploadUseCase } from '../../../../src/application/use-cases/files/create-resumable-upload-use-case.js';
+import { AppendResumableUploadUseCase } from '../../../../src/application/use-cases/files/append-resumable-upload-use-case.js';
+import { DeleteResumableUploadUseCase } from '../../../../src/application/use-cases/files/delete-resumable-upload-use-case.js';
+import { ResumableUploadService } from '../../../../src/shared/services/resumable-upload-service.js';
+import { UploadStagingArea } from '../../../../src/infrastructure/storage/upload-staging-area.js';
+import { InMemoryResumableUploadRepository } from '../../../helpers/in-memory-resumable-upload-repository.js';
+
+// Reads the stored stream, like UploadFileUseCase writing it to file storage
+const fakeUploadFileUseCase = () => {
+  const stored = [];
+  return {
+    stored,
+    execute: async ({ file }) => {
+      const chunks = [];
+      for await (const chunk of file) {
+        chunks.push(chunk);
+      }
+      stored.push(Buffer.concat(chunks).toString());
+      return { file: { id: `file-${stored.length}` } };
+    }
+  };
+};
+
+// Sends the given bytes, then breaks off a moment later like a dropped connection
+const brokenStream = bytes => Readable.from((async function* () {
+  yield Buffer.from(bytes);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  throw new Error('Connection reset');
+})());
+
+describe('Resumable uploads', () => {
+  let root;
+  let repository;
+  let stagingArea;
+  let uploadFileUseCase;
+  let createUpload;
+  let appendUpload;
+
+  const append = (upload, offset, bytes, contentLength) => appendUpload.execute(upload.id, {
+    offset,
+    stream: Readable.from([Buffer.from(bytes)]),
+    contentLength
+  }, 'user-1');
+
+  const create = (length = 10) => createUpload.execute({
+    length,
+    metadata: { filename: 'notes.pdf', filetype: 'application/pdf' }
+  }, 'user-1');
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'resumable-upload-test-'));
+    repository = new InMemoryResumableUploadRepository();
+    stagingArea = new UploadStagingArea({ root, id: 'instance-a' });
+    uploadFileUseCase = fakeUploadFileUseCase();
+    createUpload = new CreateResumableUploadUseCase(repository, stagingArea);
+    appendUpload = new AppendResumableUploadUseCase(repository, stagingArea, uploadFileUseCase);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('starts at offset 0 in this instance\'s staging area', async () => {
+    const upload = await create();
+
+    expect(upload).toMatchObject({ offset: 0, length: 10, stagedOn: 'instance-a', fileId: null });
+    await expect(stagingArea.size(upload.id)).resolves.toBe(0);
+  });
+
+  it('advances the offset piece by piece and stores the file once complete', async () => {
+    const upload = await create();
+
+    await expect(append(upload, 0, 'hello', 5)).resolves.toMatchObject({ offset: 5, fileId: null });
+    const completed = await append(upload, 5, 'world', 5);
+
+    expect(completed).toMatchObject({ offset: 10, fileId: 'file-1' });
+    expect(uploadFileUseCase.stored).toEqual(['helloworld']);
+    expect(repository.records.get(upload.id)).toMatchObject({ offset: 10, fileId: 'file-1', lockedUntil: null });
+    await expect(stagingArea.size(upload.id)).rejects.toThrow('ENOENT');
+  });
+
+  it('refuses a piece that does not start at the current offset', async () => {
+    const upload = await create();
+    await append(upload, 0, 'hello');
+
+    await expect(append(upload, 3, 'lo wo')).rejects.toThrow('Upload offset 3 does not match the current offset 5');
+    await expect(append(upload, 0, 'hello')).rejects.toThrow('does not match');
+  });
+
+  it('keeps the bytes of a piece that broke off, so the client can resume from there', async () => {
+    const upload = await create();
+
+    await expect(appendUpload.execute(upload.id, { offset: 0, stream: brokenStream('hel') }, 'user-1'))
+      .rejects.toThrow('Connection reset');
+
+    expect(repository.records.get(upload.id)).toMatchObject({ offset: 3, lockedUntil: null });
+    await expect(append(upload, 3, 'loworld')).resolves.toMatchObject({ offset: 10, fileId: 'file-1' });
+    expect(uploadFileUseCase.stored).toEqual(['helloworld']);
+  });
+
+  it('drops bytes past the recorded offset before appending', async () => {
+    const upload = await create();
+    await append(upload, 0, 'hello');
+    // Left over from a piece whose offset was never recorded
+    await fs.appendFile(path.join(root, upload.id), 'XYZ');
+
+    await append(upload, 5, 'world');
+
+    expect(uploadFileUseCase.stored).toEqual(['helloworld']);
+  });
+
+  it('refuses more bytes than the upload length', async () => {
+    const upload = await create();
+
+    await expect(append(upload, 0, 'hello world!', 12)).rejects.toThrow('exceeds its declared length');
+    expect(repository.records.get(upload.id)).toMatchObject({ offset: 0, lockedUntil: null });
+
+    // Without a Content-Length the stream is cut off at the length; the offset is what reached the disk
+    await expect(append(upload, 0, 'hello world!')).rejects.toThrow('exceeds its declared length');
+    const { offset } = repository.records.get(upload.id);
+    expect(offset).toBeLessThanOrEqual(10);
+    if (offset < 10) {
+      await expect(stagingArea.size(upload.id)).resolves.toBe(offset);
+    }
+  });
+
+  it('refuses a second writer while a piece is being written', async () => {
+    const upload = await create();
+    let release;
+    const gate = new Promise(resolve => {
+      release = resolve;
+    });
+    const slowStream = Readable.from((async function* () {
+      yield Buffer.from('hel');
+      await gate;
+      yield Buffer.from('lo');
+    })());
+
+    const first = appendUpload.execute(upload.id, { offset: 0, stream: slowStream }, 'user-1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    await expect(append(upload, 0, 'hello')).rejects.toThrow('locked by another request');
+    release();
+    await expect(first).resolves.toMatchObject({ offset: 5 });
+  });
+
+  describe('on another instance', () => {
+    let otherStagingArea;
+
+    beforeEach(() => {
+      otherStagingArea = new UploadStagingArea({ root: path.join(root, 'other'), id: 'instance-b' });
+    });
+
+    it('refuses pieces of an upload staged elsewhere', async () => {
+      const upload = await create();
+      await append(upload, 0, 'hello');
+
+      const otherAppend = new AppendResumableUploadUseCase(repository, otherStagingArea, uploadFileUseCase);
+      await expect(otherAppend.execute(upload.id, { offset: 5, stream: Readable.from([Buffer.from('world')]) }, 'user-1'))
+        .rejects.toThrow('staged on another server instance');
+      expect(repository.records.get(upload.id)).toMatchObject({ offset: 5, lockedUntil: null });
+    });
+
+    it('refuses to terminate an upload staged elsewhere and leaves it to its own cleanup', async () => {
+      const upload = await create();
+      repository.records.get(upload.id).expiresAt = new Date(0);
+
+      const otherService = new ResumableUploadService(repository, otherStagingArea);
+      await expect(new DeleteResumableUploadUseCase(repository, otherService, otherStagingArea).execute(upload.id, 'user-1'))
+        .rejects.toThrow('staged on another server instance');
+      await expect(otherService.removeExpired()).resolves.toBe(0);
+
+      await expect(new ResumableUploadService(repository, stagingArea).removeExpired()).resolves.toBe(1);
+      expect(repository.records.size).toBe(0);
+    });
+  });
+});
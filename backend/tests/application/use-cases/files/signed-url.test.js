@@ -0,0 +1,181 @@
+import express from 'express';
+import { Readable } from 'stream';
+import { CreateSignedUrlUseCase } from '../../../../src/application/use-cases/files/create-signed-url-use-case.js';
+import { DownloadSignedFileUseCase } from '../../../../src/application/use-cases/files/download-signed-file-use-case.js';
+import { SignedUrlService } from '../../../../src/shared/services/signed-url-service.js';
+import { FileAccessService } from '../../../../src/shared/services/file-access-service.js';
+import { FileController } from '../../../../src/infrastructure/controllers/file-controller.js';
+import { deriveKey } from '../../../../src/shared/utils/crypto.js';
+import { fakeEventBus, InMemoryExpiringStore } from '../../../helpers/fakes.js';
+import { InMemoryTeamRepository } from '../../../helpers/in-memory-team-repository.js';
+
+const CONTENTS = 'hello signed world';
+
+const file = {
+  id: 'file-1',
+  uploadedBy: 'owner-1',
+  isPublic: false,
+  mimeType: 'text/plain',
+  originalName: 'hello.txt',
+  sharedWithTeams: []
+};
+
+// Storage that serves CONTENTS; `presigned` stands in for S3
+const fakeFileStorageService = ({ presigned = false } = {}) => ({
+  getSignedUrl: (storedFile, { expiresIn }) => (presigned ? `https://bucket.s3.test/${storedFile.id}?X-Amz-Expires=${expiresIn}` : null),
+  statFile: async () => ({ size: CONTENTS.length, etag: '"etag-1"', lastModified: new Date('2024-01-01T00:00:00Z') }),
+  readFile: async (storedFile, range) => Readable.from([
+    Buffer.from(range ? CONTENTS.slice(range.start, range.end + 1) : CONTENTS)
+  ])
+});
+
+const paramsOf = url => Object.fromEntries(new URL(url).searchParams);
+
+describe('Signed file URLs', () => {
+  describe('SignedUrlService', () => {
+    const service = new SignedUrlService('secret-1', 'http://api.test/api/v1/');
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+
+    it('creates links that verify for their resource only', () => {
+      const url = service.createUrl('/files/file-1/signed-download', 'file:file-1', { expiresAt });
+      const params = paramsOf(url);
+
+      expect(url.startsWith('http://api.test/api/v1/files/file-1/signed-download?')).toBe(true);
+      expect(service.verify('file:file-1', params)).toBe(true);
+      expect(service.verify('file:file-2', params)).toBe(false);
+    });
+
+    it('rejects changed, expired or foreign links', () => {
+      const params = paramsOf(service.createUrl('/f', 'file:file-1', { expiresAt, nonce: 'nonce-1' }));
+
+      expect(service.verify('file:file-1', { ...params, expires: String(Number(params.expires) + 60) })).toBe(false);
+      expect(service.verify('file:file-1', { ...params, nonce: undefined })).toBe(false);
+      expect(service.verify('file:file-1', { ...params, signature: undefined })).toBe(false);
+      expect(service.verify('file:file-1', { ...params, signature: 'abc' })).toBe(false);
+      expect(new SignedUrlService('secret-2', 'http://api.test').verify('file:file-1', params)).toBe(false);
+
+      const expired = paramsOf(service.createUrl('/f', 'file:file-1', { expiresAt: new Date(Date.now() - 1000) }));
+      expect(service.verify('file:file-1', expired)).toBe(false);
+    });
+  });
+
+  describe('deriveKey', () => {
+    it('derives a stable key per label that differs from the secret', () => {
+      const key = deriveKey('jwt-secret', 'signed-file-url');
+
+      expect(key).toHaveLength(32);
+      expect(key.equals(deriveKey('jwt-secret', 'signed-file-url'))).toBe(true);
+      expect(key.equals(deriveKey('jwt-secret', 'other-purpose'))).toBe(false);
+      expect(key.equals(Buffer.from('jwt-secret'))).toBe(false);
+    });
+
+    it('signs links that the secret it was derived from does not verify', () => {
+      const expiresAt = new Date(Date.now() + 60 * 1000);
+      const params = paramsOf(new SignedUrlService(deriveKey('jwt-secret', 'signed-file-url'), 'http://api.test')
+        .createUrl('/f', 'file:file-1', { expiresAt }));
+
+      expect(new SignedUrlService('jwt-secret', 'http://api.test').verify('file:file-1', params)).toBe(false);
+    });
+  });
+
+  describe('use cases', () => {
+    let store;
+    let signedUrlService;
+    let fileStorageService;
+    let createSignedUrl;
+    let downloadSignedFile;
+    const owner = { id: 'owner-1', permissions: [] };
+
+    const setUp = options => {
+      store = new InMemoryExpiringStore();
+      signedUrlService = new SignedUrlService(deriveKey('jwt-secret', 'signed-file-url'), 'http://api.test/api/v1');
+      fileStorageService = fakeFileStorageService(options);
+      const fileRepository = { findById: async id => (id === file.id ? file : null) };
+      createSignedUrl = new CreateSignedUrlUseCase(
+        fileRepository, new FileAccessService(new InMemoryTeamRepository()), fileStorageService, signedUrlService, store, fakeEventBus()
+      );
+      downloadSignedFile = new DownloadSignedFileUseCase(fileRepository, fileStorageService, signedUrlService, store);
+    };
+
+    beforeEach(() => setUp());
+
+    it('refuses users who cannot download the file', async () => {
+      await expect(createSignedUrl.execute('file-1', {}, { id: 'stranger', permissions: [] }))
+        .rejects.toThrow('Access denied');
+    });
+
+    it('lets a reusable link download the file as often as needed, with ranges', async () => {
+      const { url, singleUse } = await createSignedUrl.execute('file-1', { expiresIn: 300 }, owner);
+      expect(singleUse).toBe(false);
+
+      await expect(downloadSignedFile.execute('file-1', paramsOf(url))).resolves.toMatchObject({ singleUse: false });
+      await expect(downloadSignedFile.execute('file-1', paramsOf(url))).resolves.toMatchObject({ file });
+    });
+
+    it('uses up a single-use link on the first download, but not on HEAD', async () => {
+      const { url } = await createSignedUrl.execute('file-1', { expiresIn: 300, singleUse: true }, owner);
+      const params = paramsOf(url);
+      expect(params.nonce).toBeDefined();
+
+      await expect(downloadSignedFile.execute('file-1', params, { consume: false })).resolves.toMatchObject({ singleUse: true });
+      await expect(downloadSignedFile.execute('file-1', params)).resolves.toMatchObject({ singleUse: true });
+      await expect(downloadSignedFile.execute('file-1', params)).rejects.toThrow('This link has already been used');
+    });
+
+    it('refuses a link for another file', async () => {
+      const { url } = await createSignedUrl.execute('file-1', { expiresIn: 300 }, owner);
+
+      await expect(downloadSignedFile.execute('file-2', paramsOf(url))).rejects.toThrow('Invalid or expired link');
+    });
+
+    it('hands out presigned storage URLs, except for single-use links', async () => {
+      setUp({ presigned: true });
+
+      await expect(createSignedUrl.execute('file-1', { expiresIn: 300 }, owner))
+        .resolves.toMatchObject({ url: 'https://bucket.s3.test/file-1?X-Amz-Expires=300' });
+      const { url } = await createSignedUrl.execute('file-1', { expiresIn: 300, singleUse: true }, owner);
+      expect(url.startsWith('http://api.test/api/v1/files/file-1/signed-download?')).toBe(true);
+    });
+  });
+
+  describe('download responses', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      const controller = Object.create(FileController.prototype);
+      const downloadUseCase = { openStream: fakeFileStorageService().readFile };
+      const app = express();
+      app.get('/:kind', (req, res) => controller.sendContent(req, res, {
+        file,
+        content: { size: CONTENTS.length, etag: '"etag-1"', lastModified: new Date('2024-01-01T00:00:00Z') },
+        singleUse: req.params.kind === 'single-use'
+      }, downloadUseCase));
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('serves ranges of reusable links', async () => {
+      const response = await fetch(`${baseUrl}/reusable`, { headers: { Range: 'bytes=0-4' } });
+
+      expect(response.status).toBe(206);
+      expect(response.headers.get('accept-ranges')).toBe('bytes');
+      await expect(response.text()).resolves.toBe('hello');
+    });
+
+    it('does not offer or honor ranges on single-use links', async () => {
+      const response = await fetch(`${baseUrl}/single-use`, { headers: { Range: 'bytes=0-4' } });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('accept-ranges')).toBe('none');
+      expect(response.headers.get('content-range')).toBeNull();
+      await expect(response.text()).resolves.toBe(CONTENTS);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { CreateRoleUseCase } from '../../../../src/application/use-cases/roles/create-role-use-case.js';
+import { UpdateRoleUseCase } from '../../../../src/application/use-cases/roles/update-role-use-case.js';
+import { PermissionService } from '../../../../src/shared/services/permission-service.js';
+import { PERMISSIONS, SYSTEM_ROLES } from '../../../../src/domain/entities/role-entity.js';
+import { InMemoryRoleRepository } from '../../../helpers/in-memory-role-repository.js';
+import { fakeEventBus } from '../../../helpers/fakes.js';
+
+describe('role two-factor requirement', () => {
+  const admin = { id: 'admin-1', permissions: PERMISSIONS };
+  let roleRepository;
+  let permissionService;
+  let createRole;
+  let updateRole;
+
+  beforeEach(() => {
+    roleRepository = new InMemoryRoleRepository();
+    permissionService = new PermissionService(roleRepository);
+    const eventBus = fakeEventBus();
+    // Like the permission cache subscriber
+    const publish = eventBus.publish;
+    eventBus.publish = async (...args) => {
+      permissionService.invalidate();
+      return publish(...args);
+    };
+    createRole = new CreateRoleUseCase(roleRepository, permissionService, eventBus);
+    updateRole = new UpdateRoleUseCase(roleRepository, permissionService, eventBus);
+  });
+
+  it('can be switched on for a built-in role without touching its permissions', async () => {
+    await expect(permissionService.requiresTwoFactor('admin')).resolves.toBe(false);
+
+    const { role } = await updateRole.execute('admin', { requiresTwoFactor: true }, admin);
+
+    expect(role).toMatchObject({ name: 'admin', isSystem: true, requiresTwoFactor: true });
+    expect(role.permissions).toEqual(SYSTEM_ROLES.admin.permissions);
+    await expect(permissionService.requiresTwoFactor('admin')).resolves.toBe(true);
+    await expect(permissionService.getPermissions('admin')).resolves.toEqual(SYSTEM_ROLES.admin.permissions);
+    // Stored settings do not show up as a custom role
+    const roles = await permissionService.getRoles();
+    expect(roles.filter(candidate => candidate.name === 'admin')).toHaveLength(1);
+  });
+
+  it('still refuses other changes to built-in roles', async () => {
+    await expect(updateRole.execute('staff', { permissions: ['files:read'] }, admin))
+      .rejects.toThrow('Only the two-factor requirement of built-in roles can be changed');
+  });
+
+  it('can only be changed by users holding every permission of the role', async () => {
+    const manager = { id: 'manager-1', permissions: SYSTEM_ROLES.manager.permissions };
+
+    await expect(updateRole.execute('admin', { requiresTwoFactor: true }, manager))
+      .rejects.toThrow('You cannot change a role with permissions you do not have');
+  });
+
+  it('is stored with custom roles', async () => {
+    await createRole.execute({ name: 'auditor', permissions: ['audit:read'], requiresTwoFactor: true }, admin);
+    await expect(permissionService.requiresTwoFactor('auditor')).resolves.toBe(true);
+
+    await updateRole.execute('auditor', { requiresTwoFactor: false }, admin);
+    await expect(permissionService.requiresTwoFactor('auditor')).resolves.toBe(false);
+    await expect(permissionService.getPermissions('auditor')).resolves.toEqual(['audit:read']);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Small stand-ins for infrastructure services, shared by the tests
+ */
+
+// Runs work without a session, like TransactionService on a standalone MongoDB
+export const fakeTransactionService = () => ({
+  run: work => work(null)
+});
+
+// Records published events
+export const fakeEventBus = () => {
+  const events = [];
+  return {
+    events,
+    publish: async (event, context = {}) => {
+      events.push({ ...event, context });
+    }
+  };
+};
+
+// Records queued emails instead of writing outbox rows
+export const fakeOutboxService = () => {
+  const emails = [];
+  return {
+    emails,
+    enqueueEmail: async (template, to, data, options = {}) => {
+      emails.push({ template, to, data, options });
+    }
+  };
+};
+
+// bcrypt with 12 rounds is too slow for unit tests
+export const fakeAuthService = () => ({
+  hashPassword: async password => `hashed:${password}`,
+  verifyPassword: async (password, hash) => hash === `hashed:${password}`
+});
+
+// HS256 only
+export const fakeSigningKeyService = () => ({
+  isAsymmetric: () => false
+});
+
+// ExpiringStoreService on a private Map, so tests do not share state
+export class InMemoryExpiringStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  // Checks and writes without yielding, like Redis SET NX
+  async setIfAbsent(key, value, ttl) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return false;
+    }
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async take(key) {
+    const value = await this.get(key);
+    this.entries.delete(key);
+    return value;
+  }
+
+  async addToWindow(key, window) {
+    const now = Date.now();
+    const events = ((await this.get(key)) || []).filter(timestamp => timestamp > now - window * 1000);
+    events.push(now);
+    await this.set(key, events, window);
+    return events.length;
+  }
+
+  async del(key) {
+    return this.entries.delete(key);
+  }
+}
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { ApiKey } from '../../src/domain/entities/api-key-entity.js';
+import { IApiKeyRepository } from '../../src/domain/repositories/interfaces/i-api-key-repository.js';
+
+/**
+ * In-memory stand-in for ApiKeyRepository
+ */
+export class InMemoryApiKeyRepository extends IApiKeyRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(data) {
+    const now = new Date();
+    const record = { ...data, id: crypto.randomBytes(12).toString('hex'), createdAt: now, updatedAt: now };
+    this.records.set(record.id, record);
+    return this._toEntity(record);
+  }
+
+  async findByHash(keyHash) {
+    const record = [...this.records.values()].find(candidate => candidate.keyHash === keyHash);
+    return record ? this._toEntity(record) : null;
+  }
+
+  async findByUserId(userId) {
+    return [...this.records.values()]
+      .filter(record => record.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(record => this._toEntity(record));
+  }
+
+  async countByUserId(userId) {
+    return [...this.records.values()].filter(record => record.userId === userId).length;
+  }
+
+  async deleteForUser(id, userId) {
+    const record = this.records.get(id);
+    return !!record && record.userId === userId && this.records.delete(id);
+  }
+
+  _toEntity(record) {
+    return new ApiKey({ ...record });
+  }
+}
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { AuditLog } from '../../src/domain/entities/audit-log-entity.js';
+import { IAuditLogRepository } from '../../src/domain/repositories/interfaces/i-audit-log-repository.js';
+
+/**
+ * In-memory stand-in for AuditLogRepository, with the unique sequence index of the real one
+ */
+export class InMemoryAuditLogRepository extends IAuditLogRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async append(entry) {
+    if (this.records.has(entry.sequence)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { ...entry.toJSON(), id: crypto.randomBytes(12).toString('hex') };
+    this.records.set(entry.sequence, record);
+    return this._toEntity(record);
+  }
+
+  async findLatest() {
+    const sequences = [...this.records.keys()];
+    return sequences.length > 0 ? this._toEntity(this.records.get(Math.max(...sequences))) : null;
+  }
+
+  async *iterate() {
+    for (const sequence of [...this.records.keys()].sort((a, b) => a - b)) {
+      yield this._toEntity(this.records.get(sequence));
+    }
+  }
+
+  _toEntity(record) {
+    // Entries are never changed, so a shallow copy is enough
+    return new AuditLog({ ...record });
+  }
+}
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { OutboxMessage } from '../../src/domain/entities/outbox-message-entity.js';
+import { IOutboxRepository } from '../../src/domain/repositories/interfaces/i-outbox-repository.js';
+
+/**
+ * In-memory stand-in for OutboxRepository
+ */
+export class InMemoryOutboxRepository extends IOutboxRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async add(messages) {
+    return messages.map(message => {
+      const now = new Date();
+      const record = { ...message.toJSON(), id: crypto.randomBytes(12).toString('hex'), createdAt: now, updatedAt: now };
+      this.records.set(record.id, copy(record));
+      return this._toEntity(record);
+    });
+  }
+
+  async claimNext(now, lockedUntil) {
+    const record = [...this.records.values()]
+      .filter(candidate => (candidate.status === 'pending' && candidate.nextAttemptAt <= now) ||
+        (candidate.status === 'processing' && candidate.lockedUntil <= now))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, { status: 'processing', lockedUntil, attempts: record.attempts + 1 });
+    return this._toEntity(record);
+  }
+
+  async markDelivered(id) {
+    const record = this.records.get(id);
+    Object.assign(record, { status: 'delivered', deliveredAt: new Date(), lockedUntil: null, lastError: null });
+    delete record.payload.data;
+    delete record.payload.context;
+  }
+
+  async markFailed(id, error, nextAttemptAt) {
+    Object.assign(this.records.get(id), { status: 'pending', nextAttemptAt, lockedUntil: null, lastError: error });
+  }
+
+  async markDead(id, error) {
+    Object.assign(this.records.get(id), { status: 'dead', lockedUntil: null, lastError: error });
+  }
+
+  async redactExpired(now) {
+    const records = [...this.records.values()].filter(record => record.type === 'email' &&
+      record.status === 'dead' && record.payload.expiresAt && new Date(record.payload.expiresAt) <= now &&
+      record.payload.data !== undefined);
+    records.forEach(record => delete record.payload.data);
+    return records.length;
+  }
+
+  async findById(id) {
+    const record = this.records.get(id);
+    return record ? this._toEntity(record) : null;
+  }
+
+  async replayDead(filters = {}) {
+    const records = [...this.records.values()].filter(record => record.status === 'dead' &&
+      (record.type !== 'email' || (record.payload.data != null &&
+        !(record.payload.expiresAt && new Date(record.payload.expiresAt) <= new Date()))) &&
+      (!filters.id || record.id === filters.id) &&
+      (!filters.type || record.type === filters.type));
+    records.forEach(record => Object.assign(record, { status: 'pending', attempts: 0, nextAttemptAt: new Date() }));
+    return records.length;
+  }
+
+  _toEntity(record) {
+    return new OutboxMessage(copy(record));
+  }
+}
+
+// structuredClone would create dates of another realm under Jest's VM modules
+function copy(record) {
+  return { ...record, payload: JSON.parse(JSON.stringify(record.payload)) };
+}
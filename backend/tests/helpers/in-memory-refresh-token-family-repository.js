@@ -0,0 +1,71 @@
+import { RefreshTokenFamily } from '../../src/domain/entities/refresh-token-family-entity.js';
+import { IRefreshTokenFamilyRepository } from '../../src/domain/repositories/interfaces/i-refresh-token-family-repository.js';
+
+/**
+ * In-memory stand-in for RefreshTokenFamilyRepository
+ */
+export class InMemoryRefreshTokenFamilyRepository extends IRefreshTokenFamilyRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(data) {
+    const now = new Date();
+    this.records.set(data.familyId, { lastSeenAt: now, createdAt: now, ...data });
+    return this._toEntity(this.records.get(data.familyId));
+  }
+
+  async findByFamilyId(familyId) {
+    const record = this.records.get(familyId);
+    return record ? this._toEntity(record) : null;
+  }
+
+  async findActiveByUserId(userId) {
+    return [...this.records.values()]
+      .filter(record => record.userId === userId && !record.revokedAt && record.expiresAt > new Date())
+      .map(record => this._toEntity(record));
+  }
+
+  async touch(familyId) {
+    const record = this.records.get(familyId);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    record.lastSeenAt = new Date();
+    return true;
+  }
+
+  async rotate(familyId, expectedJti, nextJti, expiresAt) {
+    const record = this.records.get(familyId);
+    if (!record || record.currentJti !== expectedJti || record.revokedAt) {
+      return null;
+    }
+    Object.assign(record, { currentJti: nextJti, expiresAt, lastSeenAt: new Date() });
+    return this._toEntity(record);
+  }
+
+  async revoke(familyId, reason) {
+    const record = this.records.get(familyId);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    Object.assign(record, { revokedAt: new Date(), revokedReason: reason });
+    return true;
+  }
+
+  async revokeAllForUser(userId, reason) {
+    let count = 0;
+    for (const record of this.records.values()) {
+      if (record.userId === userId && !record.revokedAt) {
+        Object.assign(record, { revokedAt: new Date(), revokedReason: reason });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  _toEntity(record) {
+    return new RefreshTokenFamily({ id: record.familyId, ...record });
+  }
+}
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { ResumableUpload } from '../../src/domain/entities/resumable-upload-entity.js';
+import { IResumableUploadRepository } from '../../src/domain/repositories/interfaces/i-resumable-upload-repository.js';
+
+/**
+ * In-memory stand-in for ResumableUploadRepository
+ */
+export class InMemoryResumableUploadRepository extends IResumableUploadRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(upload) {
+    const now = new Date();
+    const record = { ...upload.toJSON(), id: crypto.randomBytes(12).toString('hex'), createdAt: now, updatedAt: now };
+    this.records.set(record.id, record);
+    return this._toEntity(record);
+  }
+
+  async findById(id) {
+    const record = this.records.get(id);
+    return record ? this._toEntity(record) : null;
+  }
+
+  // Checks and claims without yielding, like findOneAndUpdate
+  async lock(id, offset, now, lockedUntil) {
+    const record = this.records.get(id);
+    if (!record || record.offset !== offset || record.fileId !== null || record.expiresAt <= now ||
+        (record.lockedUntil && record.lockedUntil > now)) {
+      return null;
+    }
+    record.lockedUntil = lockedUntil;
+    return this._toEntity(record);
+  }
+
+  async unlock(id, progress) {
+    const record = this.records.get(id);
+    Object.assign(record, progress, { lockedUntil: null, updatedAt: new Date() });
+    return this._toEntity(record);
+  }
+
+  async findExpired(now, limit, stagedOn) {
+    return [...this.records.values()]
+      .filter(record => record.expiresAt <= now && [stagedOn, null].includes(record.stagedOn) &&
+        (!record.lockedUntil || record.lockedUntil <= now))
+      .slice(0, limit)
+      .map(record => this._toEntity(record));
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  _toEntity(record) {
+    return new ResumableUpload({ ...record, metadata: { ...record.metadata } });
+  }
+}
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { Role } from '../../src/domain/entities/role-entity.js';
+import { IRoleRepository } from '../../src/domain/repositories/interfaces/i-role-repository.js';
+
+/**
+ * In-memory stand-in for RoleRepository
+ */
+export class InMemoryRoleRepository extends IRoleRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(data) {
+    const now = new Date();
+    this.records.set(data.name, { id: crypto.randomBytes(12).toString('hex'), createdAt: now, updatedAt: now, ...data });
+    return this._toEntity(this.records.get(data.name));
+  }
+
+  async findByName(name) {
+    const record = this.records.get(name);
+    return record ? this._toEntity(record) : null;
+  }
+
+  async findAll() {
+    return [...this.records.values()].map(record => this._toEntity(record));
+  }
+
+  async update(name, updates, { upsert = false } = {}) {
+    if (!this.records.has(name)) {
+      return upsert ? this.create({ name, ...updates }) : null;
+    }
+    const record = this.records.get(name);
+    Object.assign(record, updates, { updatedAt: new Date() });
+    return this._toEntity(record);
+  }
+
+  async delete(name) {
+    return this.records.delete(name);
+  }
+
+  _toEntity(record) {
+    return new Role({ permissions: [], ...record });
+  }
+}
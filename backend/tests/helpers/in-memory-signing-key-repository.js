@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import { SigningKey } from '../../src/domain/entities/signing-key-entity.js';
+import { ISigningKeyRepository } from '../../src/domain/repositories/interfaces/i-signing-key-repository.js';
+
+/**
+ * In-memory stand-in for SigningKeyRepository, with the unique sequence index of the real one
+ */
+export class InMemorySigningKeyRepository extends ISigningKeyRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(data) {
+    if (this.records.has(data.sequence)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const record = { expiresAt: null, ...data, id: crypto.randomBytes(12).toString('hex'), createdAt: new Date() };
+    this.records.set(data.sequence, record);
+    return this._toEntity(record);
+  }
+
+  async findUnexpired() {
+    const now = new Date();
+    return [...this.records.values()]
+      .filter(record => !record.expiresAt || record.expiresAt > now)
+      .sort((a, b) => b.sequence - a.sequence)
+      .map(record => this._toEntity(record));
+  }
+
+  async expireBefore(sequence, expiresAt) {
+    const records = [...this.records.values()].filter(record => record.sequence < sequence && !record.expiresAt);
+    records.forEach(record => {
+      record.expiresAt = expiresAt;
+    });
+    return records.length;
+  }
+
+  _toEntity(record) {
+    return new SigningKey({ ...record });
+  }
+}
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { Team } from '../../src/domain/entities/team-entity.js';
+import { ITeamRepository } from '../../src/domain/repositories/interfaces/i-team-repository.js';
+
+/**
+ * In-memory stand-in for TeamRepository
+ */
+export class InMemoryTeamRepository extends ITeamRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async create(data) {
+    const now = new Date();
+    const record = { members: [], ...data, id: crypto.randomBytes(12).toString('hex'), createdAt: now, updatedAt: now };
+    this.records.set(record.id, record);
+    return this._toEntity(record);
+  }
+
+  async findById(id) {
+    const record = this.records.get(id);
+    return record ? this._toEntity(record) : null;
+  }
+
+  async findAll() {
+    return this._sorted([...this.records.values()]);
+  }
+
+  async findByMember(userId) {
+    return this._sorted([...this.records.values()].filter(record => record.members.some(member => member.userId === userId)));
+  }
+
+  async setMember(id, userId, isLead) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+    record.members = [...record.members.filter(member => member.userId !== userId), { userId, isLead }];
+    return this._toEntity(record);
+  }
+
+  _sorted(records) {
+    return records.sort((a, b) => a.name.localeCompare(b.name)).map(record => this._toEntity(record));
+  }
+
+  _toEntity(record) {
+    return new Team({ ...record, members: record.members.map(member => ({ ...member })) });
+  }
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { User } from '../../src/domain/entities/user-entity.js';
+import { IUserRepository } from '../../src/domain/repositories/interfaces/i-user-repository.js';
+
+/**
+ * In-memory stand-in for UserRepository
+ * Keeps plain records and answers with User entities, like the Mongoose implementation
+ */
+export class InMemoryUserRepository extends IUserRepository {
+  constructor(users = []) {
+    super();
+    this.records = new Map();
+    users.forEach(user => this.add(user));
+  }
+
+  add(data) {
+    const id = data.id || crypto.randomBytes(12).toString('hex');
+    this.records.set(id, {
+      firstName: 'Test',
+      lastName: 'User',
+      isEmailVerified: true,
+      ...data,
+      id,
+      createdAt: data.createdAt || new Date(),
+      updatedAt: new Date()
+    });
+    return this._toEntity(this.records.get(id));
+  }
+
+  record(id) {
+    return this.records.get(id);
+  }
+
+  async findById(id) {
+    return this._find(record => record.id === id);
+  }
+
+  async findByEmail(email) {
+    return this._find(record => record.email === email.toLowerCase());
+  }
+
+  async findByIdWithSecrets(id) {
+    return this.findById(id);
+  }
+
+  async findByWebAuthnCredentialId(credentialId) {
+    return this._find(record => (record.webauthnCredentials || []).some(c => c.credentialId === credentialId));
+  }
+
+  async findByOidcIdentity(provider, subject) {
+    return this._find(record => (record.oidcIdentities || [])
+      .some(identity => identity.provider === provider && identity.subject === subject));
+  }
+
+  async findByEmailVerificationToken(token) {
+    return this._find(record => record.emailVerificationToken === token && record.emailVerificationExpires > new Date());
+  }
+
+  async findByPendingEmailToken(token) {
+    return this._find(record => record.pendingEmailToken === token && record.pendingEmailExpires > new Date());
+  }
+
+  async findByPasswordResetToken(token) {
+    return this._find(record => record.passwordResetToken === token && record.passwordResetExpires > new Date());
+  }
+
+  async consumePasswordResetToken(token, updates) {
+    const record = [...this.records.values()]
+      .find(candidate => candidate.passwordResetToken === token && candidate.passwordResetExpires > new Date());
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, updates, { passwordResetToken: null, passwordResetExpires: null, updatedAt: new Date() });
+    return this._toEntity(record);
+  }
+
+  async save(userData) {
+    return this.add(userData);
+  }
+
+  async update(id, updates) {
+    const record = this.records.get(id);
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, updates, { updatedAt: new Date() });
+    return this._toEntity(record);
+  }
+
+  async useTotpStep(id, step) {
+    const record = this.records.get(id);
+    if (record.twoFactorLastUsedStep != null && record.twoFactorLastUsedStep >= step) {
+      return false;
+    }
+    record.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  async consumeRecoveryCode(id, codeHash) {
+    const record = this.records.get(id);
+    const codes = record.twoFactorRecoveryCodes || [];
+    if (!codes.includes(codeHash)) {
+      return false;
+    }
+    record.twoFactorRecoveryCodes = codes.filter(code => code !== codeHash);
+    return true;
+  }
+
+  async addWebAuthnCredential(id, credential) {
+    const record = this.records.get(id);
+    record.webauthnCredentials = [
+      ...(record.webauthnCredentials || []),
+      { id: crypto.randomBytes(12).toString('hex'), createdAt: new Date(), ...credential }
+    ];
+    return true;
+  }
+
+  async updateWebAuthnCredentialUsage(id, credentialId, counter) {
+    const credential = (this.records.get(id).webauthnCredentials || []).find(c => c.credentialId === credentialId);
+    if (!credential) {
+      return false;
+    }
+    Object.assign(credential, { counter, lastUsedAt: new Date() });
+    return true;
+  }
+
+  async removeWebAuthnCredential(id, credentialId) {
+    const record = this.records.get(id);
+    const before = (record.webauthnCredentials || []).length;
+    record.webauthnCredentials = (record.webauthnCredentials || []).filter(c => c.credentialId !== credentialId);
+    return record.webauthnCredentials.length < before;
+  }
+
+  async linkOidcIdentity(id, identity) {
+    const record = this.records.get(id);
+    if ((record.oidcIdentities || []).some(existing => existing.provider === identity.provider)) {
+      return false;
+    }
+    record.oidcIdentities = [...(record.oidcIdentities || []), { ...identity, linkedAt: new Date() }];
+    return true;
+  }
+
+  async unlinkOidcIdentity(id, provider) {
+    const record = this.records.get(id);
+    const before = (record.oidcIdentities || []).length;
+    record.oidcIdentities = (record.oidcIdentities || []).filter(identity => identity.provider !== provider);
+    return record.oidcIdentities.length < before;
+  }
+
+  async delete(id) {
+    return this.records.delete(id);
+  }
+
+  async emailExists(email, excludeId = null) {
+    return [...this.records.values()].some(record => record.email === email.toLowerCase() && record.id !== excludeId);
+  }
+
+  async countByRole(role) {
+    return [...this.records.values()].filter(record => record.role === role).length;
+  }
+
+  _find(predicate) {
+    const record = [...this.records.values()].find(predicate);
+    return record ? this._toEntity(record) : null;
+  }
+
+  _toEntity(record) {
+    const { twoFactorLastUsedStep, ...data } = record;
+    return new User(structuredClone(data));
+  }
+}
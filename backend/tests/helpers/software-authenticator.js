@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Software Authenticator
+ * A passkey held in memory: answers registration and authentication ceremonies
+ * the way a browser and platform authenticator would, with an ES256 key and
+ * "none" attestation.
+ */
+export class SoftwareAuthenticator {
+  constructor({ origin, rpId }) {
+    this.origin = origin;
+    this.rpId = rpId;
+    this.credentialId = crypto.randomBytes(16);
+    this.keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.counter = 0;
+    this.userHandle = null;
+  }
+
+  get id() {
+    return this.credentialId.toString('base64url');
+  }
+
+  /**
+   * Answer navigator.credentials.create()
+   * @param {Object} options - Registration options from the server
+   * @returns {Object} RegistrationResponseJSON
+   */
+  register(options) {
+    this.userHandle = options.user.id;
+
+    const clientDataJSON = this._clientData('webauthn.create', options.challenge);
+    const authData = Buffer.concat([
+      this._authDataHeader(FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_ATTESTED_CREDENTIAL),
+      Buffer.alloc(16), // AAGUID
+      Buffer.from([this.credentialId.length >> 8, this.credentialId.length & 0xff]),
+      this.credentialId,
+      Buffer.from(isoCBOR.encode(this._cosePublicKey()))
+    ]);
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(authData)]
+    ]));
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        attestationObject: Buffer.from(attestationObject).toString('base64url'),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Answer navigator.credentials.get()
+   * @param {Object} options - Authentication options from the server
+   * @param {Object} overrides - Test hooks: signing key, user handle, counter
+   * @returns {Object} AuthenticationResponseJSON
+   */
+  authenticate(options, { privateKey = this.keyPair.privateKey, userHandle = this.userHandle, counter } = {}) {
+    this.counter = counter ?? this.counter + 1;
+
+    const clientDataJSON = this._clientData('webauthn.get', options.challenge);
+    const authenticatorData = this._authDataHeader(FLAG_USER_PRESENT | FLAG_USER_VERIFIED);
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+      privateKey
+    );
+
+    return {
+      id: this.id,
+      rawId: this.id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  _clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.origin, crossOrigin: false }));
+  }
+
+  _authDataHeader(flags) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.counter);
+    return Buffer.concat([sha256(this.rpId), Buffer.from([flags]), counter]);
+  }
+
+  // EC2 key on P-256 for ES256, in COSE form
+  _cosePublicKey() {
+    const jwk = this.keyPair.publicKey.export({ format: 'jwk' });
+    return new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+      [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+    ]);
+  }
+}
@@ -0,0 +1,199 @@
+import http from 'http';
+import express from 'express';
+import { Readable } from 'stream';
+import { FileController } from '../../../src/infrastructure/controllers/file-controller.js';
+
+const CONTENTS = '0123456789abcdefghij';
+const ETAG = '"etag-1"';
+const LAST_MODIFIED = new Date('2024-01-01T00:00:00Z');
+
+const file = { id: 'file-1', originalName: 'digits.txt', mimeType: 'text/plain' };
+
+describe('FileController downloads', () => {
+  let server;
+  let baseUrl;
+  let opened;
+  let failStorage;
+
+  beforeAll(async () => {
+    // Serves CONTENTS to everyone; records the ranges storage was asked for
+    const downloadFileUseCase = {
+      execute: async () => ({ file, content: { size: CONTENTS.length, etag: ETAG, lastModified: LAST_MODIFIED } }),
+      openStream: async (storedFile, range) => {
+        if (failStorage) {
+          throw new Error('Storage unavailable');
+        }
+        opened.push(range);
+        return Readable.from([Buffer.from(range ? CONTENTS.slice(range.start, range.end + 1) : CONTENTS)]);
+      }
+    };
+    const controller = new FileController(null, null, null, null, null, downloadFileUseCase, null, null);
+
+    const app = express();
+    app.all('/files/:id/download', (req, res, next) => {
+      req.user = { id: 'user-1' };
+      req.permissions = [];
+      next();
+    }, (req, res) => controller.downloadFile(req, res));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/files/file-1/download`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    opened = [];
+    failStorage = false;
+  });
+
+  // Plain http, as fetch adds Cache-Control: no-cache to conditional requests
+  const download = (headers = {}, method = 'GET') => new Promise((resolve, reject) => {
+    http.request(baseUrl, { method, headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString()
+      }));
+    }).on('error', reject).end();
+  });
+
+  it('sends the whole file with its validators', async () => {
+    const response = await download();
+
+    expect(response.status).toBe(200);
+    expect(response.headers).toMatchObject({
+      'accept-ranges': 'bytes',
+      etag: ETAG,
+      'last-modified': LAST_MODIFIED.toUTCString(),
+      'content-length': String(CONTENTS.length),
+      'content-type': 'text/plain; charset=utf-8',
+      'cache-control': 'private, no-cache',
+      'content-disposition': 'attachment; filename="digits.txt"'
+    });
+    expect(response.body).toBe(CONTENTS);
+  });
+
+  it('sends a valid range as partial content', async () => {
+    const response = await download({ Range: 'bytes=2-5' });
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe(`bytes 2-5/${CONTENTS.length}`);
+    expect(response.headers['content-length']).toBe('4');
+    expect(response.body).toBe('2345');
+    expect(opened).toEqual([{ start: 2, end: 5 }]);
+  });
+
+  it('sends the end of the file for a suffix range', async () => {
+    const response = await download({ Range: 'bytes=-4' });
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe(`bytes 16-19/${CONTENTS.length}`);
+    expect(response.body).toBe('ghij');
+  });
+
+  it('sends the rest of the file for an open-ended range, capped at its size', async () => {
+    const openEnded = await download({ Range: 'bytes=15-' });
+    const pastTheEnd = await download({ Range: 'bytes=15-100' });
+
+    expect(openEnded.body).toBe('fghij');
+    expect(pastTheEnd.headers['content-range']).toBe(`bytes 15-19/${CONTENTS.length}`);
+    expect(pastTheEnd.body).toBe('fghij');
+  });
+
+  it('answers an unsatisfiable range with 416 and the file size', async () => {
+    const response = await download({ Range: 'bytes=50-60' });
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe(`bytes */${CONTENTS.length}`);
+    expect(response.headers.etag).toBe(ETAG);
+    expect(response.body).toBe('');
+    expect(opened).toEqual([]);
+  });
+
+  it('sends the whole file for multiple ranges or other units', async () => {
+    const multiple = await download({ Range: 'bytes=0-1,5-6' });
+    const otherUnit = await download({ Range: 'items=0-1' });
+
+    expect([multiple.status, otherUnit.status]).toEqual([200, 200]);
+    expect(multiple.body).toBe(CONTENTS);
+    expect(otherUnit.body).toBe(CONTENTS);
+  });
+
+  describe('If-Range', () => {
+    it('sends the range while the ETag still matches', async () => {
+      const response = await download({ Range: 'bytes=0-3', 'If-Range': ETAG });
+
+      expect(response.status).toBe(206);
+      expect(response.body).toBe('0123');
+    });
+
+    it('sends the whole file when the ETag is stale', async () => {
+      const response = await download({ Range: 'bytes=0-3', 'If-Range': '"etag-0"' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-range']).toBeUndefined();
+      expect(response.body).toBe(CONTENTS);
+    });
+
+    it('sends the whole file for a weak ETag, which never matches strongly', async () => {
+      const response = await download({ Range: 'bytes=0-3', 'If-Range': `W/${ETAG}` });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('compares dates with the last modification', async () => {
+      const current = await download({ Range: 'bytes=0-3', 'If-Range': LAST_MODIFIED.toUTCString() });
+      const stale = await download({ Range: 'bytes=0-3', 'If-Range': new Date(LAST_MODIFIED.getTime() - 1000).toUTCString() });
+
+      expect([current.status, stale.status]).toEqual([206, 200]);
+    });
+  });
+
+  describe('conditional requests', () => {
+    it('answers a matching If-None-Match with 304 and no body', async () => {
+      const response = await download({ 'If-None-Match': ETAG });
+
+      expect(response.status).toBe(304);
+      expect(response.headers.etag).toBe(ETAG);
+      expect(response.body).toBe('');
+      expect(opened).toEqual([]);
+    });
+
+    it('sends the file when If-None-Match names another version', async () => {
+      const response = await download({ 'If-None-Match': '"etag-0"' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('answers If-Modified-Since with 304 while the file is unchanged', async () => {
+      const response = await download({ 'If-Modified-Since': LAST_MODIFIED.toUTCString() });
+
+      expect(response.status).toBe(304);
+    });
+  });
+
+  it('answers HEAD with the headers of the download without reading storage', async () => {
+    const response = await download({ Range: 'bytes=0-3' }, 'HEAD');
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-length']).toBe('4');
+    expect(opened).toEqual([]);
+  });
+
+  it('turns a storage error before streaming into JSON without download headers', async () => {
+    failStorage = true;
+
+    const response = await download();
+
+    expect(response.status).toBe(500);
+    expect(response.headers['accept-ranges']).toBeUndefined();
+    expect(response.headers['content-disposition']).toBeUndefined();
+    expect(JSON.parse(response.body)).toEqual({ success: false, message: 'Storage unavailable' });
+  });
+});
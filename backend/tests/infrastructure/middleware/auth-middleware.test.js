@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { ApiKey } from '../../../src/domain/entities/api-key-entity.js';
+import { TokenService } from '../../../src/shared/services/token-service.js';
+import { PermissionService } from '../../../src/shared/services/permission-service.js';
+import { InMemoryUserRepository } from '../../helpers/in-memory-user-repository.js';
+import { InMemoryRoleRepository } from '../../helpers/in-memory-role-repository.js';
+import { fakeSigningKeyService } from '../../helpers/fakes.js';
+
+// The middleware builds its own repositories; swap them for in-memory ones
+const users = new InMemoryUserRepository();
+const apiKeys = new Map();
+
+jest.unstable_mockModule('../../../src/infrastructure/repositories/user-repository.js', () => ({
+  UserRepository: class {
+    constructor() {
+      return users;
+    }
+  }
+}));
+jest.unstable_mockModule('../../../src/infrastructure/repositories/api-key-repository.js', () => ({
+  ApiKeyRepository: class {
+    async findByHash(hashedKey) {
+      return apiKeys.get(hashedKey) || null;
+    }
+
+    async touch() {}
+  }
+}));
+jest.unstable_mockModule('../../../src/infrastructure/repositories/refresh-token-family-repository.js', () => ({
+  RefreshTokenFamilyRepository: class {
+    async touch() {}
+  }
+}));
+
+const { container } = await import('../../../src/shared/kernel/container.js');
+const tokenService = new TokenService(fakeSigningKeyService());
+container.instances.set('tokenService', tokenService);
+container.instances.set('permissionService', new PermissionService(new InMemoryRoleRepository()));
+
+const { apiKeyScope } = await import('../../../src/infrastructure/middleware/auth-middleware.js');
+const { createUserRoutes } = await import('../../../src/infrastructure/routes/user-routes.js');
+
+// Every controller action answers with its own name, so the tests only see the middleware
+const userController = new Proxy({}, {
+  get: (target, action) => (req, res) => res.json({ success: true, action })
+});
+
+describe('auth middleware on the user routes', () => {
+  let server;
+  let baseUrl;
+  let admin;
+  let target;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/users', apiKeyScope('users'), createUserRoutes(userController));
+    // The same routes under another scope, and without opting in to API keys at all
+    app.use('/files-scoped', apiKeyScope('files'), createUserRoutes(userController));
+    app.use('/session-only', createUserRoutes(userController));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    admin = users.add({ email: 'admin@example.com', password: 'hashed:x', role: 'admin' });
+    target = users.add({ email: 'staff@example.com', password: 'hashed:x', role: 'staff' });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createApiKey = (user, scopes, expiresAt = null) => {
+    const { token, hashedToken } = tokenService.generateApiKey();
+    apiKeys.set(hashedToken, new ApiKey({
+      id: `key-${apiKeys.size + 1}`, userId: user.id, name: 'CI', scopes, keyHash: hashedToken, prefix: token.slice(0, 10), expiresAt
+    }));
+    return token;
+  };
+
+  const request = (method, path, headers) =>
+    fetch(`${baseUrl}${path}`, { method, headers }).then(async response => ({
+      status: response.status,
+      body: await response.json()
+    }));
+
+  const bearer = token => ({ Authorization: `Bearer ${token}` });
+  const accessToken = user => tokenService.generateAccessToken({ userId: user.id, email: user.email, role: user.role });
+
+  describe('POST /users/:id/impersonate', () => {
+    it('is allowed with an admin session', async () => {
+      const response = await request('POST', `/users/${target.id}/impersonate`, bearer(accessToken(admin)));
+
+      expect(response).toEqual({ status: 200, body: { success: true, action: 'impersonateUser' } });
+    });
+
+    it('is refused for an API key, even one scoped to users', async () => {
+      const apiKey = createApiKey(admin, ['users']);
+
+      const response = await request('POST', `/users/${target.id}/impersonate`, { 'X-API-Key': apiKey });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('This action is not allowed with an API key');
+      // The same key still works on the routes its scope covers
+      await expect(request('GET', '/users', { Authorization: `ApiKey ${apiKey}` }))
+        .resolves.toMatchObject({ status: 200, body: { action: 'getUsers' } });
+    });
+
+    it('is refused for an impersonation token', async () => {
+      const token = tokenService.generateImpersonationToken({
+        userId: admin.id, email: admin.email, role: admin.role, impersonatorId: admin.id
+      });
+
+      const response = await request('POST', `/users/${target.id}/impersonate`, bearer(token));
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('This action is not allowed while impersonating a user');
+    });
+  });
+
+  describe('API key scopes', () => {
+    const apiKeyHeader = key => ({ 'X-API-Key': key });
+
+    it('allows a key on the route groups its scopes cover', async () => {
+      const apiKey = createApiKey(admin, ['users', 'files']);
+
+      await expect(request('GET', '/users', apiKeyHeader(apiKey)))
+        .resolves.toMatchObject({ status: 200, body: { action: 'getUsers' } });
+      await expect(request('GET', '/files-scoped', apiKeyHeader(apiKey)))
+        .resolves.toMatchObject({ status: 200, body: { action: 'getUsers' } });
+    });
+
+    it('refuses a key on a route group outside its scopes', async () => {
+      const apiKey = createApiKey(admin, ['files']);
+
+      const response = await request('GET', '/users', apiKeyHeader(apiKey));
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe('API key does not have access to this resource');
+    });
+
+    it('refuses every key on route groups that do not accept API keys', async () => {
+      const apiKey = createApiKey(admin, ['users', 'files']);
+
+      await expect(request('GET', '/session-only', apiKeyHeader(apiKey)))
+        .resolves.toMatchObject({ status: 403, body: { message: 'API key does not have access to this resource' } });
+      // Sessions still work there
+      await expect(request('GET', '/session-only', bearer(accessToken(admin))))
+        .resolves.toMatchObject({ status: 200, body: { action: 'getUsers' } });
+    });
+
+    it('still checks the permissions of the key\'s owner', async () => {
+      const apiKey = createApiKey(target, ['users']);
+
+      await expect(request('GET', '/users', apiKeyHeader(apiKey)))
+        .resolves.toMatchObject({ status: 403, body: { message: 'Insufficient permissions' } });
+    });
+
+    it('refuses unknown and expired keys, and keys of deactivated users', async () => {
+      const expiredKey = createApiKey(admin, ['users'], new Date(Date.now() - 1000));
+      const inactive = users.add({ email: 'gone@example.com', password: 'hashed:x', role: 'admin', isActive: false });
+      const inactiveKey = createApiKey(inactive, ['users']);
+      const { token: unknownKey } = tokenService.generateApiKey();
+
+      for (const key of [unknownKey, expiredKey, inactiveKey]) {
+        await expect(request('GET', '/users', apiKeyHeader(key)))
+          .resolves.toMatchObject({ status: 401, body: { message: 'Invalid or expired API key' } });
+      }
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { requestSizeLimiter } from '../../middleware/security.js';
+
+// Request with just what requestSizeLimiter reads
+const fakeRequest = ({ method = 'PATCH', path, contentType = 'application/offset+octet-stream', contentLength }) => ({
+  method,
+  path,
+  url: path,
+  headers: { 'content-type': contentType, 'content-length': String(contentLength) },
+  is: type => contentType === type
+});
+
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    status: code => {
+      res.statusCode = code;
+      return res;
+    },
+    json: () => res
+  };
+  return res;
+};
+
+const run = request => {
+  const res = fakeResponse();
+  let passed = false;
+  requestSizeLimiter(request, res, () => {
+    passed = true;
+  });
+  return passed ? 'next' : res.statusCode;
+};
+
+describe('requestSizeLimiter', () => {
+  const large = 50 * 1024 * 1024;
+
+  it('lets large tus pieces through to the upload they belong to', () => {
+    expect(run(fakeRequest({ path: '/api/v1/files/uploads/65f1c2', contentLength: large }))).toBe('next');
+    // Clients that cannot send PATCH use POST with X-HTTP-Method-Override
+    expect(run(fakeRequest({ method: 'POST', path: '/api/v1/files/uploads/65f1c2', contentLength: large }))).toBe('next');
+  });
+
+  it('limits tus content types on every other route', () => {
+    expect(run(fakeRequest({ path: '/api/v1/users/65f1c2', contentLength: large }))).toBe(413);
+    expect(run(fakeRequest({ method: 'POST', path: '/api/v1/files/uploads', contentLength: large }))).toBe(413);
+    expect(run(fakeRequest({ path: '/api/v1/files/uploads/65f1c2/other', contentLength: large }))).toBe(413);
+  });
+
+  it('limits other content types sent to the tus endpoint', () => {
+    expect(run(fakeRequest({ path: '/api/v1/files/uploads/65f1c2', contentType: 'application/json', contentLength: large }))).toBe(413);
+    expect(run(fakeRequest({ path: '/api/v1/files/uploads/65f1c2', contentType: 'application/json', contentLength: 1024 }))).toBe('next');
+  });
+});
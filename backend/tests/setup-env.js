@@ -0,0 +1,7 @@
+// Test configuration, set before any module reads config.js
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.SIGNED_URL_SECRET = 'test-signed-url-secret';
+process.env.JWT_ALGORITHM = 'HS256';
+process.env.REDIS_ENABLED = 'false';
+process.env.CLIENT_URL = 'http://client.test';
+process.env.API_URL = 'http://api.test';
@@ -0,0 +1,94 @@
+import { AuditLogService } from '../../../src/shared/services/audit-log-service.js';
+import { InMemoryAuditLogRepository } from '../../helpers/in-memory-audit-log-repository.js';
+
+describe('AuditLogService', () => {
+  let repository;
+  let service;
+
+  const recordRoleChange = (userId, role) => service.record(
+    { type: 'UserRoleChanged', userId, role, occurredAt: new Date('2024-01-01T10:00:00Z') },
+    { actorId: 'admin-1', before: { role: 'staff' }, after: { role } }
+  );
+
+  const recordChain = async length => {
+    for (let index = 1; index <= length; index++) {
+      await recordRoleChange(`user-${index}`, 'manager');
+    }
+  };
+
+  beforeEach(() => {
+    repository = new InMemoryAuditLogRepository();
+    service = new AuditLogService(repository);
+  });
+
+  it('chains each entry to the hash of the one before', async () => {
+    await recordChain(3);
+
+    const [first, second, third] = [1, 2, 3].map(sequence => repository.records.get(sequence));
+    expect(first.previousHash).toBe('0'.repeat(64));
+    expect(second.previousHash).toBe(first.hash);
+    expect(third.previousHash).toBe(second.hash);
+    await expect(service.verify()).resolves.toEqual({ valid: true, checked: 3, brokenAt: null });
+  });
+
+  it('refuses events without a target', async () => {
+    await expect(service.record({ type: 'SomethingHappened' })).rejects.toThrow('Event SomethingHappened has no target');
+  });
+
+  describe('verify', () => {
+    beforeEach(() => recordChain(3));
+
+    it('finds an entry whose fields were changed', async () => {
+      repository.records.get(2).changes = { before: { role: 'staff' }, after: { role: 'admin' } };
+
+      await expect(service.verify()).resolves.toEqual({ valid: false, checked: 1, brokenAt: 2 });
+    });
+
+    it('finds an entry that was changed and given a new hash', async () => {
+      const entry = repository.records.get(2);
+      entry.actorId = 'someone-else';
+      entry.hash = service.computeHash(repository._toEntity(entry));
+
+      // The next entry still points at the old hash
+      await expect(service.verify()).resolves.toEqual({ valid: false, checked: 2, brokenAt: 3 });
+    });
+
+    it('finds a removed entry', async () => {
+      repository.records.delete(2);
+
+      await expect(service.verify()).resolves.toEqual({ valid: false, checked: 1, brokenAt: 2 });
+    });
+  });
+
+  describe('concurrent writers', () => {
+    it('chains writes racing for the same sequence onto each other', async () => {
+      await Promise.all(['user-1', 'user-2', 'user-3', 'user-4', 'user-5'].map(userId => recordRoleChange(userId, 'manager')));
+
+      expect([...repository.records.keys()].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5]);
+      expect(new Set([...repository.records.values()].map(entry => entry.targetId)).size).toBe(5);
+      await expect(service.verify()).resolves.toEqual({ valid: true, checked: 5, brokenAt: null });
+    });
+
+    it('gives up after repeated sequence conflicts', async () => {
+      let attempts = 0;
+      repository.append = async () => {
+        attempts++;
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      };
+
+      await expect(recordRoleChange('user-1', 'manager')).rejects.toThrow('Too many concurrent audit log writes');
+      expect(attempts).toBe(5);
+    });
+
+    it('does not retry other write errors', async () => {
+      let attempts = 0;
+      repository.append = async () => {
+        attempts++;
+        throw new Error('Database unavailable');
+      };
+
+      await expect(recordRoleChange('user-1', 'manager')).rejects.toThrow('Database unavailable');
+      expect(attempts).toBe(1);
+    });
+  });
+});
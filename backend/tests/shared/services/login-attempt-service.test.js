@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import { LoginAttemptService } from '../../../src/shared/services/login-attempt-service.js';
+import { cacheKeys } from '../../../src/infrastructure/config/redis.js';
+import { InMemoryExpiringStore } from '../../helpers/fakes.js';
+
+describe('LoginAttemptService', () => {
+  const email = 'jane@example.com';
+  const ipAddress = '203.0.113.1';
+  let store;
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    store = new InMemoryExpiringStore();
+    service = new LoginAttemptService(store);
+    service.window = 60;
+    service.maxAttempts = { account: 3, ip: 5 };
+    service.lockoutDuration = 60;
+    service.maxLockoutDuration = 300;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const elapse = seconds => jest.advanceTimersByTime(seconds * 1000);
+
+  // Fails until the account is locked out and returns the lockout that started
+  const lockOut = async (attempt = { email, ipAddress }) => {
+    let lockout = null;
+    while (!lockout) {
+      lockout = await service.recordFailure(attempt);
+    }
+    return lockout;
+  };
+
+  it('locks the account once the limit is reached within the window', async () => {
+    await expect(service.recordFailure({ email, ipAddress })).resolves.toBeNull();
+    await expect(service.recordFailure({ email: 'JANE@example.com ', ipAddress })).resolves.toBeNull();
+    await expect(service.recordFailure({ email, ipAddress })).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+
+    await expect(service.getLockout({ email, ipAddress })).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+    await expect(service.getLockout({ email: 'john@example.com', ipAddress })).resolves.toBeNull();
+  });
+
+  it('only counts failures inside the sliding window', async () => {
+    await service.recordFailure({ email, ipAddress });
+    elapse(40);
+    await service.recordFailure({ email, ipAddress });
+    elapse(30);
+
+    // The first failure has left the window
+    await expect(service.recordFailure({ email, ipAddress })).resolves.toBeNull();
+    await expect(service.recordFailure({ email, ipAddress })).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+  });
+
+  it('lifts the lockout once it runs out', async () => {
+    await lockOut();
+
+    elapse(59);
+    await expect(service.getLockout({ email })).resolves.toEqual({ scope: 'account', retryAfter: 1 });
+    elapse(1);
+    await expect(service.getLockout({ email })).resolves.toBeNull();
+    // Failures before the lockout are not counted again
+    await expect(service.recordFailure({ email })).resolves.toBeNull();
+  });
+
+  it('doubles the lockout each time up to the maximum', async () => {
+    const durations = [];
+    for (let lockout = 0; lockout < 5; lockout++) {
+      const { retryAfter } = await lockOut();
+      durations.push(retryAfter);
+      elapse(retryAfter);
+    }
+
+    expect(durations).toEqual([60, 120, 240, 300, 300]);
+  });
+
+  it('forgets the backoff a day after the last lockout', async () => {
+    await lockOut();
+    elapse(24 * 60 * 60);
+
+    await expect(lockOut()).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+  });
+
+  it('locks the IP after failures across accounts', async () => {
+    const lockouts = [];
+    for (let account = 0; account < 5; account++) {
+      lockouts.push(await service.recordFailure({ email: `user${account}@example.com`, ipAddress }));
+    }
+
+    expect(lockouts).toEqual([null, null, null, null, { scope: 'ip', retryAfter: 60 }]);
+    await expect(service.getLockout({ email: 'new@example.com', ipAddress })).resolves.toEqual({ scope: 'ip', retryAfter: 60 });
+    await expect(service.getLockout({ email: 'new@example.com', ipAddress: '198.51.100.1' })).resolves.toBeNull();
+  });
+
+  it('reports the account lockout when the account and the IP lock together', async () => {
+    service.maxAttempts = { account: 3, ip: 3 };
+
+    await expect(lockOut()).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+    await expect(service.getLockout({ email: 'john@example.com', ipAddress })).resolves.toEqual({ scope: 'ip', retryAfter: 60 });
+  });
+
+  it('clears the failures and the backoff of the account on reset', async () => {
+    await lockOut();
+    elapse(60);
+    await service.recordFailure({ email, ipAddress });
+
+    await service.reset('Jane@Example.com');
+
+    await expect(store.get(cacheKeys.loginFailures('account', email))).resolves.toBeNull();
+    await expect(store.get(cacheKeys.loginLockoutLevel('account', email))).resolves.toBeNull();
+    // IP counters are not the account's to clear
+    await expect(store.get(cacheKeys.loginFailures('ip', ipAddress))).resolves.toHaveLength(1);
+    await expect(lockOut({ email })).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+  });
+
+  it('lifts an account lockout on unlock and reports whether there was one', async () => {
+    await lockOut({ email });
+
+    await expect(service.unlock(email)).resolves.toBe(true);
+    await expect(service.getLockout({ email })).resolves.toBeNull();
+    await expect(service.unlock(email)).resolves.toBe(false);
+    // The backoff starts over as well
+    await expect(lockOut({ email })).resolves.toEqual({ scope: 'account', retryAfter: 60 });
+  });
+});
@@ -0,0 +1,258 @@
+import { OutboxService } from '../../../src/shared/services/outbox-service.js';
+import { EventBus } from '../../../src/shared/kernel/event-bus.js';
+import { OutboxRepository } from '../../../src/infrastructure/repositories/outbox-repository.js';
+import { ReplayOutboxMessagesUseCase } from '../../../src/application/use-cases/outbox/replay-outbox-messages-use-case.js';
+import { config } from '../../../src/infrastructure/config/config.js';
+import { InMemoryOutboxRepository } from '../../helpers/in-memory-outbox-repository.js';
+
+// Records sent emails; fails while `failing` is set
+const fakeEmailService = () => {
+  const sent = [];
+  const service = {
+    sent,
+    failing: false,
+    sendEmailVerification: async (to, data) => {
+      if (service.failing) {
+        throw new Error('Connection timeout');
+      }
+      sent.push({ to, data });
+    }
+  };
+  return service;
+};
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('OutboxService', () => {
+  let outboxRepository;
+  let emailService;
+  let eventBus;
+  let outboxService;
+
+  // Make every pending message due, skipping the backoff
+  const makeDue = () => outboxRepository.records.forEach(record => {
+    record.nextAttemptAt = new Date(0);
+  });
+
+  const dispatchUntilSettled = async () => {
+    for (let attempt = 0; attempt < config.OUTBOX_MAX_ATTEMPTS; attempt++) {
+      makeDue();
+      await outboxService.dispatchDue();
+    }
+  };
+
+  const onlyRecord = () => [...outboxRepository.records.values()][0];
+
+  beforeEach(() => {
+    outboxRepository = new InMemoryOutboxRepository();
+    emailService = fakeEmailService();
+    eventBus = new EventBus();
+    outboxService = new OutboxService(outboxRepository, emailService, eventBus);
+    eventBus.useOutbox(outboxService);
+  });
+
+  describe('emails', () => {
+    const enqueueVerification = (expiresAt = inOneDay()) => outboxService.enqueueEmail('email-verification', 'user@example.com', {
+      verificationToken: 'secret-token'
+    }, { expiresAt });
+
+    it('delivers an email and removes its template data', async () => {
+      await enqueueVerification();
+
+      await expect(outboxService.dispatchDue()).resolves.toBe(1);
+
+      expect(emailService.sent).toEqual([{ to: 'user@example.com', data: { verificationToken: 'secret-token' } }]);
+      expect(onlyRecord().status).toBe('delivered');
+      expect(onlyRecord().payload).toEqual({ template: 'email-verification', to: 'user@example.com', expiresAt: expect.anything() });
+    });
+
+    it('retries a failing email with backoff', async () => {
+      emailService.failing = true;
+      await enqueueVerification();
+
+      await outboxService.dispatchDue();
+
+      expect(onlyRecord()).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection timeout' });
+      expect(onlyRecord().nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(onlyRecord().payload.data).toEqual({ verificationToken: 'secret-token' });
+      // Not due yet
+      await expect(outboxService.dispatchDue()).resolves.toBe(0);
+    });
+
+    it('keeps an email that gave up until it is replayed and delivered', async () => {
+      emailService.failing = true;
+      const message = await enqueueVerification();
+
+      await dispatchUntilSettled();
+
+      expect(onlyRecord()).toMatchObject({ status: 'dead', attempts: config.OUTBOX_MAX_ATTEMPTS });
+      expect(onlyRecord().payload.data).toEqual({ verificationToken: 'secret-token' });
+
+      emailService.failing = false;
+      await expect(new ReplayOutboxMessagesUseCase(outboxRepository).execute({ id: message.id }))
+        .resolves.toMatchObject({ replayed: 1 });
+      await outboxService.dispatchDue();
+
+      expect(emailService.sent).toEqual([{ to: 'user@example.com', data: { verificationToken: 'secret-token' } }]);
+      expect(onlyRecord().status).toBe('delivered');
+      expect(onlyRecord().payload.data).toBeUndefined();
+    });
+
+    it('removes the data of a dead email once its links expire and refuses to replay it', async () => {
+      emailService.failing = true;
+      const message = await enqueueVerification();
+      await dispatchUntilSettled();
+
+      onlyRecord().payload.expiresAt = new Date(Date.now() - 1000);
+      const replay = new ReplayOutboxMessagesUseCase(outboxRepository);
+      await expect(replay.execute({ id: message.id })).rejects.toThrow('the user needs to request it again');
+      await expect(replay.execute({})).resolves.toMatchObject({ replayed: 0 });
+
+      await outboxService.dispatchDue();
+      expect(onlyRecord()).toMatchObject({ status: 'dead' });
+      expect(onlyRecord().payload.data).toBeUndefined();
+    });
+
+    it('does not send an email whose links expired while it was waiting', async () => {
+      await enqueueVerification(new Date(Date.now() - 1000));
+
+      await outboxService.dispatchDue();
+
+      expect(emailService.sent).toEqual([]);
+      expect(onlyRecord()).toMatchObject({ status: 'dead', lastError: 'The links in this email have expired' });
+    });
+
+    it('refuses unknown templates', async () => {
+      await expect(outboxService.enqueueEmail('welcome', 'user@example.com', {})).rejects.toThrow('Unknown email template');
+    });
+  });
+
+  describe('events for durable subscribers', () => {
+    let received;
+    let failing;
+
+    beforeEach(() => {
+      received = [];
+      failing = false;
+      eventBus.subscribe('UserUpdated', async (event, context) => {
+        if (failing) {
+          throw new Error('Database unavailable');
+        }
+        received.push({ event, context });
+      }, { name: 'durable', durable: true });
+    });
+
+    const publish = () => eventBus.publish(
+      { type: 'UserUpdated', userId: 'user-1', occurredAt: new Date('2024-01-01T10:00:00Z') },
+      { actorId: 'admin-1', correlationId: 'request-1' }
+    );
+
+    it('queues the event instead of delivering it while the request is handled', async () => {
+      await publish();
+
+      expect(received).toEqual([]);
+      const message = await outboxRepository.findById(onlyRecord().id);
+      expect(message.toSummaryJSON()).toMatchObject({
+        type: 'event',
+        correlationId: 'request-1',
+        destination: { event: 'UserUpdated', subscriber: 'durable' }
+      });
+    });
+
+    it('delivers the event to that subscriber only and drops its context afterwards', async () => {
+      const inline = [];
+      eventBus.subscribe('UserUpdated', async event => inline.push(event.type), { name: 'inline' });
+      await publish();
+
+      await outboxService.dispatchDue();
+
+      expect(inline).toEqual(['UserUpdated']);
+      expect(received).toEqual([{
+        event: { type: 'UserUpdated', userId: 'user-1', occurredAt: new Date('2024-01-01T10:00:00Z') },
+        context: { actorId: 'admin-1', correlationId: 'request-1' }
+      }]);
+      expect(onlyRecord().status).toBe('delivered');
+      expect(onlyRecord().payload.context).toBeUndefined();
+    });
+
+    it('keeps an event that gave up, so it can be replayed', async () => {
+      failing = true;
+      await publish();
+
+      await dispatchUntilSettled();
+      expect(onlyRecord()).toMatchObject({ status: 'dead', lastError: 'Database unavailable' });
+
+      failing = false;
+      await expect(new ReplayOutboxMessagesUseCase(outboxRepository).execute({ type: 'event' }))
+        .resolves.toMatchObject({ replayed: 1 });
+      await outboxService.dispatchDue();
+
+      expect(received).toHaveLength(1);
+      expect(onlyRecord().status).toBe('delivered');
+    });
+
+    it('delivers the event directly when it cannot be queued', async () => {
+      outboxRepository.add = async () => {
+        throw new Error('Outbox unavailable');
+      };
+
+      await publish();
+
+      expect(received).toHaveLength(1);
+    });
+  });
+});
+
+describe('OutboxRepository', () => {
+  // Records the updates sent to the model
+  const fakeModel = () => {
+    const updates = [];
+    return {
+      updates,
+      updateOne: async (filter, update) => updates.push({ filter, update }),
+      updateMany: async (filter, update) => {
+        updates.push({ filter, update });
+        return { modifiedCount: 0 };
+      }
+    };
+  };
+
+  it('removes email data and event context once a message is delivered', async () => {
+    const model = fakeModel();
+    await new OutboxRepository(model).markDelivered('message-1');
+
+    expect(model.updates[0].update.$unset).toEqual({ 'payload.data': '', 'payload.context': '' });
+  });
+
+  it('keeps email data when a message gives up', async () => {
+    const model = fakeModel();
+    await new OutboxRepository(model).markDead('message-1', 'Connection timeout');
+
+    expect(model.updates[0].update).toEqual({ status: 'dead', lockedUntil: null, lastError: 'Connection timeout' });
+  });
+
+  it('removes the data of dead emails whose links expired', async () => {
+    const model = fakeModel();
+    const now = new Date();
+    await new OutboxRepository(model).redactExpired(now);
+
+    expect(model.updates[0]).toEqual({
+      filter: { type: 'email', status: 'dead', 'payload.expiresAt': { $lte: now }, 'payload.data': { $exists: true } },
+      update: { $unset: { 'payload.data': '' } }
+    });
+  });
+
+  it('does not replay emails without data or with expired links', async () => {
+    const model = fakeModel();
+    await new OutboxRepository(model).replayDead({ type: 'email' });
+
+    expect(model.updates[0].filter).toMatchObject({
+      status: 'dead',
+      type: 'email',
+      $or: [
+        { type: { $ne: 'email' } },
+        { 'payload.data': { $ne: null }, 'payload.expiresAt': { $not: { $lte: expect.any(Date) } } }
+      ]
+    });
+  });
+});
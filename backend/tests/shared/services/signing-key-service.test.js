@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { SigningKeyService } from '../../../src/shared/services/signing-key-service.js';
+import { InMemorySigningKeyRepository } from '../../helpers/in-memory-signing-key-repository.js';
+
+describe('SigningKeyService', () => {
+  let repository;
+  let service;
+
+  // Each instance of the API has its own service on the shared key collection
+  const startInstance = async (algorithm = 'EdDSA') => {
+    const instance = new SigningKeyService(repository);
+    instance.algorithm = algorithm;
+    await instance.initialize();
+    return instance;
+  };
+
+  // Moves the clock without firing the rotation schedule
+  const elapse = milliseconds => jest.setSystemTime(Date.now() + milliseconds);
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    repository = new InMemorySigningKeyRepository();
+    service = await startInstance();
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.useRealTimers();
+  });
+
+  it('creates a key that signs right away on first start', async () => {
+    const [key] = service.keys;
+
+    expect(service.keys).toHaveLength(1);
+    expect(key).toMatchObject({ sequence: 1, algorithm: 'EdDSA', expiresAt: null });
+    expect(service.getSigningKey().key.kid).toBe(key.kid);
+    await expect(service.rotateIfDue()).resolves.toBeNull();
+  });
+
+  it('publishes a rotated key before signing with it', async () => {
+    const [previous] = service.keys;
+    elapse(service.rotationInterval);
+
+    const next = await service.rotateIfDue();
+
+    expect(next).toMatchObject({ sequence: 2, activatesAt: new Date(Date.now() + service.activationDelay) });
+    expect(service.getJwks().keys.map(jwk => jwk.kid)).toEqual([next.kid, previous.kid]);
+    expect(service.getSigningKey().key.kid).toBe(previous.kid);
+
+    elapse(service.activationDelay);
+    expect(service.getSigningKey().key.kid).toBe(next.kid);
+  });
+
+  it('retires the replaced key once the tokens it signed have expired', async () => {
+    const [previous] = service.keys;
+    elapse(service.rotationInterval);
+    const next = await service.rotateIfDue();
+
+    expect(repository.records.get(1).expiresAt).toEqual(new Date(next.activatesAt.getTime() + service.retention));
+
+    elapse(service.activationDelay + service.retention);
+    await service.reload();
+
+    expect(service.getJwks().keys.map(jwk => jwk.kid)).toEqual([next.kid]);
+    expect(service.getVerificationKey(previous.kid)).toBeNull();
+  });
+
+  it('rotates right away when the algorithm changes', async () => {
+    service.algorithm = 'RS256';
+
+    const key = await service.rotateIfDue();
+
+    expect(key).toMatchObject({ sequence: 2, algorithm: 'RS256' });
+  });
+
+  it('uses the key of an instance that rotated first', async () => {
+    const other = await startInstance();
+    elapse(service.rotationInterval);
+
+    const rotated = await other.rotateIfDue();
+    await expect(service.rotateIfDue()).resolves.toBeNull();
+
+    other.stop();
+    expect(repository.records.size).toBe(2);
+    expect(service.keys.map(key => key.kid)).toEqual(other.keys.map(key => key.kid));
+    expect(service.keys[0].kid).toBe(rotated.kid);
+  });
+
+  it('reloads when a token names a key it has not seen, at most every few seconds', async () => {
+    const other = await startInstance();
+    elapse(service.rotationInterval);
+    const rotated = await other.rotateIfDue();
+    other.stop();
+    const reload = jest.spyOn(service, 'reload');
+
+    expect(service.getVerificationKey(rotated.kid)).toBeNull();
+    await reload.mock.results[0].value;
+    expect(service.getVerificationKey(rotated.kid).key.kid).toBe(rotated.kid);
+
+    expect(service.getVerificationKey('unknown')).toBeNull();
+    expect(service.getVerificationKey('unknown')).toBeNull();
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+
+  it('publishes only the public part of each key in the JWKS', async () => {
+    service.algorithm = 'RS256';
+    const rsaKey = await service.rotateIfDue();
+    const [edKey] = service.keys.filter(key => key.algorithm === 'EdDSA');
+
+    const { keys } = service.getJwks();
+
+    expect(keys).toEqual([
+      { kid: rsaKey.kid, alg: 'RS256', use: 'sig', kty: 'RSA', n: expect.any(String), e: 'AQAB' },
+      { kid: edKey.kid, alg: 'EdDSA', use: 'sig', kty: 'OKP', crv: 'Ed25519', x: expect.any(String) }
+    ]);
+  });
+
+  it('refuses algorithms it cannot sign with', async () => {
+    const instance = new SigningKeyService(repository);
+    instance.algorithm = 'ES256';
+
+    await expect(instance.initialize()).rejects.toThrow('Unsupported JWT_ALGORITHM "ES256"');
+  });
+});
@@ -0,0 +1,76 @@
+import { TokenRevocationService } from '../../../src/shared/services/token-revocation-service.js';
+import { ExpiringStoreService } from '../../../src/shared/services/expiring-store-service.js';
+import { cacheKeys } from '../../../src/infrastructure/config/redis.js';
+
+// Map-backed store with the ExpiringStoreService interface
+const fakeStore = () => {
+  const values = new Map();
+  return {
+    values,
+    set: async (key, value) => values.set(key, value),
+    get: async key => values.get(key) ?? null,
+    del: async key => values.delete(key)
+  };
+};
+
+describe('TokenRevocationService', () => {
+  let store;
+  let service;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(() => {
+    store = fakeStore();
+    service = new TokenRevocationService(store);
+  });
+
+  describe('revokeAllForUser', () => {
+    const revokedAt = () => store.values.get(cacheKeys.revokedUserTokens('user-1'));
+
+    it('rejects tokens issued before the revocation', async () => {
+      await service.revokeAllForUser('user-1', 900);
+
+      await expect(service.isRevokedForUser('user-1', revokedAt() - 1)).resolves.toBe(true);
+      await expect(service.isRevokedForUser('user-2', revokedAt() - 1)).resolves.toBe(false);
+    });
+
+    it('rejects a token issued in the same second as the revocation', async () => {
+      await service.revokeAllForUser('user-1', 900);
+
+      expect(Number.isInteger(revokedAt())).toBe(true);
+      await expect(service.isRevokedForUser('user-1', revokedAt())).resolves.toBe(true);
+    });
+
+    it('accepts tokens issued after the revocation', async () => {
+      await service.revokeAllForUser('user-1', 900);
+
+      await expect(service.isRevokedForUser('user-1', revokedAt() + 1)).resolves.toBe(false);
+    });
+  });
+
+  it('revokes single tokens until they expire', async () => {
+    await expect(service.revokeToken('jti-1', now() + 60)).resolves.toBeTruthy();
+    await expect(service.revokeToken('jti-2', now() - 60)).resolves.toBe(false);
+
+    await expect(service.isTokenRevoked('jti-1')).resolves.toBe(true);
+    await expect(service.isTokenRevoked('jti-2')).resolves.toBe(false);
+  });
+
+  it('lets only one of several concurrent callers claim a single-use token', async () => {
+    // The in-memory fallback of the real store, which is what runs without Redis
+    service = new TokenRevocationService(new ExpiringStoreService());
+    const jti = `jti-${Date.now()}`;
+
+    const claims = await Promise.all([1, 2, 3].map(() => service.claimToken(jti, now() + 60)));
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    await expect(service.isTokenRevoked(jti)).resolves.toBe(true);
+    await expect(service.claimToken('jti-expired', now() - 60)).resolves.toBe(false);
+  });
+
+  it('revokes sessions by refresh token family', async () => {
+    await service.revokeSession('family-1', 900);
+
+    await expect(service.isSessionRevoked('family-1')).resolves.toBe(true);
+    await expect(service.isSessionRevoked(undefined)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import { TokenService } from '../../../src/shared/services/token-service.js';
+import { SigningKeyService } from '../../../src/shared/services/signing-key-service.js';
+import { InMemorySigningKeyRepository } from '../../helpers/in-memory-signing-key-repository.js';
+
+describe('TokenService with rotating key pairs', () => {
+  let repository;
+  let signingKeyService;
+  let tokenService;
+
+  const startInstance = async algorithm => {
+    const instance = new SigningKeyService(repository);
+    instance.algorithm = algorithm;
+    await instance.initialize();
+    return instance;
+  };
+
+  // Moves the clock without firing the rotation schedule
+  const elapse = milliseconds => jest.setSystemTime(Date.now() + milliseconds);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    repository = new InMemorySigningKeyRepository();
+  });
+
+  afterEach(() => {
+    signingKeyService.stop();
+    jest.useRealTimers();
+  });
+
+  describe.each(['RS256', 'EdDSA'])('%s', algorithm => {
+    beforeEach(async () => {
+      signingKeyService = await startInstance(algorithm);
+      tokenService = new TokenService(signingKeyService);
+    });
+
+    it('signs with the active key and verifies the token', () => {
+      const token = tokenService.generateAccessToken({ userId: 'user-1' });
+
+      const { header } = jwt.decode(token, { complete: true });
+      expect(header).toMatchObject({ alg: algorithm, kid: signingKeyService.keys[0].kid });
+      expect(tokenService.verifyToken(token)).toMatchObject({
+        userId: 'user-1',
+        iss: tokenService.issuer,
+        aud: tokenService.audiences.access
+      });
+    });
+
+    it('signs tokens third parties can verify with the JWKS', () => {
+      const token = tokenService.generateAccessToken({ userId: 'user-1' });
+      const [jwk] = signingKeyService.getJwks().keys;
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+      const [header, body, signature] = token.split('.');
+      const signed = Buffer.from(`${header}.${body}`);
+      const valid = algorithm === 'EdDSA'
+        ? crypto.verify(null, signed, publicKey, Buffer.from(signature, 'base64url'))
+        : crypto.verify('sha256', signed, publicKey, Buffer.from(signature, 'base64url'));
+
+      expect(valid).toBe(true);
+    });
+
+    it('refuses tokens meant for another audience', () => {
+      const token = tokenService.generateRefreshToken({ userId: 'user-1' });
+
+      expect(() => tokenService.verifyToken(token)).toThrow('Invalid token');
+      expect(tokenService.verifyRefreshToken(token).userId).toBe('user-1');
+    });
+
+    it('refuses expired tokens', () => {
+      const token = tokenService.generateAccessToken({ userId: 'user-1' });
+      elapse(8 * 24 * 60 * 60 * 1000);
+
+      expect(() => tokenService.verifyToken(token)).toThrow('Token has expired');
+    });
+
+    it('refuses tokens signed with a key it does not know', async () => {
+      const foreign = new SigningKeyService(new InMemorySigningKeyRepository());
+      foreign.algorithm = algorithm;
+      await foreign.initialize();
+      foreign.stop();
+
+      const token = new TokenService(foreign).generateAccessToken({ userId: 'user-1' });
+
+      expect(() => tokenService.verifyToken(token)).toThrow('Invalid token');
+    });
+
+    it('refuses tokens signed with a retired key', async () => {
+      elapse(signingKeyService.rotationInterval);
+      const token = tokenService.generateAccessToken({ userId: 'user-1' });
+      await signingKeyService.rotateIfDue();
+
+      // Still accepted while the key is published
+      elapse(signingKeyService.activationDelay);
+      expect(tokenService.verifyToken(token).userId).toBe('user-1');
+
+      elapse(signingKeyService.retention);
+      await signingKeyService.reload();
+      expect(() => tokenService.verifyToken(token)).toThrow('Invalid token');
+    });
+
+    it('accepts tokens signed with a published key that is not active here yet', async () => {
+      elapse(signingKeyService.rotationInterval);
+      const next = await signingKeyService.rotateIfDue();
+
+      // Another instance whose clock runs ahead already signs with the new key
+      const ahead = new TokenService({
+        isAsymmetric: () => true,
+        getSigningKey: () => signingKeyService.getSigningKey(new Date(Date.now() + signingKeyService.activationDelay))
+      });
+      const token = ahead.generateAccessToken({ userId: 'user-1' });
+
+      expect(jwt.decode(token, { complete: true }).header.kid).toBe(next.kid);
+      expect(signingKeyService.getSigningKey().key.kid).not.toBe(next.kid);
+      expect(tokenService.verifyToken(token).userId).toBe('user-1');
+    });
+  });
+
+  it('refuses a token that names a key but another algorithm', async () => {
+    signingKeyService = await startInstance('RS256');
+    tokenService = new TokenService(signingKeyService);
+    const [key] = signingKeyService.keys;
+
+    // HS256 keyed with the public key, which anyone can fetch from the JWKS
+    const forged = jwt.sign({ userId: 'user-1' }, key.publicKey, {
+      algorithm: 'HS256',
+      keyid: key.kid,
+      issuer: tokenService.issuer,
+      audience: tokenService.audiences.access
+    });
+
+    expect(() => tokenService.verifyToken(forged)).toThrow('Invalid token');
+  });
+});
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { signEdDsaJwt, verifyEdDsaJwt } from '../../../src/shared/utils/eddsa-jwt.js';
+
+describe('EdDSA JWT helpers', () => {
+  const claims = { issuer: 'app', audience: 'app-users' };
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+  const sign = (payload = { userId: 'user-1' }, options = {}) => signEdDsaJwt(payload, privateKey, {
+    keyid: 'key-1',
+    expiresInSeconds: 60,
+    ...claims,
+    ...options
+  });
+
+  // Re-encodes one segment of a token without signing it again
+  const replaceSegment = (token, index, value) => {
+    const segments = token.split('.');
+    segments[index] = Buffer.from(JSON.stringify(value)).toString('base64url');
+    return segments.join('.');
+  };
+
+  const decodeSegment = (token, index) => JSON.parse(Buffer.from(token.split('.')[index], 'base64url').toString('utf8'));
+
+  it('signs a token with the header and claims jsonwebtoken produces', () => {
+    const token = sign();
+
+    expect(decodeSegment(token, 0)).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: 'key-1' });
+    const payload = verifyEdDsaJwt(token, publicKey, claims);
+    expect(payload).toEqual({ userId: 'user-1', iat: expect.any(Number), exp: payload.iat + 60, iss: 'app', aud: 'app-users' });
+    expect(jwt.decode(token)).toEqual(payload);
+  });
+
+  it('refuses a changed payload', () => {
+    const token = sign();
+    const tampered = replaceSegment(token, 1, { ...decodeSegment(token, 1), userId: 'admin' });
+
+    expect(() => verifyEdDsaJwt(tampered, publicKey, claims)).toThrow(new jwt.JsonWebTokenError('invalid signature'));
+  });
+
+  it('refuses a token signed with another key', () => {
+    const other = crypto.generateKeyPairSync('ed25519');
+    const token = signEdDsaJwt({ userId: 'user-1' }, other.privateKey, { keyid: 'key-1', expiresInSeconds: 60, ...claims });
+
+    expect(() => verifyEdDsaJwt(token, publicKey, claims)).toThrow('invalid signature');
+  });
+
+  it('refuses a header naming another algorithm', () => {
+    const token = replaceSegment(sign(), 0, { alg: 'none', typ: 'JWT', kid: 'key-1' });
+
+    expect(() => verifyEdDsaJwt(token, publicKey, claims)).toThrow('invalid algorithm');
+  });
+
+  it('refuses expired tokens with the error jsonwebtoken raises', () => {
+    const token = sign(undefined, { expiresInSeconds: 0 });
+
+    expect(() => verifyEdDsaJwt(token, publicKey, claims)).toThrow(jwt.TokenExpiredError);
+  });
+
+  it('checks the issuer and the audience', () => {
+    const token = sign();
+
+    expect(() => verifyEdDsaJwt(token, publicKey, { ...claims, issuer: 'other' }))
+      .toThrow('jwt issuer invalid. expected: other');
+    expect(() => verifyEdDsaJwt(token, publicKey, { ...claims, audience: 'other' }))
+      .toThrow('jwt audience invalid. expected: other');
+    expect(verifyEdDsaJwt(sign(undefined, { audience: ['other', 'app-users'] }), publicKey, claims).userId).toBe('user-1');
+  });
+
+  it('refuses malformed tokens', () => {
+    expect(() => verifyEdDsaJwt('not-a-token', publicKey, claims)).toThrow('jwt malformed');
+    expect(() => verifyEdDsaJwt(undefined, publicKey, claims)).toThrow('jwt malformed');
+    expect(() => verifyEdDsaJwt('e30.!!!.sig', publicKey, claims)).toThrow(jwt.JsonWebTokenError);
+  });
+});
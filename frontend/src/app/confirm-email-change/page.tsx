@@ -0,0 +1,19 @@
+'use client';
+
+import { Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { ConfirmEmailChangePage } from '@/components/pages/confirm-email-change-page';
+
+function ConfirmEmailChangeContent() {
+  const searchParams = useSearchParams();
+
+  return <ConfirmEmailChangePage token={searchParams.get('token')} />;
+}
+
+export default function ConfirmEmailChange() {
+  return (
+    <Suspense fallback={null}>
+      <ConfirmEmailChangeContent />
+    </Suspense>
+  );
+}
@@ -0,0 +1,19 @@
+'use client';
+
+import { Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { MagicLinkPage } from '@/components/pages/magic-link-page';
+
+function MagicLinkContent() {
+  const searchParams = useSearchParams();
+
+  return <MagicLinkPage token={searchParams.get('token')} />;
+}
+
+export default function MagicLink() {
+  return (
+    <Suspense fallback={null}>
+      <MagicLinkContent />
+    </Suspense>
+  );
+}
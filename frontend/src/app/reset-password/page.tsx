@@ -0,0 +1,19 @@
+'use client';
+
+import { Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { ResetPasswordPage } from '@/components/pages/reset-password-page';
+
+function ResetPasswordContent() {
+  const searchParams = useSearchParams();
+
+  return <ResetPasswordPage token={searchParams.get('token')} />;
+}
+
+export default function ResetPassword() {
+  return (
+    <Suspense fallback={null}>
+      <ResetPasswordContent />
+    </Suspense>
+  );
+}
@@ -72,6 +72,73 @@ export class AuthService {
     }
   }
 
+  /**
+   * Request a magic sign-in link
+   */
+  async requestMagicLink(email: string): Promise<string> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.warn(`🔒 Magic link request initiated for email: ${email}`, {
+        correlationId,
+        email,
+        operation: 'magic_link_request_attempt',
+      });
+
+      const nonce = await this.authRepository.requestMagicLink(email);
+
+      this.logger.warn(`🔒 Magic link request successful for email: ${email}`, {
+        correlationId,
+        email,
+        operation: 'magic_link_request_success',
+      });
+
+      return nonce;
+    } catch (error) {
+      this.logger.warn(`🔒 Magic link request failed for email: ${email}`, {
+        correlationId,
+        email,
+        operation: 'magic_link_request_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate user with a magic link
+   */
+  async loginWithMagicLink(token: string, nonce: string): Promise<AuthResult> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.warn(`🔒 Magic link login initiated`, {
+        correlationId,
+        operation: 'magic_link_login_attempt',
+      });
+
+      const startTime = Date.now();
+      const result = await this.authRepository.loginWithMagicLink(token, nonce);
+      const duration = Date.now() - startTime;
+
+      this.logger.info(`⚡ Magic link login completed`, {
+        correlationId,
+        userId: result.user.id,
+        duration,
+        operation: 'magic_link_login',
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.warn(`🔒 Magic link login failed`, {
+        correlationId,
+        operation: 'magic_link_login_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
   /**
    * Register new user
    */
@@ -324,6 +391,42 @@ export class AuthService {
     }
   }
 
+  /**
+   * Confirm an email address change with token
+   */
+  async confirmEmailChange(token: string): Promise<void> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.warn(`🔒 Email change confirmation initiated`, {
+        correlationId,
+        operation: 'email_change_confirmation_attempt',
+      });
+
+      const startTime = Date.now();
+      await this.authRepository.confirmEmailChange(token);
+      const duration = Date.now() - startTime;
+
+      this.logger.warn(`🔒 Email change confirmed`, {
+        correlationId,
+        operation: 'email_change_confirmation_success',
+      });
+
+      this.logger.info(`⚡ Email change confirmation completed`, {
+        correlationId,
+        duration,
+        operation: 'email_change_confirmation',
+      });
+    } catch (error) {
+      this.logger.warn(`🔒 Email change confirmation failed`, {
+        correlationId,
+        operation: 'email_change_confirmation_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
   /**
    * Request password reset
    */
@@ -10,6 +10,16 @@ export interface IAuthRepository {
    */
   login(email: string, password: string): Promise<AuthResult>;
 
+  /**
+   * Request a magic sign-in link, returns the nonce the link must be completed with
+   */
+  requestMagicLink(email: string): Promise<string>;
+
+  /**
+   * Authenticate user with a magic link token and its nonce
+   */
+  loginWithMagicLink(token: string, nonce: string): Promise<AuthResult>;
+
   /**
    * Register new user
    */
@@ -35,6 +45,11 @@ export interface IAuthRepository {
    */
   verifyEmail(token: string): Promise<void>;
 
+  /**
+   * Confirm an email address change with token
+   */
+  confirmEmailChange(token: string): Promise<void>;
+
   /**
    * Request password reset
    */
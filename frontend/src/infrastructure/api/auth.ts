@@ -8,6 +8,7 @@ import {
   ApiResponse,
   AuthTokens
 } from './types';
+import { PasswordPolicy } from '../../shared/types';
 import logger from '../../shared/utils/logger';
 
 /**
@@ -29,6 +30,29 @@ export class AuthApiService {
     }
   }
 
+  /**
+   * Request a magic sign-in link. Keep the returned nonce (e.g. in localStorage)
+   * so the link can only be completed from this browser.
+   */
+  static async requestMagicLink(email: string): Promise<{ nonce: string; expiresIn: number }> {
+    const response = await httpClient.post<ApiResponse<{ nonce: string; expiresIn: number }>>('/auth/magic-link', { email });
+    if (!response.data) {
+      throw new Error('Magic link response missing data');
+    }
+    return response.data;
+  }
+
+  /**
+   * Sign in with the token from a magic link and the nonce from the request
+   */
+  static async verifyMagicLink(token: string, nonce: string): Promise<LoginResponse> {
+    const response = await httpClient.post<ApiResponse<LoginResponse>>('/auth/magic-link/verify', { token, nonce });
+    if (!response.data) {
+      throw new Error('Magic link login response missing data');
+    }
+    return response.data;
+  }
+
   /**
    * Register new user
    */
@@ -62,9 +86,9 @@ export class AuthApiService {
   /**
    * Refresh authentication token
    */
-  static async refreshToken(): Promise<{ tokens: AuthTokens }> {
+  static async refreshToken(refreshToken: string): Promise<{ tokens: AuthTokens }> {
     try {
-      const response = await httpClient.post<ApiResponse<{ tokens: AuthTokens }>>('/auth/refresh');
+      const response = await httpClient.post<ApiResponse<{ tokens: AuthTokens }>>('/auth/refresh', { refreshToken });
       if (!response.data) {
         throw new Error('Refresh token response missing data');
       }
@@ -89,6 +113,13 @@ export class AuthApiService {
     }
   }
 
+  /**
+   * Logout from all devices
+   */
+  static async logoutAll(): Promise<void> {
+    await httpClient.post('/auth/logout-all');
+  }
+
   /**
    * Verify email
    */
@@ -100,6 +131,37 @@ export class AuthApiService {
     }
   }
 
+  /**
+   * Resend the email verification link
+   */
+  static async resendVerification(email: string): Promise<void> {
+    await httpClient.post('/auth/resend-verification', { email });
+  }
+
+  /**
+   * Request an email change (authenticated)
+   */
+  static async changeEmail(newEmail: string, password: string): Promise<void> {
+    await httpClient.post('/auth/change-email', { newEmail, password });
+  }
+
+  /**
+   * Confirm a new email address
+   */
+  static async confirmEmailChange(token: string): Promise<void> {
+    await httpClient.post('/auth/change-email/confirm', { token });
+  }
+
+  /**
+   * Request password reset email
+   */
+  static async requestPasswordReset(email: string): Promise<void> {
+    try {
+      await httpClient.post('/auth/forgot-password', { email });
+    } catch (error) {
+      throw error;
+    }
+  }
 
   /**
    * Reset password
@@ -112,6 +174,17 @@ export class AuthApiService {
     }
   }
 
+  /**
+   * Get the rules new passwords have to meet
+   */
+  static async getPasswordPolicy(): Promise<PasswordPolicy> {
+    const response = await httpClient.get<ApiResponse<{ policy: PasswordPolicy }>>('/auth/password-policy');
+    if (!response.data) {
+      throw new Error('Password policy response missing data');
+    }
+    return response.data.policy;
+  }
+
   /**
    * Change password (authenticated)
    */
@@ -126,6 +199,20 @@ export class AuthApiService {
     }
   }
 
+  /**
+   * Replace an expired password using the token from the password_change_required login challenge
+   */
+  static async changeExpiredPassword(passwordChangeToken: string, newPassword: string): Promise<LoginResponse> {
+    const response = await httpClient.post<ApiResponse<LoginResponse>>('/auth/change-expired-password', {
+      passwordChangeToken,
+      newPassword
+    });
+    if (!response.data) {
+      throw new Error('Change expired password response missing data');
+    }
+    return response.data;
+  }
+
   /**
    * Get user profile
    */
@@ -161,13 +248,21 @@ export class AuthApiService {
 export const authApi = {
   login: AuthApiService.login,
   register: AuthApiService.register,
+  requestMagicLink: AuthApiService.requestMagicLink,
+  verifyMagicLink: AuthApiService.verifyMagicLink,
   getStatus: AuthApiService.getStatus,
   refreshToken: AuthApiService.refreshToken,
   logout: AuthApiService.logout,
+  logoutAll: AuthApiService.logoutAll,
   verifyEmail: AuthApiService.verifyEmail,
+  resendVerification: AuthApiService.resendVerification,
+  changeEmail: AuthApiService.changeEmail,
+  confirmEmailChange: AuthApiService.confirmEmailChange,
   requestPasswordReset: AuthApiService.requestPasswordReset,
   resetPassword: AuthApiService.resetPassword,
+  getPasswordPolicy: AuthApiService.getPasswordPolicy,
   changePassword: AuthApiService.changePassword,
+  changeExpiredPassword: AuthApiService.changeExpiredPassword,
   getProfile: AuthApiService.getProfile,
   updateProfile: AuthApiService.updateProfile,
 };
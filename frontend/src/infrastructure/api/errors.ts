@@ -9,7 +9,8 @@ export function handleApiError(error: any): ApiException {
     const { status, data } = error.response;
 
     // Server responded with error
-    const message = data?.message || data?.error || `Request failed with status ${status}`;
+    // Backend ErrorResponse bodies nest the message under `error`
+    const message = data?.message || data?.error?.message || data?.error || `Request failed with status ${status}`;
     const code = data?.code || `HTTP_${status}`;
 
     return new ApiException(message, code, status, data);
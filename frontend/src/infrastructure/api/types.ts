@@ -47,6 +47,7 @@ export interface RegisterResponse {
 export interface AuthStatusResponse {
   user: User;
   isAuthenticated: boolean;
+  permissions?: string[];
 }
 
 // API Error Types
@@ -1,6 +1,7 @@
 import { IAuthRepository } from '../../domain/repositories/i-auth-repository';
 import { User, AuthResult, AuthTokens, UserRole } from '../../domain/entities/user-entity';
 import { authApi } from '../api';
+import { LocalStorageService } from '../storage/local-storage-service';
 import logger, { generateCorrelationId } from '../../shared/utils/logger';
 
 /**
@@ -47,6 +48,78 @@ export class AuthRepository implements IAuthRepository {
     }
   }
 
+  async requestMagicLink(email: string): Promise<string> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.http(`Making magic link request API call`, {
+        correlationId,
+        email,
+        operation: 'magic_link_request_api_request',
+      });
+
+      const startTime = Date.now();
+      const response = await authApi.requestMagicLink(email);
+      const duration = Date.now() - startTime;
+
+      this.logger.http(`Magic link request API call successful`, {
+        correlationId,
+        email,
+        duration,
+        operation: 'magic_link_request_api_success',
+      });
+
+      return response.nonce;
+    } catch (error) {
+      this.logger.http(`Magic link request API call failed`, {
+        correlationId,
+        email,
+        operation: 'magic_link_request_api_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
+  async loginWithMagicLink(token: string, nonce: string): Promise<AuthResult> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.http(`🌐 Making magic link login API call`, {
+        correlationId,
+        operation: 'magic_link_login_api_request',
+      });
+
+      const startTime = Date.now();
+      const response = await authApi.verifyMagicLink(token, nonce);
+      const duration = Date.now() - startTime;
+
+      // Accounts with two-factor authentication get a challenge instead of tokens
+      if (!response.tokens) {
+        throw new Error('Two-factor authentication is required. Please sign in with your password.');
+      }
+
+      const user = User.fromObject(response.user);
+      const tokens = new AuthTokens(response.tokens.accessToken, response.tokens.refreshToken);
+
+      this.logger.http(`Magic link login API call successful`, {
+        correlationId,
+        userId: user.id,
+        duration,
+        operation: 'magic_link_login_api_success',
+      });
+
+      return AuthResult.authenticated(user, tokens);
+    } catch (error) {
+      this.logger.http(`Magic link login API call failed`, {
+        correlationId,
+        operation: 'magic_link_login_api_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
   async register(
     name: string,
     email: string,
@@ -179,12 +252,22 @@ export class AuthRepository implements IAuthRepository {
         operation: 'refresh_token_api_request',
       });
 
+      const storedRefreshToken = LocalStorageService.getRefreshToken();
+      if (!storedRefreshToken) {
+        throw new Error('No refresh token available');
+      }
+
       const startTime = Date.now();
-      const response = await authApi.refreshToken();
+      const response = await authApi.refreshToken(storedRefreshToken);
       const duration = Date.now() - startTime;
 
       const tokens = new AuthTokens(response.tokens.accessToken, response.tokens.refreshToken);
 
+      // Refresh tokens are single use, keep the rotated one
+      if (response.tokens.refreshToken) {
+        LocalStorageService.setRefreshToken(response.tokens.refreshToken);
+      }
+
       this.logger.http(`Refresh token API call successful`, {
         correlationId,
         duration,
@@ -230,6 +313,34 @@ export class AuthRepository implements IAuthRepository {
     }
   }
 
+  async confirmEmailChange(token: string): Promise<void> {
+    const correlationId = generateCorrelationId();
+
+    try {
+      this.logger.http(`Making confirm email change API call`, {
+        correlationId,
+        operation: 'confirm_email_change_api_request',
+      });
+
+      const startTime = Date.now();
+      await authApi.confirmEmailChange(token);
+      const duration = Date.now() - startTime;
+
+      this.logger.http(`Confirm email change API call successful`, {
+        correlationId,
+        duration,
+        operation: 'confirm_email_change_api_success',
+      });
+    } catch (error) {
+      this.logger.http(`Confirm email change API call failed`, {
+        correlationId,
+        operation: 'confirm_email_change_api_error',
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    }
+  }
+
   async requestPasswordReset(email: string): Promise<void> {
     const correlationId = generateCorrelationId();
 
@@ -9,6 +9,7 @@ export class LocalStorageService {
   private static readonly USER_KEY = 'auth_user';
   private static readonly REFRESH_TOKEN_KEY = 'auth_refresh_token';
   private static readonly THEME_KEY = 'theme';
+  private static readonly MAGIC_LINK_NONCE_KEY = 'magic_link_nonce';
 
   /**
    * Token operations
@@ -107,6 +108,38 @@ export class LocalStorageService {
     }
   }
 
+  /**
+   * Magic link nonce operations. The link usually opens in a new tab, so the
+   * nonce lives in localStorage rather than sessionStorage.
+   */
+  static setMagicLinkNonce(nonce: string): void {
+    if (typeof window === 'undefined') return;
+    try {
+      localStorage.setItem(this.MAGIC_LINK_NONCE_KEY, nonce);
+    } catch (error) {
+      console.warn('Failed to store magic link nonce:', error);
+    }
+  }
+
+  static getMagicLinkNonce(): string | null {
+    if (typeof window === 'undefined') return null;
+    try {
+      return localStorage.getItem(this.MAGIC_LINK_NONCE_KEY);
+    } catch (error) {
+      console.warn('Failed to retrieve magic link nonce:', error);
+      return null;
+    }
+  }
+
+  static removeMagicLinkNonce(): void {
+    if (typeof window === 'undefined') return;
+    try {
+      localStorage.removeItem(this.MAGIC_LINK_NONCE_KEY);
+    } catch (error) {
+      console.warn('Failed to remove magic link nonce:', error);
+    }
+  }
+
   /**
    * Theme operations
    */
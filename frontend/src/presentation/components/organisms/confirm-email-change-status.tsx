@@ -0,0 +1,73 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '@/contexts/auth-context';
+import { CheckCircle2, Loader2, XCircle } from 'lucide-react';
+import { ROUTES } from '@/shared/constants';
+
+type ConfirmationState = 'confirming' | 'confirmed' | 'failed';
+
+interface ConfirmEmailChangeStatusProps {
+  token: string;
+}
+
+export function ConfirmEmailChangeStatus({ token }: ConfirmEmailChangeStatusProps) {
+  const { confirmEmailChange, isAuthenticated } = useAuth();
+  const [state, setState] = useState<ConfirmationState>('confirming');
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+  // The token works once; don't send it again when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    confirmEmailChange(token)
+      .then(() => setState('confirmed'))
+      .catch((error: Error) => {
+        setErrorMessage(error.message);
+        setState('failed');
+      });
+  }, [confirmEmailChange, token]);
+
+  if (state === 'confirming') {
+    return (
+      <div className="flex items-center justify-center gap-3 text-sm text-gray-600 dark:text-gray-400">
+        <Loader2 className="h-5 w-5 animate-spin" />
+        <span>Confirming your new email address...</span>
+      </div>
+    );
+  }
+
+  if (state === 'failed') {
+    return (
+      <div className="w-full max-w-md space-y-4 text-center">
+        <XCircle className="mx-auto h-10 w-10 text-red-500" />
+        <p className="text-sm text-red-600 dark:text-red-400">
+          {errorMessage || 'This confirmation link is invalid or has expired.'}
+        </p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          You can request the change again from your profile.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-md space-y-4 text-center">
+      <CheckCircle2 className="mx-auto h-10 w-10 text-green-500" />
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Your email address has been changed. Use the new address the next time you sign in.
+      </p>
+      <Link
+        href={isAuthenticated ? ROUTES.PROFILE : ROUTES.LOGIN}
+        className="inline-block font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+      >
+        {isAuthenticated ? 'Back to your profile' : 'Sign in'}
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+'use client';
+
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { Button } from '../atoms/button';
+import { useAuth } from '@/contexts/auth-context';
+import { useErrorToast } from '@/hooks/use-error-toast';
+import { FormField } from '../molecules';
+import { Loader2, Mail, Send } from 'lucide-react';
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Please enter a valid email address'),
+});
+
+type ForgotPasswordFormData = z.infer<typeof forgotPasswordSchema>;
+
+export function ForgotPasswordForm() {
+  const { requestPasswordReset } = useAuth();
+  const { showError } = useErrorToast();
+  const [submittedEmail, setSubmittedEmail] = useState<string | null>(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm<ForgotPasswordFormData>({
+    resolver: zodResolver(forgotPasswordSchema),
+  });
+
+  const onSubmit = async (data: ForgotPasswordFormData) => {
+    try {
+      await requestPasswordReset(data.email);
+      setSubmittedEmail(data.email);
+    } catch (error) {
+      showError('Request Failed', error);
+    }
+  };
+
+  if (submittedEmail) {
+    return (
+      <div className="w-full max-w-md space-y-4 text-center">
+        <Mail className="mx-auto h-10 w-10 text-blue-500" />
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          If an account exists for <span className="font-medium">{submittedEmail}</span>,
+          you will receive a password reset link shortly. The link expires in 1 hour.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-md space-y-6">
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+        {/* Email Field */}
+        <FormField
+          id="email"
+          label="Email Address"
+          placeholder="name@company.com"
+          type="email"
+          icon={Mail}
+          iconColor="text-blue-500"
+          error={errors.email?.message}
+          disabled={isSubmitting}
+          {...register('email')}
+        />
+
+        {/* Send Reset Link Button */}
+        <Button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full h-12 bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 hover:from-blue-700 hover:via-purple-700 hover:to-pink-700 text-white font-semibold rounded-lg shadow-lg hover:shadow-xl transform hover:scale-[1.02] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none disabled:hover:scale-100"
+        >
+          {isSubmitting ? (
+            <div className="flex items-center justify-center gap-3">
+              <Loader2 className="h-5 w-5 animate-spin" />
+              <span>Sending...</span>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center gap-3">
+              <Send className="h-5 w-5" />
+              <span>Send Reset Link</span>
+            </div>
+          )}
+        </Button>
+      </form>
+    </div>
+  );
+}
@@ -81,6 +81,20 @@ export function LoginForm() {
           {...register('password')}
         />
 
+        <div className="flex justify-between -mt-3">
+          <Link
+            href="/magic-link"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+          >
+            Email me a sign-in link
+          </Link>
+          <Link
+            href="/forgot-password"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+          >
+            Forgot password?
+          </Link>
+        </div>
 
         {/* Sign In Button */}
         <Button
@@ -0,0 +1,53 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/auth-context';
+import { Loader2, XCircle } from 'lucide-react';
+import { ROUTES } from '@/shared/constants';
+
+interface MagicLinkLoginStatusProps {
+  token: string;
+}
+
+export function MagicLinkLoginStatus({ token }: MagicLinkLoginStatusProps) {
+  const { loginWithMagicLink } = useAuth();
+  const router = useRouter();
+  const [errorMessage, setErrorMessage] = useState<string | null>(null);
+  // The link works once; don't send it again when effects run twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    loginWithMagicLink(token)
+      .then(() => router.push(ROUTES.DASHBOARD))
+      .catch((error: Error) => setErrorMessage(error.message));
+  }, [loginWithMagicLink, router, token]);
+
+  if (errorMessage) {
+    return (
+      <div className="w-full max-w-md space-y-4 text-center">
+        <XCircle className="mx-auto h-10 w-10 text-red-500" />
+        <p className="text-sm text-red-600 dark:text-red-400">{errorMessage}</p>
+        <Link
+          href={ROUTES.MAGIC_LINK}
+          className="inline-block font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+        >
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center gap-3 text-sm text-gray-600 dark:text-gray-400">
+      <Loader2 className="h-5 w-5 animate-spin" />
+      <span>Signing you in...</span>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 'use client';
 
+import { useMemo } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
@@ -10,27 +11,30 @@ import { useEnhancedToast } from '@/presentation/hooks/use-enhanced-toast';
 import { useErrorToast } from '@/hooks/use-error-toast';
 import { FormField, PasswordField } from '../molecules';
 import { Loader2, User, Mail, Lock } from 'lucide-react';
+import { usePasswordPolicy } from '@/hooks/use-password-policy';
+import { createPasswordSchema } from '@/shared/utils/password-policy';
+import type { PasswordPolicy } from '@/shared/types';
 
-const registerSchema = z.object({
+// Password rules come from the API's policy, so the form never accepts what the API rejects
+const createRegisterSchema = (policy: PasswordPolicy) => z.object({
   name: z.string().min(2, 'Name must be at least 2 characters'),
   email: z.string().email('Please enter a valid email address'),
-  password: z
-    .string()
-    .min(6, 'Password must be at least 6 characters')
-    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  password: createPasswordSchema(policy),
   confirmPassword: z.string(),
 }).refine((data) => data.password === data.confirmPassword, {
   message: "Passwords don't match",
   path: ["confirmPassword"],
 });
 
-type RegisterFormData = z.infer<typeof registerSchema>;
+type RegisterFormData = z.infer<ReturnType<typeof createRegisterSchema>>;
 
 export function RegisterForm() {
   const { register: registerUser, isLoading } = useAuth();
   const { showLoading, updateToSuccess, updateToError } = useEnhancedToast();
   const { showError } = useErrorToast();
   const router = useRouter();
+  const passwordPolicy = usePasswordPolicy();
+  const registerSchema = useMemo(() => createRegisterSchema(passwordPolicy), [passwordPolicy]);
 
   const {
     register,
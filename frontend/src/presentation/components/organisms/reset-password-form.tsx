@@ -0,0 +1,116 @@
+'use client';
+
+import { useMemo } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import * as z from 'zod';
+import { useRouter } from 'next/navigation';
+import { Button } from '../atoms/button';
+import { useAuth } from '@/contexts/auth-context';
+import { useEnhancedToast } from '@/presentation/hooks/use-enhanced-toast';
+import { useErrorToast } from '@/hooks/use-error-toast';
+import { PasswordField } from '../molecules';
+import { Loader2, Lock } from 'lucide-react';
+import { usePasswordPolicy } from '@/hooks/use-password-policy';
+import { ROUTES } from '@/shared/constants';
+import { createPasswordSchema } from '@/shared/utils/password-policy';
+import type { PasswordPolicy } from '@/shared/types';
+
+// Password rules come from the API's policy, so the form never accepts what the API rejects
+const createResetPasswordSchema = (policy: PasswordPolicy) => z.object({
+  password: createPasswordSchema(policy),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ["confirmPassword"],
+});
+
+type ResetPasswordFormData = z.infer<ReturnType<typeof createResetPasswordSchema>>;
+
+interface ResetPasswordFormProps {
+  token: string;
+}
+
+export function ResetPasswordForm({ token }: ResetPasswordFormProps) {
+  const { resetPassword } = useAuth();
+  const { showLoading, updateToSuccess, updateToError } = useEnhancedToast();
+  const { showError } = useErrorToast();
+  const router = useRouter();
+  const passwordPolicy = usePasswordPolicy();
+  const resetPasswordSchema = useMemo(() => createResetPasswordSchema(passwordPolicy), [passwordPolicy]);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm<ResetPasswordFormData>({
+    resolver: zodResolver(resetPasswordSchema),
+  });
+
+  const onSubmit = async (data: ResetPasswordFormData) => {
+    showLoading('Resetting password...', 'Please wait while we update your password');
+
+    try {
+      await resetPassword(token, data.password);
+      updateToSuccess(
+        'Resetting password...',
+        'Password updated',
+        'You can now sign in with your new password.',
+        4000
+      );
+      setTimeout(() => router.push(ROUTES.LOGIN), 1000);
+    } catch (error) {
+      updateToError(
+        'Resetting password...',
+        'Reset Failed',
+        'The reset link may be invalid or expired. Please request a new one.'
+      );
+      showError('Reset Failed', error);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md space-y-6">
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+        {/* New Password Field */}
+        <PasswordField
+          id="password"
+          label="New Password"
+          placeholder="Create a strong password"
+          error={errors.password?.message}
+          disabled={isSubmitting}
+          {...register('password')}
+        />
+
+        {/* Confirm Password Field */}
+        <PasswordField
+          id="confirmPassword"
+          label="Confirm Password"
+          placeholder="Confirm your new password"
+          error={errors.confirmPassword?.message}
+          disabled={isSubmitting}
+          {...register('confirmPassword')}
+        />
+
+        {/* Reset Password Button */}
+        <Button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full h-12 bg-gradient-to-r from-blue-600 via-purple-600 to-pink-600 hover:from-blue-700 hover:via-purple-700 hover:to-pink-700 text-white font-semibold rounded-lg shadow-lg hover:shadow-xl transform hover:scale-[1.02] transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none disabled:hover:scale-100"
+        >
+          {isSubmitting ? (
+            <div className="flex items-center justify-center gap-3">
+              <Loader2 className="h-5 w-5 animate-spin" />
+              <span>Resetting...</span>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center gap-3">
+              <Lock className="h-5 w-5" />
+              <span>Reset Password</span>
+            </div>
+          )}
+        </Button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { ConfirmEmailChangeStatus } from '../organisms/confirm-email-change-status';
+import { AuthTemplate } from '../templates/auth-template';
+
+interface ConfirmEmailChangePageProps {
+  token: string | null;
+}
+
+export function ConfirmEmailChangePage({ token }: ConfirmEmailChangePageProps) {
+  return (
+    <AuthTemplate
+      title="Confirm email change"
+      description="Switching your account to the new address"
+    >
+      {token ? (
+        <ConfirmEmailChangeStatus token={token} />
+      ) : (
+        <p className="text-center text-sm text-red-600 dark:text-red-400">
+          This confirmation link is invalid. Please request the email change again.
+        </p>
+      )}
+    </AuthTemplate>
+  );
+}
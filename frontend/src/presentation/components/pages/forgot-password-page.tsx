@@ -0,0 +1,29 @@
+import Link from 'next/link';
+import { ForgotPasswordForm } from '../organisms/forgot-password-form';
+import { AuthTemplate } from '../templates/auth-template';
+
+export function ForgotPasswordPage() {
+  const footerContent = (
+    <div className="mt-6 text-center">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Remembered your password?{' '}
+        <Link
+          href="/login"
+          className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+        >
+          Sign in
+        </Link>
+      </p>
+    </div>
+  );
+
+  return (
+    <AuthTemplate
+      title="Forgot password"
+      description="Enter your email and we'll send you a link to reset your password"
+      footerContent={footerContent}
+    >
+      <ForgotPasswordForm />
+    </AuthTemplate>
+  );
+}
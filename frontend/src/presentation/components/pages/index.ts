@@ -1,2 +1,6 @@
 export { LoginPage } from './login-page';
 export { RegisterPage } from './register-page';
+export { ForgotPasswordPage } from './forgot-password-page';
+export { ResetPasswordPage } from './reset-password-page';
+export { ConfirmEmailChangePage } from './confirm-email-change-page';
+export { MagicLinkPage } from './magic-link-page';
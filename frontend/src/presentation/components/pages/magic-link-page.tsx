@@ -0,0 +1,35 @@
+import Link from 'next/link';
+import { MagicLinkLoginStatus } from '../organisms/magic-link-login-status';
+import { MagicLinkRequestForm } from '../organisms/magic-link-request-form';
+import { AuthTemplate } from '../templates/auth-template';
+
+interface MagicLinkPageProps {
+  token: string | null;
+}
+
+export function MagicLinkPage({ token }: MagicLinkPageProps) {
+  const footerContent = (
+    <div className="mt-6 text-center">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Prefer your password?{' '}
+        <Link
+          href="/login"
+          className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+        >
+          Sign in
+        </Link>
+      </p>
+    </div>
+  );
+
+  // The emailed link carries the token; without one, ask for a link
+  return (
+    <AuthTemplate
+      title={token ? 'Signing in' : 'Sign in with email'}
+      description={token ? undefined : "We'll email you a link that signs you in"}
+      footerContent={footerContent}
+    >
+      {token ? <MagicLinkLoginStatus token={token} /> : <MagicLinkRequestForm />}
+    </AuthTemplate>
+  );
+}
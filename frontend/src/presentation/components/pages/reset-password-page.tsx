@@ -0,0 +1,39 @@
+import Link from 'next/link';
+import { ResetPasswordForm } from '../organisms/reset-password-form';
+import { AuthTemplate } from '../templates/auth-template';
+
+interface ResetPasswordPageProps {
+  token: string | null;
+}
+
+export function ResetPasswordPage({ token }: ResetPasswordPageProps) {
+  const footerContent = (
+    <div className="mt-6 text-center">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Link expired?{' '}
+        <Link
+          href="/forgot-password"
+          className="font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+        >
+          Request a new one
+        </Link>
+      </p>
+    </div>
+  );
+
+  return (
+    <AuthTemplate
+      title="Reset password"
+      description="Choose a new password for your account"
+      footerContent={footerContent}
+    >
+      {token ? (
+        <ResetPasswordForm token={token} />
+      ) : (
+        <p className="text-center text-sm text-red-600 dark:text-red-400">
+          This reset link is invalid. Please request a new password reset email.
+        </p>
+      )}
+    </AuthTemplate>
+  );
+}
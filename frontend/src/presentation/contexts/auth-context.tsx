@@ -10,7 +10,7 @@ import { AuthRepository } from '../../infrastructure/repositories/auth-repositor
 import { httpClient, authApi } from '../../infrastructure/api';
 import { CookieService } from '../../infrastructure/storage/cookie-service';
 import { LocalStorageService } from '../../infrastructure/storage/local-storage-service';
-import { User } from '../../domain/entities/user-entity';
+import { User, AuthResult } from '../../domain/entities/user-entity';
 import { getErrorMessage } from '../../infrastructure/api';
 import { logger, generateCorrelationId } from '../../shared/utils';
 import { useToast } from '../hooks/use-toast';
@@ -19,8 +19,13 @@ interface AuthContextType {
   user: User | null;
   token: string | null;
   login: (email: string, password: string) => Promise<void>;
+  requestMagicLink: (email: string) => Promise<void>;
+  loginWithMagicLink: (token: string) => Promise<void>;
   register: (name: string, email: string, password: string, role?: string) => Promise<void>;
   logout: () => Promise<void>;
+  requestPasswordReset: (email: string) => Promise<void>;
+  resetPassword: (token: string, newPassword: string) => Promise<void>;
+  confirmEmailChange: (token: string) => Promise<void>;
   isLoading: boolean;
   isAuthenticated: boolean;
 }
@@ -107,65 +112,73 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     httpClient.setAuthToken(token);
   }, [token]);
 
-  const login = async (email: string, password: string) => {
-    const correlationId = generateCorrelationId();
-    const childLogger = logger.withCorrelationId(correlationId);
+  // Store the tokens of a successful sign-in and load the full profile
+  const startSession = async (
+    authResult: AuthResult,
+    childLogger: ReturnType<typeof logger.withCorrelationId>
+  ) => {
+    setToken(authResult.tokens.accessToken);
 
-    try {
-      childLogger.info('User login attempt', { email });
+    // Store tokens
+    CookieService.setToken(authResult.tokens.accessToken);
+    LocalStorageService.setToken(authResult.tokens.accessToken);
 
-      const authResult = await authService.login(email, password);
+    if (authResult.tokens.refreshToken) {
+      LocalStorageService.setRefreshToken(authResult.tokens.refreshToken);
+    }
 
-      setToken(authResult.tokens.accessToken);
+    // Fetch fresh profile data after successful login
+    try {
+      childLogger.info('Fetching user profile after login');
+      const profileResponse = await authApi.getProfile();
+
+      // Transform the API response to User entity with complete profile data
+      const profileUser = User.fromObject({
+        id: profileResponse.id,
+        name: profileResponse.firstName + ' ' + profileResponse.lastName,
+        email: profileResponse.email,
+        role: profileResponse.role,
+        isActive: true, // Assume active if we got profile data
+        avatar: profileResponse.avatar, // Include avatar if available
+        lastLogin: new Date(), // Set current time as last login
+        updatedAt: new Date(profileResponse.createdAt)
+      });
 
-      // Store tokens
-      CookieService.setToken(authResult.tokens.accessToken);
-      LocalStorageService.setToken(authResult.tokens.accessToken);
+      setUser(profileUser);
+      CookieService.setUser(profileUser);
+      LocalStorageService.setUser(profileUser);
 
-      if (authResult.tokens.refreshToken) {
-        LocalStorageService.setRefreshToken(authResult.tokens.refreshToken);
-      }
+      childLogger.info('User login and profile fetch successful', {
+        userId: profileUser.id,
+        role: profileUser.role
+      });
+    } catch (profileError) {
+      // If profile fetch fails, fall back to login response user data
+      childLogger.warn('Profile fetch failed after login, using login response data', {
+        error: profileError instanceof Error ? profileError.message : String(profileError)
+      });
 
-      // Fetch fresh profile data after successful login
-      try {
-        childLogger.info('Fetching user profile after login');
-        const profileResponse = await authApi.getProfile();
+      setUser(authResult.user);
+      CookieService.setUser(authResult.user);
+      LocalStorageService.setUser(authResult.user);
 
-        // Transform the API response to User entity with complete profile data
-        const profileUser = User.fromObject({
-          id: profileResponse.id,
-          name: profileResponse.firstName + ' ' + profileResponse.lastName,
-          email: profileResponse.email,
-          role: profileResponse.role,
-          isActive: true, // Assume active if we got profile data
-          avatar: profileResponse.avatar, // Include avatar if available
-          lastLogin: new Date(), // Set current time as last login
-          updatedAt: new Date(profileResponse.createdAt)
-        });
+      childLogger.info('User login successful (fallback)', {
+        userId: authResult.user.id,
+        role: authResult.user.role
+      });
+    }
+  };
 
-        setUser(profileUser);
-        CookieService.setUser(profileUser);
-        LocalStorageService.setUser(profileUser);
+  const login = async (email: string, password: string) => {
+    const correlationId = generateCorrelationId();
+    const childLogger = logger.withCorrelationId(correlationId);
 
-        childLogger.info('User login and profile fetch successful', {
-          userId: profileUser.id,
-          role: profileUser.role
-        });
-      } catch (profileError) {
-        // If profile fetch fails, fall back to login response user data
-        childLogger.warn('Profile fetch failed after login, using login response data', {
-          error: profileError instanceof Error ? profileError.message : String(profileError)
-        });
+    try {
+      childLogger.info('User login attempt', { email });
 
-        setUser(authResult.user);
-        CookieService.setUser(authResult.user);
-        LocalStorageService.setUser(authResult.user);
+      const authResult = await authService.login(email, password);
 
-        childLogger.info('User login successful (fallback)', {
-          userId: authResult.user.id,
-          role: authResult.user.role
-        });
-      }
+      await startSession(authResult, childLogger);
     } catch (error: any) {
       childLogger.error('User login failed', {
         error: error.message,
@@ -175,6 +188,42 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const requestMagicLink = async (email: string) => {
+    try {
+      const nonce = await authService.requestMagicLink(email);
+      LocalStorageService.setMagicLinkNonce(nonce);
+    } catch (error) {
+      throw new Error(getErrorMessage(error));
+    }
+  };
+
+  const loginWithMagicLink = async (magicLinkToken: string) => {
+    const correlationId = generateCorrelationId();
+    const childLogger = logger.withCorrelationId(correlationId);
+
+    // Only the browser that requested the link holds the nonce
+    const nonce = LocalStorageService.getMagicLinkNonce();
+    if (!nonce) {
+      throw new Error('Open the link in the browser you requested it from, or request a new one.');
+    }
+
+    try {
+      childLogger.info('Magic link login attempt');
+
+      const authResult = await authService.loginWithMagicLink(magicLinkToken, nonce);
+
+      await startSession(authResult, childLogger);
+    } catch (error) {
+      childLogger.error('Magic link login failed', {
+        error: error instanceof Error ? error.message : String(error)
+      });
+      throw new Error(getErrorMessage(error));
+    } finally {
+      // A link is used up by any attempt, so the nonce is no longer needed
+      LocalStorageService.removeMagicLinkNonce();
+    }
+  };
+
   const register = async (name: string, email: string, password: string, role?: string) => {
     try {
       const authResult = await authService.register(name, email, password, password, role);
@@ -269,12 +318,41 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const requestPasswordReset = async (email: string) => {
+    try {
+      await authService.requestPasswordReset(email);
+    } catch (error) {
+      throw new Error(getErrorMessage(error));
+    }
+  };
+
+  const resetPassword = async (resetToken: string, newPassword: string) => {
+    try {
+      await authService.resetPassword(resetToken, newPassword);
+    } catch (error) {
+      throw new Error(getErrorMessage(error));
+    }
+  };
+
+  const confirmEmailChange = async (confirmToken: string) => {
+    try {
+      await authService.confirmEmailChange(confirmToken);
+    } catch (error) {
+      throw new Error(getErrorMessage(error));
+    }
+  };
+
   const value: AuthContextType = {
     user,
     token,
     login,
+    requestMagicLink,
+    loginWithMagicLink,
     register,
     logout,
+    requestPasswordReset,
+    resetPassword,
+    confirmEmailChange,
     isLoading,
     isAuthenticated: !!user && !!token,
   };
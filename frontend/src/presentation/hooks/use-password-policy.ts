@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { authApi } from '@/infrastructure/api';
+import { DEFAULT_PASSWORD_POLICY } from '@/shared/constants';
+import type { PasswordPolicy } from '@/shared/types';
+import { logger } from '@/shared/utils';
+
+// Loaded once per page load and shared by every form
+let policyRequest: Promise<PasswordPolicy> | null = null;
+
+const loadPasswordPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = authApi.getPasswordPolicy().catch((error) => {
+      // The API still enforces its policy; fall back to its defaults and try again next time
+      logger.warn('Failed to load password policy, using defaults', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+      policyRequest = null;
+      return DEFAULT_PASSWORD_POLICY;
+    });
+  }
+  return policyRequest;
+};
+
+/**
+ * Custom hook returning the password rules the API enforces
+ */
+export function usePasswordPolicy(): PasswordPolicy {
+  const [policy, setPolicy] = useState<PasswordPolicy>(DEFAULT_PASSWORD_POLICY);
+
+  useEffect(() => {
+    let active = true;
+    loadPasswordPolicy().then((loaded) => {
+      if (active) {
+        setPolicy(loaded);
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+}
@@ -19,7 +19,10 @@ export const ROUTES = {
   REGISTER: '/register',
   DASHBOARD: '/dashboard',
   PROFILE: '/profile',
+  FORGOT_PASSWORD: '/forgot-password',
   RESET_PASSWORD: '/reset-password',
+  CONFIRM_EMAIL_CHANGE: '/confirm-email-change',
+  MAGIC_LINK: '/magic-link',
 } as const;
 
 /**
@@ -58,6 +61,18 @@ export const VALIDATION = {
   NAME_MAX_LENGTH: 50,
 } as const;
 
+/**
+ * Password rules used until the API's policy has loaded (the API's defaults)
+ */
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: VALIDATION.PASSWORD_MIN_LENGTH,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: true,
+} as const;
+
 /**
  * UI Constants
  */
@@ -104,3 +104,15 @@ export interface TableFilters {
   };
   [key: string]: any;
 }
+
+/**
+ * Rules new passwords have to meet, as enforced by the API
+ */
+export interface PasswordPolicy {
+  minLength: number;
+  maxLength: number;
+  requireUppercase: boolean;
+  requireLowercase: boolean;
+  requireNumber: boolean;
+  requireSymbol: boolean;
+}
@@ -0,0 +1,30 @@
+import * as z from 'zod';
+import type { PasswordPolicy } from '../types';
+
+// Same character set the API counts as a symbol
+const SYMBOL_PATTERN = /[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/;
+
+/**
+ * Build the zod rules for a new password from the API's password policy
+ */
+export function createPasswordSchema(policy: PasswordPolicy) {
+  let schema = z
+    .string()
+    .min(policy.minLength, `Password must be at least ${policy.minLength} characters`)
+    .max(policy.maxLength, `Password must not exceed ${policy.maxLength} characters`);
+
+  if (policy.requireUppercase) {
+    schema = schema.regex(/[A-Z]/, 'Password must contain at least one uppercase letter');
+  }
+  if (policy.requireLowercase) {
+    schema = schema.regex(/[a-z]/, 'Password must contain at least one lowercase letter');
+  }
+  if (policy.requireNumber) {
+    schema = schema.regex(/\d/, 'Password must contain at least one number');
+  }
+  if (policy.requireSymbol) {
+    schema = schema.regex(SYMBOL_PATTERN, 'Password must contain at least one special character');
+  }
+
+  return schema;
+}